@@ -1,14 +1,18 @@
 const tf = require('@tensorflow/tfjs-node');
-const OpenAI = require('openai');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto-js');
 const compromise = require('compromise');
 const Sentiment = require('sentiment');
+const { PageSummarizer } = require('./PageSummarizer');
+const { PromptBuilder, PRIORITY } = require('./PromptBuilder');
 
 class AIEngine {
-  constructor() {
-    this.openai = null;
+  constructor(llmRegistry) {
+    this.llm = llmRegistry;
+    this.summarizer = new PageSummarizer(llmRegistry);
+    this.promptBuilder = new PromptBuilder(llmRegistry);
+    this.responseCache = null;
     this.models = {
       textClassification: null,
       userBehavior: null,
@@ -25,11 +29,6 @@ class AIEngine {
   async initialize() {
     try {
       console.log('🧠 Initializing AI Engine...');
-      
-      // Initialize OpenAI (you'll need to set API key)
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY || 'your-api-key-here'
-      });
 
       // Load or create ML models
       await this.initializeModels();
@@ -150,12 +149,61 @@ class AIEngine {
     return model;
   }
 
+  setResponseCache(responseCache) {
+    this.responseCache = responseCache;
+  }
+
+  // Everything a cached answer depends on besides the query itself
+  getCacheScope(context) {
+    const history = context.conversationHistory || [];
+    const options = this.llm.resolveCallSite('assistant');
+
+    return this.responseCache.buildScope({
+      page: context.context?.currentPage,
+      profile: context.userProfile,
+      model: `${options.provider}/${options.model}`,
+      lastTurn: history[history.length - 1]
+    });
+  }
+
+  // Private windows neither read nor fill the cache; without a scope
+  // nothing gets stored either
+  async lookupCachedResult(query, context) {
+    if (!this.responseCache || context.private) return { scope: null, hit: null };
+
+    const scope = this.getCacheScope(context);
+    const hit = await this.responseCache.lookup(query, scope);
+    return { scope, hit };
+  }
+
+  // Fallbacks, cancelled and cut-off answers are worth retrying next time
+  async cacheResult(query, scope, result) {
+    const { response } = result;
+    if (!scope || response.cancelled || response.incomplete || response.fallback) return;
+
+    await this.responseCache.store(query, scope, result);
+  }
+
+  fromCache(query, hit) {
+    this.updateConversationContext(query, hit.value.response);
+
+    return {
+      ...hit.value,
+      cached: { type: hit.type, similarity: hit.similarity, age: hit.age, query: hit.cachedQuery }
+    };
+  }
+
   async processQuery(query, context = {}) {
     if (!this.isInitialized) {
       throw new Error('AI Engine not initialized');
     }
 
     try {
+      const { scope, hit } = await this.lookupCachedResult(query, context);
+      if (hit) {
+        return this.fromCache(query, hit);
+      }
+
       // Analyze query intent
       const intent = await this.analyzeIntent(query);
       
@@ -178,13 +226,13 @@ class AIEngine {
         userProfile: context.userProfile
       });
       
-      // Update conversation context
-      this.updateConversationContext(query, response);
-      
-      // Learn from interaction
-      await this.learnFromInteraction(query, response, context);
+      // Private windows leave nothing behind in memory
+      if (!context.private) {
+        this.updateConversationContext(query, response);
+        await this.learnFromInteraction(query, response, context);
+      }
       
-      return {
+      const result = {
         response,
         intent,
         entities,
@@ -193,6 +241,9 @@ class AIEngine {
         suggestions: await this.generateFollowUpSuggestions(query, response),
         relatedContent: await this.findRelatedContent(query, context)
       };
+      await this.cacheResult(query, scope, result);
+      
+      return result;
     } catch (error) {
       console.error('Error processing query:', error);
       return {
@@ -202,6 +253,56 @@ class AIEngine {
     }
   }
 
+  async streamQuery(query, context = {}, { onToken, signal } = {}) {
+    if (!this.isInitialized) {
+      throw new Error('AI Engine not initialized');
+    }
+
+    const { scope, hit } = await this.lookupCachedResult(query, context);
+    if (hit) {
+      // Delivered as a single chunk so the UI path is the same as a live answer
+      if (typeof onToken === 'function') onToken(hit.value.response.text);
+      return { ...this.fromCache(query, hit), cancelled: false };
+    }
+
+    const intent = await this.analyzeIntent(query);
+    const entities = this.extractEntities(query);
+    const sentiment = this.sentiment.analyze(query);
+    const contextualAnalysis = await this.analyzeContext(query, context);
+
+    const response = await this.streamIntelligentResponse({
+      query,
+      intent,
+      entities,
+      sentiment,
+      context: contextualAnalysis,
+      userProfile: context.userProfile
+    }, { onToken, signal });
+
+    if (!context.private) {
+      this.updateConversationContext(query, response);
+
+      // A half-finished answer isn't worth learning from
+      if (!response.cancelled) {
+        await this.learnFromInteraction(query, response, context);
+      }
+    }
+
+    const result = {
+      response,
+      intent,
+      entities,
+      sentiment,
+      cancelled: Boolean(response.cancelled),
+      confidence: response.confidence || 0.8,
+      suggestions: response.cancelled ? [] : await this.generateFollowUpSuggestions(query, response),
+      relatedContent: response.cancelled ? [] : await this.findRelatedContent(query, context)
+    };
+    await this.cacheResult(query, scope, result);
+
+    return result;
+  }
+
   async analyzeIntent(query) {
     // Use compromise for basic NLP
     const doc = compromise(query);
@@ -245,7 +346,7 @@ class AIEngine {
       people: doc.people().out('array'),
       places: doc.places().out('array'),
       organizations: doc.organizations().out('array'),
-      dates: doc.dates().out('array'),
+      dates: doc.match('#Date').out('array'),
       urls: doc.match('#Url').out('array'),
       numbers: doc.numbers().out('array'),
       topics: doc.topics().out('array')
@@ -258,7 +359,9 @@ class AIEngine {
       locationContext: context.location || null,
       userActivity: context.recentActivity || [],
       browserContext: context.currentTabs || [],
-      conversationHistory: this.conversationContext.slice(-5), // Last 5 exchanges
+      // A resumed thread brings its own history; otherwise use the last 5
+      // exchanges, which a private window doesn't get to see
+      conversationHistory: context.conversationHistory || (context.private ? [] : this.conversationContext.slice(-5)),
       userMood: context.currentMood || 'neutral',
       workContext: context.activeProjects || []
     };
@@ -266,50 +369,125 @@ class AIEngine {
 
   async generateIntelligentResponse(data) {
     try {
-      const systemPrompt = this.buildSystemPrompt(data);
-      const userPrompt = this.buildUserPrompt(data);
+      const prompt = this.buildPrompt(data);
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        max_tokens: 500,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
+      const completion = await this.llm.complete('assistant', prompt.messages, {
+        maxTokens: prompt.maxTokens,
+        presencePenalty: 0.1,
+        frequencyPenalty: 0.1
       });
       
       return {
-        text: completion.choices[0].message.content,
+        text: completion.text,
         confidence: 0.9,
-        reasoning: 'Generated using GPT-4 with contextual awareness'
+        reasoning: `Generated using ${completion.provider}/${completion.model} with contextual awareness`,
+        promptReport: prompt.report
       };
     } catch (error) {
-      console.error('OpenAI API error:', error);
+      console.error('LLM provider error:', error);
       return await this.generateFallbackResponse(data);
     }
   }
 
+  async streamIntelligentResponse(data, { onToken, signal } = {}) {
+    const emit = typeof onToken === 'function' ? onToken : () => {};
+    let text = '';
+    let prompt = null;
+
+    try {
+      prompt = this.buildPrompt(data);
+
+      for await (const chunk of this.llm.stream('assistant', prompt.messages, {
+        maxTokens: prompt.maxTokens,
+        presencePenalty: 0.1,
+        frequencyPenalty: 0.1,
+        signal
+      })) {
+        text += chunk.delta;
+        emit(chunk.delta);
+      }
+
+      return {
+        text,
+        confidence: 0.9,
+        reasoning: 'Streamed from the configured LLM provider with contextual awareness',
+        promptReport: prompt.report
+      };
+    } catch (error) {
+      if (signal?.aborted) {
+        return {
+          text,
+          confidence: 0.5,
+          cancelled: true,
+          reasoning: 'Response cancelled by the user',
+          promptReport: prompt?.report
+        };
+      }
+
+      console.error('LLM provider streaming error:', error);
+
+      // Nothing streamed yet, so the fallback can stand in for the whole answer
+      if (!text) {
+        const fallback = await this.generateFallbackResponse(data);
+        emit(fallback.text);
+        return fallback;
+      }
+
+      return {
+        text,
+        confidence: 0.6,
+        incomplete: true,
+        reasoning: 'Stream interrupted by a provider error',
+        promptReport: prompt?.report
+      };
+    }
+  }
+
+  // Fits profile, activity and earlier turns into the model's context window
+  buildPrompt(data) {
+    return this.promptBuilder.build('assistant', {
+      system: this.buildSystemPrompt(data),
+      sections: [
+        { id: 'profile', title: 'User Profile', text: this.buildProfileSection(data), priority: PRIORITY.profile },
+        { id: 'history', title: 'Current Context', text: this.buildActivitySection(data), priority: PRIORITY.history }
+      ],
+      turns: this.buildHistoryMessages(data.context.conversationHistory),
+      user: this.buildUserPrompt(data)
+    });
+  }
+
   buildSystemPrompt(data) {
-    const { userProfile, context } = data;
-    
     return `You are Nexus, an advanced AI assistant integrated into a personalized browser. You have deep knowledge about the user and provide hyper-personalized responses.
 
-User Profile:
-- Interests: ${userProfile?.interests?.join(', ') || 'Unknown'}
+Current time: ${new Date().toLocaleString()}
+
+Provide intelligent, contextual, and personalized responses. Be proactive in offering relevant suggestions and insights.`;
+  }
+
+  buildProfileSection(data) {
+    const { userProfile } = data;
+
+    return `- Interests: ${userProfile?.interests?.join(', ') || 'Unknown'}
 - Profession: ${userProfile?.profession || 'Unknown'}
 - Browsing patterns: ${userProfile?.browsingPatterns || 'Unknown'}
-- Preferred communication style: ${userProfile?.communicationStyle || 'Professional'}
+- Preferred communication style: ${userProfile?.communicationStyle || 'Professional'}`;
+  }
+
+  buildActivitySection(data) {
+    const { context } = data;
 
-Current Context:
-- Time: ${new Date().toLocaleString()}
-- User mood: ${context.userMood}
+    return `- User mood: ${context.userMood}
 - Recent activity: ${context.userActivity?.slice(0, 3).join(', ') || 'None'}
-- Active projects: ${context.workContext?.slice(0, 2).join(', ') || 'None'}
+- Active projects: ${context.workContext?.slice(0, 2).join(', ') || 'None'}`;
+  }
 
-Provide intelligent, contextual, and personalized responses. Be proactive in offering relevant suggestions and insights.`;
+  buildHistoryMessages(history = []) {
+    return history
+      .filter(exchange => exchange.query && exchange.response)
+      .flatMap(exchange => [
+        { role: 'user', content: exchange.query },
+        { role: 'assistant', content: exchange.response }
+      ]);
   }
 
   buildUserPrompt(data) {
@@ -326,7 +504,7 @@ Please provide a helpful and personalized response.`;
   }
 
   async generateFallbackResponse(data) {
-    // Local fallback when OpenAI is unavailable
+    // Local fallback when the LLM provider is unavailable
     const { query, intent } = data;
     
     const responses = {
@@ -340,6 +518,7 @@ Please provide a helpful and personalized response.`;
     return {
       text: responses[intent] || 'I\'m here to help. Could you provide more details about what you need?',
       confidence: 0.6,
+      fallback: true,
       reasoning: 'Fallback response due to API unavailability'
     };
   }
@@ -381,6 +560,43 @@ Please provide a helpful and personalized response.`;
     return suggestions;
   }
 
+  async generateFollowUpSuggestions(query, response) {
+    const concepts = [...new Set(this.extractConcepts(query))].slice(0, 3);
+
+    return concepts.map(concept => ({
+      type: 'follow_up',
+      text: `Tell me more about ${concept}`,
+      query: `Tell me more about ${concept}`
+    }));
+  }
+
+  async findRelatedContent(query, context) {
+    const concepts = this.extractConcepts(query).map(concept => concept.toLowerCase());
+    const recentPages = context.context?.recentActivity?.pageViews || [];
+
+    return recentPages
+      .filter(page => {
+        const haystack = `${page.title || ''} ${page.url || ''}`.toLowerCase();
+        return concepts.some(concept => haystack.includes(concept));
+      })
+      .slice(0, 5)
+      .map(page => ({
+        type: 'history',
+        title: page.title,
+        url: page.url,
+        timestamp: page.timestamp
+      }));
+  }
+
+  async summarizePage(pageData, options = {}) {
+    try {
+      return await this.summarizer.summarize(pageData, options);
+    } catch (error) {
+      console.error('Error summarizing page:', error);
+      return null;
+    }
+  }
+
   getTimeContext() {
     const now = new Date();
     const hour = now.getHours();
@@ -1,10 +1,13 @@
-const OpenAI = require('openai');
 const compromise = require('compromise');
 const Sentiment = require('sentiment');
+const { PromptBuilder, PRIORITY } = require('./PromptBuilder');
+const { PromptInjectionGuard, UNTRUSTED_CONTENT_RULES } = require('../security/PromptInjectionGuard');
 
 class ContextualAI {
-  constructor() {
-    this.openai = null;
+  constructor(llmRegistry) {
+    this.llm = llmRegistry;
+    this.promptBuilder = new PromptBuilder(llmRegistry);
+    this.guard = new PromptInjectionGuard();
     this.userContext = {
       browsing: {
         currentTabs: [],
@@ -35,10 +38,6 @@ class ContextualAI {
     try {
       console.log('🧠 Initializing Contextual AI...');
       
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY || 'your-api-key-here'
-      });
-      
       this.isInitialized = true;
       console.log('✅ Contextual AI initialized');
     } catch (error) {
@@ -378,28 +377,41 @@ class ContextualAI {
   }
 
   async generateContextualResponse(query, additionalContext = {}) {
-    if (!this.isInitialized || !this.openai) {
+    if (!this.isInitialized || !this.llm) {
       return this.generateFallbackResponse(query);
     }
     
     try {
-      const systemPrompt = this.buildContextualSystemPrompt();
-      const userPrompt = this.buildContextualUserPrompt(query, additionalContext);
+      const page = this.preparePageContext(additionalContext);
+      const sections = [
+        { id: 'page', title: 'Current Page', text: page.text, priority: PRIORITY.page, wrap: page.wrap }
+      ];
+      // Page text that tries to instruct the model never shares a prompt with user data
+      if (!page.tainted) {
+        sections.push(
+          { id: 'profile', title: 'Current User Context', text: this.buildUserContextSection(), priority: PRIORITY.profile },
+          { id: 'history', text: this.buildBrowsingSection(), priority: PRIORITY.history }
+        );
+      }
+
+      const prompt = this.promptBuilder.build('contextual', {
+        system: this.buildContextualSystemPrompt(),
+        sections,
+        turns: this.conversationHistory,
+        user: this.buildContextualUserPrompt(query, additionalContext)
+      });
+      if (page.tainted) {
+        prompt.report.dropped.push({ id: 'profile', reason: 'page content contains instructions' });
+        prompt.report.dropped.push({ id: 'history', reason: 'page content contains instructions' });
+      }
       
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          { role: "system", content: systemPrompt },
-          ...this.conversationHistory.slice(-10), // Last 10 exchanges
-          { role: "user", content: userPrompt }
-        ],
-        max_tokens: 600,
-        temperature: 0.7,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
+      const completion = await this.llm.complete('contextual', prompt.messages, {
+        maxTokens: prompt.maxTokens,
+        presencePenalty: 0.1,
+        frequencyPenalty: 0.1
       });
       
-      const response = completion.choices[0].message.content;
+      const response = completion.text;
       
       // Update conversation history
       this.conversationHistory.push(
@@ -416,7 +428,9 @@ class ContextualAI {
         response,
         contextUsed: true,
         confidence: 0.9,
-        suggestions: await this.generateContextualSuggestions(query, response)
+        suggestions: await this.generateContextualSuggestions(query, response),
+        promptReport: prompt.report,
+        injection: page.report
       };
       
     } catch (error) {
@@ -426,23 +440,59 @@ class ContextualAI {
   }
 
   buildContextualSystemPrompt() {
+    return `You are Nexus, an advanced AI assistant integrated into the user's browser. You have deep contextual awareness of their browsing habits, interests, and current activities.
+
+Provide helpful, contextually aware responses that leverage this browsing context. Be proactive in offering relevant suggestions and insights based on their current activities and interests.
+
+${UNTRUSTED_CONTENT_RULES}`;
+  }
+
+  // Title, text and selection all come from the page and are fenced together
+  preparePageContext(additionalContext) {
+    const { currentPage, selectedText } = additionalContext;
+    if (!currentPage && !selectedText) {
+      return { text: null, tainted: false, report: null };
+    }
+
+    const parts = [];
+    if (currentPage) {
+      parts.push(`Title: ${currentPage.title || 'Untitled'}`);
+      if (currentPage.content) parts.push(currentPage.content);
+    }
+    if (selectedText) {
+      parts.push(`Selected text: "${selectedText}"`);
+    }
+
+    const result = this.guard.sanitize(parts.join('\n\n'), { source: 'page' });
+    return {
+      text: result.text,
+      wrap: (text) => this.guard.fence(text, { source: currentPage?.url || 'page' }),
+      tainted: result.action !== 'allow',
+      report: result.findings.length > 0
+        ? { action: result.action, score: result.score, findings: result.findings.map(({ id, match }) => ({ id, match })) }
+        : null
+    };
+  }
+
+  buildUserContextSection() {
     const context = this.userContext;
     const recentInterests = context.personal.interests.slice(0, 10).map(i => i.term).join(', ');
     const currentProjects = context.personal.currentProjects.map(p => p.name).join(', ');
     const frequentSites = context.browsing.frequentSites.slice(0, 5).map(s => s.domain).join(', ');
     
-    return `You are Nexus, an advanced AI assistant integrated into the user's browser. You have deep contextual awareness of their browsing habits, interests, and current activities.
-
-Current User Context:
-- Mood: ${context.personal.mood}
+    return `- Mood: ${context.personal.mood}
 - Work Context: ${context.personal.workContext}
 - Session: ${context.session.pageViews} pages viewed, ${Math.round((Date.now() - context.session.startTime) / 60000)} minutes active
 - Current Tabs: ${context.browsing.currentTabs.length} open
 - Top Interests: ${recentInterests || 'Learning about user'}
 - Active Projects: ${currentProjects || 'None detected'}
-- Frequent Sites: ${frequentSites || 'Building profile'}
+- Frequent Sites: ${frequentSites || 'Building profile'}`;
+  }
 
-Recent Browsing Pattern:
+  buildBrowsingSection() {
+    const context = this.userContext;
+
+    return `Recent Browsing Pattern:
 ${context.browsing.recentHistory.slice(0, 5).map(page => 
   `- ${page.title} (${new URL(page.url).hostname})`
 ).join('\n')}
@@ -450,24 +500,15 @@ ${context.browsing.recentHistory.slice(0, 5).map(page =>
 Recent Searches:
 ${context.browsing.searchQueries.slice(0, 3).map(search => 
   `- "${search.query}" (${search.intent.intent})`
-).join('\n')}
-
-Provide helpful, contextually aware responses that leverage this browsing context. Be proactive in offering relevant suggestions and insights based on their current activities and interests.`;
+).join('\n')}`;
   }
 
   buildContextualUserPrompt(query, additionalContext) {
     let prompt = `User Query: "${query}"`;
     
+    // Title, text and selection go in as a fenced, budgeted section of the system prompt
     if (additionalContext.currentPage) {
-      prompt += `\n\nCurrent Page Context:\n- URL: ${additionalContext.currentPage.url}\n- Title: ${additionalContext.currentPage.title}`;
-      
-      if (additionalContext.currentPage.content) {
-        prompt += `\n- Content Summary: ${additionalContext.currentPage.content.substring(0, 300)}...`;
-      }
-    }
-    
-    if (additionalContext.selectedText) {
-      prompt += `\n\nSelected Text: "${additionalContext.selectedText}"`;
+      prompt += `\n\nCurrent Page: ${additionalContext.currentPage.url}`;
     }
     
     return prompt;
@@ -0,0 +1,151 @@
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now', 'see', 'who', 'did', 'get', 'him',
+  'let', 'she', 'too', 'use', 'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been',
+  'were', 'what', 'when', 'which', 'their', 'there', 'about', 'would', 'these', 'other', 'into',
+  'than', 'then', 'them', 'some', 'could', 'also', 'just', 'more', 'only', 'over', 'such', 'very'
+]);
+
+// Turns text into normalized vectors. Uses an embedding model from the
+// provider registry when configured, otherwise (or when that fails) a
+// hashing vectorizer that needs no model at all. Every result carries the id
+// of the model that produced it, since vectors from different models can't
+// be compared.
+class EmbeddingService {
+  constructor(llmRegistry, settingsManager) {
+    this.llm = llmRegistry;
+    this.settingsManager = settingsManager;
+  }
+
+  getDimensions() {
+    return this.settingsManager.get('ai.embeddings.dimensions', 512);
+  }
+
+  getHashingModelId() {
+    return `hashing-${this.getDimensions()}`;
+  }
+
+  getModelId() {
+    if (this.settingsManager.get('ai.embeddings.backend') !== 'provider') {
+      return this.getHashingModelId();
+    }
+
+    const options = this.llm.resolveCallSite('embedding');
+    return `${options.provider}:${options.model}`;
+  }
+
+  async embed(texts) {
+    const modelId = this.getModelId();
+
+    if (modelId !== this.getHashingModelId()) {
+      try {
+        return { model: modelId, vectors: await this.embedWithProvider(texts) };
+      } catch (error) {
+        console.error('Embedding provider failed, using hashing vectorizer:', error.message);
+      }
+    }
+
+    return { model: this.getHashingModelId(), vectors: texts.map(text => this.hashingVectorize(text)) };
+  }
+
+  // Embeds with a specific model so a query can be compared with vectors
+  // stored earlier. Returns null when that model isn't usable right now.
+  async embedWith(modelId, texts) {
+    if (modelId.startsWith('hashing-')) {
+      const dimensions = parseInt(modelId.split('-')[1], 10);
+      return texts.map(text => this.hashingVectorize(text, dimensions));
+    }
+
+    if (modelId !== this.getModelId()) {
+      return null;
+    }
+
+    try {
+      return await this.embedWithProvider(texts);
+    } catch (error) {
+      console.error('Error embedding with provider:', error.message);
+      return null;
+    }
+  }
+
+  async embedWithProvider(texts) {
+    const vectors = await this.llm.embed('embedding', texts);
+    return vectors.map(vector => this.normalize(Float32Array.from(vector)));
+  }
+
+  // Feature hashing over unigrams and bigrams with sublinear term frequency
+  hashingVectorize(text, dimensions = this.getDimensions()) {
+    const vector = new Float32Array(dimensions);
+    const tokens = this.tokenize(text);
+    const counts = new Map();
+
+    tokens.forEach((token, i) => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${tokens[i - 1]} ${token}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    });
+
+    counts.forEach((count, feature) => {
+      const hash = this.hashFeature(feature);
+      const index = hash % dimensions;
+      // A second hash bit picks the sign so collisions tend to cancel out
+      const sign = (hash >>> 16) & 1 ? 1 : -1;
+      vector[index] += sign * (1 + Math.log(count));
+    });
+
+    return this.normalize(vector);
+  }
+
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 2 && !STOP_WORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Crude suffix stripping so "cancelling" and "cancellation" land near "cancel"
+  stem(token) {
+    const suffixes = ['ational', 'ation', 'ations', 'ings', 'ing', 'ness', 'ment', 'edly', 'ed', 'ly', 'es', 's'];
+    for (const suffix of suffixes) {
+      if (token.length - suffix.length >= 4 && token.endsWith(suffix)) {
+        return token.slice(0, -suffix.length).replace(/(.)\1$/, '$1');
+      }
+    }
+    return token;
+  }
+
+  hashFeature(feature) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+  }
+
+  // Vectors are normalized, so the dot product is the cosine similarity
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+}
+
+module.exports = { EmbeddingService };
@@ -0,0 +1,194 @@
+const { TextChunker } = require('./TextChunker');
+const { PromptInjectionGuard, UNTRUSTED_CONTENT_RULES } = require('../security/PromptInjectionGuard');
+
+const MAX_PASSAGES = 6;
+const MAX_QUOTE_CHARS = 200;
+
+// Answers questions about a page from passages retrieved out of its text.
+// The model cites passages as [n]; each citation is resolved to a short
+// quote that the tab can scroll to and highlight. In split view it answers
+// across all the visible pages, numbering passages through them all.
+class PageChat {
+  constructor(llmRegistry, embeddingService) {
+    this.llm = llmRegistry;
+    this.embeddings = embeddingService;
+    this.chunker = new TextChunker({ maxChars: 700, overlap: 0 });
+    this.guard = new PromptInjectionGuard();
+  }
+
+  async answer(question, pageData, options) {
+    return this.answerAcross(question, [pageData], options);
+  }
+
+  // Citations carry the index of the page their passage came from
+  async answerAcross(question, pages, { onToken, signal } = {}) {
+    const emit = typeof onToken === 'function' ? onToken : () => {};
+    const perPage = pages.length > 1 ? Math.ceil(MAX_PASSAGES / pages.length) + 1 : MAX_PASSAGES;
+
+    let retrieved = [];
+    for (const [page, pageData] of pages.entries()) {
+      const passages = await this.retrieve(question, pageData.content, perPage);
+      retrieved = retrieved.concat(passages.map(passage => ({ ...passage, number: retrieved.length + passage.number, page })));
+    }
+
+    if (retrieved.length === 0) {
+      const text = pages.length > 1
+        ? 'I couldn\'t find any readable text on these pages.'
+        : 'I couldn\'t find any readable text on this page.';
+      emit(text);
+      return { text, citations: [], cancelled: false, injection: null };
+    }
+
+    const { passages, injection } = this.sanitizePassages(retrieved);
+
+    const messages = [
+      { role: 'system', content: this.buildSystemPrompt(pages.length) },
+      { role: 'user', content: this.buildUserPrompt(question, pages, passages) }
+    ];
+
+    let text = '';
+    try {
+      for await (const { delta } of this.llm.stream('pageChat', messages, { signal })) {
+        if (!delta) continue;
+        text += delta;
+        emit(delta);
+      }
+    } catch (error) {
+      if (signal?.aborted || error.name === 'AbortError') {
+        return { text, citations: this.extractCitations(text, passages), cancelled: true, injection };
+      }
+      throw error;
+    }
+
+    return { text, citations: this.extractCitations(text, passages), cancelled: false, injection };
+  }
+
+  // Instruction-like sentences are removed passage by passage so the
+  // numbering the citations rely on stays intact
+  sanitizePassages(passages) {
+    const findings = [];
+    let removed = 0;
+
+    const sanitized = passages.map(passage => {
+      const result = this.guard.sanitize(passage.text, { source: `passage ${passage.number}` });
+      findings.push(...result.findings.map(({ id, match }) => ({ id, match, passage: passage.number })));
+      removed += result.action === 'allow' ? 0 : (result.removed || 1);
+      return { ...passage, text: result.text };
+    });
+
+    return {
+      passages: sanitized,
+      injection: findings.length > 0 ? { findings, removed } : null
+    };
+  }
+
+  // Picks the passages closest to the question, kept in page order and
+  // numbered from 1 as the model will see them
+  async retrieve(question, content, limit = MAX_PASSAGES) {
+    const chunks = this.chunker.split(content || '');
+    if (chunks.length === 0) return [];
+
+    let selected = chunks;
+    if (chunks.length > limit) {
+      const { vectors } = await this.embeddings.embed([question, ...chunks.map(chunk => chunk.text)]);
+      const scored = chunks.map((chunk, i) => ({
+        chunk,
+        score: this.embeddings.similarity(vectors[0], vectors[i + 1])
+      }));
+
+      // Broad questions ("what is this about?") match nothing in particular;
+      // the start of the page is the best guess then
+      selected = scored.some(item => item.score > 0)
+        ? scored.sort((a, b) => b.score - a.score).slice(0, limit).map(item => item.chunk)
+        : chunks.slice(0, limit);
+    }
+
+    return selected
+      .sort((a, b) => a.index - b.index)
+      .map((chunk, i) => ({ number: i + 1, text: chunk.text }));
+  }
+
+  extractCitations(text, passages) {
+    const citations = [];
+    const seen = new Set();
+    const sentences = text.match(/[^.!?\n]+[.!?]*(\s*\[[\d,\s]+\])*/g) || [];
+
+    sentences.forEach(sentence => {
+      const markers = sentence.match(/\[[\d,\s]+\]/g) || [];
+      const claim = sentence.replace(/\s*\[[\d,\s]+\]/g, '').trim();
+
+      markers.forEach(marker => {
+        marker.replace(/[[\]\s]/g, '').split(',').forEach(value => {
+          const number = parseInt(value, 10);
+          const passage = passages.find(p => p.number === number);
+          const key = `${number}:${claim}`;
+          if (!passage || seen.has(key)) return;
+
+          seen.add(key);
+          citations.push({
+            number,
+            page: passage.page || 0,
+            claim,
+            quote: this.pickQuote(passage.text, claim)
+          });
+        });
+      });
+    });
+
+    return citations;
+  }
+
+  // The sentence of the passage sharing the most words with the claim
+  pickQuote(passageText, claim) {
+    const claimTerms = new Set(this.embeddings.tokenize(claim));
+    const sentences = passageText.match(/[^.!?\n]+[.!?]*/g) || [passageText];
+
+    let best = sentences[0];
+    let bestOverlap = -1;
+    sentences.forEach(sentence => {
+      const overlap = this.embeddings.tokenize(sentence).filter(term => claimTerms.has(term)).length;
+      if (overlap > bestOverlap) {
+        best = sentence;
+        bestOverlap = overlap;
+      }
+    });
+
+    return best.trim().substring(0, MAX_QUOTE_CHARS);
+  }
+
+  buildSystemPrompt(pageCount = 1) {
+    if (pageCount > 1) {
+      return `You answer questions about ${pageCount} web pages the user is reading side by side, using only the numbered passages provided. Passages are numbered across all pages.
+
+- After every claim, cite the passage it comes from as [n], e.g. "The first page recommends async traits [2]."
+- When comparing, say which page each point comes from and where the pages agree or differ.
+- Only state what the passages support. If they don't answer the question, say so.
+- Be concise and don't mention passages other than by citation.
+
+${UNTRUSTED_CONTENT_RULES}`;
+    }
+
+    return `You answer questions about the web page the user is reading, using only the numbered passages provided.
+
+- After every claim, cite the passage it comes from as [n], e.g. "The release added async traits [2]."
+- Only state what the passages support. If they don't answer the question, say so.
+- Be concise and don't mention passages other than by citation.
+
+${UNTRUSTED_CONTENT_RULES}`;
+  }
+
+  // Each page is fenced on its own so one page's text can't pose as another's
+  buildUserPrompt(question, pages, passages) {
+    const fenced = pages.map((pageData, page) => {
+      const numbered = passages.filter(p => (p.page || 0) === page).map(p => `[${p.number}] ${p.text}`).join('\n\n');
+      const label = pages.length > 1 ? `Page ${page + 1}` : 'Page';
+      return this.guard.fence(`${label}: ${pageData.title || 'Untitled'} (${pageData.url})\n\nPassages:\n${numbered}`);
+    });
+
+    return `${fenced.join('\n\n')}
+
+Question: ${question}`;
+  }
+}
+
+module.exports = { PageChat };
@@ -0,0 +1,157 @@
+const crypto = require('crypto-js');
+const { TextChunker } = require('./TextChunker');
+const { PromptInjectionGuard, UNTRUSTED_CONTENT_RULES } = require('../security/PromptInjectionGuard');
+
+const MIN_CONTENT_CHARS = 200;
+const MAX_CHUNKS = 12;
+const MAX_CACHE_ENTRIES = 200;
+
+// Map-reduce summarization: long pages are split into chunks, each chunk is
+// summarized on its own and the partial summaries are merged into one.
+class PageSummarizer {
+  constructor(llmRegistry, options = {}) {
+    this.llm = llmRegistry;
+    this.chunker = new TextChunker({ maxChars: options.chunkSize || 6000, overlap: 200 });
+    this.maxChunks = options.maxChunks || MAX_CHUNKS;
+    this.cache = new Map();
+    this.inFlight = new Map();
+    this.guard = new PromptInjectionGuard();
+  }
+
+  hashContent(content) {
+    return crypto.MD5(content).toString();
+  }
+
+  normalizeContent(content) {
+    return (content || '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  getCached(url, contentHash) {
+    const key = `${url}#${contentHash}`;
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    // Refresh recency so frequently revisited pages stay cached
+    this.cache.delete(key);
+    this.cache.set(key, cached);
+    return cached;
+  }
+
+  setCached(url, contentHash, summary) {
+    this.cache.set(`${url}#${contentHash}`, summary);
+
+    while (this.cache.size > MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  // Returns null for pages with too little text to be worth summarizing.
+  // With cache: false, as for private tabs, the summary isn't kept.
+  async summarize(pageData, { signal, cache = true } = {}) {
+    const content = this.normalizeContent(pageData.content);
+    if (content.length < MIN_CONTENT_CHARS) {
+      return null;
+    }
+
+    const contentHash = this.hashContent(content);
+    if (!cache) {
+      return this.buildSummary(pageData, content, contentHash, signal);
+    }
+
+    const cached = this.getCached(pageData.url, contentHash);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    // Reloads of the same page share one request
+    const key = `${pageData.url}#${contentHash}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = this.buildSummary(pageData, content, contentHash, signal)
+      .then(summary => {
+        this.setCached(pageData.url, contentHash, summary);
+        return summary;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  async buildSummary(pageData, content, contentHash, signal) {
+    const allChunks = this.chunker.split(content);
+    const chunks = allChunks.slice(0, this.maxChunks);
+    let text;
+
+    if (chunks.length === 1) {
+      text = await this.summarizeText(pageData.title, chunks[0].text, 'final', signal);
+    } else {
+      // Sequential on purpose: local model servers usually handle one request at a time
+      const partials = [];
+      for (const chunk of chunks) {
+        partials.push(await this.summarizeText(pageData.title, chunk.text, 'partial', signal));
+      }
+      text = await this.reduce(pageData.title, partials, signal);
+    }
+
+    return {
+      url: pageData.url,
+      title: pageData.title,
+      text,
+      contentHash,
+      chunkCount: chunks.length,
+      truncated: allChunks.length > chunks.length,
+      generatedAt: Date.now()
+    };
+  }
+
+  // Merge partial summaries, in several rounds if they don't fit in one chunk
+  async reduce(title, partials, signal) {
+    const combined = partials.map((p, i) => `Part ${i + 1}: ${p}`).join('\n\n');
+
+    if (partials.length <= 1 || combined.length <= this.chunker.maxChars) {
+      return this.summarizeText(title, combined, 'merge', signal);
+    }
+
+    const groups = this.chunker.split(combined);
+    const merged = [];
+    for (const group of groups) {
+      merged.push(await this.summarizeText(title, group.text, 'merge', signal));
+    }
+
+    // Guard against groups that don't shrink
+    if (merged.length >= partials.length) {
+      return this.summarizeText(title, merged.join('\n\n').substring(0, this.chunker.maxChars), 'merge', signal);
+    }
+
+    return this.reduce(title, merged, signal);
+  }
+
+  async summarizeText(title, text, stage, signal) {
+    const instructions = {
+      partial: 'Summarize this section of a web page in 2-3 sentences. Keep concrete facts, names and numbers.',
+      merge: 'These are summaries of consecutive sections of one web page. Merge them into a single summary of 3-5 sentences without repeating yourself.',
+      final: 'Summarize this web page in 3-5 sentences. Keep concrete facts, names and numbers.'
+    };
+
+    // Partial summaries are derived from the page too, so every stage is fenced
+    const untrusted = this.guard.prepare(`Page title: ${title || 'Untitled'}\n\n${text}`, { source: 'page' });
+
+    const completion = await this.llm.complete('summarization', [
+      {
+        role: 'system',
+        content: `You write short, neutral summaries of web pages. ${instructions[stage]} Reply with the summary only.\n\n${UNTRUSTED_CONTENT_RULES}`
+      },
+      {
+        role: 'user',
+        content: untrusted.text
+      }
+    ], { signal });
+
+    return (completion.text || '').trim();
+  }
+}
+
+module.exports = { PageSummarizer };
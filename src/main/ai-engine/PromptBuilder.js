@@ -0,0 +1,234 @@
+// Context windows for models we know about; anything else can set
+// `contextWindow` on its call site
+const CONTEXT_WINDOWS = [
+  [/^gpt-4o|^gpt-4-turbo|^gpt-4\.1|^o\d/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/llama-?3\.[1-9]|qwen2|mistral-nemo/, 128000],
+  [/mistral|mixtral/, 32768],
+  [/llama/, 8192],
+  [/mock/, 8192]
+];
+const DEFAULT_CONTEXT_WINDOW = 4096;
+
+// Average characters per token; BPE vocabularies differ enough between
+// model families to matter for long pages
+const CHARS_PER_TOKEN = [
+  [/^gpt-|^o\d/, 4],
+  [/llama|mistral|mixtral|qwen/, 3.5]
+];
+const DEFAULT_CHARS_PER_TOKEN = 3.5;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Default priorities for the usual kinds of context; higher survives longer
+const PRIORITY = {
+  recentTurns: 90,
+  page: 70,
+  profile: 50,
+  history: 30
+};
+
+const MIN_SECTION_TOKENS = 40;
+// The least room an answer gets when the question itself is too long
+const MIN_RESPONSE_TOKENS = 256;
+const MAX_REPORTS = 20;
+
+// Assembles chat messages from prioritized context sections so the prompt
+// fits the model's context window, and records what was cut.
+class PromptBuilder {
+  constructor(llmRegistry) {
+    this.llm = llmRegistry;
+    this.reports = [];
+  }
+
+  getContextWindow(options) {
+    if (options.contextWindow) return options.contextWindow;
+    const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(options.model || ''));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  countTokens(text, model = '') {
+    if (!text) return 0;
+    const match = CHARS_PER_TOKEN.find(([pattern]) => pattern.test(model));
+    const charsPerToken = match ? match[1] : DEFAULT_CHARS_PER_TOKEN;
+    // Word count catches text with many short words that char counts underestimate
+    const words = text.split(/\s+/).filter(Boolean).length;
+    return Math.ceil(Math.max(text.length / charsPerToken, words * 1.3));
+  }
+
+  // `sections` are { id, title, text, priority, truncate, wrap } and end up in
+  // the system message in the order given; `wrap` is applied after trimming
+  // so markup around the text is never cut. `turns` are prior
+  // { role, content } messages, oldest first.
+  build(callSite, { system, sections = [], turns = [], user, turnsPriority = PRIORITY.recentTurns }) {
+    const options = this.llm.resolveCallSite(callSite);
+    const model = options.model;
+    const contextWindow = this.getContextWindow(options);
+    const count = (text) => this.countTokens(text, model) + MESSAGE_OVERHEAD_TOKENS;
+
+    // The base instructions are never cut. A question too long for the
+    // window is, so the answer still gets some room.
+    const reserved = options.maxTokens;
+    const minResponse = Math.min(reserved, MIN_RESPONSE_TOKENS);
+    const userBudget = contextWindow - minResponse - count(system);
+    if (userBudget < MIN_SECTION_TOKENS) {
+      throw new Error(`The ${callSite} instructions don't fit the ${contextWindow}-token context window of ${model}`);
+    }
+
+    const report = {
+      callSite,
+      model,
+      contextWindow,
+      reservedForOutput: reserved,
+      included: [],
+      dropped: [],
+      timestamp: Date.now()
+    };
+
+    const userTokens = count(user);
+    if (userTokens > userBudget) {
+      user = this.truncateToTokens(user, userBudget - MESSAGE_OVERHEAD_TOKENS, model);
+      report.included.push({ id: 'user', tokens: count(user), truncated: true, originalTokens: userTokens });
+    }
+
+    const fixed = count(system) + count(user);
+    let remaining = contextWindow - reserved - fixed;
+
+    const candidates = [
+      ...sections.filter(section => section.text).map(section => ({ ...section, kind: 'section' })),
+      ...(turns.length > 0 ? [{ id: 'recentTurns', kind: 'turns', priority: turnsPriority }] : [])
+    ].sort((a, b) => b.priority - a.priority);
+
+    const placed = new Map();
+    let keptTurns = [];
+
+    candidates.forEach(candidate => {
+      if (candidate.kind === 'turns') {
+        const result = this.fitTurns(turns, remaining, count);
+        keptTurns = result.messages;
+        remaining -= result.tokens;
+        report.included.push({ id: 'recentTurns', tokens: result.tokens, kept: result.kept, summarized: result.summarized });
+        if (result.dropped > 0) {
+          report.dropped.push({ id: 'recentTurns', count: result.dropped, reason: 'over budget' });
+        }
+        return;
+      }
+
+      const wrap = candidate.wrap || (body => body);
+      const heading = candidate.title ? `${candidate.title}:\n` : '';
+      const text = `${heading}${wrap(candidate.text)}`;
+      const tokens = this.countTokens(text, model);
+      const overhead = this.countTokens(`${heading}${wrap('')}`, model);
+
+      if (tokens <= remaining) {
+        placed.set(candidate.id, text);
+        remaining -= tokens;
+        report.included.push({ id: candidate.id, tokens, truncated: false });
+      } else if (candidate.truncate !== false && remaining - overhead >= MIN_SECTION_TOKENS) {
+        const truncated = `${heading}${wrap(this.truncateToTokens(candidate.text, remaining - overhead, model))}`;
+        const truncatedTokens = this.countTokens(truncated, model);
+        placed.set(candidate.id, truncated);
+        remaining -= truncatedTokens;
+        report.included.push({ id: candidate.id, tokens: truncatedTokens, truncated: true, originalTokens: tokens });
+      } else {
+        report.dropped.push({ id: candidate.id, tokens, reason: 'over budget' });
+      }
+    });
+
+    const systemContent = [
+      system,
+      ...sections.filter(section => placed.has(section.id)).map(section => placed.get(section.id))
+    ].join('\n\n');
+
+    const messages = [
+      { role: 'system', content: systemContent },
+      ...keptTurns,
+      { role: 'user', content: user }
+    ];
+
+    const promptTokens = messages.reduce((total, message) => total + count(message.content), 0);
+    report.promptTokens = promptTokens;
+    // Let the answer use whatever the prompt left over, up to the configured
+    // limit; the question was cut to leave at least minResponse
+    report.maxTokens = Math.min(reserved, contextWindow - promptTokens);
+
+    this.recordReport(report);
+    return { messages, maxTokens: report.maxTokens, report };
+  }
+
+  // Keeps the newest turns verbatim; older ones are folded into a one-line
+  // summary if there is room for it
+  fitTurns(turns, budget, count) {
+    const kept = [];
+    let tokens = 0;
+    let index = turns.length - 1;
+
+    for (; index >= 0; index--) {
+      const turnTokens = count(turns[index].content);
+      if (tokens + turnTokens > budget) break;
+      kept.unshift(turns[index]);
+      tokens += turnTokens;
+    }
+
+    const older = turns.slice(0, index + 1);
+    let summarized = 0;
+
+    if (older.length > 0) {
+      const summary = this.summarizeTurns(older);
+      const summaryTokens = count(summary);
+      if (tokens + summaryTokens <= budget) {
+        kept.unshift({ role: 'system', content: summary });
+        tokens += summaryTokens;
+        summarized = older.length;
+      }
+    }
+
+    return {
+      messages: kept,
+      tokens,
+      kept: kept.length - (summarized > 0 ? 1 : 0),
+      summarized,
+      dropped: older.length - summarized
+    };
+  }
+
+  summarizeTurns(turns) {
+    const questions = turns
+      .filter(turn => turn.role === 'user')
+      .map(turn => turn.content.replace(/\s+/g, ' ').split(/(?<=[.!?])\s/)[0].substring(0, 100));
+
+    return `Earlier in this conversation the user asked about: ${questions.join('; ')}`;
+  }
+
+  truncateToTokens(text, tokens, model) {
+    let end = Math.floor(text.length * (tokens / this.countTokens(text, model)));
+    let truncated = text.substring(0, end);
+
+    // Prefer to end on a sentence or line boundary
+    const boundary = Math.max(truncated.lastIndexOf('. '), truncated.lastIndexOf('\n'));
+    if (boundary > end * 0.6) {
+      truncated = truncated.substring(0, boundary + 1);
+    }
+
+    while (this.countTokens(`${truncated}…`, model) > tokens && truncated.length > 0) {
+      end = Math.floor(truncated.length * 0.9);
+      truncated = truncated.substring(0, end);
+    }
+
+    return `${truncated.trim()}…`;
+  }
+
+  recordReport(report) {
+    this.reports.push(report);
+    if (this.reports.length > MAX_REPORTS) {
+      this.reports.shift();
+    }
+  }
+
+  getReports() {
+    return [...this.reports].reverse();
+  }
+}
+
+module.exports = { PromptBuilder, PRIORITY };
@@ -0,0 +1,213 @@
+const crypto = require('crypto-js');
+
+const DEFAULT_TTL = 30 * 60 * 1000;
+const MAX_ENTRIES = 200;
+const SIMILARITY_THRESHOLD = 0.9;
+const MAX_TRACKED_PAGES = 500;
+
+// Caches assistant results per scope: the page being read, the profile the
+// answer was personalized for, the model and the previous turn. Within a
+// scope, a query hits on its normalized text or, failing that, on an
+// embedding close enough to one already answered.
+class ResponseCache {
+  constructor(embeddingService, options = {}) {
+    this.embeddings = embeddingService;
+    this.ttl = options.ttl || DEFAULT_TTL;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.similarityThreshold = options.similarityThreshold || SIMILARITY_THRESHOLD;
+    // Insertion order doubles as LRU order
+    this.entries = new Map();
+    // Last content hash seen per URL, to notice pages that changed
+    this.pageVersions = new Map();
+    this.stats = {
+      lookups: 0,
+      exactHits: 0,
+      similarHits: 0,
+      misses: 0,
+      stores: 0,
+      evictions: 0,
+      expirations: 0,
+      invalidations: 0
+    };
+  }
+
+  hash(value) {
+    return crypto.MD5(typeof value === 'string' ? value : JSON.stringify(value || null)).toString();
+  }
+
+  normalizeQuery(query) {
+    return (query || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Everything besides the query that the answer depends on
+  buildScope({ page, profile, model, lastTurn }) {
+    const scope = {
+      pageUrl: page?.url || null,
+      pageHash: page?.contentHash || (page?.content ? this.hash(page.content) : null),
+      profileVersion: this.hash(profile),
+      model: model || null,
+      turnHash: lastTurn ? this.hash(lastTurn) : null
+    };
+
+    scope.key = [scope.pageHash || scope.pageUrl || 'none', scope.profileVersion, scope.model, scope.turnHash || 'none'].join('|');
+    return scope;
+  }
+
+  async lookup(query, scope) {
+    this.stats.lookups++;
+    this.removeExpired();
+
+    const normalized = this.normalizeQuery(query);
+    const exactKey = `${scope.key}#${normalized}`;
+
+    if (this.entries.has(exactKey)) {
+      this.stats.exactHits++;
+      return this.touch(exactKey, 'exact', 1);
+    }
+
+    const candidates = Array.from(this.entries.entries()).filter(([, entry]) => entry.scopeKey === scope.key);
+    if (candidates.length === 0) {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const { model, vectors } = await this.embeddings.embed([normalized]);
+      let best = null;
+
+      candidates.forEach(([key, entry]) => {
+        // Vectors from different embedding models aren't comparable
+        if (entry.embeddingModel !== model) return;
+        const similarity = this.embeddings.similarity(vectors[0], entry.vector);
+        if (similarity >= this.similarityThreshold && (!best || similarity > best.similarity)) {
+          best = { key, similarity };
+        }
+      });
+
+      if (best) {
+        this.stats.similarHits++;
+        return this.touch(best.key, 'similar', best.similarity);
+      }
+    } catch (error) {
+      console.error('Error comparing cached queries:', error);
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async store(query, scope, value) {
+    const normalized = this.normalizeQuery(query);
+    if (!normalized) return;
+
+    let vector = null;
+    let embeddingModel = null;
+    try {
+      const { model, vectors } = await this.embeddings.embed([normalized]);
+      vector = vectors[0];
+      embeddingModel = model;
+    } catch (error) {
+      // Still usable for exact hits
+      console.error('Error embedding query for cache:', error);
+    }
+
+    const key = `${scope.key}#${normalized}`;
+    this.entries.delete(key);
+    this.entries.set(key, {
+      query,
+      scopeKey: scope.key,
+      pageUrl: scope.pageUrl,
+      vector,
+      embeddingModel,
+      value,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttl
+    });
+    this.stats.stores++;
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  touch(key, type, similarity) {
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return {
+      value: entry.value,
+      type,
+      similarity,
+      cachedQuery: entry.query,
+      age: Date.now() - entry.createdAt
+    };
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        this.stats.expirations++;
+      }
+    }
+  }
+
+  // Called whenever a page loads; answers about an older version of it are dropped
+  updatePage(url, contentHash) {
+    const previous = this.pageVersions.get(url);
+    if (previous && previous !== contentHash) {
+      this.invalidatePage(url);
+    }
+
+    this.pageVersions.delete(url);
+    this.pageVersions.set(url, contentHash);
+    if (this.pageVersions.size > MAX_TRACKED_PAGES) {
+      this.pageVersions.delete(this.pageVersions.keys().next().value);
+    }
+  }
+
+  invalidatePage(url) {
+    this.removeWhere(entry => entry.pageUrl === url);
+  }
+
+  // Every answer is personalized, so a profile change clears everything
+  invalidateProfile() {
+    this.removeWhere(() => true);
+  }
+
+  removeWhere(predicate) {
+    for (const [key, entry] of this.entries.entries()) {
+      if (predicate(entry)) {
+        this.entries.delete(key);
+        this.stats.invalidations++;
+      }
+    }
+  }
+
+  clear() {
+    this.stats.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  getStats() {
+    const hits = this.stats.exactHits + this.stats.similarHits;
+
+    return {
+      ...this.stats,
+      hits,
+      hitRate: this.stats.lookups > 0 ? hits / this.stats.lookups : 0,
+      entries: this.entries.size,
+      ttl: this.ttl,
+      similarityThreshold: this.similarityThreshold
+    };
+  }
+}
+
+module.exports = { ResponseCache };
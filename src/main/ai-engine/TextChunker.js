@@ -0,0 +1,75 @@
+// Splits long page text into chunks on paragraph and sentence boundaries so
+// each piece fits comfortably in a model request
+class TextChunker {
+  constructor({ maxChars = 4000, overlap = 200 } = {}) {
+    this.maxChars = maxChars;
+    this.overlap = Math.min(overlap, Math.floor(maxChars / 4));
+  }
+
+  split(text) {
+    const normalized = (text || '').replace(/\r\n/g, '\n').replace(/[ \t]+/g, ' ').trim();
+    if (!normalized) return [];
+
+    const pieces = this.splitIntoPieces(normalized);
+    const chunks = [];
+    let current = '';
+    let currentStart = 0;
+    let offset = 0;
+
+    pieces.forEach(piece => {
+      const pieceStart = normalized.indexOf(piece, offset);
+      offset = pieceStart + piece.length;
+
+      if (current && current.length + piece.length + 1 > this.maxChars) {
+        chunks.push(this.createChunk(chunks.length, current, currentStart));
+
+        // Carry the tail of the previous chunk over for context
+        const carry = this.overlap > 0 ? current.slice(-this.overlap) : '';
+        current = carry ? `${carry}\n${piece}` : piece;
+        currentStart = pieceStart - carry.length;
+      } else {
+        if (!current) currentStart = pieceStart;
+        current = current ? `${current}\n${piece}` : piece;
+      }
+    });
+
+    if (current) {
+      chunks.push(this.createChunk(chunks.length, current, currentStart));
+    }
+
+    return chunks;
+  }
+
+  // Paragraphs first; anything still too long falls back to sentences and
+  // finally to hard cuts
+  splitIntoPieces(text) {
+    const pieces = [];
+
+    text.split(/\n\s*\n|\n/).map(p => p.trim()).filter(Boolean).forEach(paragraph => {
+      if (paragraph.length <= this.maxChars) {
+        pieces.push(paragraph);
+        return;
+      }
+
+      const sentences = paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph];
+      sentences.map(s => s.trim()).filter(Boolean).forEach(sentence => {
+        for (let i = 0; i < sentence.length; i += this.maxChars) {
+          pieces.push(sentence.slice(i, i + this.maxChars));
+        }
+      });
+    });
+
+    return pieces;
+  }
+
+  createChunk(index, text, start) {
+    return {
+      index,
+      text,
+      start: Math.max(0, start),
+      end: Math.max(0, start) + text.length
+    };
+  }
+}
+
+module.exports = { TextChunker };
@@ -0,0 +1,132 @@
+// The models AIEngine builds at startup aren't used to answer queries, and
+// the native TensorFlow binding isn't something unit tests should need
+jest.mock('@tensorflow/tfjs-node', () => ({
+  sequential: () => ({ compile: () => {}, dispose: () => {} }),
+  layers: { dense: () => ({}), dropout: () => ({}), lstm: () => ({}) },
+  train: { adam: () => ({}) }
+}));
+
+const fs = require('fs').promises;
+const { AIEngine } = require('../AIEngine');
+const { EmbeddingService } = require('../EmbeddingService');
+const { ResponseCache } = require('../ResponseCache');
+const { createMockRegistry, promptText } = require('./helpers/mockRegistry');
+
+describe('AIEngine with the mock provider', () => {
+  let engine;
+  let provider;
+  let registry;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // No knowledge graph or user memory from a previous run
+    jest.spyOn(fs, 'readFile').mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+    let settingsManager;
+    ({ registry, provider, settingsManager } = createMockRegistry());
+    engine = new AIEngine(registry);
+    engine.setResponseCache(new ResponseCache(new EmbeddingService(registry, settingsManager)));
+    await engine.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers a query through the assistant call site', async () => {
+    const result = await engine.processQuery('What is the capital of France?', {
+      userProfile: { interests: ['travel'] }
+    });
+
+    expect(result.response.text).toMatch(/^\[mock\] Query: "What is the capital of France\?"/);
+    expect(result.response.reasoning).toContain('test/gpt-4');
+    expect(provider.requests).toHaveLength(1);
+    expect(promptText(provider)).toContain('Interests: travel');
+  });
+
+  test('remembers the exchange and brings it into the next prompt', async () => {
+    await engine.processQuery('Tell me about Lisbon');
+    await engine.processQuery('And its weather in spring?');
+
+    expect(engine.conversationContext).toHaveLength(2);
+    expect(engine.userMemory).toHaveLength(2);
+    const followUp = provider.requests[1].messages;
+    expect(followUp.some(message => message.role === 'user' && message.content === 'Tell me about Lisbon')).toBe(true);
+  });
+
+  test('answers a repeated query from the cache', async () => {
+    await engine.processQuery('Tell me about Lisbon');
+    const repeated = await engine.processQuery('tell me about lisbon!');
+
+    expect(provider.requests).toHaveLength(1);
+    expect(repeated.cached).toMatchObject({ type: 'exact' });
+  });
+
+  test('keeps private queries out of memory, learning and the cache', async () => {
+    await engine.processQuery('Tell me about Lisbon', { private: true });
+    await engine.processQuery('Tell me about Lisbon', { private: true });
+
+    expect(provider.requests).toHaveLength(2);
+    expect(engine.conversationContext).toEqual([]);
+    expect(engine.userMemory).toEqual([]);
+    expect(engine.knowledgeGraph.size).toBe(0);
+    expect(engine.responseCache.getStats().entries).toBe(0);
+  });
+
+  test('streams the answer token by token', async () => {
+    const tokens = [];
+    const result = await engine.streamQuery('Summarize the news', {}, { onToken: token => tokens.push(token) });
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.join('')).toBe(result.response.text);
+    expect(result.cancelled).toBe(false);
+  });
+
+  test('stops streaming once cancelled and keeps what arrived', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+
+    const result = await engine.streamQuery('Summarize the news', {}, {
+      signal: controller.signal,
+      onToken: token => {
+        tokens.push(token);
+        controller.abort();
+      }
+    });
+
+    expect(tokens).toHaveLength(1);
+    expect(result.cancelled).toBe(true);
+    expect(result.response.text).toBe(tokens[0]);
+    expect(result.suggestions).toEqual([]);
+    expect(engine.userMemory).toEqual([]);
+  });
+
+  test('marks an answer cut off by a provider error as incomplete', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    provider.stream = async function* () {
+      yield { delta: 'Half ', finishReason: null };
+      throw new Error('connection reset');
+    };
+
+    const result = await engine.streamQuery('Summarize the news');
+
+    expect(result.response).toMatchObject({ text: 'Half ', incomplete: true });
+    expect(result.cancelled).toBe(false);
+  });
+
+  test('falls back to a local answer when the provider fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    provider.complete = jest.fn().mockRejectedValue(new Error('connection refused'));
+
+    const result = await engine.processQuery('Open my email');
+
+    expect(result.response.fallback).toBe(true);
+    expect(engine.responseCache.getStats().entries).toBe(0);
+  });
+
+  test('refuses queries before it is initialized', async () => {
+    const uninitialized = new AIEngine(registry);
+
+    await expect(uninitialized.processQuery('hi')).rejects.toThrow('AI Engine not initialized');
+  });
+});
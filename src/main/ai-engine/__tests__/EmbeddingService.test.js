@@ -0,0 +1,85 @@
+const { EmbeddingService } = require('../EmbeddingService');
+const { createMockRegistry } = require('./helpers/mockRegistry');
+
+describe('EmbeddingService', () => {
+  let registry;
+  let settingsManager;
+  let embeddings;
+
+  beforeEach(() => {
+    ({ registry, settingsManager } = createMockRegistry());
+    embeddings = new EmbeddingService(registry, settingsManager);
+  });
+
+  const useProvider = () => {
+    settingsManager.settings.ai.embeddings.backend = 'provider';
+    settingsManager.settings.ai.callSites.embedding = { provider: 'test', model: 'embed-1' };
+  };
+
+  describe('hashing vectorizer', () => {
+    test('makes unit vectors of the configured size', async () => {
+      const { model, vectors } = await embeddings.embed(['Cancelling a subscription', '']);
+
+      expect(model).toBe('hashing-512');
+      expect(vectors[0]).toHaveLength(512);
+      expect(embeddings.similarity(vectors[0], vectors[0])).toBeCloseTo(1);
+      expect(Array.from(vectors[1]).every(value => value === 0)).toBe(true);
+    });
+
+    test('ranks related text above unrelated text', () => {
+      const query = embeddings.hashingVectorize('how to cancel my subscription');
+      const related = embeddings.hashingVectorize('Cancelling your subscription takes two clicks');
+      const unrelated = embeddings.hashingVectorize('Grilled vegetables with lemon and garlic');
+
+      expect(embeddings.similarity(query, related)).toBeGreaterThan(embeddings.similarity(query, unrelated));
+    });
+
+    test('ignores stop words and short tokens and strips suffixes', () => {
+      expect(embeddings.tokenize('The cat and THE meetings, a running joke')).toEqual(['cat', 'meet', 'run', 'joke']);
+    });
+
+    test('embeds stored hashing vectors with their own size', async () => {
+      const [vector] = await embeddings.embedWith('hashing-64', ['subscription']);
+
+      expect(vector).toHaveLength(64);
+    });
+  });
+
+  describe('with an embedding provider', () => {
+    test('normalizes provider vectors and reports the model', async () => {
+      useProvider();
+      registry.embed = jest.fn().mockResolvedValue([[3, 4]]);
+
+      const { model, vectors } = await embeddings.embed(['hello']);
+
+      expect(registry.embed).toHaveBeenCalledWith('embedding', ['hello']);
+      expect(model).toBe('test:embed-1');
+      expect(Array.from(vectors[0])).toEqual([expect.closeTo(0.6), expect.closeTo(0.8)]);
+    });
+
+    test('falls back to hashing when the provider fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      useProvider();
+      registry.embed = jest.fn().mockRejectedValue(new Error('offline'));
+
+      const { model, vectors } = await embeddings.embed(['hello']);
+
+      expect(model).toBe('hashing-512');
+      expect(vectors[0]).toHaveLength(512);
+      console.error.mockRestore();
+    });
+
+    test('refuses to embed with a model that is no longer configured', async () => {
+      useProvider();
+      registry.embed = jest.fn();
+
+      expect(await embeddings.embedWith('test:older-model', ['hello'])).toBeNull();
+      expect(registry.embed).not.toHaveBeenCalled();
+    });
+  });
+
+  test('scores vectors of different sizes as unrelated', () => {
+    expect(embeddings.similarity(new Float32Array(2), new Float32Array(3))).toBe(0);
+    expect(embeddings.similarity(null, new Float32Array(3))).toBe(0);
+  });
+});
@@ -0,0 +1,121 @@
+const { PromptBuilder, PRIORITY } = require('../PromptBuilder');
+const { createMockRegistry } = require('./helpers/mockRegistry');
+
+// gpt-4 counts four characters to a token
+const CALL_SITE = { model: 'gpt-4', contextWindow: 1000, maxTokens: 200 };
+
+describe('PromptBuilder', () => {
+  let builder;
+
+  beforeEach(() => {
+    const { registry } = createMockRegistry({ callSites: { assistant: CALL_SITE } });
+    builder = new PromptBuilder(registry);
+  });
+
+  test('places every section that fits, in the order given', () => {
+    const { messages, maxTokens, report } = builder.build('assistant', {
+      system: 'Be helpful.',
+      sections: [
+        { id: 'profile', title: 'User profile', text: 'Likes hiking.', priority: PRIORITY.profile },
+        { id: 'page', title: 'Current page', text: 'A trail guide.', priority: PRIORITY.page }
+      ],
+      user: 'Where should I go?'
+    });
+
+    expect(messages).toEqual([
+      { role: 'system', content: 'Be helpful.\n\nUser profile:\nLikes hiking.\n\nCurrent page:\nA trail guide.' },
+      { role: 'user', content: 'Where should I go?' }
+    ]);
+    expect(maxTokens).toBe(200);
+    expect(report.included.map(section => section.id)).toEqual(['page', 'profile']);
+    expect(report.dropped).toEqual([]);
+  });
+
+  test('cuts the lowest priority context first', () => {
+    const { report, messages } = builder.build('assistant', {
+      system: 'Be helpful.',
+      sections: [
+        { id: 'history', text: 'history '.repeat(100), priority: PRIORITY.history, truncate: false },
+        { id: 'page', text: 'page '.repeat(800), priority: PRIORITY.page }
+      ],
+      user: 'Summarize this.'
+    });
+
+    expect(report.included).toEqual([expect.objectContaining({ id: 'page', truncated: true })]);
+    expect(report.dropped).toEqual([expect.objectContaining({ id: 'history', reason: 'over budget' })]);
+    expect(messages[0].content.endsWith('…')).toBe(true);
+    expect(report.promptTokens + report.maxTokens).toBeLessThanOrEqual(1000);
+  });
+
+  test('drops a section that may not be truncated instead of cutting it', () => {
+    const { report } = builder.build('assistant', {
+      system: 'Be helpful.',
+      sections: [{ id: 'page', text: 'page '.repeat(800), priority: PRIORITY.page, truncate: false }],
+      user: 'Summarize this.'
+    });
+
+    expect(report.included).toEqual([]);
+    expect(report.dropped).toEqual([expect.objectContaining({ id: 'page' })]);
+  });
+
+  test('wraps a section after trimming it so the markup is never cut', () => {
+    const { messages } = builder.build('assistant', {
+      system: 'Be helpful.',
+      sections: [{ id: 'page', text: 'page '.repeat(800), priority: PRIORITY.page, wrap: body => `<page>\n${body}\n</page>` }],
+      user: 'Summarize this.'
+    });
+
+    expect(messages[0].content).toMatch(/^Be helpful\.\n\n<page>\n[\s\S]+…\n<\/page>$/);
+  });
+
+  test('keeps the newest turns and folds older ones into a summary', () => {
+    const turns = [
+      { role: 'user', content: 'Where is Lisbon? It came up earlier.' },
+      { role: 'assistant', content: 'In Portugal.' },
+      { role: 'user', content: `What about its history? ${'detail '.repeat(1000)}` },
+      { role: 'assistant', content: 'It is one of the oldest cities in Europe.' }
+    ];
+
+    const { messages, report } = builder.build('assistant', { system: 'Be helpful.', turns, user: 'And now?' });
+
+    expect(messages.slice(1, 3)).toEqual([
+      { role: 'system', content: 'Earlier in this conversation the user asked about: Where is Lisbon?; What about its history?' },
+      turns[3]
+    ]);
+    expect(report.included).toEqual([expect.objectContaining({ id: 'recentTurns', kept: 1, summarized: 3 })]);
+    expect(report.dropped).toEqual([]);
+  });
+
+  test('shortens a question too long for the window and still leaves room to answer', () => {
+    const { messages, maxTokens, report } = builder.build('assistant', {
+      system: 'Be helpful.',
+      user: 'word '.repeat(2000)
+    });
+
+    expect(maxTokens).toBe(200);
+    expect(messages[1].content.endsWith('…')).toBe(true);
+    expect(report.included).toEqual([expect.objectContaining({ id: 'user', truncated: true })]);
+  });
+
+  test('refuses instructions that leave no room for the question', () => {
+    expect(() => builder.build('assistant', { system: 'rule '.repeat(1000), user: 'Hi' }))
+      .toThrow('The assistant instructions don\'t fit the 1000-token context window of gpt-4');
+  });
+
+  test('keeps the latest reports, newest first', () => {
+    for (let i = 0; i < 25; i++) {
+      builder.build('assistant', { system: 'Be helpful.', user: `Question ${i}` });
+    }
+
+    const reports = builder.getReports();
+    expect(reports).toHaveLength(20);
+    expect(reports[0].timestamp).toBeGreaterThanOrEqual(reports[19].timestamp);
+  });
+
+  test('knows the context window of common models', () => {
+    expect(builder.getContextWindow({ model: 'gpt-4o-mini' })).toBe(128000);
+    expect(builder.getContextWindow({ model: 'llama3' })).toBe(8192);
+    expect(builder.getContextWindow({ model: 'unknown' })).toBe(4096);
+    expect(builder.getContextWindow({ model: 'gpt-4', contextWindow: 2000 })).toBe(2000);
+  });
+});
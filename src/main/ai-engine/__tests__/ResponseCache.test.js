@@ -0,0 +1,133 @@
+const { ResponseCache } = require('../ResponseCache');
+
+// Queries map to fixed unit vectors so similarity is known up front
+const VECTORS = {
+  'best pasta recipe': [1, 0],
+  'best recipe for pasta': [0.96, 0.28],
+  'weather in lisbon': [0, 1],
+  first: [0.6, 0.8],
+  second: [0.8, -0.6],
+  third: [-0.6, 0.8]
+};
+
+function createEmbeddings(model = 'fake') {
+  return {
+    embed: jest.fn(async ([text]) => ({ model, vectors: [VECTORS[text]] })),
+    similarity: (a, b) => a[0] * b[0] + a[1] * b[1]
+  };
+}
+
+describe('ResponseCache', () => {
+  let embeddings;
+  let cache;
+  let scope;
+
+  beforeEach(() => {
+    embeddings = createEmbeddings();
+    cache = new ResponseCache(embeddings);
+    scope = cache.buildScope({
+      page: { url: 'https://food.example/', content: 'Pasta' },
+      profile: { interests: ['cooking'] },
+      model: 'gpt-4'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('hits on the same query written differently', async () => {
+    await cache.store('Best pasta recipe?', scope, { text: 'Carbonara' });
+
+    const hit = await cache.lookup('  best PASTA recipe ', scope);
+
+    expect(hit).toMatchObject({ value: { text: 'Carbonara' }, type: 'exact', similarity: 1, cachedQuery: 'Best pasta recipe?' });
+  });
+
+  test('hits on a query close enough to one already answered', async () => {
+    await cache.store('best pasta recipe', scope, { text: 'Carbonara' });
+
+    const hit = await cache.lookup('best recipe for pasta', scope);
+
+    expect(hit).toMatchObject({ type: 'similar', similarity: expect.closeTo(0.96) });
+    expect(await cache.lookup('weather in lisbon', scope)).toBeNull();
+    expect(cache.getStats()).toMatchObject({ lookups: 2, similarHits: 1, misses: 1, hitRate: 0.5 });
+  });
+
+  test('never compares vectors from different embedding models', async () => {
+    await cache.store('best pasta recipe', scope, { text: 'Carbonara' });
+    cache.embeddings = createEmbeddings('other');
+
+    expect(await cache.lookup('best recipe for pasta', scope)).toBeNull();
+  });
+
+  test('keeps answers for other pages, profiles, models and turns apart', async () => {
+    await cache.store('best pasta recipe', scope, { text: 'Carbonara' });
+
+    const scopes = [
+      { page: { url: 'https://food.example/', content: 'Pizza' }, profile: { interests: ['cooking'] }, model: 'gpt-4' },
+      { page: { url: 'https://food.example/', content: 'Pasta' }, profile: { interests: ['travel'] }, model: 'gpt-4' },
+      { page: { url: 'https://food.example/', content: 'Pasta' }, profile: { interests: ['cooking'] }, model: 'gpt-4o' },
+      { page: { url: 'https://food.example/', content: 'Pasta' }, profile: { interests: ['cooking'] }, model: 'gpt-4', lastTurn: 'Hi' }
+    ];
+
+    for (const other of scopes) {
+      expect(await cache.lookup('best pasta recipe', cache.buildScope(other))).toBeNull();
+    }
+    expect(embeddings.embed).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets answers once they expire', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    cache = new ResponseCache(embeddings, { ttl: 1000 });
+    await cache.store('best pasta recipe', scope, { text: 'Carbonara' });
+
+    Date.now.mockReturnValue(now + 1000);
+
+    expect(await cache.lookup('best pasta recipe', scope)).toBeNull();
+    expect(cache.getStats()).toMatchObject({ expirations: 1, entries: 0 });
+  });
+
+  test('evicts the least recently used answer when full', async () => {
+    cache = new ResponseCache(embeddings, { maxEntries: 2 });
+    await cache.store('first', scope, 1);
+    await cache.store('second', scope, 2);
+    await cache.lookup('first', scope);
+    await cache.store('third', scope, 3);
+
+    expect(await cache.lookup('second', scope)).toBeNull();
+    expect(await cache.lookup('first', scope)).toMatchObject({ value: 1 });
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('drops answers about a page once it changes', async () => {
+    const pageScope = cache.buildScope({ page: { url: 'https://news.example/', contentHash: 'v1' } });
+    await cache.store('what happened', pageScope, 'Old news');
+    await cache.store('best pasta recipe', scope, 'Carbonara');
+
+    cache.updatePage('https://news.example/', 'v1');
+    expect(cache.getStats().entries).toBe(2);
+
+    cache.updatePage('https://news.example/', 'v2');
+    expect(await cache.lookup('what happened', pageScope)).toBeNull();
+    expect(cache.getStats().entries).toBe(1);
+  });
+
+  test('clears everything when the profile changes', async () => {
+    await cache.store('best pasta recipe', scope, 'Carbonara');
+
+    cache.invalidateProfile();
+
+    expect(cache.getStats()).toMatchObject({ entries: 0, invalidations: 1 });
+  });
+
+  test('still serves exact hits when embedding fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    embeddings.embed.mockRejectedValue(new Error('offline'));
+    await cache.store('best pasta recipe', scope, 'Carbonara');
+
+    expect(await cache.lookup('best pasta recipe', scope)).toMatchObject({ type: 'exact' });
+    expect(await cache.lookup('best recipe for pasta', scope)).toBeNull();
+  });
+});
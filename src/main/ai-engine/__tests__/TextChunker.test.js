@@ -0,0 +1,53 @@
+const { TextChunker } = require('../TextChunker');
+
+const paragraph = (word, count) => Array(count).fill(word).join(' ');
+
+describe('TextChunker', () => {
+  test('returns nothing for empty text', () => {
+    expect(new TextChunker().split('')).toEqual([]);
+    expect(new TextChunker().split(null)).toEqual([]);
+    expect(new TextChunker().split(' \n\t ')).toEqual([]);
+  });
+
+  test('keeps short text in one chunk', () => {
+    const chunks = new TextChunker().split('First paragraph.\r\n\r\nSecond   paragraph.');
+
+    expect(chunks).toEqual([{ index: 0, text: 'First paragraph.\nSecond paragraph.', start: 0, end: 34 }]);
+  });
+
+  test('packs whole paragraphs into chunks under the limit', () => {
+    const text = [paragraph('alpha', 10), paragraph('beta', 10), paragraph('gamma', 10)].join('\n\n');
+
+    const chunks = new TextChunker({ maxChars: 120, overlap: 0 }).split(text);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      `${paragraph('alpha', 10)}\n${paragraph('beta', 10)}`,
+      paragraph('gamma', 10)
+    ]);
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1]);
+    expect(chunks[1].start).toBe(text.indexOf('gamma'));
+  });
+
+  test('splits long paragraphs on sentences and cuts overlong sentences', () => {
+    const sentence = `${paragraph('word', 8)}.`;
+    const runOn = 'x'.repeat(130);
+
+    const chunks = new TextChunker({ maxChars: 60, overlap: 0 }).split(`${sentence} ${sentence} ${runOn}`);
+
+    expect(chunks.map(chunk => chunk.text)).toEqual([sentence, sentence, 'x'.repeat(60), 'x'.repeat(60), 'x'.repeat(10)]);
+    chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(60));
+  });
+
+  test('carries the end of a chunk over into the next one', () => {
+    const text = [paragraph('alpha', 10), paragraph('beta', 10)].join('\n');
+
+    const [first, second] = new TextChunker({ maxChars: 80, overlap: 12 }).split(text);
+
+    expect(second.text.startsWith(`${first.text.slice(-12)}\n`)).toBe(true);
+    expect(second.start).toBe(text.indexOf('beta') - 12);
+  });
+
+  test('limits the overlap to a quarter of a chunk', () => {
+    expect(new TextChunker({ maxChars: 100, overlap: 500 }).overlap).toBe(25);
+  });
+});
@@ -0,0 +1,34 @@
+const os = require('os');
+const path = require('path');
+const { SettingsManager } = require('../../../settings/SettingsManager');
+const { LLMProviderRegistry } = require('../../llm/LLMProviderRegistry');
+
+const PROVIDER = 'test';
+const CALL_SITES = ['assistant', 'contextual', 'agent', 'summarization', 'pageChat', 'omnibox'];
+
+// A registry whose call sites all go to one mock provider. Settings stay in
+// memory; nothing is loaded from or saved to disk.
+function createMockRegistry({ responses = [], tokenDelay = 0, callSites = {} } = {}) {
+  const settingsManager = new SettingsManager(path.join(os.tmpdir(), 'nexus-test-settings.json'));
+  settingsManager.merge(settingsManager.settings, {
+    ai: {
+      defaultProvider: PROVIDER,
+      providers: { [PROVIDER]: { type: 'mock', responses, tokenDelay } },
+      callSites: Object.fromEntries(CALL_SITES.map(site => [site, { provider: PROVIDER, ...callSites[site] }])),
+      embeddings: { backend: 'hashing' }
+    }
+  });
+
+  const registry = new LLMProviderRegistry(settingsManager);
+  return { registry, settingsManager, provider: registry.getProvider(PROVIDER) };
+}
+
+// Everything the model was sent, as one string
+function promptText(provider) {
+  return provider.requests
+    .flatMap(request => request.messages)
+    .map(message => message.content || '')
+    .join('\n');
+}
+
+module.exports = { createMockRegistry, promptText };
@@ -0,0 +1,158 @@
+const { PromptInjectionGuard, UNTRUSTED_CONTENT_RULES } = require('../../security/PromptInjectionGuard');
+
+// Intents that should be handled by acting on the browser rather than by a
+// plain chat answer (see AIEngine.analyzeIntent)
+const ACTION_INTENTS = ['navigation_command', 'action_command'];
+
+class AssistantAgent {
+  constructor(llmRegistry, tools, options = {}) {
+    this.llm = llmRegistry;
+    this.tools = tools;
+    this.maxSteps = options.maxSteps || 8;
+    this.guard = new PromptInjectionGuard();
+  }
+
+  handlesIntent(intent) {
+    return ACTION_INTENTS.includes(intent);
+  }
+
+  // Runs the tool-calling loop until the model answers without calling a
+  // tool. `confirm` must resolve to true before any state-changing tool runs.
+  // Once page content is in the conversation the run is tainted: tools that
+  // expose user data are blocked and confirmations carry a warning, since the
+  // model's next calls may be following the page rather than the user.
+  async run(query, { confirm, onStep, signal } = {}) {
+    const notify = typeof onStep === 'function' ? onStep : () => {};
+    const messages = [
+      { role: 'system', content: this.buildSystemPrompt() },
+      { role: 'user', content: query }
+    ];
+    const steps = [];
+    const taint = { tainted: false, sources: [] };
+
+    for (let stepIndex = 0; stepIndex < this.maxSteps; stepIndex++) {
+      if (signal?.aborted) {
+        return { text: '', steps, cancelled: true };
+      }
+
+      const completion = await this.llm.complete('agent', messages, {
+        tools: this.tools.getSchemas(),
+        signal
+      });
+
+      if (!completion.toolCalls || completion.toolCalls.length === 0) {
+        return { text: completion.text, steps };
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: completion.text || null,
+        tool_calls: completion.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      });
+
+      for (const call of completion.toolCalls) {
+        const step = await this.executeToolCall(call, { confirm, signal, taint });
+        steps.push(step);
+        notify(step);
+
+        messages.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: JSON.stringify(step.status === 'completed' ? step.result : { error: step.error })
+        });
+      }
+    }
+
+    return {
+      text: 'I stopped after reaching the maximum number of steps for one request.',
+      steps,
+      incomplete: true
+    };
+  }
+
+  async executeToolCall(call, { confirm, signal, taint = { tainted: false, sources: [] } }) {
+    const tool = this.tools.get(call.name);
+    const args = call.arguments || {};
+    const step = {
+      id: call.id,
+      tool: call.name,
+      args,
+      description: tool ? tool.describe(args) : call.name,
+      timestamp: Date.now()
+    };
+
+    if (!tool) {
+      return { ...step, status: 'failed', error: `Unknown tool: ${call.name}` };
+    }
+
+    if (taint.tainted && tool.exposesUserData) {
+      return {
+        ...step,
+        status: 'blocked',
+        error: 'Not available after reading page content: this tool exposes the user\'s data'
+      };
+    }
+
+    if (tool.requiresConfirmation) {
+      if (taint.tainted) {
+        step.tainted = true;
+        step.taintSources = [...taint.sources];
+      }
+
+      const approved = typeof confirm === 'function' && !signal?.aborted
+        ? await confirm(step)
+        : false;
+
+      if (!approved) {
+        return { ...step, status: 'declined', error: 'The user declined this action' };
+      }
+    }
+
+    try {
+      let result = await tool.execute(args);
+
+      if (tool.returnsUntrustedContent) {
+        result = this.fenceUntrustedResult(result);
+        taint.tainted = true;
+        taint.sources.push(result.url || call.name);
+      }
+
+      return { ...step, status: 'completed', result };
+    } catch (error) {
+      console.error(`Error running tool ${call.name}:`, error);
+      return { ...step, status: 'failed', error: error.message };
+    }
+  }
+
+  fenceUntrustedResult(result) {
+    const prepared = this.guard.prepare(result.content, { source: result.url || 'page' });
+
+    return {
+      ...result,
+      title: this.guard.sanitize(result.title).text,
+      content: prepared.text,
+      // Only the action: the matched text is what we're keeping from the model
+      sanitized: prepared.tainted ? prepared.report.action : undefined
+    };
+  }
+
+  buildSystemPrompt() {
+    return `You are Nexus, an AI assistant that can operate the user's browser tabs through tools.
+
+Current time: ${new Date().toLocaleString()}
+
+- Use search_history to find pages the user visited before, and list_tabs to see what is open.
+- Use create_tab, navigate_tab, set_active_tab and close_tab to act; the user confirms each action and may decline.
+- Use read_tab to read a page before summarizing or answering questions about it.
+- If an action is declined, do not retry it; explain what you could not do.
+- When you are done, reply with a concise answer for the user.
+
+${UNTRUSTED_CONTENT_RULES}`;
+  }
+}
+
+module.exports = { AssistantAgent, ACTION_INTENTS };
@@ -0,0 +1,192 @@
+// Tools the assistant agent can call to operate browser tabs. Anything that
+// changes browser state is flagged `requiresConfirmation` so the user
+// approves it in the UI before it runs. `exposesUserData` and
+// `returnsUntrustedContent` drive the agent's taint tracking.
+const MAX_PAGE_CHARS = 6000;
+
+class TabTools {
+  constructor(getTabManager, dataCollector) {
+    // Resolved lazily: the tab manager only exists once a window is open
+    this.getTabManager = getTabManager;
+    this.dataCollector = dataCollector;
+    this.tools = new Map();
+
+    this.registerDefaultTools();
+  }
+
+  register(tool) {
+    this.tools.set(tool.name, tool);
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  getSchemas() {
+    return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  requireTabManager() {
+    const tabManager = this.getTabManager();
+    if (!tabManager) {
+      throw new Error('Tab manager is not available');
+    }
+    return tabManager;
+  }
+
+  registerDefaultTools() {
+    this.register({
+      name: 'list_tabs',
+      description: 'List the open tabs with their ids, titles and URLs.',
+      parameters: { type: 'object', properties: {} },
+      requiresConfirmation: false,
+      exposesUserData: true,
+      describe: () => 'List open tabs',
+      execute: async () => {
+        return this.requireTabManager().getAllTabs().map(tab => ({
+          id: tab.id,
+          title: tab.title,
+          url: tab.url,
+          isActive: tab.isActive
+        }));
+      }
+    });
+
+    this.register({
+      name: 'search_history',
+      description: 'Search recently visited pages by title or URL. Timestamps are ISO 8601.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Words to match against page titles and URLs' },
+          hours: { type: 'number', description: 'How far back to look, in hours (default 48)' }
+        }
+      },
+      requiresConfirmation: false,
+      exposesUserData: true,
+      describe: (args) => `Search history for "${args.query || ''}"`,
+      execute: async (args) => {
+        const activity = await this.dataCollector.getRecentActivity(args.hours || 48);
+        const terms = (args.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        return activity.pageViews
+          .filter(view => {
+            const haystack = `${view.title || ''} ${view.url || ''}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+          })
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, 20)
+          .map(view => ({
+            title: view.title,
+            url: view.url,
+            visitedAt: new Date(view.timestamp).toISOString()
+          }));
+      }
+    });
+
+    this.register({
+      name: 'create_tab',
+      description: 'Open a URL in a new tab.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          background: { type: 'boolean', description: 'Open without switching to it' }
+        },
+        required: ['url']
+      },
+      requiresConfirmation: true,
+      describe: (args) => `Open ${args.url} in a new ${args.background ? 'background ' : ''}tab`,
+      execute: async (args) => {
+        const tabId = this.requireTabManager().createTab(args.url, Boolean(args.background));
+        return { tabId };
+      }
+    });
+
+    this.register({
+      name: 'navigate_tab',
+      description: 'Load a URL in an existing tab.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['tabId', 'url']
+      },
+      requiresConfirmation: true,
+      describe: (args) => `Navigate tab ${args.tabId} to ${args.url}`,
+      execute: async (args) => {
+        return { success: this.requireTabManager().navigateTab(args.tabId, args.url) };
+      }
+    });
+
+    this.register({
+      name: 'close_tab',
+      description: 'Close a tab.',
+      parameters: {
+        type: 'object',
+        properties: { tabId: { type: 'string' } },
+        required: ['tabId']
+      },
+      requiresConfirmation: true,
+      describe: (args) => `Close tab ${args.tabId}`,
+      execute: async (args) => {
+        return { success: this.requireTabManager().closeTab(args.tabId) };
+      }
+    });
+
+    this.register({
+      name: 'set_active_tab',
+      description: 'Switch to a tab.',
+      parameters: {
+        type: 'object',
+        properties: { tabId: { type: 'string' } },
+        required: ['tabId']
+      },
+      requiresConfirmation: true,
+      describe: (args) => `Switch to tab ${args.tabId}`,
+      execute: async (args) => {
+        return { success: this.requireTabManager().setActiveTab(args.tabId) };
+      }
+    });
+
+    this.register({
+      name: 'read_tab',
+      description: 'Read the text content of a tab. Use this to summarize or answer questions about a page.',
+      parameters: {
+        type: 'object',
+        properties: { tabId: { type: 'string' } },
+        required: ['tabId']
+      },
+      requiresConfirmation: false,
+      returnsUntrustedContent: true,
+      describe: (args) => `Read the content of tab ${args.tabId}`,
+      execute: async (args) => {
+        const tabManager = this.requireTabManager();
+        const tab = tabManager.tabs.get(args.tabId);
+        if (!tab) {
+          throw new Error(`Tab not found: ${args.tabId}`);
+        }
+
+        // Tabs the agent just opened are usually still loading, and
+        // discarded tabs have to be loaded again to be read
+        tabManager.wakeTab(tab);
+        await tabManager.waitForLoad(tab);
+        const pageData = await tabManager.extractPageData(tab);
+        return {
+          url: pageData.url,
+          title: pageData.title,
+          content: (pageData.content || '').substring(0, MAX_PAGE_CHARS),
+          truncated: (pageData.content || '').length > MAX_PAGE_CHARS
+        };
+      }
+    });
+  }
+}
+
+module.exports = { TabTools };
@@ -0,0 +1,22 @@
+const { TabTools } = require('../TabTools');
+
+describe('TabTools', () => {
+  let tools;
+
+  beforeEach(() => {
+    tools = new TabTools(() => null, null);
+  });
+
+  test('fails tab tools before a window is open', async () => {
+    await expect(tools.get('list_tabs').execute({})).rejects.toThrow('Tab manager is not available');
+  });
+
+  test('describes every tool to the model', () => {
+    const schemas = tools.getSchemas();
+
+    expect(schemas.map(schema => schema.name)).toEqual([
+      'list_tabs', 'search_history', 'create_tab', 'navigate_tab', 'close_tab', 'set_active_tab', 'read_tab'
+    ]);
+    schemas.forEach(schema => expect(Object.keys(schema)).toEqual(['name', 'description', 'parameters']));
+  });
+});
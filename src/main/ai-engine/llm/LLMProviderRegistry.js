@@ -0,0 +1,117 @@
+const { OpenAICompatibleProvider } = require('./OpenAICompatibleProvider');
+const { MockProvider } = require('./MockProvider');
+
+const CALL_SITE_DEFAULTS = {
+  model: 'gpt-4',
+  temperature: 0.7,
+  maxTokens: 500
+};
+
+class LLMProviderRegistry {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.factories = new Map();
+    this.instances = new Map();
+
+    this.registerProviderType('openai', config => new OpenAICompatibleProvider(config));
+    this.registerProviderType('openai-compatible', config => new OpenAICompatibleProvider(config));
+    this.registerProviderType('mock', config => new MockProvider(config));
+
+    // Drop cached clients so new keys, URLs or types take effect immediately
+    this.settingsManager.on('changed', () => this.instances.clear());
+  }
+
+  registerProviderType(type, factory) {
+    this.factories.set(type, factory);
+  }
+
+  getProvider(name) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    const config = this.settingsManager.get(`ai.providers.${name}`);
+    if (!config) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    const factory = this.factories.get(config.type);
+    if (!factory) {
+      throw new Error(`Unsupported LLM provider type: ${config.type}`);
+    }
+
+    const provider = factory({ ...config, name });
+    this.instances.set(name, provider);
+    return provider;
+  }
+
+  resolveCallSite(callSite, overrides = {}) {
+    const siteSettings = this.settingsManager.get(`ai.callSites.${callSite}`, {});
+    const providerName = overrides.provider ||
+      siteSettings.provider ||
+      this.settingsManager.get('ai.defaultProvider', 'openai');
+
+    return {
+      ...CALL_SITE_DEFAULTS,
+      ...siteSettings,
+      ...overrides,
+      provider: providerName
+    };
+  }
+
+  async complete(callSite, messages, overrides = {}) {
+    const options = this.resolveCallSite(callSite, overrides);
+    const provider = this.getProvider(options.provider);
+
+    const result = await provider.complete({
+      ...options,
+      messages
+    });
+
+    return {
+      ...result,
+      provider: options.provider,
+      callSite
+    };
+  }
+
+  async *stream(callSite, messages, overrides = {}) {
+    const options = this.resolveCallSite(callSite, overrides);
+    const provider = this.getProvider(options.provider);
+
+    // Providers without native streaming still work, just in one chunk
+    if (typeof provider.stream !== 'function') {
+      const result = await provider.complete({ ...options, messages });
+      yield { delta: result.text, finishReason: result.finishReason };
+      return;
+    }
+
+    yield* provider.stream({ ...options, messages });
+  }
+
+  async embed(callSite, input, overrides = {}) {
+    const options = this.resolveCallSite(callSite, overrides);
+    const provider = this.getProvider(options.provider);
+
+    if (typeof provider.embed !== 'function') {
+      throw new Error(`LLM provider ${options.provider} does not support embeddings`);
+    }
+
+    return provider.embed({ ...options, input });
+  }
+
+  listProviders() {
+    const providers = this.settingsManager.get('ai.providers', {});
+    const defaultProvider = this.settingsManager.get('ai.defaultProvider');
+
+    return Object.entries(providers).map(([name, config]) => ({
+      name,
+      type: config.type,
+      baseURL: config.baseURL || null,
+      isDefault: name === defaultProvider,
+      supported: this.factories.has(config.type)
+    }));
+  }
+}
+
+module.exports = { LLMProviderRegistry };
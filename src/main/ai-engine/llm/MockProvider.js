@@ -0,0 +1,72 @@
+// Deterministic offline provider: same messages in, same text out.
+// Useful for running the assistant without a model and for tests.
+class MockProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'mock';
+    this.config = config;
+    // Optional scripted replies, returned in order and then repeated. A reply
+    // is either a string or { text, toolCalls: [{ id, name, arguments }] }.
+    this.responses = Array.isArray(config.responses) ? config.responses : [];
+    this.callCount = 0;
+    this.requests = [];
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+    const reply = this.buildResponse(request);
+    const text = typeof reply === 'string' ? reply : (reply.text || '');
+    this.callCount++;
+
+    return {
+      text,
+      toolCalls: typeof reply === 'string' ? [] : (reply.toolCalls || []),
+      model: request.model || 'mock',
+      finishReason: 'stop',
+      usage: {
+        prompt_tokens: this.countWords(request.messages.map(m => m.content).join(' ')),
+        completion_tokens: this.countWords(text)
+      }
+    };
+  }
+
+  async *stream(request) {
+    const { text } = await this.complete(request);
+    const tokens = text.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      if (request.signal?.aborted) {
+        const error = new Error('Request was aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      if (this.config.tokenDelay) {
+        await new Promise(resolve => setTimeout(resolve, this.config.tokenDelay));
+      }
+
+      yield { delta: token, finishReason: null };
+    }
+  }
+
+  buildResponse(request) {
+    if (this.responses.length > 0) {
+      return this.responses[this.callCount % this.responses.length];
+    }
+
+    const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+    const prompt = (lastUser?.content || '').replace(/\s+/g, ' ').trim();
+
+    return `[mock] ${prompt.substring(0, 200)}`;
+  }
+
+  countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+  }
+
+  reset() {
+    this.callCount = 0;
+    this.requests = [];
+  }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,101 @@
+const OpenAI = require('openai');
+
+// Talks to OpenAI itself or to any server exposing the same chat completions
+// API (llama.cpp server, Ollama, LM Studio, vLLM...)
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.config = config;
+    this.client = new OpenAI({
+      // Local servers ignore the key, but the SDK refuses to start without one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseURL || undefined,
+      timeout: config.timeout || 60000
+    });
+  }
+
+  async complete(request) {
+    const completion = await this.client.chat.completions.create(
+      this.buildParams(request),
+      { signal: request.signal }
+    );
+
+    const choice = completion.choices[0];
+
+    return {
+      text: choice.message.content || '',
+      toolCalls: this.parseToolCalls(choice.message.tool_calls),
+      model: completion.model || request.model,
+      finishReason: choice.finish_reason,
+      usage: completion.usage || null
+    };
+  }
+
+  // Yields text deltas as the server produces them; aborting `request.signal`
+  // cancels the underlying HTTP request
+  async *stream(request) {
+    const stream = await this.client.chat.completions.create(
+      { ...this.buildParams(request), stream: true },
+      { signal: request.signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield { delta, finishReason: chunk.choices[0].finish_reason || null };
+      }
+    }
+  }
+
+  // Returns one vector per input string, in input order
+  async embed(request) {
+    const response = await this.client.embeddings.create(
+      { model: request.model, input: request.input },
+      { signal: request.signal }
+    );
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  buildParams(request) {
+    const params = {
+      model: request.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      presence_penalty: request.presencePenalty,
+      frequency_penalty: request.frequencyPenalty
+    };
+
+    if (request.tools && request.tools.length > 0) {
+      params.tools = request.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+      params.tool_choice = 'auto';
+    }
+
+    return params;
+  }
+
+  parseToolCalls(toolCalls = []) {
+    return (toolCalls || []).map(call => {
+      let args = {};
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch (error) {
+        // Leave malformed arguments empty; the tool will reject them
+      }
+
+      return { id: call.id, name: call.function.name, arguments: args };
+    });
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
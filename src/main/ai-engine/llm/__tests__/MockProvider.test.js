@@ -0,0 +1,97 @@
+const { MockProvider } = require('../MockProvider');
+const { createMockRegistry } = require('../../__tests__/helpers/mockRegistry');
+
+const ask = (content) => ({ model: 'mock-1', messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content }] });
+
+describe('MockProvider', () => {
+  test('answers with the last user message, the same way every time', async () => {
+    const provider = new MockProvider();
+
+    const first = await provider.complete(ask('What   is\nNexus?'));
+    const second = await provider.complete(ask('What   is\nNexus?'));
+
+    expect(first.text).toBe('[mock] What is Nexus?');
+    expect(second.text).toBe(first.text);
+    expect(first).toMatchObject({ model: 'mock-1', finishReason: 'stop', toolCalls: [] });
+    expect(first.usage).toEqual({ prompt_tokens: 5, completion_tokens: 4 });
+  });
+
+  test('plays scripted replies in order and then repeats them', async () => {
+    const toolCall = { id: 'call-1', name: 'list_tabs', arguments: {} };
+    const provider = new MockProvider({ responses: [{ text: '', toolCalls: [toolCall] }, 'Done.'] });
+
+    const replies = [];
+    for (let i = 0; i < 3; i++) {
+      replies.push(await provider.complete(ask('hi')));
+    }
+
+    expect(replies.map(reply => reply.text)).toEqual(['', 'Done.', '']);
+    expect(replies[0].toolCalls).toEqual([toolCall]);
+    expect(provider.requests).toHaveLength(3);
+  });
+
+  test('streams the reply a word at a time', async () => {
+    const provider = new MockProvider({ responses: ['One two three.'] });
+
+    const deltas = [];
+    for await (const chunk of provider.stream(ask('count'))) {
+      deltas.push(chunk.delta);
+    }
+
+    expect(deltas).toEqual(['One ', 'two ', 'three.']);
+  });
+
+  test('stops streaming once the request is aborted', async () => {
+    const provider = new MockProvider({ responses: ['One two three.'] });
+    const controller = new AbortController();
+
+    const deltas = [];
+    const read = async () => {
+      for await (const chunk of provider.stream({ ...ask('count'), signal: controller.signal })) {
+        deltas.push(chunk.delta);
+        controller.abort();
+      }
+    };
+
+    await expect(read()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(deltas).toEqual(['One ']);
+  });
+
+  test('reset forgets requests and starts the script over', async () => {
+    const provider = new MockProvider({ responses: ['a', 'b'] });
+    await provider.complete(ask('x'));
+    provider.reset();
+
+    expect(provider.requests).toEqual([]);
+    expect((await provider.complete(ask('x'))).text).toBe('a');
+  });
+});
+
+describe('LLMProviderRegistry with a mock provider', () => {
+  test('routes call sites to the configured provider with their model settings', async () => {
+    const { registry, provider } = createMockRegistry({ callSites: { agent: { model: 'agent-model', temperature: 0.1 } } });
+
+    const result = await registry.complete('agent', [{ role: 'user', content: 'hello' }], { maxTokens: 42 });
+
+    expect(result).toMatchObject({ text: '[mock] hello', provider: 'test', callSite: 'agent' });
+    expect(provider.requests[0]).toMatchObject({ model: 'agent-model', temperature: 0.1, maxTokens: 42 });
+  });
+
+  test('builds a new provider once settings change', async () => {
+    const { registry, settingsManager, provider } = createMockRegistry();
+    settingsManager.save = jest.fn();
+
+    await settingsManager.update({ ai: { providers: { test: { responses: ['changed'] } } } });
+
+    expect(registry.getProvider('test')).not.toBe(provider);
+    expect((await registry.complete('assistant', [{ role: 'user', content: 'x' }])).text).toBe('changed');
+  });
+
+  test('refuses unknown providers and provider types', () => {
+    const { registry, settingsManager } = createMockRegistry();
+    settingsManager.settings.ai.providers.odd = { type: 'carrier-pigeon' };
+
+    expect(() => registry.getProvider('missing')).toThrow('Unknown LLM provider: missing');
+    expect(() => registry.getProvider('odd')).toThrow('Unsupported LLM provider type: carrier-pigeon');
+  });
+});
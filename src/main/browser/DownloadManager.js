@@ -0,0 +1,333 @@
+const { app, shell } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+const SAVE_DELAY = 1000;
+// Progress events arrive many times a second; the renderer doesn't need them all
+const PROGRESS_NOTIFY_INTERVAL = 250;
+const MAX_HISTORY = 200;
+
+// Tracks every download on the tab session: progress, pause/resume/cancel,
+// and a history kept on disk. With smart filing on, files land in a folder
+// named after the category RealTimeAnalyzer gave the page they came from.
+class DownloadManager {
+  constructor(realTimeAnalyzer, settingsManager, historyPath = path.join(__dirname, '../../data/downloads.json')) {
+    this.analyzer = realTimeAnalyzer;
+    this.settingsManager = settingsManager;
+    this.historyPath = historyPath;
+    this.session = null;
+    // One per open browser window; they all show the same downloads
+    this.tabManagers = new Set();
+    // Every download this run and before it, newest first
+    this.downloads = [];
+    // DownloadItems for downloads still alive this run, by download id
+    this.items = new Map();
+    this.lastNotified = new Map();
+    this.downloadCounter = 0;
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.historyPath, 'utf8'));
+      // Whatever was still running when the app went down is now interrupted
+      this.downloads = (Array.isArray(data.downloads) ? data.downloads : []).map(download => (
+        download.state === 'progressing' || download.state === 'paused'
+          ? { ...download, state: 'interrupted', paused: false }
+          : download
+      ));
+      this.downloadCounter = data.downloadCounter || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading download history:', error);
+      }
+    }
+  }
+
+  register(ses) {
+    this.session = ses;
+    ses.on('will-download', (event, item, webContents) => this.handleDownload(item, webContents));
+  }
+
+  // Called with each new window's tab manager; private windows aren't included
+  addTabManager(tabManager) {
+    this.tabManagers.add(tabManager);
+  }
+
+  removeTabManager(tabManager) {
+    this.tabManagers.delete(tabManager);
+  }
+
+  getConfig() {
+    return this.settingsManager.get('downloads', {});
+  }
+
+  handleDownload(item, webContents) {
+    // A download resumed from a previous run comes back with its path set
+    const resumed = item.getSavePath() && this.downloads.find(download => download.savePath === item.getSavePath());
+
+    let download = resumed;
+    if (!download) {
+      const sourceUrl = this.getSourceUrl(webContents);
+      const category = this.getCategory(sourceUrl);
+
+      download = {
+        id: `download-${++this.downloadCounter}`,
+        url: item.getURL(),
+        urlChain: item.getURLChain(),
+        filename: item.getFilename(),
+        mimeType: item.getMimeType(),
+        sourceUrl,
+        category,
+        savePath: this.getSavePath(item.getFilename(), category),
+        startTime: Date.now(),
+        endTime: null
+      };
+      this.downloads.unshift(download);
+      this.downloads = this.downloads.slice(0, MAX_HISTORY);
+
+      // Must be set before this handler returns, or Chromium asks the user
+      item.setSavePath(download.savePath);
+      console.log(`⬇️ Downloading ${download.id}${category ? ` to ${category}` : ''}`);
+    }
+
+    Object.assign(download, this.readItem(item), { state: 'progressing' });
+    this.items.set(download.id, item);
+
+    item.on('updated', () => {
+      Object.assign(download, this.readItem(item));
+      this.notify(download);
+    });
+
+    item.once('done', (event, state) => {
+      Object.assign(download, this.readItem(item), { state, endTime: Date.now() });
+      this.items.delete(download.id);
+      this.lastNotified.delete(download.id);
+
+      if (state === 'completed') {
+        console.log(`✅ Downloaded ${download.id}`);
+      }
+      this.notify(download, true);
+    });
+
+    this.notify(download, true);
+  }
+
+  // Everything the item knows that resuming later, or the panel, needs
+  readItem(item) {
+    return {
+      state: item.getState(),
+      paused: item.isPaused(),
+      receivedBytes: item.getReceivedBytes(),
+      totalBytes: item.getTotalBytes(),
+      eTag: item.getETag(),
+      lastModified: item.getLastModifiedTime()
+    };
+  }
+
+  getSourceUrl(webContents) {
+    const tab = webContents && Array.from(this.tabManagers)
+      .map(tabManager => tabManager.findTabByWebContents(webContents))
+      .find(Boolean);
+    return tab ? tab.url : webContents?.getURL?.() || null;
+  }
+
+  getCategory(sourceUrl) {
+    if (!sourceUrl || this.getConfig().smartFiling === false) return null;
+
+    const category = this.analyzer.activeAnalyses.get(sourceUrl)?.content?.category?.primary;
+    return category && category !== 'general' ? category : null;
+  }
+
+  getSavePath(filename, category) {
+    const root = this.getConfig().directory || app.getPath('downloads');
+    const directory = category ? path.join(root, category.charAt(0).toUpperCase() + category.slice(1)) : root;
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+    } catch (error) {
+      console.error('Error creating download folder:', error);
+      return this.getUniquePath(root, filename);
+    }
+    return this.getUniquePath(directory, filename);
+  }
+
+  // report.pdf, report (1).pdf, ... skipping names taken on disk or by
+  // downloads that haven't finished writing yet
+  getUniquePath(directory, filename) {
+    const safeName = path.basename(filename || 'download').replace(/[<>:"|?*\x00-\x1f]/g, '_') || 'download';
+    const extension = path.extname(safeName);
+    const base = safeName.slice(0, safeName.length - extension.length);
+
+    const taken = (candidate) => fs.existsSync(candidate) ||
+      this.downloads.some(download => download.savePath === candidate && download.state !== 'cancelled');
+
+    let candidate = path.join(directory, safeName);
+    for (let i = 1; taken(candidate); i++) {
+      candidate = path.join(directory, `${base} (${i})${extension}`);
+    }
+    return candidate;
+  }
+
+  notify(download, force = false) {
+    const now = Date.now();
+    if (!force && now - (this.lastNotified.get(download.id) || 0) < PROGRESS_NOTIFY_INTERVAL) return;
+
+    this.lastNotified.set(download.id, now);
+    const info = this.getDownloadInfo(download);
+    this.tabManagers.forEach(tabManager => tabManager.notifyRenderer('download-updated', info));
+    this.scheduleSave();
+  }
+
+  getDownloadInfo(download) {
+    return {
+      id: download.id,
+      url: download.url,
+      filename: path.basename(download.savePath || download.filename),
+      savePath: download.savePath,
+      sourceUrl: download.sourceUrl,
+      category: download.category,
+      state: download.state,
+      paused: Boolean(download.paused),
+      receivedBytes: download.receivedBytes || 0,
+      totalBytes: download.totalBytes || 0,
+      canResume: this.canResume(download),
+      startTime: download.startTime,
+      endTime: download.endTime
+    };
+  }
+
+  getAll() {
+    return this.downloads.map(download => this.getDownloadInfo(download));
+  }
+
+  get(downloadId) {
+    const download = this.downloads.find(entry => entry.id === downloadId);
+    if (!download) {
+      throw new Error(`Download not found: ${downloadId}`);
+    }
+    return download;
+  }
+
+  canResume(download) {
+    const item = this.items.get(download.id);
+    if (item) return item.isPaused() || item.canResume();
+
+    // From an earlier run: Chromium can pick up where it stopped if the
+    // partial file is still there
+    return download.state === 'interrupted' && Array.isArray(download.urlChain) && download.urlChain.length > 0;
+  }
+
+  pause(downloadId) {
+    const download = this.get(downloadId);
+    const item = this.items.get(downloadId);
+    if (!item || download.state !== 'progressing') return this.getDownloadInfo(download);
+
+    item.pause();
+    download.paused = true;
+    this.notify(download, true);
+    return this.getDownloadInfo(download);
+  }
+
+  resume(downloadId) {
+    const download = this.get(downloadId);
+    if (!this.canResume(download)) {
+      throw new Error('This download can no longer be resumed');
+    }
+
+    const item = this.items.get(downloadId);
+    if (item) {
+      item.resume();
+      download.paused = false;
+      download.state = 'progressing';
+      this.notify(download, true);
+    } else {
+      // Comes back through will-download, matched by its save path
+      this.session.createInterruptedDownload({
+        path: download.savePath,
+        urlChain: download.urlChain,
+        mimeType: download.mimeType,
+        offset: download.receivedBytes || 0,
+        length: download.totalBytes || 0,
+        lastModified: download.lastModified,
+        eTag: download.eTag,
+        startTime: download.startTime / 1000
+      });
+    }
+    return this.getDownloadInfo(download);
+  }
+
+  cancel(downloadId) {
+    const download = this.get(downloadId);
+    const item = this.items.get(downloadId);
+
+    if (item) {
+      // 'done' reports the cancellation
+      item.cancel();
+    } else if (download.state === 'interrupted') {
+      download.state = 'cancelled';
+      download.endTime = Date.now();
+      this.notify(download, true);
+    }
+    return this.getDownloadInfo(download);
+  }
+
+  async openFile(downloadId) {
+    const download = this.get(downloadId);
+    if (download.state !== 'completed') {
+      throw new Error('Download has not finished');
+    }
+
+    // openPath resolves with an error message rather than rejecting
+    const error = await shell.openPath(download.savePath);
+    if (error) {
+      throw new Error(error);
+    }
+  }
+
+  showInFolder(downloadId) {
+    shell.showItemInFolder(this.get(downloadId).savePath);
+  }
+
+  // Drops a finished download from the list; the file stays on disk
+  remove(downloadId) {
+    const download = this.get(downloadId);
+    if (this.items.has(downloadId)) {
+      throw new Error('Cancel the download before removing it');
+    }
+
+    this.downloads = this.downloads.filter(entry => entry !== download);
+    this.scheduleSave();
+    return this.getAll();
+  }
+
+  clearFinished() {
+    this.downloads = this.downloads.filter(download => this.items.has(download.id));
+    this.scheduleSave();
+    return this.getAll();
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    const data = JSON.stringify({ downloadCounter: this.downloadCounter, downloads: this.downloads });
+    const tempPath = `${this.historyPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.historyPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.historyPath);
+      } catch (error) {
+        console.error('Error saving download history:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+module.exports = { DownloadManager };
@@ -0,0 +1,190 @@
+const { protocol } = require('electron');
+const { URL } = require('url');
+const path = require('path');
+const fs = require('fs').promises;
+
+const SCHEME = 'nexus';
+const PAGES_DIR = path.join(__dirname, '../renderer/internal');
+
+// Internal pages and the IPC channels each may use. The page's preload only
+// exposes these, and setupIPC refuses anything else coming from a tab.
+const PAGES = {
+  newtab: {
+    title: 'New Tab',
+    channels: ['history:getSmartHistory', 'session:getRecentlyClosed', 'session:reopenClosedTab', 'internal:navigate']
+  },
+  history: {
+    title: 'History',
+    channels: ['history:getSmartHistory', 'history:semanticSearch', 'internal:navigate']
+  },
+  settings: {
+    title: 'Settings',
+    channels: [
+      'settings:get', 'settings:update', 'settings:getLLMProviders', 'memory:getStats', 'memory:removeException',
+      'search:getEngines', 'search:setDefault', 'search:addEngine', 'search:removeEngine',
+      'permissions:getAll', 'permissions:set', 'permissions:reset'
+    ]
+  },
+  privacy: {
+    title: 'Privacy',
+    channels: ['privacy:getDataSummary', 'privacy:clearData']
+  },
+  assistant: {
+    title: 'Assistant',
+    channels: ['assistant:chat', 'conversations:list', 'conversations:get']
+  },
+  certerror: {
+    title: 'Privacy error',
+    channels: ['certificates:getError', 'certificates:proceed', 'certificates:leave', 'internal:navigate']
+  },
+  reader: {
+    title: 'Reader',
+    channels: ['reader:getArticle', 'reader:updateSettings', 'internal:navigate']
+  },
+  archive: {
+    title: 'Saved pages',
+    channels: ['archive:list', 'archive:getTags', 'archive:get', 'archive:open', 'archive:delete', 'internal:navigate']
+  }
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png'
+};
+
+// No inline script, no network access of their own, and no framing by web pages
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data: https:",
+  "base-uri 'none'",
+  "form-action 'none'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Routes serve documents that aren't ours, like archived pages: no script at
+// all, only inline resources, and an origin of their own
+const ROUTE_CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "img-src data:",
+  "style-src data: 'unsafe-inline'",
+  "font-src data:",
+  "media-src data:",
+  "form-action 'none'",
+  "frame-ancestors 'none'",
+  'sandbox'
+].join('; ');
+
+function isInternalUrl(url) {
+  return typeof url === 'string' && url.toLowerCase().startsWith(`${SCHEME}:`);
+}
+
+// Serves nexus:// pages from src/renderer/internal and decides which senders
+// may talk to the main process on their behalf
+class InternalPages {
+  constructor() {
+    // Handlers by page and path, e.g. "archive/view"
+    this.routes = new Map();
+  }
+
+  // Must run before the app is ready
+  static registerScheme() {
+    protocol.registerSchemesAsPrivileged([
+      { scheme: SCHEME, privileges: { standard: true, secure: true } }
+    ]);
+  }
+
+  register(ses) {
+    ses.protocol.handle(SCHEME, (request) => this.handleRequest(request));
+  }
+
+  // The handler gets the request URL and returns the HTML, or null when
+  // there's nothing to show
+  addRoute(pageName, pathname, handler) {
+    this.routes.set(`${pageName}${pathname}`, handler);
+  }
+
+  getPage(url) {
+    if (!isInternalUrl(url)) return null;
+
+    try {
+      const { hostname } = new URL(url);
+      return PAGES[hostname] ? { name: hostname, ...PAGES[hostname] } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async handleRequest(request) {
+    const page = this.getPage(request.url);
+    if (!page) {
+      return this.respond(404, '.html', '<!DOCTYPE html><title>Not found</title><p>There is no such Nexus page.</p>');
+    }
+
+    const url = new URL(request.url);
+    const { pathname } = url;
+    const route = this.routes.get(`${page.name}${pathname}`);
+    if (route) {
+      try {
+        const body = await route(url);
+        return body
+          ? this.respond(200, '.html', body, ROUTE_CONTENT_SECURITY_POLICY)
+          : this.respond(404, '.html', 'Not found');
+      } catch (error) {
+        console.error(`Error serving ${request.url}:`, error);
+        return this.respond(500, '.html', 'Something went wrong');
+      }
+    }
+
+    // nexus://history/ is history.html; anything else is a file shared by the pages
+    const file = pathname === '/' ? `${page.name}.html` : decodeURIComponent(pathname.slice(1));
+    const filePath = path.resolve(PAGES_DIR, file);
+    if (!filePath.startsWith(PAGES_DIR + path.sep)) {
+      return this.respond(403, '.html', 'Forbidden');
+    }
+
+    try {
+      return this.respond(200, path.extname(filePath), await fs.readFile(filePath));
+    } catch (error) {
+      return this.respond(404, '.html', 'Not found');
+    }
+  }
+
+  respond(status, extension, body, contentSecurityPolicy = CONTENT_SECURITY_POLICY) {
+    return new Response(body, {
+      status,
+      headers: {
+        'Content-Type': CONTENT_TYPES[extension] || 'application/octet-stream',
+        'Content-Security-Policy': contentSecurityPolicy,
+        'X-Frame-Options': 'DENY',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  // The browser UI may use every channel. Tabs may only use the channels of
+  // the internal page loaded in their main frame; web content, and routes
+  // like archived pages, get none.
+  isAllowedSender(event, channel) {
+    if (event.sender.getType() !== 'browserView') return true;
+
+    const frame = event.senderFrame;
+    if (!frame || frame.parent) return false;
+    if (!isInternalUrl(frame.url) || new URL(frame.url).pathname !== '/') return false;
+
+    const page = this.getPage(frame.url);
+    return Boolean(page && page.channels.includes(channel));
+  }
+
+  // Web content may not open, frame or redirect to internal pages; only the
+  // address bar and internal pages themselves can
+  canNavigate(fromUrl, toUrl) {
+    return !isInternalUrl(toUrl) || isInternalUrl(fromUrl);
+  }
+}
+
+module.exports = { InternalPages, isInternalUrl, INTERNAL_PAGES: PAGES };
@@ -0,0 +1,111 @@
+// Turns an MHTML snapshot, as Chromium writes them, into one HTML document
+// with the saved stylesheets, images and fonts inlined as data: URLs. Chromium
+// only opens MHTML from file:// URLs, and archived pages are shown on a
+// nexus:// page instead.
+
+// Headers, with folded lines joined, by lower-case name
+function parseHeaders(text) {
+  const headers = new Map();
+  text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers.set(line.slice(0, separator).trim().toLowerCase(), line.slice(separator + 1).trim());
+    }
+  });
+  return headers;
+}
+
+// The text is the file read as latin1, one character per byte
+function decodeBody(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function splitHead(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  return match
+    ? [text.slice(0, match.index), text.slice(match.index + match[0].length)]
+    : [text, ''];
+}
+
+function parseParts(text) {
+  const [head, body] = splitHead(text);
+  const contentType = parseHeaders(head).get('content-type') || '';
+  const boundary = /boundary="?([^";]+)"?/i.exec(contentType)?.[1];
+  if (!boundary) {
+    throw new Error('Not an MHTML file');
+  }
+
+  return body.split(`--${boundary}`)
+    .slice(1)
+    .filter(chunk => !chunk.startsWith('--'))
+    .map(chunk => {
+      const [partHead, partBody] = splitHead(chunk.replace(/^\r?\n/, ''));
+      const headers = parseHeaders(partHead);
+      return {
+        type: (headers.get('content-type') || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+        location: headers.get('content-location') || null,
+        contentId: headers.get('content-id')?.replace(/^<|>$/g, '') || null,
+        data: decodeBody(partBody.replace(/\r?\n$/, ''), headers.get('content-transfer-encoding'))
+      };
+    });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Only whole references: the URL has to end where the attribute or url()
+// does, so https://a.com/i.png doesn't match the start of .../i.png2
+function replaceReference(text, reference, replacement) {
+  const pattern = new RegExp(`${escapeRegExp(reference)}(?=["'\\s)>,]|&quot;|$)`, 'g');
+  return text.replace(pattern, () => replacement);
+}
+
+function inlineResources(text, resources, { escaped = false } = {}) {
+  return resources.reduce((result, { reference, dataUrl }) => {
+    const replaced = replaceReference(result, reference, dataUrl);
+    return escaped ? replaceReference(replaced, reference.replace(/&/g, '&amp;'), dataUrl) : replaced;
+  }, text);
+}
+
+function toDataUrl(type, data) {
+  return `data:${type};base64,${data.toString('base64')}`;
+}
+
+function mhtmlToHtml(text) {
+  const parts = parseParts(text);
+  const documentPart = parts.find(part => part.type === 'text/html');
+  if (!documentPart) {
+    throw new Error('The MHTML file has no page in it');
+  }
+
+  const references = (part) => [part.location, part.contentId && `cid:${part.contentId}`].filter(Boolean);
+
+  // Stylesheets can point at images and fonts, so those are inlined first.
+  // Frames are left out; the page is shown without them.
+  const media = parts.filter(part => part.type !== 'text/html' && part.type !== 'text/css');
+  const mediaResources = media
+    .flatMap(part => references(part).map(reference => ({ reference, dataUrl: toDataUrl(part.type, part.data) })));
+
+  const stylesheetResources = parts
+    .filter(part => part.type === 'text/css')
+    .flatMap(part => {
+      const css = inlineResources(part.data.toString('utf8'), mediaResources);
+      const dataUrl = toDataUrl('text/css', Buffer.from(css, 'utf8'));
+      return references(part).map(reference => ({ reference, dataUrl }));
+    });
+
+  return inlineResources(documentPart.data.toString('utf8'), [...stylesheetResources, ...mediaResources], { escaped: true });
+}
+
+module.exports = { mhtmlToHtml };
@@ -0,0 +1,422 @@
+const path = require('path');
+const fs = require('fs');
+const { URL } = require('url');
+
+const MAX_SUGGESTIONS = 8;
+// Local results wait this long for a cold history index, then go without it
+const LOCAL_BUDGET_MS = 150;
+// AI rewrites that take longer than this are dropped
+const AI_BUDGET_MS = 2000;
+const AI_MIN_INPUT_LENGTH = 3;
+const HISTORY_DAYS = 90;
+const HISTORY_CACHE_MS = 60 * 1000;
+const MAX_TYPED_URLS = 500;
+const SAVE_DELAY = 1000;
+
+// Where each source starts before match quality and personal frequency
+const SOURCE_WEIGHTS = {
+  keyword: 2,
+  url: 1.1,
+  tab: 0.9,
+  bookmark: 0.85,
+  history: 0.7,
+  search: 0.6,
+  ai: 0.5
+};
+
+// Address bar suggestions. Local sources (open tabs, history, bookmarks,
+// search keywords and inline URL completion) answer within LOCAL_BUDGET_MS;
+// AI query rewrites come separately, so a slow model never holds them up.
+// Results the user picks are counted, per URL and per source, and feed back
+// into the ranking.
+class OmniboxProvider {
+  constructor(getTabManager, dataCollector, searchEngines, llmRegistry, settingsManager, statsPath = path.join(__dirname, '../../data/omnibox.json')) {
+    this.getTabManager = getTabManager;
+    this.dataCollector = dataCollector;
+    this.searchEngines = searchEngines;
+    this.llm = llmRegistry;
+    this.settingsManager = settingsManager;
+    this.statsPath = statsPath;
+    // Times each source's suggestion was picked, and each URL was opened from here
+    this.stats = { sources: {}, urls: {} };
+    this.historyIndex = null;
+    this.historyLoadedAt = 0;
+    this.historyLoading = null;
+    this.aiController = null;
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.statsPath, 'utf8'));
+      this.stats = {
+        sources: data.sources && typeof data.sources === 'object' ? data.sources : {},
+        urls: data.urls && typeof data.urls === 'object' ? data.urls : {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading omnibox stats:', error);
+      }
+    }
+  }
+
+  async getSuggestions(input) {
+    const text = (input || '').trim();
+    if (!text) return { input, inlineCompletion: null, suggestions: [] };
+
+    const index = await this.getHistoryIndexWithin(LOCAL_BUDGET_MS);
+    const candidates = [
+      ...this.getKeywordSuggestions(text),
+      ...this.getTypedSuggestions(text),
+      ...this.getTabSuggestions(text),
+      ...this.getHistorySuggestions(text, index)
+    ];
+
+    return {
+      input,
+      inlineCompletion: this.getInlineCompletion(input, index),
+      suggestions: this.rank(candidates)
+    };
+  }
+
+  // Search queries the model thinks better express what's being typed.
+  // A newer call aborts the one before it; past AI_BUDGET_MS it gives up.
+  // What's typed in a private window never goes to the model.
+  async getAISuggestions(input, { isPrivate = false } = {}) {
+    this.aiController?.abort();
+
+    const text = (input || '').trim();
+    if (isPrivate || !this.isAIEnabled() || text.length < AI_MIN_INPUT_LENGTH || this.looksLikeUrl(text) || this.searchEngines.matchKeyword(text)) {
+      return [];
+    }
+
+    const controller = new AbortController();
+    this.aiController = controller;
+    const timer = setTimeout(() => controller.abort(), AI_BUDGET_MS);
+
+    try {
+      const completion = await this.llm.complete('omnibox', [
+        {
+          role: 'system',
+          content: 'You help complete web searches. Given what the user has typed so far, suggest up to 3 search queries that better express what they are likely looking for. Reply with one query per line and nothing else.'
+        },
+        { role: 'user', content: text }
+      ], { signal: controller.signal });
+
+      // One per line, maybe numbered or quoted; the input itself isn't a rewrite
+      const seen = new Set([text.toLowerCase()]);
+      const queries = [];
+      (completion.text || '').split('\n').forEach(line => {
+        const query = line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').replace(/^["“]|["”]$/g, '').trim();
+        if (!query || query.length > 120 || seen.has(query.toLowerCase()) || queries.length >= 3) return;
+        seen.add(query.toLowerCase());
+        queries.push(query);
+      });
+
+      return this.rank(queries.map(query => ({
+        type: 'ai',
+        source: 'ai',
+        title: query,
+        url: this.searchEngines.getSearchUrl(query),
+        match: 0.5
+      })));
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Error getting AI search suggestions:', error.message);
+      }
+      return [];
+    } finally {
+      clearTimeout(timer);
+      if (this.aiController === controller) {
+        this.aiController = null;
+      }
+    }
+  }
+
+  isAIEnabled() {
+    return this.settingsManager.get('search.aiSuggestions', true) !== false;
+  }
+
+  // "w rust" searches Wikipedia; a bare "w" offers to start such a search
+  getKeywordSuggestions(text) {
+    const keywordUrl = this.searchEngines.matchKeyword(text);
+    const [word, ...rest] = text.split(/\s+/);
+    const engine = this.searchEngines.getEngines().find(candidate => candidate.keyword?.toLowerCase() === word.toLowerCase());
+    if (!engine) return [];
+
+    if (keywordUrl) {
+      return [{
+        type: 'keyword',
+        source: 'keyword',
+        title: `Search ${engine.name} for “${rest.join(' ')}”`,
+        url: keywordUrl,
+        match: 1
+      }];
+    }
+
+    return [{
+      type: 'keyword',
+      source: 'keyword',
+      title: `Search ${engine.name}`,
+      description: `Type a search after “${engine.keyword}”`,
+      keyword: engine.keyword,
+      url: null,
+      match: 0.5
+    }];
+  }
+
+  // What was typed, as a URL when it looks like one, and as a search
+  getTypedSuggestions(text) {
+    const engine = this.searchEngines.getDefaultEngine();
+    const suggestions = [{
+      type: 'search',
+      source: 'search',
+      title: `Search ${engine.name} for “${text}”`,
+      url: this.searchEngines.getSearchUrl(text),
+      match: 1
+    }];
+
+    if (this.looksLikeUrl(text)) {
+      const url = /^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`;
+      suggestions.push({ type: 'url', source: 'url', title: text, url, match: 1 });
+    }
+    return suggestions;
+  }
+
+  getTabSuggestions(text) {
+    const tabManager = this.getTabManager();
+    if (!tabManager) return [];
+
+    return tabManager.getAllTabs()
+      .filter(tab => tab.id !== tabManager.activeTabId)
+      .map(tab => ({
+        type: 'tab',
+        source: 'tab',
+        title: tab.title,
+        url: tab.url,
+        tabId: tab.id,
+        match: this.matchScore(text, tab.title, tab.url)
+      }))
+      .filter(suggestion => suggestion.match > 0);
+  }
+
+  getHistorySuggestions(text, index) {
+    return (index || [])
+      .map(entry => ({
+        type: entry.bookmarked ? 'bookmark' : 'history',
+        source: entry.bookmarked ? 'bookmark' : 'history',
+        title: entry.title || entry.url,
+        url: entry.url,
+        visits: entry.visits,
+        lastVisit: entry.lastVisit,
+        match: this.matchScore(text, entry.title, entry.url)
+      }))
+      .filter(suggestion => suggestion.match > 0);
+  }
+
+  // The rest of the most visited URL that starts with what was typed,
+  // e.g. "git" -> "hub.com"; typed input with a space never completes
+  getInlineCompletion(input, index) {
+    const typed = (input || '').toLowerCase();
+    if (!typed || /\s/.test(typed) || !index) return null;
+
+    const match = index
+      .map(entry => ({ entry, display: this.stripUrl(entry.url) }))
+      .filter(({ display }) => display.toLowerCase().startsWith(typed) && display.length > typed.length)
+      .sort((a, b) => this.frequency(b.entry) - this.frequency(a.entry) || a.display.length - b.display.length)[0];
+
+    return match ? { text: match.display.slice(typed.length), url: match.entry.url } : null;
+  }
+
+  // 0 unless every word typed is in the title or URL; higher for matches
+  // at the start of the host or of a word
+  matchScore(text, title, url) {
+    const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const titleText = (title || '').toLowerCase();
+    const urlText = this.stripUrl(url || '').toLowerCase();
+
+    let total = 0;
+    for (const term of terms) {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (urlText.startsWith(term)) {
+        total += 1;
+      } else if (new RegExp(`(^|[^a-z0-9])${escaped}`).test(`${titleText} ${urlText}`)) {
+        total += 0.7;
+      } else if (titleText.includes(term) || urlText.includes(term)) {
+        total += 0.4;
+      } else {
+        return 0;
+      }
+    }
+    return terms.length > 0 ? total / terms.length : 0;
+  }
+
+  // Visits and picks from the address bar; recent visits count for more
+  frequency(entry) {
+    const typed = this.stats.urls[entry.url] || 0;
+    const ageDays = entry.lastVisit ? (Date.now() - entry.lastVisit) / (24 * 60 * 60 * 1000) : Infinity;
+    return Math.log1p(entry.visits || 0) * 0.15 +
+      Math.log1p(typed) * 0.25 +
+      (Number.isFinite(ageDays) ? 0.2 * Math.exp(-ageDays / 14) : 0);
+  }
+
+  // Sources the user picks more often than others get up to 30% more
+  sourceBoost(source) {
+    const picks = Object.values(this.stats.sources).reduce((sum, count) => sum + count, 0);
+    if (picks < 5) return 1;
+    return 1 + 0.3 * ((this.stats.sources[source] || 0) / picks);
+  }
+
+  score(suggestion) {
+    const weight = SOURCE_WEIGHTS[suggestion.source] || 0.5;
+    const frequency = suggestion.url ? this.frequency(suggestion) : 0;
+    return (weight * suggestion.match + frequency) * this.sourceBoost(suggestion.source);
+  }
+
+  // Best first, one per URL; an open tab beats history for the same page
+  // since switching to it is what the user most likely wants
+  rank(candidates) {
+    const best = new Map();
+    candidates.forEach(candidate => {
+      const suggestion = { ...candidate, score: this.score(candidate) };
+      const key = suggestion.url ? this.stripUrl(suggestion.url) : `${suggestion.type}:${suggestion.title}`;
+      const existing = best.get(key);
+      if (!existing || (suggestion.type === 'tab' && existing.type !== 'tab') ||
+        (existing.type !== 'tab' && suggestion.score > existing.score)) {
+        best.set(key, suggestion);
+      }
+    });
+
+    return Array.from(best.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ match, visits, lastVisit, ...suggestion }) => suggestion);
+  }
+
+  recordSelection(suggestion) {
+    if (!suggestion || !SOURCE_WEIGHTS[suggestion.source]) return;
+
+    this.stats.sources[suggestion.source] = (this.stats.sources[suggestion.source] || 0) + 1;
+    if (suggestion.url && /^https?:/i.test(suggestion.url)) {
+      this.stats.urls[suggestion.url] = (this.stats.urls[suggestion.url] || 0) + 1;
+
+      // Keep the most picked URLs
+      const urls = Object.entries(this.stats.urls);
+      if (urls.length > MAX_TYPED_URLS) {
+        this.stats.urls = Object.fromEntries(urls.sort(([, a], [, b]) => b - a).slice(0, MAX_TYPED_URLS));
+      }
+    }
+    this.scheduleSave();
+  }
+
+  // Resolves with the cached index as soon as it's fresh; a cold one that
+  // takes longer than `budget` is left loading for next time
+  async getHistoryIndexWithin(budget) {
+    if (this.historyIndex && Date.now() - this.historyLoadedAt < HISTORY_CACHE_MS) {
+      return this.historyIndex;
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(this.historyIndex), budget);
+    });
+    try {
+      return await Promise.race([this.loadHistoryIndex(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // One entry per URL visited in the last HISTORY_DAYS, bookmarks included
+  loadHistoryIndex() {
+    if (this.historyLoading) return this.historyLoading;
+
+    this.historyLoading = (async () => {
+      try {
+        const { pageViews, interactions } = await this.dataCollector.getRecentActivity(HISTORY_DAYS * 24);
+        const entries = new Map();
+
+        const entryFor = (url, title) => {
+          if (!entries.has(url)) {
+            entries.set(url, { url, title: title || '', visits: 0, lastVisit: 0, bookmarked: false });
+          }
+          const entry = entries.get(url);
+          entry.title = entry.title || title || '';
+          return entry;
+        };
+
+        pageViews
+          .filter(view => view.url && /^https?:/i.test(view.url))
+          .forEach(view => {
+            const entry = entryFor(view.url, view.title);
+            entry.visits++;
+            entry.lastVisit = Math.max(entry.lastVisit, view.timestamp || 0);
+          });
+
+        interactions
+          .filter(interaction => interaction.type === 'bookmark_add')
+          .forEach(interaction => {
+            try {
+              const { url, title } = JSON.parse(interaction.data || '{}');
+              if (url && /^https?:/i.test(url)) {
+                entryFor(url, title).bookmarked = true;
+              }
+            } catch {
+              // Not a bookmark we can read
+            }
+          });
+
+        this.historyIndex = Array.from(entries.values());
+        this.historyLoadedAt = Date.now();
+      } catch (error) {
+        console.error('Error loading omnibox history:', error);
+      } finally {
+        this.historyLoading = null;
+      }
+      return this.historyIndex;
+    })();
+    return this.historyLoading;
+  }
+
+  looksLikeUrl(text) {
+    if (/\s/.test(text)) return false;
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(text)) return true;
+    return /^(localhost|[\w-]+(\.[\w-]+)+)(:\d+)?(\/.*)?$/i.test(text);
+  }
+
+  // https://www.github.com/ -> github.com
+  stripUrl(url) {
+    try {
+      const parsed = new URL(url);
+      if (!/^https?:$/.test(parsed.protocol)) return url;
+      const rest = `${parsed.pathname}${parsed.search}`.replace(/^\/$/, '');
+      return `${parsed.host.replace(/^www\./, '')}${rest}`;
+    } catch {
+      return url;
+    }
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    const data = JSON.stringify(this.stats);
+    const tempPath = `${this.statsPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.statsPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.statsPath);
+      } catch (error) {
+        console.error('Error saving omnibox stats:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+module.exports = { OmniboxProvider };
@@ -0,0 +1,310 @@
+const path = require('path');
+const fs = require('fs');
+const { mhtmlToHtml } = require('./MhtmlConverter');
+
+const SAVE_DELAY = 1000;
+const MAX_TAGS = 6;
+const MAX_TEXT_LENGTH = 500000;
+const SNIPPET_LENGTH = 240;
+// A title match counts for this many matches in the text
+const TITLE_WEIGHT = 5;
+const SNAPSHOT_URL = 'nexus://archive/view';
+
+// Pages saved for later: a snapshot of the page as it looked (MHTML, or the
+// page's HTML when Chromium can't make one) and its text, which is what
+// search runs on and what can be read when the snapshot won't open.
+// Tags are the page's topics according to RealTimeAnalyzer. Snapshots are
+// shown at nexus://archive/view, never as file:// URLs.
+class PageArchive {
+  constructor(realTimeAnalyzer, embeddingService, archiveDir = path.join(__dirname, '../../data/archive')) {
+    this.analyzer = realTimeAnalyzer;
+    this.embeddings = embeddingService;
+    this.archiveDir = archiveDir;
+    this.indexPath = path.join(archiveDir, 'archive.json');
+    // Newest first
+    this.pages = [];
+    this.pageCounter = 0;
+    // Full-text index: term -> Map(page id -> occurrences)
+    this.terms = new Map();
+    // Terms per page, so a page can be taken out of the index again
+    this.pageTerms = new Map();
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.indexPath, 'utf8'));
+      this.pages = Array.isArray(data.pages) ? data.pages : [];
+      this.pageCounter = data.pageCounter || 0;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading page archive:', error);
+      }
+    }
+
+    // The index isn't stored; it's rebuilt from the saved text
+    for (const page of this.pages) {
+      this.indexPage(page, await this.readText(page));
+    }
+    console.log(`🗄️ Loaded ${this.pages.length} archived page(s)`);
+  }
+
+  getFilePath(name) {
+    return path.join(this.archiveDir, name);
+  }
+
+  async readText(page) {
+    try {
+      return await fs.promises.readFile(this.getFilePath(page.textFile), 'utf8');
+    } catch (error) {
+      console.error(`Error reading archived text for ${page.id}:`, error);
+      return '';
+    }
+  }
+
+  // pageData comes from TabManager.extractPageData, so the text is the
+  // article when the page has one
+  async savePage(webContents, pageData) {
+    if (!/^https?:/i.test(pageData.url || '')) {
+      throw new Error('Only web pages can be archived');
+    }
+
+    this.pageCounter++;
+    const id = `page-${Date.now()}-${this.pageCounter}`;
+    await fs.promises.mkdir(this.archiveDir, { recursive: true });
+
+    const snapshot = await this.saveSnapshot(webContents, id);
+    const text = (pageData.content || '').slice(0, MAX_TEXT_LENGTH);
+    const textFile = `${id}.txt`;
+    await fs.promises.writeFile(this.getFilePath(textFile), text);
+
+    const page = {
+      id,
+      url: pageData.url,
+      title: pageData.article?.title || pageData.title || pageData.url,
+      siteName: pageData.article?.siteName || null,
+      byline: pageData.article?.byline || null,
+      publishedTime: pageData.article?.publishedTime || null,
+      excerpt: pageData.article?.excerpt || text.slice(0, SNIPPET_LENGTH),
+      savedAt: Date.now(),
+      format: snapshot.format,
+      snapshotFile: snapshot.file,
+      textFile,
+      size: snapshot.size,
+      wordCount: text ? text.split(/\s+/).length : 0,
+      ...await this.tagPage(pageData)
+    };
+
+    this.pages.unshift(page);
+    this.indexPage(page, text);
+    this.scheduleSave();
+    console.log(`🗄️ Archived page ${page.id} as ${page.format}`);
+    return this.describePage(page);
+  }
+
+  async saveSnapshot(webContents, id) {
+    for (const [format, extension] of [['MHTML', 'mhtml'], ['HTMLOnly', 'html']]) {
+      const file = `${id}.${extension}`;
+      try {
+        await webContents.savePage(this.getFilePath(file), format);
+        const { size } = await fs.promises.stat(this.getFilePath(file));
+        return { format: extension, file, size };
+      } catch (error) {
+        console.error(`Error saving ${format} snapshot:`, error);
+      }
+    }
+    throw new Error('Could not save a snapshot of the page');
+  }
+
+  async tagPage(pageData) {
+    try {
+      const analysis = this.analyzer.activeAnalyses.get(pageData.url) || await this.analyzer.analyzePage(pageData);
+      const content = analysis?.content || {};
+      const tags = [...new Set((content.topics || []).map(topic => topic.term.toLowerCase().trim()))]
+        .filter(Boolean)
+        .slice(0, MAX_TAGS);
+      return { category: content.category?.primary || null, tags };
+    } catch (error) {
+      console.error('Error tagging archived page:', error);
+      return { category: null, tags: [] };
+    }
+  }
+
+  indexPage(page, text) {
+    const counts = new Map();
+    const add = (tokens, weight) => tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    add(this.embeddings.tokenize(page.title), TITLE_WEIGHT);
+    add(this.embeddings.tokenize(page.tags.join(' ')), TITLE_WEIGHT);
+    add(this.embeddings.tokenize(text), 1);
+
+    counts.forEach((count, term) => {
+      if (!this.terms.has(term)) {
+        this.terms.set(term, new Map());
+      }
+      this.terms.get(term).set(page.id, count);
+    });
+    this.pageTerms.set(page.id, Array.from(counts.keys()));
+  }
+
+  unindexPage(pageId) {
+    (this.pageTerms.get(pageId) || []).forEach(term => {
+      const postings = this.terms.get(term);
+      postings?.delete(pageId);
+      if (postings?.size === 0) {
+        this.terms.delete(term);
+      }
+    });
+    this.pageTerms.delete(pageId);
+  }
+
+  // Without a query, the newest pages; a tag narrows either down
+  async list({ query = '', tag = null, limit = 50 } = {}) {
+    const pages = tag ? this.pages.filter(page => page.tags.includes(tag)) : this.pages;
+    if (!query.trim()) {
+      return pages.slice(0, limit).map(page => this.describePage(page));
+    }
+
+    const queryTerms = [...new Set(this.embeddings.tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    // TF-IDF, with pages that have every term first
+    const scores = new Map();
+    queryTerms.forEach(term => {
+      const postings = this.terms.get(term);
+      if (!postings) return;
+      const idf = Math.log(1 + this.pages.length / postings.size);
+      postings.forEach((count, pageId) => {
+        const score = scores.get(pageId) || { score: 0, matched: 0 };
+        score.score += (1 + Math.log(count)) * idf;
+        score.matched++;
+        scores.set(pageId, score);
+      });
+    });
+
+    const results = pages
+      .filter(page => scores.has(page.id))
+      .sort((a, b) => {
+        const scoreA = scores.get(a.id);
+        const scoreB = scores.get(b.id);
+        return (scoreB.matched - scoreA.matched) || (scoreB.score - scoreA.score);
+      })
+      .slice(0, limit);
+
+    return Promise.all(results.map(async page => ({
+      ...this.describePage(page),
+      snippet: this.getSnippet(await this.readText(page), queryTerms) || page.excerpt
+    })));
+  }
+
+  // The sentence with the most query terms in it
+  getSnippet(text, queryTerms) {
+    const terms = new Set(queryTerms);
+    let best = null;
+    let bestOverlap = 0;
+
+    for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+      const overlap = this.embeddings.tokenize(sentence).filter(term => terms.has(term)).length;
+      if (overlap > bestOverlap) {
+        best = sentence;
+        bestOverlap = overlap;
+      }
+    }
+
+    if (!best) return null;
+    return best.length > SNIPPET_LENGTH ? `${best.slice(0, SNIPPET_LENGTH)}…` : best;
+  }
+
+  getAllTags() {
+    const counts = new Map();
+    this.pages.forEach(page => page.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count);
+  }
+
+  async getPage(pageId) {
+    const page = this.pages.find(candidate => candidate.id === pageId);
+    return page ? { ...this.describePage(page), text: await this.readText(page) } : null;
+  }
+
+  describePage(page) {
+    const { snapshotFile, textFile, ...rest } = page;
+    return rest;
+  }
+
+  getSnapshotUrl(pageId) {
+    return `${SNAPSHOT_URL}?id=${encodeURIComponent(pageId)}`;
+  }
+
+  // The snapshot as one HTML document, with links resolving against the
+  // page it was saved from
+  async getSnapshot(pageId) {
+    const page = this.pages.find(candidate => candidate.id === pageId);
+    if (!page) return null;
+
+    // Whatever the index says, only files in the archive are read
+    const archiveDir = path.resolve(this.archiveDir);
+    const filePath = path.resolve(archiveDir, page.snapshotFile);
+    if (!filePath.startsWith(archiveDir + path.sep)) {
+      console.warn(`🚫 Refused to read ${filePath} outside the archive`);
+      return null;
+    }
+
+    try {
+      const html = page.format === 'mhtml'
+        ? mhtmlToHtml(await fs.promises.readFile(filePath, 'latin1'))
+        : await fs.promises.readFile(filePath, 'utf8');
+      return this.addBaseUrl(html, page.url);
+    } catch (error) {
+      console.error(`Error reading snapshot of ${page.id}:`, error);
+      return null;
+    }
+  }
+
+  addBaseUrl(html, url) {
+    const base = `<base href="${url.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')}">`;
+    const head = /<head(\s[^>]*)?>/i.exec(html);
+    return head
+      ? `${html.slice(0, head.index + head[0].length)}${base}${html.slice(head.index + head[0].length)}`
+      : `${base}${html}`;
+  }
+
+  async deletePage(pageId) {
+    const page = this.pages.find(candidate => candidate.id === pageId);
+    if (!page) return false;
+
+    this.pages = this.pages.filter(candidate => candidate !== page);
+    this.unindexPage(pageId);
+    await Promise.all([page.snapshotFile, page.textFile].map(file => (
+      fs.promises.unlink(this.getFilePath(file)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error deleting ${file}:`, error);
+        }
+      })
+    )));
+    this.scheduleSave();
+    return true;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  save() {
+    const data = JSON.stringify({ pageCounter: this.pageCounter, pages: this.pages });
+    const tempPath = `${this.indexPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.indexPath);
+      } catch (error) {
+        console.error('Error saving page archive:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+}
+
+module.exports = { PageArchive };
@@ -0,0 +1,268 @@
+// Finds the main content of a page, Readability style: paragraphs score
+// their ancestors, the best scoring element is the article and its
+// siblings join it if they look like more of the same. Runs inside the
+// page, so only what's rendered counts, like innerText in extractPageData.
+const MIN_ARTICLE_LENGTH = 500;
+const MAX_CONTENT_LENGTH = 500000;
+
+// Serialized into the page by getScript; must not use anything from this module
+function extractArticle({ minLength, maxLength }) {
+  const SKIP_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'NAV', 'FOOTER', 'HEADER', 'ASIDE', 'FORM',
+    'IFRAME', 'SVG', 'CANVAS', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'DIALOG', 'OBJECT', 'EMBED'
+  ]);
+  const SKIP_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'dialog', 'menu', 'menubar', 'alert']);
+  const UNLIKELY = /comment|footer|footnote|nav|menu|sidebar|share|social|related|advert|\bads?\b|sponsor|promo|cookie|consent|banner|popup|modal|subscribe|newsletter|signup|breadcrumb|pagination|skip/i;
+  const LIKELY = /article|body|content|main|post|story|entry|text|blog/i;
+  const NEGATIVE = /hidden|comment|footer|meta|sidebar|widget|shoutbox|sponsor|related|share|tags/i;
+  const POSITIVE = /article|body|content|entry|main|page|post|story|text|blog/i;
+  // Tags kept in the clean article; anything else is replaced by its content
+  const KEEP_TAGS = new Set([
+    'P', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'CODE', 'EM', 'I', 'STRONG', 'B',
+    'A', 'IMG', 'FIGURE', 'FIGCAPTION', 'BR', 'HR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'SUP', 'SUB',
+    'DL', 'DT', 'DD', 'DIV', 'SECTION'
+  ]);
+  const BLOCK_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'P', 'UL', 'OL', 'TABLE', 'PRE', 'BLOCKQUOTE', 'FIGURE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+  const body = document.body;
+  if (!body) return null;
+
+  const skipped = new Map();
+  const isSkipped = (node) => {
+    if (node === body) return false;
+    if (skipped.has(node)) return skipped.get(node);
+
+    const className = typeof node.className === 'string' ? node.className : '';
+    const matchString = `${className} ${node.id}`;
+    const result = SKIP_TAGS.has(node.tagName.toUpperCase()) ||
+      SKIP_ROLES.has(node.getAttribute('role')) ||
+      node.getAttribute('aria-hidden') === 'true' ||
+      node.hidden ||
+      (node.checkVisibility && !node.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })) ||
+      (UNLIKELY.test(matchString) && !LIKELY.test(matchString) && node.tagName !== 'ARTICLE');
+    skipped.set(node, result);
+    return result;
+  };
+
+  const isInSkipped = (node) => {
+    for (let current = node; current && current !== body; current = current.parentElement) {
+      if (isSkipped(current)) return true;
+    }
+    return false;
+  };
+
+  // innerText means layout, so both are worked out once per element
+  const texts = new Map();
+  const getText = (node) => {
+    if (!texts.has(node)) {
+      texts.set(node, (node.innerText || '').replace(/\s+/g, ' ').trim());
+    }
+    return texts.get(node);
+  };
+
+  const densities = new Map();
+  const getLinkDensity = (node) => {
+    if (!densities.has(node)) {
+      const length = getText(node).length;
+      const linkLength = Array.from(node.querySelectorAll('a')).reduce((sum, link) => sum + getText(link).length, 0);
+      densities.set(node, length ? linkLength / length : 0);
+    }
+    return densities.get(node);
+  };
+
+  const getClassWeight = (node) => {
+    const matchString = `${typeof node.className === 'string' ? node.className : ''} ${node.id}`;
+    return (POSITIVE.test(matchString) ? 25 : 0) - (NEGATIVE.test(matchString) ? 25 : 0);
+  };
+
+  const TAG_WEIGHTS = { ARTICLE: 10, MAIN: 10, DIV: 5, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, FORM: -3, UL: -3, OL: -3, LI: -3, TH: -5 };
+  const scores = new Map();
+  const addScore = (node, score) => {
+    if (!node || node === document.documentElement) return;
+    if (!scores.has(node)) {
+      scores.set(node, (TAG_WEIGHTS[node.tagName] || 0) + getClassWeight(node));
+    }
+    scores.set(node, scores.get(node) + score);
+  };
+
+  // Paragraphs, and divs used as paragraphs, vote for their parents
+  const paragraphs = Array.from(body.querySelectorAll('p, pre, td, blockquote, div'))
+    .filter(node => node.tagName !== 'DIV' || !Array.from(node.children).some(child => BLOCK_TAGS.has(child.tagName)));
+  paragraphs.forEach(paragraph => {
+    if (isInSkipped(paragraph)) return;
+    const text = getText(paragraph);
+    if (text.length < 25) return;
+
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parentElement, score);
+    addScore(paragraph.parentElement?.parentElement, score / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, node) => {
+    const adjusted = score * (1 - getLinkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  });
+  if (!top) return null;
+
+  // A lone paragraph wrapper usually sits inside the real article
+  while (top.parentElement && top.parentElement !== body && getText(top.parentElement).length < getText(top).length * 1.25) {
+    top = top.parentElement;
+  }
+
+  // Siblings that scored well, or read like body text, belong to the article too
+  const threshold = Math.max(10, topScore * 0.2);
+  const parts = top.parentElement
+    ? Array.from(top.parentElement.children).filter(sibling => {
+      if (sibling === top) return true;
+      if (isSkipped(sibling)) return false;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+      const text = getText(sibling);
+      return sibling.tagName === 'P' && getLinkDensity(sibling) < 0.25 && text.length > 80;
+    })
+    : [top];
+
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const safeUrl = (url, { allowData = false } = {}) => {
+    if (!url) return null;
+    try {
+      const parsed = new URL(url, document.baseURI);
+      if (/^https?:$/.test(parsed.protocol) || parsed.protocol === 'mailto:') return parsed.href;
+      return allowData && /^data:image\//i.test(url) ? url : null;
+    } catch {
+      return null;
+    }
+  };
+
+  // Clean HTML: kept tags with a few safe attributes, everything else unwrapped
+  let length = 0;
+  const serialize = (node, inPre = false) => {
+    if (length > maxLength) return '';
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      const text = inPre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+      length += text.length;
+      return escape(text);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || isSkipped(node)) return '';
+
+    const tag = node.tagName.toUpperCase();
+    // Lists and tables of mostly links are navigation of some kind
+    if (['UL', 'OL', 'TABLE', 'DIV', 'SECTION'].includes(tag) && getLinkDensity(node) > 0.5 && getText(node).length < 1000) {
+      return '';
+    }
+
+    const children = () => Array.from(node.childNodes).map(child => serialize(child, inPre || tag === 'PRE')).join('');
+
+    if (tag === 'IMG') {
+      const src = safeUrl(node.currentSrc || node.src || node.getAttribute('data-src'), { allowData: true });
+      return src ? `<img src="${escape(src)}" alt="${escape(node.alt || '')}">` : '';
+    }
+    if (tag === 'A') {
+      const href = safeUrl(node.getAttribute('href'));
+      const inner = children();
+      return href ? `<a href="${escape(href)}">${inner}</a>` : inner;
+    }
+    if (tag === 'BR' || tag === 'HR') {
+      return `<${tag.toLowerCase()}>`;
+    }
+    // The title is shown separately, so headings start a level down
+    const outputTag = tag === 'H1' ? 'H2' : tag;
+    if (!KEEP_TAGS.has(outputTag)) {
+      return children();
+    }
+
+    const span = ['TD', 'TH'].includes(tag)
+      ? ['colspan', 'rowspan'].filter(name => /^\d+$/.test(node.getAttribute(name) || '')).map(name => ` ${name}="${node.getAttribute(name)}"`).join('')
+      : '';
+    const inner = children();
+    if (!inner.trim() && !['TD', 'TH'].includes(tag)) return '';
+    return `<${outputTag.toLowerCase()}${span}>${inner}</${outputTag.toLowerCase()}>`;
+  };
+
+  const content = parts.map(part => serialize(part)).join('');
+  const textContent = parts.map(getText).join('\n\n');
+  if (textContent.length < minLength) return null;
+
+  // Metadata, from the usual meta tags and JSON-LD
+  const meta = (...names) => {
+    for (const name of names) {
+      const element = document.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+      const value = element?.getAttribute('content')?.trim();
+      if (value) return value;
+    }
+    return null;
+  };
+
+  const jsonLd = Array.from(document.querySelectorAll('script[type="application/ld+json"]')).flatMap(script => {
+    try {
+      const data = JSON.parse(script.textContent);
+      return Array.isArray(data) ? data : data['@graph'] || [data];
+    } catch {
+      return [];
+    }
+  }).find(item => item && /Article|Posting|Report/.test([].concat(item['@type'] || []).join(' '))) || {};
+
+  const ldAuthor = [].concat(jsonLd.author || []).map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean).join(', ');
+  const bylineElement = top.querySelector('[rel="author"], [itemprop="author"], .byline, .author') ||
+    document.querySelector('[rel="author"], [itemprop="author"], .byline');
+  const metaAuthor = meta('author', 'article:author');
+  const byline = (ldAuthor || (metaAuthor && !/^https?:/.test(metaAuthor) ? metaAuthor : null) ||
+    (bylineElement ? getText(bylineElement) : '')).slice(0, 120) || null;
+
+  const timeElement = top.querySelector('time[datetime]') || document.querySelector('article time[datetime], time[pubdate]');
+  const published = jsonLd.datePublished || meta('article:published_time', 'datePublished', 'date', 'pubdate') ||
+    timeElement?.getAttribute('datetime');
+  const publishedTime = published && !Number.isNaN(Date.parse(published)) ? new Date(published).toISOString() : null;
+
+  const contentImage = parts.map(part => part.querySelector('img')).find(image => image && image.naturalWidth >= 300);
+  const ldImage = [].concat(jsonLd.image || [])[0];
+  const leadImage = safeUrl(meta('og:image', 'twitter:image') || (typeof ldImage === 'string' ? ldImage : ldImage?.url)) ||
+    safeUrl(contentImage?.currentSrc || contentImage?.src);
+
+  const heading = top.querySelector('h1') || document.querySelector('h1');
+  const title = meta('og:title', 'twitter:title') || (heading && getText(heading)) || document.title;
+
+  return {
+    url: window.location.href,
+    title,
+    byline,
+    publishedTime,
+    leadImage,
+    siteName: meta('og:site_name', 'application-name') || jsonLd.publisher?.name || window.location.hostname,
+    excerpt: meta('description', 'og:description') || textContent.slice(0, 200),
+    lang: document.documentElement.lang || null,
+    dir: document.dir || null,
+    content,
+    textContent,
+    wordCount: textContent.split(/\s+/).length
+  };
+}
+
+class ReaderExtractor {
+  constructor({ minLength = MIN_ARTICLE_LENGTH, maxLength = MAX_CONTENT_LENGTH } = {}) {
+    this.options = { minLength, maxLength };
+  }
+
+  // An expression for use inside other page scripts; null when the page
+  // has nothing that reads like an article
+  getScript() {
+    return `(${extractArticle.toString()})(${JSON.stringify(this.options)})`;
+  }
+
+  async extract(webContents) {
+    try {
+      return await webContents.executeJavaScript(this.getScript());
+    } catch (error) {
+      console.error('Error extracting article:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = { ReaderExtractor };
@@ -0,0 +1,226 @@
+const { net } = require('electron');
+const { URL } = require('url');
+
+const QUERY_PLACEHOLDER = '%s';
+// Found through OpenSearch; the oldest go first past this
+const MAX_DISCOVERED_ENGINES = 50;
+const MAX_DESCRIPTION_BYTES = 64 * 1024;
+
+// Always available; they can be made the default but not removed
+const BUILTIN_ENGINES = [
+  { id: 'google', name: 'Google', keyword: 'g', url: 'https://www.google.com/search?q=%s' },
+  { id: 'duckduckgo', name: 'DuckDuckGo', keyword: 'd', url: 'https://duckduckgo.com/?q=%s' },
+  { id: 'bing', name: 'Bing', keyword: 'b', url: 'https://www.bing.com/search?q=%s' },
+  { id: 'wikipedia', name: 'Wikipedia', keyword: 'w', url: 'https://en.wikipedia.org/w/index.php?search=%s' },
+  { id: 'youtube', name: 'YouTube', keyword: 'yt', url: 'https://www.youtube.com/results?search_query=%s' },
+  { id: 'github', name: 'GitHub', keyword: 'gh', url: 'https://github.com/search?q=%s' },
+  // Searches browsing history by meaning, on the history page
+  { id: 'history', name: 'My history', keyword: '@history', url: 'nexus://history/?q=%s' }
+];
+
+const DEFAULT_ENGINE_ID = 'google';
+
+// Turns address bar input that isn't a URL into a search URL. Engines are
+// %s templates; "w rust" searches Wikipedia through its keyword. Besides the
+// built-in ones, the user can add engines and pages can offer theirs through
+// an OpenSearch description, kept under the site's hostname as keyword.
+class SearchEngineRegistry {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    // Hosts whose OpenSearch description was already looked at this run
+    this.checkedHosts = new Set();
+  }
+
+  getConfig() {
+    return this.settingsManager.get('search', {});
+  }
+
+  getEngines() {
+    const custom = Array.isArray(this.getConfig().engines) ? this.getConfig().engines : [];
+    return [
+      ...BUILTIN_ENGINES.map(engine => ({ ...engine, source: 'builtin' })),
+      ...custom
+    ];
+  }
+
+  getEngine(engineId) {
+    return this.getEngines().find(engine => engine.id === engineId) || null;
+  }
+
+  getDefaultEngine() {
+    return this.getEngine(this.getConfig().defaultEngine) || this.getEngine(DEFAULT_ENGINE_ID);
+  }
+
+  getState() {
+    return {
+      defaultEngine: this.getDefaultEngine().id,
+      engines: this.getEngines()
+    };
+  }
+
+  buildUrl(engine, query) {
+    return engine.url.split(QUERY_PLACEHOLDER).join(encodeURIComponent(query));
+  }
+
+  // "w rust" -> Wikipedia's search for "rust"; null when the first word
+  // isn't a keyword or nothing follows it
+  matchKeyword(input) {
+    const match = /^(\S+)\s+(.+)$/.exec(input.trim());
+    if (!match) return null;
+
+    const keyword = match[1].toLowerCase();
+    const engine = this.getEngines().find(candidate => candidate.keyword?.toLowerCase() === keyword);
+    return engine ? this.buildUrl(engine, match[2].trim()) : null;
+  }
+
+  getSearchUrl(query) {
+    return this.buildUrl(this.getDefaultEngine(), query.trim());
+  }
+
+  async setDefaultEngine(engineId) {
+    if (!this.getEngine(engineId)) {
+      throw new Error(`Unknown search engine: ${engineId}`);
+    }
+    await this.settingsManager.set('search.defaultEngine', engineId);
+    return this.getState();
+  }
+
+  async addEngine({ name, keyword, url }) {
+    const engine = this.validateEngine({ name, keyword, url });
+    const custom = this.getEngines().filter(existing => existing.source !== 'builtin');
+
+    await this.saveEngines([...custom, { ...engine, id: `custom-${Date.now()}`, source: 'user' }]);
+    console.log(`🔎 Added search engine ${engine.name} (${engine.keyword})`);
+    return this.getState();
+  }
+
+  async removeEngine(engineId) {
+    const engine = this.getEngine(engineId);
+    if (!engine) {
+      throw new Error(`Unknown search engine: ${engineId}`);
+    }
+    if (engine.source === 'builtin') {
+      throw new Error('Built-in search engines cannot be removed');
+    }
+
+    await this.saveEngines(this.getEngines().filter(existing => existing.source !== 'builtin' && existing.id !== engineId));
+    // Removing the default falls back to the built-in default
+    if (this.getConfig().defaultEngine === engineId) {
+      await this.settingsManager.set('search.defaultEngine', DEFAULT_ENGINE_ID);
+    }
+    return this.getState();
+  }
+
+  validateEngine({ name, keyword, url }) {
+    const engine = {
+      name: String(name || '').trim(),
+      keyword: String(keyword || '').trim().toLowerCase(),
+      url: String(url || '').trim()
+    };
+
+    if (!engine.name) {
+      throw new Error('A search engine needs a name');
+    }
+    if (!engine.keyword || /\s/.test(engine.keyword)) {
+      throw new Error('A keyword is a single word, like "w" for Wikipedia');
+    }
+    if (this.getEngines().some(existing => existing.keyword?.toLowerCase() === engine.keyword)) {
+      throw new Error(`The keyword "${engine.keyword}" is already used`);
+    }
+    if (!engine.url.includes(QUERY_PLACEHOLDER)) {
+      throw new Error('The URL must contain %s where the search terms go');
+    }
+
+    let protocol;
+    try {
+      protocol = new URL(engine.url.split(QUERY_PLACEHOLDER).join('test')).protocol;
+    } catch {
+      throw new Error('Invalid search URL');
+    }
+    if (protocol !== 'https:' && protocol !== 'http:') {
+      throw new Error('Search URLs must be http or https');
+    }
+
+    return engine;
+  }
+
+  async saveEngines(engines) {
+    // Only the newest discovered engines are kept; the user's own always are
+    const discovered = engines.filter(engine => engine.source === 'opensearch');
+    const dropped = new Set(discovered.slice(0, Math.max(0, discovered.length - MAX_DISCOVERED_ENGINES)));
+    await this.settingsManager.set('search.engines', engines.filter(engine => !dropped.has(engine)));
+  }
+
+  // OpenSearch discovery: a page links its description with
+  // <link rel="search" type="application/opensearchdescription+xml">.
+  // Only descriptions on the page's own host are used, with a template on
+  // that host too, so a page can't register a search for another site.
+  async discover(pageUrl, descriptionUrl) {
+    if (this.getConfig().discoverEngines === false || !descriptionUrl) return null;
+
+    let page;
+    let description;
+    try {
+      page = new URL(pageUrl);
+      description = new URL(descriptionUrl, pageUrl);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(page.protocol) || description.hostname !== page.hostname) return null;
+
+    const keyword = page.hostname.replace(/^www\./, '');
+    if (this.checkedHosts.has(keyword)) return null;
+    this.checkedHosts.add(keyword);
+    if (this.getEngines().some(engine => engine.keyword?.toLowerCase() === keyword)) return null;
+
+    try {
+      const response = await net.fetch(description.href);
+      if (!response.ok) return null;
+
+      const xml = (await response.text()).slice(0, MAX_DESCRIPTION_BYTES);
+      const parsed = this.parseDescription(xml);
+      if (!parsed || new URL(parsed.url.split(QUERY_PLACEHOLDER).join('test')).hostname !== page.hostname) return null;
+
+      const engine = this.validateEngine({ name: parsed.name, keyword, url: parsed.url });
+      const custom = this.getEngines().filter(existing => existing.source !== 'builtin');
+      const added = { ...engine, id: `opensearch-${keyword}`, source: 'opensearch' };
+      await this.saveEngines([...custom, added]);
+
+      console.log(`🔎 Found search engine ${added.name} on ${keyword}`);
+      return added;
+    } catch (error) {
+      console.error('Error reading OpenSearch description:', error.message);
+      return null;
+    }
+  }
+
+  // The name and HTML search template out of an OpenSearch description;
+  // {searchTerms} becomes %s and optional parameters are left out
+  parseDescription(xml) {
+    const name = /<ShortName>([^<]*)<\/ShortName>/i.exec(xml)?.[1];
+    const urlTag = (xml.match(/<Url\b[^>]*>/gi) || []).find(tag => /\btype=["']text\/html["']/i.test(tag));
+    const template = urlTag && /\btemplate=["']([^"']+)["']/i.exec(urlTag)?.[1];
+    if (!name || !template) return null;
+
+    const url = this.decodeEntities(template)
+      .replace(/\{searchTerms\}/g, QUERY_PLACEHOLDER)
+      .replace(/\{inputEncoding\??\}|\{outputEncoding\??\}/g, 'UTF-8')
+      .replace(/\{[^}]+\?\}/g, '');
+
+    // Any required parameter left is one we can't fill in
+    if (/\{[^}]+\}/.test(url)) return null;
+
+    return { name: this.decodeEntities(name).trim(), url };
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = { SearchEngineRegistry, BUILTIN_ENGINES };
@@ -0,0 +1,272 @@
+const path = require('path');
+const fs = require('fs');
+
+// Version 1 held a single window's tabs at the top level
+const SESSION_VERSION = 2;
+const SAVE_DELAY = 1000;
+const SCROLL_CAPTURE_INTERVAL = 10000;
+const MAX_CLOSED_TABS = 25;
+
+// Keeps the open windows and their tabs on disk so they survive a restart or
+// a crash. The file is rewritten shortly after every tab change with
+// `cleanExit: false`; only closing the last window or quitting sets it to
+// true, so finding false on startup means the app went down with tabs open.
+class SessionManager {
+  constructor(sessionPath = path.join(__dirname, '../../data/session.json')) {
+    this.sessionPath = sessionPath;
+    // One per open browser window, in the order the windows were opened
+    this.tabManagers = new Set();
+    // Opens a window for a saved one and returns its tab manager
+    this.openWindow = null;
+    // Windows from the last run, kept until they are restored or discarded
+    this.previousSession = null;
+    this.uncleanExit = false;
+    this.recentlyClosed = [];
+    this.saveTimer = null;
+    this.scrollTimer = null;
+    this.exiting = false;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.sessionPath, 'utf8'));
+
+      // A session the user hadn't answered the restore prompt for yet
+      // survives another crash
+      const previous = this.readSession(data.pendingRestore || data);
+      if (previous.windows.length > 0) {
+        this.previousSession = previous;
+        this.uncleanExit = Boolean(data.pendingRestore) || !data.cleanExit;
+      }
+      // Workspace and group ids from another run mean nothing now
+      this.recentlyClosed = (Array.isArray(data.recentlyClosed) ? data.recentlyClosed : [])
+        .map(({ workspaceId, groupId, ...state }) => state);
+
+      if (this.uncleanExit) {
+        console.log(`⚠️ Previous session ended unexpectedly with ${this.countTabs(previous)} tab(s) open`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading session:', error);
+      }
+    }
+  }
+
+  // Both file versions as { windows, savedAt }, leaving out windows without tabs
+  readSession(data) {
+    const windows = Array.isArray(data.windows)
+      ? data.windows
+      : [{ tabs: data.tabs, activeIndex: data.activeIndex, layout: data.layout }];
+
+    return {
+      windows: windows.filter(window => Array.isArray(window?.tabs) && window.tabs.length > 0),
+      savedAt: data.savedAt
+    };
+  }
+
+  countTabs(session) {
+    return session.windows.reduce((total, window) => total + window.tabs.length, 0);
+  }
+
+  setWindowOpener(openWindow) {
+    this.openWindow = openWindow;
+  }
+
+  // Called with each new window's tab manager; private windows aren't saved
+  addTabManager(tabManager) {
+    const first = this.tabManagers.size === 0;
+    this.tabManagers.add(tabManager);
+    tabManager.setSessionManager(this);
+    if (!first) return;
+
+    this.exiting = false;
+    this.scrollTimer = setInterval(() => this.captureActiveScroll(), SCROLL_CAPTURE_INTERVAL);
+
+    // After a clean exit the last session comes back without asking
+    if (this.previousSession && !this.uncleanExit) {
+      this.restore(tabManager);
+    }
+  }
+
+  // A window closing with others still open just drops out of the session
+  removeTabManager(tabManager) {
+    this.tabManagers.delete(tabManager);
+    tabManager.setSessionManager(null);
+
+    if (this.tabManagers.size === 0) {
+      clearInterval(this.scrollTimer);
+      clearTimeout(this.saveTimer);
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  getRestoreState() {
+    const session = this.previousSession;
+    const tabs = session ? session.windows.flatMap(window => window.tabs) : [];
+    return {
+      available: Boolean(session),
+      uncleanExit: this.uncleanExit,
+      tabCount: tabs.length,
+      windowCount: session ? session.windows.length : 0,
+      savedAt: session?.savedAt || null,
+      tabs: tabs.map(tab => ({ title: tab.title, url: tab.url }))
+    };
+  }
+
+  // The first saved window's tabs go into the given window (the one that
+  // asked); each other saved window opens a new one
+  restore(tabManager = this.tabManagers.values().next().value) {
+    const session = this.previousSession;
+    if (!session || !tabManager) {
+      return { restored: 0 };
+    }
+
+    this.previousSession = null;
+    this.uncleanExit = false;
+
+    let restored = 0;
+    session.windows.forEach((windowState, i) => {
+      const target = i === 0 ? tabManager : this.openWindow?.(windowState.bounds);
+      if (target) {
+        restored += this.restoreWindow(target, windowState);
+      }
+    });
+
+    console.log(`🗂️ Restored ${restored} tab(s) in ${session.windows.length} window(s) from the previous session`);
+    this.scheduleSave();
+    return { restored, windows: session.windows.length };
+  }
+
+  restoreWindow(tabManager, windowState) {
+    const ids = tabManager.restoreLayout(windowState.layout);
+    const tabIds = windowState.tabs.map(state => tabManager.restoreTab({
+      ...state,
+      workspaceId: ids.workspaces[state.workspaceId],
+      groupId: ids.groups[state.groupId]
+    }, true));
+    const activeTabId = tabIds[windowState.activeIndex] || tabIds[tabIds.length - 1];
+    if (activeTabId) {
+      tabManager.setActiveTab(activeTabId);
+    }
+    return tabIds.length;
+  }
+
+  discard() {
+    this.previousSession = null;
+    this.uncleanExit = false;
+    this.scheduleSave();
+  }
+
+  // Recently closed tabs, newest first
+  recordClosedTab(state) {
+    this.recentlyClosed.unshift({ ...state, closedAt: Date.now() });
+    this.recentlyClosed = this.recentlyClosed.slice(0, MAX_CLOSED_TABS);
+    this.scheduleSave();
+  }
+
+  popClosedTab() {
+    const state = this.recentlyClosed.shift() || null;
+    if (state) {
+      this.scheduleSave();
+    }
+    return state;
+  }
+
+  getRecentlyClosed() {
+    return this.recentlyClosed.map(({ url, title, closedAt }) => ({ url, title, closedAt }));
+  }
+
+  // Scroll position isn't reported by any event, so each window's active tab is polled
+  async captureActiveScroll() {
+    for (const tabManager of this.tabManagers) {
+      const tab = tabManager.tabs.get(tabManager.activeTabId);
+      if (!tab) continue;
+
+      const previous = tab.scroll;
+      const scroll = await tabManager.captureScroll(tab);
+      if (scroll && (scroll.x !== previous?.x || scroll.y !== previous?.y)) {
+        this.scheduleSave();
+      }
+    }
+  }
+
+  snapshotWindow(tabManager) {
+    const tabs = Array.from(tabManager.tabs.values());
+    const window = tabManager.mainWindow;
+
+    return {
+      activeIndex: tabs.findIndex(tab => tab.id === tabManager.activeTabId),
+      tabs: tabs.map(tab => tabManager.serializeTab(tab)),
+      layout: tabManager.getLayout(),
+      bounds: window && !window.isDestroyed() ? window.getNormalBounds() : null
+    };
+  }
+
+  snapshot(cleanExit = false) {
+    return {
+      version: SESSION_VERSION,
+      savedAt: Date.now(),
+      cleanExit,
+      windows: Array.from(this.tabManagers)
+        .map(tabManager => this.snapshotWindow(tabManager))
+        .filter(window => window.tabs.length > 0),
+      recentlyClosed: this.recentlyClosed,
+      pendingRestore: this.uncleanExit ? this.previousSession : undefined
+    };
+  }
+
+  scheduleSave() {
+    if (this.exiting || this.tabManagers.size === 0) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY);
+  }
+
+  // Written to a temporary file and renamed, so a crash mid-write leaves the
+  // previous session intact
+  save() {
+    if (this.exiting || this.tabManagers.size === 0) return this.writeQueue;
+
+    const data = JSON.stringify(this.snapshot(false));
+    const tempPath = `${this.sessionPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      // Don't overwrite the clean-exit marker with an older snapshot
+      if (this.exiting) return;
+      try {
+        await fs.promises.mkdir(path.dirname(this.sessionPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.sessionPath);
+      } catch (error) {
+        console.error('Error saving session:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  // Synchronous so it completes inside window 'close' and app 'before-quit'.
+  // Once a clean exit is written, windows closing after it don't overwrite it.
+  saveSync(cleanExit = true) {
+    clearTimeout(this.saveTimer);
+    if (this.exiting || this.tabManagers.size === 0) return;
+
+    try {
+      const snapshot = this.snapshot(cleanExit);
+      fs.mkdirSync(path.dirname(this.sessionPath), { recursive: true });
+      fs.writeFileSync(this.sessionPath, JSON.stringify(snapshot));
+      this.exiting = cleanExit;
+
+      // On macOS the app outlives its windows; the next window picks these up
+      if (cleanExit && !this.uncleanExit && snapshot.windows.length > 0) {
+        const { windows, savedAt } = snapshot;
+        this.previousSession = { windows, savedAt };
+      }
+    } catch (error) {
+      console.error('Error saving session:', error);
+    }
+  }
+}
+
+module.exports = { SessionManager };
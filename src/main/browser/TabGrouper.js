@@ -0,0 +1,160 @@
+const { URL } = require('url');
+
+// How much each signal counts towards two tabs belonging together
+const WEIGHTS = {
+  site: 0.45,
+  category: 0.35,
+  topics: 0.4
+};
+
+// Average similarity two clusters need to merge; the same site alone is
+// enough, a shared category needs a confident classification on both pages
+const MERGE_THRESHOLD = 0.35;
+const MIN_GROUP_SIZE = 2;
+
+// Clusters the open tabs of a workspace into groups using the categories and
+// topics RealTimeAnalyzer finds on each page, plus the site it's on
+class TabGrouper {
+  constructor(realTimeAnalyzer) {
+    this.analyzer = realTimeAnalyzer;
+  }
+
+  // Earlier auto groups are redone; groups the user made or renamed, and
+  // the tabs in them, are left alone
+  async autoGroup(tabManager) {
+    const workspaceId = tabManager.activeWorkspaceId;
+    tabManager.getWorkspaceGroups(workspaceId)
+      .filter(group => group.auto)
+      .forEach(group => tabManager.removeGroup(group.id));
+
+    const tabs = tabManager.getWorkspaceTabs(workspaceId)
+      .filter(tab => !tab.groupId && /^https?:/i.test(tab.url));
+    const features = await Promise.all(tabs.map(tab => this.describeTab(tabManager, tab)));
+
+    const groups = this.cluster(features)
+      .filter(cluster => cluster.length >= MIN_GROUP_SIZE)
+      .map(cluster => tabManager.createGroup({
+        name: this.nameCluster(cluster),
+        tabIds: cluster.map(feature => feature.tabId),
+        auto: true
+      }))
+      .filter(Boolean);
+
+    const grouped = groups.reduce((total, group) => total + tabManager.getWorkspaceTabs(workspaceId)
+      .filter(tab => tab.groupId === group.id).length, 0);
+
+    console.log(`🗂️ Auto-grouped ${grouped} of ${tabs.length} tab(s) into ${groups.length} group(s)`);
+    return { groups, grouped, ungrouped: tabs.length - grouped };
+  }
+
+  async describeTab(tabManager, tab) {
+    // Pages are analyzed as they load; only re-run when that failed
+    let analysis = this.analyzer.activeAnalyses.get(tab.url);
+    if (!analysis || analysis.error) {
+      try {
+        analysis = await this.analyzer.analyzePage(await tabManager.extractPageData(tab));
+      } catch (error) {
+        console.error('Error analyzing tab for grouping:', error);
+      }
+    }
+
+    const content = analysis?.content || {};
+    return {
+      tabId: tab.id,
+      title: tab.title,
+      site: this.getSite(tab.url),
+      category: content.category?.primary || 'general',
+      categoryConfidence: content.category?.confidence || 0,
+      topics: new Set((content.topics || []).map(topic => topic.term.toLowerCase()))
+    };
+  }
+
+  // news.bbc.co.uk and www.bbc.co.uk are both bbc.co.uk
+  getSite(url) {
+    try {
+      const labels = new URL(url).hostname.replace(/^www\./, '').split('.');
+      const secondLevel = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+      return labels.slice(secondLevel ? -3 : -2).join('.');
+    } catch {
+      return null;
+    }
+  }
+
+  similarity(a, b) {
+    let score = 0;
+
+    if (a.site && a.site === b.site) {
+      score += WEIGHTS.site;
+    }
+    if (a.category !== 'general' && a.category === b.category) {
+      score += WEIGHTS.category * Math.min(a.categoryConfidence, b.categoryConfidence);
+    }
+
+    const shared = Array.from(a.topics).filter(topic => b.topics.has(topic)).length;
+    const union = new Set([...a.topics, ...b.topics]).size;
+    if (union > 0) {
+      score += WEIGHTS.topics * (shared / union);
+    }
+
+    return score;
+  }
+
+  // Average-linkage agglomerative clustering: keep merging the two closest
+  // clusters until none are close enough. Tab counts are small enough for
+  // the quadratic pair scan.
+  cluster(features) {
+    const clusters = features.map(feature => [feature]);
+
+    const linkage = (a, b) => {
+      let total = 0;
+      a.forEach(x => b.forEach(y => { total += this.similarity(x, y); }));
+      return total / (a.length * b.length);
+    };
+
+    while (clusters.length > 1) {
+      let best = null;
+      for (let i = 0; i < clusters.length; i++) {
+        for (let j = i + 1; j < clusters.length; j++) {
+          const score = linkage(clusters[i], clusters[j]);
+          if (score >= MERGE_THRESHOLD && (!best || score > best.score)) {
+            best = { i, j, score };
+          }
+        }
+      }
+      if (!best) break;
+
+      clusters[best.i] = clusters[best.i].concat(clusters[best.j]);
+      clusters.splice(best.j, 1);
+    }
+
+    return clusters;
+  }
+
+  // The site when they share one, else the category, else the most common topic
+  nameCluster(cluster) {
+    const sites = new Set(cluster.map(feature => feature.site));
+    if (sites.size === 1 && cluster[0].site) {
+      return cluster[0].site;
+    }
+
+    const categories = new Set(cluster.map(feature => feature.category));
+    if (categories.size === 1 && cluster[0].category !== 'general') {
+      return this.capitalize(cluster[0].category);
+    }
+
+    const counts = new Map();
+    cluster.forEach(feature => feature.topics.forEach(topic => counts.set(topic, (counts.get(topic) || 0) + 1)));
+    const [topTopic] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+    if (topTopic && counts.get(topTopic) > 1) {
+      return this.capitalize(topTopic);
+    }
+
+    return this.capitalize(cluster[0].category);
+  }
+
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+module.exports = { TabGrouper };
@@ -0,0 +1,214 @@
+const { app } = require('electron');
+const { URL } = require('url');
+
+const CHECK_INTERVAL = 60 * 1000;
+// Under memory pressure, at most this many tabs are discarded per check
+const PRESSURE_BATCH = 3;
+// Tabs used this recently are kept even under memory pressure
+const PRESSURE_GRACE = 60 * 1000;
+
+// Discards background tabs that have been idle past the configured threshold,
+// or the least recently used ones when the system runs low on memory.
+// Discarded tabs come back on activation (see TabManager.wakeTab).
+class TabHibernator {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    // One per open browser window
+    this.tabManagers = new Set();
+    this.timer = null;
+    // Estimated memory each discarded tab was using, in KB
+    this.savedMemory = new Map();
+    this.stats = {
+      discarded: 0,
+      idleDiscards: 0,
+      pressureDiscards: 0,
+      manualDiscards: 0
+    };
+  }
+
+  // Called with each new window's tab manager; private windows aren't included
+  addTabManager(tabManager) {
+    this.tabManagers.add(tabManager);
+    if (this.tabManagers.size === 1) {
+      this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+  }
+
+  removeTabManager(tabManager) {
+    this.tabManagers.delete(tabManager);
+    this.refresh();
+    if (this.tabManagers.size === 0) {
+      clearInterval(this.timer);
+    }
+  }
+
+  // The tab manager of the window a tab is in; tabs can move between windows
+  findTabManager(tabId) {
+    return Array.from(this.tabManagers).find(tabManager => tabManager.tabs.has(tabId)) || null;
+  }
+
+  getConfig() {
+    return this.settingsManager.get('memorySaver', {});
+  }
+
+  async check() {
+    const config = this.getConfig();
+    if (this.tabManagers.size === 0 || !config.enabled) return;
+
+    try {
+      const idleMs = (config.idleMinutes || 30) * 60 * 1000;
+      const now = Date.now();
+      const candidates = this.getCandidates();
+
+      for (const tab of candidates.filter(tab => now - tab.lastAccessed >= idleMs)) {
+        if (await this.discard(tab)) {
+          this.stats.idleDiscards++;
+        }
+      }
+
+      if (this.isUnderMemoryPressure(config)) {
+        const recent = this.getCandidates().filter(tab => now - tab.lastAccessed >= PRESSURE_GRACE);
+        for (const tab of recent.slice(0, PRESSURE_BATCH)) {
+          if (await this.discard(tab)) {
+            this.stats.pressureDiscards++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error checking for idle tabs:', error);
+    }
+  }
+
+  // Background tabs in any window that are safe to discard, least recently used first
+  getCandidates() {
+    return Array.from(this.tabManagers)
+      .flatMap(tabManager => Array.from(tabManager.tabs.values()))
+      .filter(tab => this.canDiscard(tab))
+      .sort((a, b) => a.lastAccessed - b.lastAccessed);
+  }
+
+  canDiscard(tab) {
+    const tabManager = this.findTabManager(tab.id);
+    if (!tabManager || tab.discarded || tab.loading || tabManager.isTabVisible(tab.id)) return false;
+    if (!/^https?:/i.test(tab.url) || this.isExcepted(tab.url)) return false;
+
+    // Discarding would cut off audio the user is listening to
+    return !tab.view.webContents.isCurrentlyAudible();
+  }
+
+  isExcepted(url) {
+    const hostname = this.getHostname(url);
+    if (!hostname) return false;
+
+    return this.getExceptions().some(site => hostname === site || hostname.endsWith(`.${site}`));
+  }
+
+  isUnderMemoryPressure(config) {
+    try {
+      const { total, free } = process.getSystemMemoryInfo();
+      return total > 0 && free / total < (config.minFreeMemoryRatio || 0.1);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async discard(tab, reason = 'auto') {
+    const memory = this.estimateMemory(tab);
+    const discarded = await this.findTabManager(tab.id)?.discardTab(tab.id);
+    if (!discarded) return false;
+
+    this.savedMemory.set(tab.id, memory);
+    this.stats.discarded++;
+    if (reason === 'manual') {
+      this.stats.manualDiscards++;
+    }
+
+    console.log(`💤 Discarded tab ${tab.id}, ~${Math.round(memory / 1024)} MB`);
+    this.notifyStats();
+    return true;
+  }
+
+  async discardTab(tabId) {
+    const tabManager = this.findTabManager(tabId);
+    const tab = tabManager?.tabs.get(tabId);
+    if (!tab || tab.discarded || tabManager.isTabVisible(tab.id)) return false;
+
+    return this.discard(tab, 'manual');
+  }
+
+  // Working set of the tab's renderer process. Tabs on the same site can
+  // share a process, so this is an upper bound on what discarding frees.
+  estimateMemory(tab) {
+    try {
+      const pid = tab.view.webContents.getOSProcessId();
+      const metric = app.getAppMetrics().find(entry => entry.pid === pid);
+      return metric?.memory?.workingSetSize || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  // Tabs that were reloaded or closed no longer count towards memory saved
+  refresh() {
+    for (const tabId of this.savedMemory.keys()) {
+      if (!this.findTabManager(tabId)?.tabs.get(tabId).discarded) {
+        this.savedMemory.delete(tabId);
+      }
+    }
+  }
+
+  getStats() {
+    this.refresh();
+
+    return {
+      ...this.stats,
+      enabled: Boolean(this.getConfig().enabled),
+      discardedTabs: this.savedMemory.size,
+      memorySavedKB: Array.from(this.savedMemory.values()).reduce((total, kb) => total + kb, 0),
+      exceptions: this.getExceptions()
+    };
+  }
+
+  notifyStats() {
+    const stats = this.getStats();
+    this.tabManagers.forEach(tabManager => tabManager.notifyRenderer('memory-saver-updated', stats));
+  }
+
+  getExceptions() {
+    return this.getConfig().neverDiscard || [];
+  }
+
+  async addException(site) {
+    const hostname = this.getHostname(site);
+    if (!hostname) {
+      throw new Error(`Not a valid site: ${site}`);
+    }
+
+    const exceptions = this.getExceptions();
+    if (!exceptions.includes(hostname)) {
+      await this.settingsManager.set('memorySaver.neverDiscard', [...exceptions, hostname]);
+    }
+    this.notifyStats();
+    return this.getExceptions();
+  }
+
+  async removeException(site) {
+    const hostname = this.getHostname(site) || site;
+    await this.settingsManager.set('memorySaver.neverDiscard', this.getExceptions().filter(entry => entry !== hostname));
+    this.notifyStats();
+    return this.getExceptions();
+  }
+
+  // Accepts a full URL or a bare hostname; "www." is dropped so an exception
+  // covers the whole site
+  getHostname(value) {
+    try {
+      const url = /^[a-z][\w+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+      return new URL(url).hostname.replace(/^www\./, '') || null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = { TabHibernator };
@@ -1,164 +1,403 @@
 const { BrowserView, BrowserWindow, session, shell } = require('electron');
 const { URL } = require('url');
 const path = require('path');
+const crypto = require('crypto-js');
+const { isInternalUrl } = require('./InternalPages');
+const { ReaderExtractor } = require('./ReaderExtractor');
+
+const TAB_PARTITION = 'persist:nexus-browser';
+// In memory only, shared by all private windows and cleared after the last one closes
+const PRIVATE_PARTITION = 'nexus-private';
+const NEW_TAB_URL = 'nexus://newtab/';
+// Shown in place of a page whose certificate wasn't accepted
+const CERT_ERROR_URL = 'nexus://certerror/';
+const READER_URL = 'nexus://reader/';
+// Split view: gap left between views for the renderer's divider, the
+// smallest share a view can be dragged down to, and how many tabs can tile
+const SPLIT_DIVIDER_SIZE = 6;
+const MIN_SPLIT_SIZE = 0.15;
+const MAX_SPLIT_TABS = 4;
+// How long to wait for a page that never finishes loading
+const LOAD_TIMEOUT = 15000;
+// Named colors; the renderer picks the actual shades for its theme
+const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
+// Shared by every window's tab manager, so a tab keeps its id when it moves
+// to another window
+let tabCounter = 0;
+
+function isFileUrl(url) {
+  return /^file:/i.test(url.trim());
+}
 
 class TabManager {
-  constructor(mainWindow, aiEngine, dataCollector) {
+  // A private window's tab manager gets no data collector and the private
+  // partition: nothing it loads is recorded, analysed for later or saved
+  constructor(mainWindow, aiEngine, dataCollector, searchEngines, { partition = TAB_PARTITION, isPrivate = false, securityManager = null } = {}) {
     this.mainWindow = mainWindow;
     this.aiEngine = aiEngine;
     this.dataCollector = dataCollector;
+    this.searchEngines = searchEngines;
+    this.partition = partition;
+    this.isPrivate = isPrivate;
+    this.securityManager = securityManager;
+    this.readerExtractor = new ReaderExtractor();
     this.tabs = new Map();
     this.activeTabId = null;
-    this.tabCounter = 0;
     this.UI_HEIGHT = 120; // Height for UI elements (address bar, etc.)
+    this.viewBounds = null; // Content area reported by the renderer
+    this.SUMMARY_REFRESH_DELAY = 3000; // Wait for in-page navigations to settle
+    this.MAX_HISTORY_ENTRIES = 50; // Per-tab history kept for session restore
+    this.sessionManager = null;
+    // { tabIds, orientation, sizes } while tabs are tiled; the focused one is the active tab
+    this.split = null;
+
+    // Every tab belongs to one workspace, and to at most one group within it.
+    // Switching workspaces swaps which BrowserViews are shown; the others stay loaded.
+    this.workspaces = new Map();
+    this.groups = new Map();
+    this.workspaceCounter = 0;
+    this.groupCounter = 0;
+    this.activeWorkspaceId = this.createWorkspace('Default').id;
   }
 
-  createTab(url = 'https://www.google.com', background = false) {
-    this.tabCounter++;
-    const tabId = `tab-${this.tabCounter}`;
-    
-    const view = new BrowserView({
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true,
-        webSecurity: true,
-        allowRunningInsecureContent: false,
-        experimentalFeatures: false,
-        enableBlinkFeatures: '',
-        disableBlinkFeatures: '',
-        partition: 'persist:nexus-browser',
-        preload: path.join(__dirname, '../preload/tabPreload.js')
-      }
-    });
+  setSessionManager(sessionManager) {
+    this.sessionManager = sessionManager;
+  }
+
+  createTab(url = NEW_TAB_URL, background = false) {
+    tabCounter++;
+    const tabId = `tab-${tabCounter}`;
 
     const tab = {
       id: tabId,
-      view,
+      view: null,
+      // Discarded tabs have no view; see discardTab
+      discarded: false,
       url: url,
       title: 'New Tab',
       favicon: null,
       loading: true,
       canGoBack: false,
       canGoForward: false,
+      // History as the user sees it, mirrored here so it can be saved with
+      // the session; the webContents' own history starts empty on restore
+      navigation: { entries: [], index: -1 },
+      pendingHistoryOffset: 0,
+      scroll: null,
+      restoreScroll: null,
+      workspaceId: this.activeWorkspaceId,
+      groupId: null,
       aiContext: {
         pageContent: '',
+        contentHash: null,
         analysis: null,
+        summary: null,
+        summaryTimer: null,
         suggestions: [],
         userInteractions: []
       },
       securityInfo: {
         isSecure: false,
+        // The certificate of a site whose certificate didn't check out, with
+        // the error and the host it was for
         certificate: null,
+        certificateError: null,
+        certificateHost: null,
         permissions: []
       },
+      // { url, host, error, certificate } for a load refused over its
+      // certificate, then while the tab shows the certificate error page
+      blockedCertificate: null,
+      certificateInterstitial: null,
+      // Whether the page has an article for reader view, and the last
+      // article shown there
+      readerable: false,
+      readerArticle: null,
       created: Date.now(),
       lastAccessed: Date.now()
     };
 
     this.tabs.set(tabId, tab);
-    this.setupTabEventHandlers(tab);
+    this.createView(tab);
 
     if (!background) {
       this.setActiveTab(tabId);
     }
 
-    // Navigate to URL
-    if (url && url !== 'nexus://newtab') {
-      this.navigateTab(tabId, url);
-    } else {
-      this.loadNewTabPage(tab);
+    // Navigate to URL; a refused one leaves the new tab page instead
+    if (!this.navigateTab(tabId, url)) {
+      this.navigateTab(tabId, NEW_TAB_URL);
     }
 
     this.notifyRenderer('tab-created', { tabId, tab: this.getTabInfo(tab) });
+    this.sessionManager?.scheduleSave();
     return tabId;
   }
 
+  createView(tab) {
+    tab.view = new BrowserView({
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        webSecurity: true,
+        allowRunningInsecureContent: false,
+        experimentalFeatures: false,
+        enableBlinkFeatures: '',
+        disableBlinkFeatures: '',
+        // Only exposes an API on nexus:// pages; web page context is
+        // collected with executeJavaScript
+        preload: path.join(__dirname, '../renderer/internal/preload.js'),
+        partition: this.partition
+      }
+    });
+
+    this.setupTabEventHandlers(tab);
+    return tab.view;
+  }
+
+  // Frees a background tab's renderer. What the tab strip shows and what it
+  // takes to bring the page back are kept: title, favicon, URL, history,
+  // scroll position and the AI summary.
+  async discardTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab || tab.discarded || this.isTabVisible(tabId)) return false;
+
+    await this.captureScroll(tab);
+    // The tab may have been closed or shown while we waited
+    if (!this.tabs.has(tabId) || tab.discarded || this.isTabVisible(tabId)) return false;
+
+    clearTimeout(tab.aiContext.summaryTimer);
+    tab.view.webContents.destroy();
+    tab.view = null;
+    tab.discarded = true;
+    tab.discardedAt = Date.now();
+    tab.loading = false;
+    Object.assign(tab.aiContext, {
+      pageContent: '',
+      contentHash: null,
+      analysis: null,
+      suggestions: [],
+      userInteractions: []
+    });
+
+    this.updateTab(tabId, { discarded: true, loading: false });
+    return true;
+  }
+
+  // Gives a discarded tab a new view and, unless the caller is about to
+  // navigate it anyway, reloads its page where the user left it
+  wakeTab(tab, { load = true } = {}) {
+    if (!tab.discarded) return false;
+
+    tab.discarded = false;
+    tab.discardedAt = null;
+    this.createView(tab);
+
+    if (load) {
+      tab.loading = true;
+      tab.restoreScroll = tab.scroll;
+      this.navigateTab(tab.id, tab.url);
+    }
+
+    this.updateTab(tab.id, { discarded: false, loading: tab.loading });
+    return true;
+  }
+
   setupTabEventHandlers(tab) {
     const { view, id } = tab;
     const webContents = view.webContents;
+    // Kept so they can be taken off again when the tab moves to another window
+    tab.viewListeners = [];
+    const on = (eventName, listener) => {
+      webContents.on(eventName, listener);
+      tab.viewListeners.push([eventName, listener]);
+    };
 
     // Page navigation events
-    webContents.on('did-start-loading', () => {
+    on('did-start-loading', () => {
       tab.loading = true;
       this.updateTab(id, { loading: true });
     });
 
-    webContents.on('did-stop-loading', () => {
+    on('did-stop-loading', () => {
       tab.loading = false;
       this.updateTab(id, { loading: false });
     });
 
-    webContents.on('did-finish-load', async () => {
+    on('did-finish-load', async () => {
       await this.handlePageLoad(tab);
     });
 
-    webContents.on('did-navigate', (event, url) => {
+    on('did-navigate', (event, url) => {
       tab.url = url;
-      tab.canGoBack = webContents.canGoBack();
-      tab.canGoForward = webContents.canGoForward();
-      this.updateTab(id, {
-        url,
-        canGoBack: tab.canGoBack,
-        canGoForward: tab.canGoForward
-      });
+      tab.aiContext.summary = null;
+      tab.citationCSSKey = null;
+      // Site info lists what the page in the tab asked for; a new page starts over
+      tab.securityInfo.permissions = [];
+      tab.readerable = false;
+      if (tab.securityInfo.certificateHost !== this.extractDomain(url)) {
+        this.clearCertificateInfo(tab);
+      }
+      if (!url.startsWith(CERT_ERROR_URL)) {
+        tab.certificateInterstitial = null;
+      }
+      this.recordNavigation(tab, url);
+      this.updateTab(id, { url, ...this.getHistoryState(tab) });
     });
 
-    webContents.on('page-title-updated', (event, title) => {
+    // Single-page apps change content without a full load
+    on('did-navigate-in-page', (event, url, isMainFrame) => {
+      if (!isMainFrame) return;
+      tab.url = url;
+      this.recordNavigation(tab, url);
+      this.updateTab(id, { url, ...this.getHistoryState(tab) });
+      this.scheduleSummaryRefresh(tab);
+    });
+
+    on('page-title-updated', (event, title) => {
       tab.title = title;
+      const entry = tab.navigation.entries[tab.navigation.index];
+      if (entry) {
+        entry.title = title;
+      }
       this.updateTab(id, { title });
     });
 
-    webContents.on('page-favicon-updated', (event, favicons) => {
+    // In split view, clicking into a page makes it the active tab
+    on('focus', () => {
+      if (this.split?.tabIds.includes(id) && this.activeTabId !== id) {
+        this.focusSplitTab(id);
+      }
+    });
+
+    // Keyboard shortcuts still have to work while the page has focus
+    on('before-input-event', (event, input) => {
+      if (input.type === 'keyDown' && (input.control || input.meta) && input.shift && input.key.toLowerCase() === 't') {
+        event.preventDefault();
+        this.reopenClosedTab();
+      } else if (input.type === 'keyDown' && (input.control || input.meta) && input.key.toLowerCase() === 's'
+        && /^https?:/i.test(tab.url)) {
+        // Saving goes through the browser UI so it can show how it went
+        event.preventDefault();
+        this.notifyRenderer('save-page-requested', { tabId: id });
+      }
+    });
+
+    on('page-favicon-updated', (event, favicons) => {
       tab.favicon = favicons[0] || null;
       this.updateTab(id, { favicon: tab.favicon });
     });
 
-    // Security events
-    webContents.on('certificate-error', (event, url, error, certificate, callback) => {
+    // Security events. Invalid certificates are refused unless the user
+    // accepted that certificate for the host earlier in the session.
+    on('certificate-error', (event, url, error, certificate, callback, isMainFrame) => {
       event.preventDefault();
-      tab.securityInfo.certificate = certificate;
-      tab.securityInfo.isSecure = false;
-      
-      // For development, accept self-signed certificates
-      if (process.env.NODE_ENV === 'development') {
-        callback(true);
-      } else {
-        callback(false);
+      const host = this.extractDomain(url);
+      const accepted = Boolean(this.securityManager?.hasCertificateException(host, certificate, { isPrivate: this.isPrivate }));
+      callback(accepted);
+
+      if (isMainFrame) {
+        tab.securityInfo.certificate = certificate;
+        tab.securityInfo.certificateError = error;
+        tab.securityInfo.certificateHost = host;
+        tab.securityInfo.isSecure = false;
+        // The load fails next; did-fail-load swaps in the error page
+        tab.blockedCertificate = accepted ? null : { url, host, error, certificate };
+      } else if (!accepted) {
         this.notifyRenderer('security-warning', { tabId: id, error, url });
       }
     });
 
+    on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+      const blocked = tab.blockedCertificate;
+      if (!isMainFrame || !blocked || blocked.url !== validatedURL) return;
+
+      tab.blockedCertificate = null;
+      this.showCertificateError(tab, blocked);
+    });
+
+    // Internal pages are privileged; web content can't navigate, frame,
+    // redirect or open its way to them
+    on('will-frame-navigate', (event) => {
+      if (isInternalUrl(event.url) && !(event.isMainFrame && isInternalUrl(webContents.getURL()))) {
+        event.preventDefault();
+        console.warn(`🚫 Blocked navigation to ${event.url} from ${webContents.getURL()}`);
+      }
+    });
+
+    on('will-redirect', (event) => {
+      if (isInternalUrl(event.url)) {
+        event.preventDefault();
+        console.warn(`🚫 Blocked redirect to ${event.url}`);
+      }
+    });
+
     // Context menu and external links
-    webContents.on('new-window', (event, navigationUrl, frameName, disposition) => {
-      event.preventDefault();
-      
+    webContents.setWindowOpenHandler(({ url: navigationUrl, disposition }) => {
+      if (isInternalUrl(navigationUrl) && !isInternalUrl(webContents.getURL())) {
+        return { action: 'deny' };
+      }
+      // Pages can't open local files, in a tab or outside the browser
+      if (isFileUrl(navigationUrl)) {
+        console.warn(`🚫 Blocked opening ${navigationUrl}`);
+        return { action: 'deny' };
+      }
       if (disposition === 'foreground-tab' || disposition === 'background-tab') {
         this.createTab(navigationUrl, disposition === 'background-tab');
       } else {
         shell.openExternal(navigationUrl);
       }
+      return { action: 'deny' };
     });
 
     // AI Context Collection
-    webContents.on('dom-ready', async () => {
+    on('dom-ready', async () => {
       await this.collectPageContext(tab);
     });
   }
 
   async handlePageLoad(tab) {
     try {
-      // Update security info
+      // A restored tab goes back to where the user had scrolled
+      if (tab.restoreScroll) {
+        const { x, y } = tab.restoreScroll;
+        tab.restoreScroll = null;
+        tab.view.webContents.executeJavaScript(`window.scrollTo(${Number(x) || 0}, ${Number(y) || 0})`).catch(() => {});
+      }
+
+      // Internal pages aren't browsing: no analysis, no history
+      if (isInternalUrl(tab.url)) {
+        tab.securityInfo.isSecure = !tab.url.startsWith(CERT_ERROR_URL);
+        return;
+      }
+
+      // Update security info; an accepted invalid certificate is still not secure
       const url = new URL(tab.url);
-      tab.securityInfo.isSecure = url.protocol === 'https:';
+      tab.securityInfo.isSecure = url.protocol === 'https:' && !tab.securityInfo.certificateError;
       
+      if (!this.isPrivate) {
+        this.discoverSearchEngine(tab);
+      }
+
       // Collect page data for AI analysis
       const pageData = await this.extractPageData(tab);
-      
-      // AI Analysis
-      if (this.aiEngine) {
+      if (tab.readerable !== Boolean(pageData.article)) {
+        this.updateTab(tab.id, { readerable: Boolean(pageData.article) });
+      }
+
+      // Private pages aren't analyzed or summarized as they load, so the
+      // summary cache has nothing of them once the private window closes
+      if (this.aiEngine && !this.isPrivate) {
+        // Summaries can take a while; don't hold up the rest of the page handling
+        this.refreshSummary(tab, pageData);
+
         const analysis = await this.aiEngine.analyzePage(pageData);
+        const contentHash = crypto.MD5(pageData.content || '').toString();
+        this.aiEngine.responseCache?.updatePage(tab.url, contentHash);
         tab.aiContext.analysis = analysis;
         tab.aiContext.pageContent = pageData.content;
+        tab.aiContext.contentHash = contentHash;
         
         // Generate contextual suggestions
         const suggestions = await this.aiEngine.generateContextualSuggestions({
@@ -191,19 +430,74 @@ class TabManager {
     }
   }
 
+  async refreshSummary(tab, pageData) {
+    if (!this.aiEngine || pageData.error) return null;
+
+    const summary = await this.aiEngine.summarizePage(pageData, { cache: !this.isPrivate });
+
+    // The tab may have been closed or navigated away while we waited
+    if (!summary || !this.tabs.has(tab.id) || !tab.view || summary.url !== tab.view.webContents.getURL()) {
+      return null;
+    }
+
+    if (tab.aiContext.summary?.contentHash !== summary.contentHash) {
+      tab.aiContext.summary = summary;
+      this.updateTab(tab.id, {});
+    }
+
+    return summary;
+  }
+
+  scheduleSummaryRefresh(tab) {
+    if (this.isPrivate) return;
+
+    clearTimeout(tab.aiContext.summaryTimer);
+    tab.aiContext.summaryTimer = setTimeout(async () => {
+      if (!this.tabs.has(tab.id)) return;
+      const pageData = await this.extractPageData(tab);
+      await this.refreshSummary(tab, pageData);
+    }, this.SUMMARY_REFRESH_DELAY);
+  }
+
+  async summarizeTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return null;
+
+    const pageData = await this.extractPageData(tab);
+    return this.refreshSummary(tab, pageData);
+  }
+
   async extractPageData(tab) {
+    // All that's left of a discarded page is its summary
+    if (tab.discarded) {
+      return {
+        url: tab.url,
+        title: tab.title,
+        content: tab.aiContext.summary?.text || '',
+        wordCount: 0,
+        metadata: {},
+        links: [],
+        images: [],
+        discarded: true,
+        error: true
+      };
+    }
+
     try {
       const webContents = tab.view.webContents;
       
       // Extract page content using executeJavaScript
+      // The article, when there is one, is what the AI pipelines get as
+      // content: menus, footers and sidebars only add noise
       const pageData = await webContents.executeJavaScript(`
         (function() {
+          const article = ${this.readerExtractor.getScript()};
+
           const getTextContent = () => {
-            // Remove script and style elements
-            const clonedDoc = document.cloneNode(true);
-            const scripts = clonedDoc.querySelectorAll('script, style, noscript');
-            scripts.forEach(el => el.remove());
-            return clonedDoc.body ? clonedDoc.body.innerText : '';
+            // innerText of the live document only includes rendered text, so
+            // scripts, styles and hidden elements (a common place to plant
+            // instructions for AI assistants) are left out
+            return document.body ? document.body.innerText : '';
           };
           
           const getMetadata = () => {
@@ -238,11 +532,21 @@ class TabManager {
               }));
           };
           
+          const content = article ? article.textContent : getTextContent();
+
           return {
             url: window.location.href,
             title: document.title,
-            content: getTextContent(),
-            wordCount: getTextContent().split(/\s+/).length,
+            content,
+            wordCount: content.split(/\s+/).length,
+            article: article && {
+              title: article.title,
+              byline: article.byline,
+              publishedTime: article.publishedTime,
+              leadImage: article.leadImage,
+              siteName: article.siteName,
+              excerpt: article.excerpt
+            },
             metadata: getMetadata(),
             links: getLinks(),
             images: getImages(),
@@ -271,7 +575,130 @@ class TabManager {
     }
   }
 
+  // Resolves once the tab stops loading, or after `timeout` for a page that
+  // never does. Closing or discarding the tab destroys its webContents,
+  // which ends the wait too.
+  waitForLoad(tab, timeout = LOAD_TIMEOUT) {
+    if (!tab.loading || !tab.view) return Promise.resolve();
+
+    const { webContents } = tab.view;
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        webContents.removeListener('did-stop-loading', done);
+        webContents.removeListener('destroyed', done);
+        resolve();
+      };
+      const timer = setTimeout(done, timeout);
+      webContents.once('did-stop-loading', done);
+      webContents.once('destroyed', done);
+    });
+  }
+
+  // Scrolls to a quoted passage and highlights it. Matching ignores case and
+  // whitespace, since extracted text and the DOM rarely agree on either.
+  async highlightPassage(tabId, quote) {
+    const tab = this.tabs.get(tabId);
+    if (!tab || !quote) return false;
+
+    if (this.activeTabId !== tabId) {
+      this.setActiveTab(tabId);
+    }
+
+    try {
+      // Activating a discarded tab reloads it
+      await this.waitForLoad(tab);
+
+      // The tab may have been closed or discarded while it loaded
+      const webContents = tab.view?.webContents;
+      if (!webContents || webContents.isDestroyed()) return false;
+
+      // insertCSS isn't subject to the page's content security policy
+      if (tab.citationCSSKey) {
+        await webContents.removeInsertedCSS(tab.citationCSSKey).catch(() => {});
+      }
+      tab.citationCSSKey = await webContents.insertCSS(
+        '::highlight(nexus-citation) { background-color: rgba(255, 213, 79, 0.7); color: inherit; }'
+      );
+
+      return await webContents.executeJavaScript(`
+        (function(quote) {
+          const normalize = (s) => s.replace(/\\s+/g, '').toLowerCase();
+          const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => {
+              const tag = node.parentElement && node.parentElement.tagName;
+              return tag && !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(tag)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT;
+            }
+          });
+          
+          // Page text without whitespace, with each character's node and offset
+          const chars = [];
+          const positions = [];
+          while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const value = node.nodeValue;
+            for (let i = 0; i < value.length; i++) {
+              if (!/\\s/.test(value[i])) {
+                chars.push(value[i].toLowerCase());
+                positions.push([node, i]);
+              }
+            }
+          }
+          const text = chars.join('');
+          
+          // Fall back to the start of the quote if the whole of it isn't found
+          let target = normalize(quote);
+          let index = text.indexOf(target);
+          if (index === -1 && target.length > 40) {
+            target = target.substring(0, 40);
+            index = text.indexOf(target);
+          }
+          if (index === -1) return false;
+          
+          const [startNode, startOffset] = positions[index];
+          const [endNode, endOffset] = positions[index + target.length - 1];
+          const range = document.createRange();
+          range.setStart(startNode, startOffset);
+          range.setEnd(endNode, endOffset + 1);
+          
+          if (window.CSS && CSS.highlights) {
+            CSS.highlights.set('nexus-citation', new Highlight(range));
+          } else {
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          }
+          
+          startNode.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          return true;
+        })(${JSON.stringify(quote)})
+      `);
+    } catch (error) {
+      console.error('Error highlighting passage:', error);
+      return false;
+    }
+  }
+
+  // Offers the page's OpenSearch description, if it links one, to the
+  // search engine registry
+  async discoverSearchEngine(tab) {
+    try {
+      const descriptionUrl = await tab.view.webContents.executeJavaScript(`
+        (document.querySelector('link[rel~="search"][type="application/opensearchdescription+xml"]') || {}).href || null
+      `);
+      if (descriptionUrl) {
+        await this.searchEngines.discover(tab.url, descriptionUrl);
+      }
+    } catch (error) {
+      console.error('Error discovering search engine:', error);
+    }
+  }
+
   async collectPageContext(tab) {
+    if (isInternalUrl(tab.url)) return;
+
     try {
       const webContents = tab.view.webContents;
       
@@ -354,6 +781,11 @@ class TabManager {
 
     // Validate and normalize URL
     const normalizedUrl = this.normalizeUrl(url);
+    if (!normalizedUrl) {
+      console.warn(`🚫 Blocked navigation to ${url}`);
+      return false;
+    }
+    this.wakeTab(tab, { load: false });
     
     try {
       tab.view.webContents.loadURL(normalizedUrl);
@@ -366,11 +798,22 @@ class TabManager {
     }
   }
 
+  // Null for local files, which tabs never load
   normalizeUrl(url) {
     // Handle special Nexus URLs
     if (url.startsWith('nexus://')) {
       return url;
     }
+
+    if (isFileUrl(url)) {
+      return null;
+    }
+
+    // Search keywords: "w rust" searches Wikipedia
+    const keywordSearch = this.searchEngines.matchKeyword(url);
+    if (keywordSearch) {
+      return keywordSearch;
+    }
     
     // Add protocol if missing
     if (!/^https?:\/\//i.test(url)) {
@@ -379,7 +822,7 @@ class TabManager {
         return `https://${url}`;
       } else {
         // Treat as search query
-        return `https://www.google.com/search?q=${encodeURIComponent(url)}`;
+        return this.searchEngines.getSearchUrl(url);
       }
     }
     
@@ -390,74 +833,369 @@ class TabManager {
     const tab = this.tabs.get(tabId);
     if (!tab) return false;
 
-    // Hide current active tab
-    if (this.activeTabId) {
-      const currentTab = this.tabs.get(this.activeTabId);
-      if (currentTab) {
-        this.mainWindow.removeBrowserView(currentTab.view);
-      }
+    // Within split view only the focus moves; any other tab leaves it
+    if (this.split?.tabIds.includes(tabId)) {
+      return this.focusSplitTab(tabId);
     }
 
-    // Show new active tab
+    this.hideActiveTab();
+
+    // Activating a tab from another workspace switches to that workspace
+    const workspaceChanged = tab.workspaceId !== this.activeWorkspaceId;
+    this.activeWorkspaceId = tab.workspaceId;
+    this.workspaces.get(tab.workspaceId).activeTabId = tabId;
+
+    // Show new active tab, reloading it first if it was discarded
+    this.wakeTab(tab);
     this.activeTabId = tabId;
     tab.lastAccessed = Date.now();
     this.mainWindow.setBrowserView(tab.view);
     
     // Position the browser view
-    this.resizeActiveTab();
+    this.layoutViews();
     
     this.notifyRenderer('tab-activated', { tabId, tab: this.getTabInfo(tab) });
+    if (workspaceChanged) {
+      this.notifyLayout();
+    }
+    this.sessionManager?.scheduleSave();
     return true;
   }
 
-  resizeActiveTab() {
-    if (!this.activeTabId) return;
-    
-    const tab = this.tabs.get(this.activeTabId);
-    if (!tab) return;
+  // Hides whatever is showing, ending split view if it was on
+  hideActiveTab() {
+    this.getVisibleTabs().forEach(tab => {
+      this.captureScroll(tab);
+      this.mainWindow.removeBrowserView(tab.view);
+    });
+    this.activeTabId = null;
+
+    if (this.split) {
+      this.split = null;
+      this.notifySplit();
+    }
+  }
 
-    const bounds = this.mainWindow.getBounds();
-    tab.view.setBounds({
+  // The tiled tabs in split view, otherwise just the active tab
+  getVisibleTabs() {
+    const tabIds = this.split ? this.split.tabIds : [this.activeTabId];
+    return tabIds.map(tabId => this.tabs.get(tabId)).filter(tab => tab && tab.view);
+  }
+
+  isTabVisible(tabId) {
+    return tabId === this.activeTabId || Boolean(this.split?.tabIds.includes(tabId));
+  }
+
+  // The renderer reports where its content area is, so the page view leaves
+  // the tab strip, address bar and side panel uncovered
+  setViewBounds(bounds) {
+    this.viewBounds = {
+      x: Math.round(bounds.x),
+      y: Math.round(bounds.y),
+      width: Math.max(0, Math.round(bounds.width)),
+      height: Math.max(0, Math.round(bounds.height))
+    };
+    this.layoutViews();
+  }
+
+  getContentArea() {
+    if (this.viewBounds) return this.viewBounds;
+
+    const bounds = this.mainWindow.getContentBounds();
+    return {
       x: 0,
       y: this.UI_HEIGHT,
       width: bounds.width,
       height: bounds.height - this.UI_HEIGHT
+    };
+  }
+
+  // Fills the content area with the active tab, or tiles the split view's
+  // tabs across it with a gap for each divider
+  layoutViews() {
+    const tabs = this.getVisibleTabs();
+    if (tabs.length === 0) return;
+
+    const area = this.getContentArea();
+    if (!this.split) {
+      tabs[0].view.setBounds(area);
+      return;
+    }
+
+    const horizontal = this.split.orientation === 'horizontal';
+    const start = horizontal ? area.x : area.y;
+    const length = horizontal ? area.width : area.height;
+    const available = Math.max(0, length - SPLIT_DIVIDER_SIZE * (tabs.length - 1));
+
+    let offset = start;
+    tabs.forEach((tab, i) => {
+      // The last view takes whatever rounding left over
+      const size = i === tabs.length - 1
+        ? Math.max(0, start + length - offset)
+        : Math.round(available * this.split.sizes[i]);
+
+      tab.view.setBounds(horizontal
+        ? { x: offset, y: area.y, width: size, height: area.height }
+        : { x: area.x, y: offset, width: area.width, height: size });
+      offset += size + SPLIT_DIVIDER_SIZE;
     });
   }
 
+  // Split view
+  // Tiles tabs side by side ('horizontal') or stacked ('vertical'). The
+  // focused tab is the active one: the address bar and tab actions apply to it.
+  createSplit(tabIds, { orientation = 'horizontal', sizes } = {}) {
+    const ids = Array.from(new Set(tabIds)).filter(tabId => this.tabs.has(tabId));
+    if (ids.length < 2 || ids.length > MAX_SPLIT_TABS) return null;
+
+    const workspaceId = this.tabs.get(ids[0]).workspaceId;
+    if (ids.some(tabId => this.tabs.get(tabId).workspaceId !== workspaceId)) return null;
+
+    const focusId = ids.includes(this.activeTabId) ? this.activeTabId : ids[0];
+    this.hideActiveTab();
+    this.setActiveTab(focusId);
+
+    this.split = {
+      tabIds: ids,
+      orientation: orientation === 'vertical' ? 'vertical' : 'horizontal',
+      sizes: this.normalizeSplitSizes(sizes, ids.length)
+    };
+    ids.filter(tabId => tabId !== focusId).forEach(tabId => {
+      const tab = this.tabs.get(tabId);
+      this.wakeTab(tab);
+      tab.lastAccessed = Date.now();
+      this.mainWindow.addBrowserView(tab.view);
+    });
+
+    this.layoutViews();
+    this.notifySplit();
+    return this.getSplitState();
+  }
+
+  exitSplit() {
+    if (!this.split) return false;
+
+    const { tabIds } = this.split;
+    this.split = null;
+    tabIds.filter(tabId => tabId !== this.activeTabId).forEach(tabId => {
+      const tab = this.tabs.get(tabId);
+      if (tab?.view) {
+        this.captureScroll(tab);
+        this.mainWindow.removeBrowserView(tab.view);
+      }
+    });
+
+    this.layoutViews();
+    this.notifySplit();
+    return true;
+  }
+
+  // Adds a tab to the split, or starts one with the active tab
+  addToSplit(tabId) {
+    if (!this.split) {
+      return this.activeTabId ? this.createSplit([this.activeTabId, tabId]) : null;
+    }
+    if (this.split.tabIds.includes(tabId)) return this.getSplitState();
+
+    const { tabIds, orientation } = this.split;
+    return this.createSplit([...tabIds, tabId], { orientation });
+  }
+
+  // A tab leaving split view; once one tab is left it shows on its own
+  removeFromSplit(tabId) {
+    const split = this.split;
+    const index = split ? split.tabIds.indexOf(tabId) : -1;
+    if (index === -1) return false;
+
+    if (split.tabIds.length <= 2) {
+      // The tab staying is the one shown
+      if (this.activeTabId === tabId) {
+        this.focusSplitTab(split.tabIds[1 - index]);
+      }
+      return this.exitSplit();
+    }
+
+    const tab = this.tabs.get(tabId);
+    if (tab.view) {
+      this.captureScroll(tab);
+      this.mainWindow.removeBrowserView(tab.view);
+    }
+    split.tabIds.splice(index, 1);
+    split.sizes = this.normalizeSplitSizes(split.sizes.filter((size, i) => i !== index), split.tabIds.length);
+    if (this.activeTabId === tabId) {
+      this.focusSplitTab(split.tabIds[Math.min(index, split.tabIds.length - 1)]);
+    }
+
+    this.layoutViews();
+    this.notifySplit();
+    return true;
+  }
+
+  focusSplitTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return false;
+
+    this.activeTabId = tabId;
+    this.workspaces.get(tab.workspaceId).activeTabId = tabId;
+    tab.lastAccessed = Date.now();
+    if (tab.view && !tab.view.webContents.isFocused()) {
+      tab.view.webContents.focus();
+    }
+
+    this.notifyRenderer('tab-activated', { tabId, tab: this.getTabInfo(tab) });
+    this.notifySplit();
+    this.sessionManager?.scheduleSave();
+    return true;
+  }
+
+  // Called while the divider is dragged
+  setSplitSizes(sizes) {
+    if (!this.split) return null;
+
+    this.split.sizes = this.normalizeSplitSizes(sizes, this.split.tabIds.length);
+    this.layoutViews();
+    return this.getSplitState();
+  }
+
+  setSplitOrientation(orientation) {
+    if (!this.split) return null;
+
+    this.split.orientation = orientation === 'vertical' ? 'vertical' : 'horizontal';
+    this.layoutViews();
+    this.notifySplit();
+    return this.getSplitState();
+  }
+
+  // Shares of the content area adding up to 1, none smaller than
+  // MIN_SPLIT_SIZE; anything malformed becomes an even split
+  normalizeSplitSizes(sizes, count) {
+    const even = new Array(count).fill(1 / count);
+    if (!Array.isArray(sizes) || sizes.length !== count || sizes.some(size => !(size > 0))) {
+      return even;
+    }
+
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    let result = sizes.map(size => size / total);
+
+    // Views pinned at the minimum give up nothing more; the rest share what's left
+    for (let pass = 0; pass < count; pass++) {
+      const pinned = result.map(size => size <= MIN_SPLIT_SIZE);
+      if (!result.some((size, i) => pinned[i] && size < MIN_SPLIT_SIZE)) break;
+
+      const free = 1 - MIN_SPLIT_SIZE * pinned.filter(Boolean).length;
+      const flexible = result.reduce((sum, size, i) => sum + (pinned[i] ? 0 : size), 0);
+      result = result.map((size, i) => (pinned[i] ? MIN_SPLIT_SIZE : (size / flexible) * free));
+    }
+    return result;
+  }
+
+  getSplitState() {
+    if (!this.split) return null;
+
+    return {
+      tabIds: [...this.split.tabIds],
+      orientation: this.split.orientation,
+      sizes: [...this.split.sizes],
+      focusedTabId: this.activeTabId,
+      dividerSize: SPLIT_DIVIDER_SIZE,
+      minSize: MIN_SPLIT_SIZE
+    };
+  }
+
+  notifySplit() {
+    this.notifyRenderer('split-updated', this.getSplitState());
+  }
+
   closeTab(tabId) {
     const tab = this.tabs.get(tabId);
     if (!tab) return false;
 
-    // If closing active tab, switch to another
+    this.removeFromSplit(tabId);
+
+    // If closing active tab, switch to another in the same workspace
     if (this.activeTabId === tabId) {
-      const otherTabs = Array.from(this.tabs.keys()).filter(id => id !== tabId);
-      if (otherTabs.length > 0) {
-        this.setActiveTab(otherTabs[otherTabs.length - 1]);
-      } else {
-        this.activeTabId = null;
-        this.mainWindow.removeBrowserView(tab.view);
-      }
+      this.activateNeighbour(tab);
     }
 
+    this.sessionManager?.recordClosedTab(this.serializeTab(tab));
+
     // Clean up
-    tab.view.webContents.destroy();
+    clearTimeout(tab.aiContext.summaryTimer);
+    tab.view?.webContents.destroy();
     this.tabs.delete(tabId);
     
-    this.notifyRenderer('tab-closed', { tabId });
-    
-    // If no tabs left, create a new one
-    if (this.tabs.size === 0) {
-      this.createTab();
-    }
+    // With no tabs left the renderer shows its start screen
+    this.notifyRenderer('tab-closed', { tabId, activeTabId: this.activeTabId });
+    this.pruneGroups();
     
     return true;
   }
 
+  // Takes a tab out of this window with its page still loaded, for
+  // another window's tab manager to attachTab
+  detachTab(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return null;
+
+    this.removeFromSplit(tabId);
+    if (this.activeTabId === tabId) {
+      this.activateNeighbour(tab);
+    }
+
+    clearTimeout(tab.aiContext.summaryTimer);
+    if (tab.view) {
+      if (!this.mainWindow.isDestroyed()) {
+        this.mainWindow.removeBrowserView(tab.view);
+      }
+      tab.viewListeners.forEach(([eventName, listener]) => tab.view.webContents.removeListener(eventName, listener));
+    }
+    tab.viewListeners = [];
+    this.tabs.delete(tabId);
+
+    this.notifyRenderer('tab-closed', { tabId, activeTabId: this.activeTabId });
+    this.pruneGroups();
+    this.sessionManager?.scheduleSave();
+    return tab;
+  }
+
+  // A tab detached from another window joins this one as it is: same page,
+  // same history, no reload. Groups don't carry over between windows.
+  attachTab(tab, background = false) {
+    tab.workspaceId = this.activeWorkspaceId;
+    tab.groupId = null;
+    tab.lastAccessed = Date.now();
+    this.tabs.set(tab.id, tab);
+    if (tab.view) {
+      this.setupTabEventHandlers(tab);
+    }
+
+    this.notifyRenderer('tab-created', { tabId: tab.id, tab: this.getTabInfo(tab) });
+    if (!background) {
+      this.setActiveTab(tab.id);
+    }
+    this.sessionManager?.scheduleSave();
+    return tab.id;
+  }
+
+  // Shows another tab from the given tab's workspace, or nothing if it was the last one
+  activateNeighbour(tab) {
+    const others = this.getWorkspaceTabs(tab.workspaceId).filter(other => other.id !== tab.id);
+    if (others.length > 0) {
+      this.setActiveTab(others[others.length - 1].id);
+    } else {
+      this.hideActiveTab();
+      this.workspaces.get(tab.workspaceId).activeTabId = null;
+    }
+  }
+
   getAllTabs() {
     return Array.from(this.tabs.values()).map(tab => this.getTabInfo(tab));
   }
 
+  findTabByWebContents(webContents) {
+    return Array.from(this.tabs.values()).find(tab => tab.view?.webContents === webContents) || null;
+  }
+
   getTabInfo(tab) {
     return {
       id: tab.id,
@@ -468,10 +1206,18 @@ class TabManager {
       canGoBack: tab.canGoBack,
       canGoForward: tab.canGoForward,
       isActive: tab.id === this.activeTabId,
+      inSplit: Boolean(this.split?.tabIds.includes(tab.id)),
+      discarded: tab.discarded,
+      readerable: tab.readerable,
+      inReader: tab.url.startsWith(READER_URL),
+      workspaceId: tab.workspaceId,
+      groupId: tab.groupId,
       securityInfo: {
-        isSecure: tab.securityInfo.isSecure
+        isSecure: tab.securityInfo.isSecure,
+        certificateError: tab.certificateInterstitial?.error || tab.securityInfo.certificateError,
+        permissions: tab.securityInfo.permissions
       },
-      aiSummary: tab.aiContext.analysis?.summary,
+      aiSummary: tab.aiContext.summary?.text || tab.aiContext.analysis?.summary || null,
       created: tab.created,
       lastAccessed: tab.lastAccessed
     };
@@ -487,12 +1233,104 @@ class TabManager {
       updates,
       tab: this.getTabInfo(tab)
     });
+    this.sessionManager?.scheduleSave();
+  }
+
+  recordNavigation(tab, url) {
+    const navigation = tab.navigation;
+
+    if (tab.pendingHistoryOffset) {
+      // Back/forward: move within the list instead of adding to it
+      navigation.index = Math.min(Math.max(navigation.index + tab.pendingHistoryOffset, 0), navigation.entries.length - 1);
+      tab.pendingHistoryOffset = 0;
+      if (navigation.entries[navigation.index]) {
+        navigation.entries[navigation.index].url = url;
+      }
+      return;
+    }
+
+    // Reloads and redirects to the same page don't add an entry
+    if (navigation.entries[navigation.index]?.url === url) return;
+
+    navigation.entries.splice(navigation.index + 1);
+    navigation.entries.push({ url, title: '' });
+    if (navigation.entries.length > this.MAX_HISTORY_ENTRIES) {
+      navigation.entries.shift();
+    }
+    navigation.index = navigation.entries.length - 1;
+  }
+
+  getHistoryState(tab) {
+    const { entries, index } = tab.navigation;
+    const webContents = tab.view?.webContents;
+
+    tab.canGoBack = index > 0 || Boolean(webContents?.canGoBack());
+    tab.canGoForward = index < entries.length - 1 || Boolean(webContents?.canGoForward());
+    return { canGoBack: tab.canGoBack, canGoForward: tab.canGoForward };
+  }
+
+  async captureScroll(tab) {
+    if (tab.discarded) return tab.scroll;
+
+    try {
+      tab.scroll = await tab.view.webContents.executeJavaScript('({ x: window.scrollX, y: window.scrollY })');
+    } catch (error) {
+      // Page not ready or already gone; keep the last known position
+    }
+    return tab.scroll;
+  }
+
+  serializeTab(tab) {
+    return {
+      url: tab.url,
+      title: tab.title,
+      navigation: {
+        entries: tab.navigation.entries.map(entry => ({ ...entry })),
+        index: tab.navigation.index
+      },
+      scroll: tab.scroll,
+      workspaceId: tab.workspaceId,
+      groupId: tab.groupId
+    };
+  }
+
+  // Opens a tab from a saved session or the recently closed list, with its
+  // back/forward entries and scroll position
+  restoreTab(state, background = false) {
+    // Opened in the background so it can join its workspace before being shown
+    const tabId = this.createTab(state.url || NEW_TAB_URL, true);
+    const tab = this.tabs.get(tabId);
+
+    if (this.workspaces.has(state.workspaceId)) {
+      tab.workspaceId = state.workspaceId;
+    }
+    if (state.groupId && this.groups.get(state.groupId)?.workspaceId === tab.workspaceId) {
+      tab.groupId = state.groupId;
+    }
+
+    const entries = (state.navigation?.entries || []).slice(-this.MAX_HISTORY_ENTRIES);
+    if (entries.length > 0) {
+      const index = Math.min(Math.max(state.navigation.index, 0), entries.length - 1);
+      tab.navigation = { entries, index };
+    }
+    tab.scroll = state.scroll || null;
+    tab.restoreScroll = state.scroll || null;
+
+    this.updateTab(tabId, {
+      title: state.title || tab.title,
+      workspaceId: tab.workspaceId,
+      groupId: tab.groupId,
+      ...this.getHistoryState(tab)
+    });
+    if (!background) {
+      this.setActiveTab(tabId);
+    }
+    return tabId;
   }
 
-  loadNewTabPage(tab) {
-    // Load custom new tab page
-    const newTabUrl = `file://${path.join(__dirname, '../renderer/newtab.html')}`;
-    tab.view.webContents.loadURL(newTabUrl);
+  reopenClosedTab() {
+    const state = this.sessionManager?.popClosedTab();
+    return state ? this.restoreTab(state) : null;
   }
 
   extractDomain(url) {
@@ -509,28 +1347,400 @@ class TabManager {
     }
   }
 
+  // Workspaces and tab groups
+  getLayout() {
+    return {
+      activeWorkspaceId: this.activeWorkspaceId,
+      workspaces: Array.from(this.workspaces.values()).map(workspace => ({
+        ...workspace,
+        tabCount: this.getWorkspaceTabs(workspace.id).length
+      })),
+      groups: Array.from(this.groups.values()).map(group => ({ ...group })),
+      colors: GROUP_COLORS
+    };
+  }
+
+  notifyLayout() {
+    this.notifyRenderer('tab-layout-updated', this.getLayout());
+    this.sessionManager?.scheduleSave();
+  }
+
+  getWorkspaceTabs(workspaceId) {
+    return Array.from(this.tabs.values()).filter(tab => tab.workspaceId === workspaceId);
+  }
+
+  getWorkspaceGroups(workspaceId) {
+    return Array.from(this.groups.values()).filter(group => group.workspaceId === workspaceId);
+  }
+
+  createWorkspace(name) {
+    this.workspaceCounter++;
+    const workspace = {
+      id: `workspace-${this.workspaceCounter}`,
+      name: (name || '').trim() || `Workspace ${this.workspaceCounter}`,
+      activeTabId: null,
+      created: Date.now()
+    };
+
+    this.workspaces.set(workspace.id, workspace);
+    this.notifyLayout();
+    return workspace;
+  }
+
+  renameWorkspace(workspaceId, name) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace || !(name || '').trim()) return false;
+
+    workspace.name = name.trim();
+    this.notifyLayout();
+    return true;
+  }
+
+  switchWorkspace(workspaceId) {
+    const workspace = this.workspaces.get(workspaceId);
+    if (!workspace) return false;
+    if (workspaceId === this.activeWorkspaceId) return true;
+
+    // Back to the tab that was showing when the user last left this workspace
+    const tabs = this.getWorkspaceTabs(workspaceId);
+    const target = tabs.find(tab => tab.id === workspace.activeTabId) || tabs[tabs.length - 1];
+
+    if (target) {
+      this.setActiveTab(target.id);
+    } else {
+      this.hideActiveTab();
+      this.activeWorkspaceId = workspaceId;
+      this.notifyLayout();
+    }
+    return true;
+  }
+
+  // Tabs and groups move to another workspace rather than being closed
+  removeWorkspace(workspaceId) {
+    if (!this.workspaces.has(workspaceId) || this.workspaces.size === 1) return false;
+
+    const fallbackId = workspaceId === this.activeWorkspaceId
+      ? Array.from(this.workspaces.keys()).find(id => id !== workspaceId)
+      : this.activeWorkspaceId;
+
+    this.getWorkspaceTabs(workspaceId).forEach(tab => {
+      tab.workspaceId = fallbackId;
+      this.updateTab(tab.id, { workspaceId: fallbackId });
+    });
+    this.getWorkspaceGroups(workspaceId).forEach(group => {
+      group.workspaceId = fallbackId;
+    });
+
+    if (workspaceId === this.activeWorkspaceId) {
+      this.activeWorkspaceId = fallbackId;
+      const fallback = this.workspaces.get(fallbackId);
+      if (!this.tabs.has(fallback.activeTabId)) {
+        fallback.activeTabId = this.activeTabId;
+      }
+    }
+
+    this.workspaces.delete(workspaceId);
+    this.notifyLayout();
+    return true;
+  }
+
+  moveTabToWorkspace(tabId, workspaceId) {
+    const tab = this.tabs.get(tabId);
+    const workspace = this.workspaces.get(workspaceId);
+    if (!tab || !workspace) return false;
+    if (tab.workspaceId === workspaceId) return true;
+
+    this.removeFromSplit(tabId);
+    if (this.activeTabId === tabId) {
+      this.activateNeighbour(tab);
+    }
+    if (this.workspaces.get(tab.workspaceId)?.activeTabId === tabId) {
+      this.workspaces.get(tab.workspaceId).activeTabId = null;
+    }
+
+    tab.workspaceId = workspaceId;
+    tab.groupId = null;
+    if (!workspace.activeTabId) {
+      workspace.activeTabId = tabId;
+    }
+
+    this.updateTab(tabId, { workspaceId, groupId: null });
+    this.pruneGroups();
+    this.notifyLayout();
+    return true;
+  }
+
+  // A group lives in its first tab's workspace; tabs from other workspaces are left out
+  createGroup({ name = '', color, tabIds = [], auto = false } = {}) {
+    const tabs = tabIds.map(tabId => this.tabs.get(tabId)).filter(Boolean);
+    if (tabs.length === 0) return null;
+
+    this.groupCounter++;
+    const group = {
+      id: `group-${this.groupCounter}`,
+      name: name.trim(),
+      color: GROUP_COLORS.includes(color) ? color : this.nextGroupColor(tabs[0].workspaceId),
+      collapsed: false,
+      // Auto groups are replaced the next time tabs are auto-grouped
+      auto,
+      workspaceId: tabs[0].workspaceId
+    };
+    this.groups.set(group.id, group);
+
+    tabs
+      .filter(tab => tab.workspaceId === group.workspaceId)
+      .forEach(tab => {
+        tab.groupId = group.id;
+        this.updateTab(tab.id, { groupId: group.id });
+      });
+
+    this.pruneGroups();
+    this.notifyLayout();
+    return { ...group };
+  }
+
+  // The first color not already used in the workspace
+  nextGroupColor(workspaceId) {
+    const used = new Set(this.getWorkspaceGroups(workspaceId).map(group => group.color));
+    return GROUP_COLORS.find(color => !used.has(color)) || GROUP_COLORS[this.groupCounter % GROUP_COLORS.length];
+  }
+
+  updateGroup(groupId, updates = {}) {
+    const group = this.groups.get(groupId);
+    if (!group) return null;
+
+    if (typeof updates.name === 'string' && updates.name.trim() !== group.name) {
+      group.name = updates.name.trim();
+      // A renamed group is the user's now
+      group.auto = false;
+    }
+    if (GROUP_COLORS.includes(updates.color)) {
+      group.color = updates.color;
+    }
+    if (typeof updates.collapsed === 'boolean') {
+      group.collapsed = updates.collapsed;
+    }
+
+    this.notifyLayout();
+    return { ...group };
+  }
+
+  // Ungroups the tabs; they stay open
+  removeGroup(groupId) {
+    if (!this.groups.has(groupId)) return false;
+
+    this.groups.delete(groupId);
+    Array.from(this.tabs.values())
+      .filter(tab => tab.groupId === groupId)
+      .forEach(tab => {
+        tab.groupId = null;
+        this.updateTab(tab.id, { groupId: null });
+      });
+
+    this.notifyLayout();
+    return true;
+  }
+
+  setTabGroup(tabId, groupId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return false;
+
+    const group = groupId ? this.groups.get(groupId) : null;
+    if (groupId && (!group || group.workspaceId !== tab.workspaceId)) return false;
+
+    tab.groupId = group ? group.id : null;
+    this.updateTab(tabId, { groupId: tab.groupId });
+    this.pruneGroups();
+    this.notifyLayout();
+    return true;
+  }
+
+  // Groups disappear with their last tab
+  pruneGroups() {
+    const inUse = new Set(Array.from(this.tabs.values()).map(tab => tab.groupId));
+    let removed = false;
+
+    for (const groupId of this.groups.keys()) {
+      if (!inUse.has(groupId)) {
+        this.groups.delete(groupId);
+        removed = true;
+      }
+    }
+
+    if (removed) {
+      this.notifyLayout();
+    }
+  }
+
+  // Recreates saved workspaces and groups, merging workspaces by name, and
+  // returns old → new id maps for the tabs being restored
+  restoreLayout(layout) {
+    const ids = { workspaces: {}, groups: {} };
+    if (!layout) return ids;
+
+    (layout.workspaces || []).forEach(saved => {
+      const existing = Array.from(this.workspaces.values()).find(workspace => workspace.name === saved.name);
+      ids.workspaces[saved.id] = (existing || this.createWorkspace(saved.name)).id;
+    });
+
+    (layout.groups || []).forEach(saved => {
+      this.groupCounter++;
+      const group = {
+        id: `group-${this.groupCounter}`,
+        name: saved.name || '',
+        color: GROUP_COLORS.includes(saved.color) ? saved.color : GROUP_COLORS[0],
+        collapsed: Boolean(saved.collapsed),
+        auto: Boolean(saved.auto),
+        workspaceId: ids.workspaces[saved.workspaceId] || this.activeWorkspaceId
+      };
+      this.groups.set(group.id, group);
+      ids.groups[saved.id] = group.id;
+    });
+
+    this.notifyLayout();
+    return ids;
+  }
+
   // Navigation methods
   goBack(tabId) {
+    return this.goToOffset(tabId, -1);
+  }
+
+  goForward(tabId) {
+    return this.goToOffset(tabId, 1);
+  }
+
+  // Uses the webContents' history when it has the entry; entries restored
+  // from a saved session only exist in tab.navigation and are loaded directly
+  goToOffset(tabId, offset) {
     const tab = this.tabs.get(tabId);
-    if (tab && tab.view.webContents.canGoBack()) {
-      tab.view.webContents.goBack();
+    if (!tab) return false;
+
+    const target = tab.navigation.entries[tab.navigation.index + offset];
+    if (tab.discarded && !target) return false;
+
+    // A fresh view has no history of its own; the saved entries are used
+    this.wakeTab(tab, { load: false });
+
+    const webContents = tab.view.webContents;
+    if (webContents.canGoToOffset(offset)) {
+      tab.pendingHistoryOffset = offset;
+      webContents.goToOffset(offset);
       return true;
     }
-    return false;
+    if (!target) return false;
+
+    tab.pendingHistoryOffset = offset;
+    this.navigateTab(tab.id, target.url);
+    return true;
   }
 
-  goForward(tabId) {
+  // Reader view. The article is extracted when the reader opens, so it
+  // reflects whatever the page shows by then, and kept on the tab for
+  // nexus://reader to ask for.
+  async openReader(tabId) {
     const tab = this.tabs.get(tabId);
-    if (tab && tab.view.webContents.canGoForward()) {
-      tab.view.webContents.goForward();
-      return true;
+    if (!tab || tab.discarded || isInternalUrl(tab.url)) return false;
+
+    const article = await this.readerExtractor.extract(tab.view.webContents);
+    if (!article || !this.tabs.has(tabId)) return false;
+
+    tab.readerArticle = article;
+    tab.view.webContents.loadURL(`${READER_URL}?url=${encodeURIComponent(article.url)}`);
+    return true;
+  }
+
+  // Leaving goes to the original page rather than back, since the reader
+  // may have been reached through history
+  async toggleReader(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return false;
+    if (!tab.url.startsWith(READER_URL)) {
+      return this.openReader(tabId);
+    }
+
+    const url = new URL(tab.url).searchParams.get('url');
+    return Boolean(url) && this.navigateTab(tabId, url);
+  }
+
+  getReaderArticle(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab?.readerArticle) return null;
+    const url = tab.url.startsWith(READER_URL) ? new URL(tab.url).searchParams.get('url') : null;
+    return tab.readerArticle.url === url ? tab.readerArticle : null;
+  }
+
+  // Certificate errors
+  clearCertificateInfo(tab) {
+    tab.securityInfo.certificate = null;
+    tab.securityInfo.certificateError = null;
+    tab.securityInfo.certificateHost = null;
+  }
+
+  // The refused page's URL goes along so the error page can still offer to
+  // try again after a restart, when the certificate itself is long gone
+  showCertificateError(tab, { url, host, error, certificate }) {
+    tab.certificateInterstitial = { url, host, error, certificate };
+    tab.view.webContents.loadURL(`${CERT_ERROR_URL}?url=${encodeURIComponent(url)}`);
+    console.warn(`🔐 Blocked ${url}: ${error}`);
+  }
+
+  // What the certificate viewer shows for a tab: the certificate that
+  // failed, whether the page was blocked or let through by an exception
+  getCertificateInfo(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return null;
+
+    const interstitial = tab.certificateInterstitial;
+    const { certificate, certificateError, certificateHost } = tab.securityInfo;
+    const host = interstitial ? interstitial.host : certificateHost;
+    const shown = interstitial ? interstitial.certificate : certificate;
+
+    return {
+      url: interstitial ? interstitial.url : tab.url,
+      host,
+      certificateError: interstitial ? interstitial.error : certificateError,
+      blocked: Boolean(interstitial),
+      hasException: Boolean(host && this.securityManager?.hasCertificateException(host, null, { isPrivate: this.isPrivate })),
+      chain: shown && this.securityManager ? this.securityManager.getCertificateChain(shown) : []
+    };
+  }
+
+  // "Proceed anyway" on the error page
+  proceedPastCertificateError(tabId) {
+    const tab = this.tabs.get(tabId);
+    const interstitial = tab?.certificateInterstitial;
+    if (!interstitial?.certificate) return false;
+
+    this.securityManager.allowCertificate(interstitial.host, interstitial.certificate, { isPrivate: this.isPrivate });
+    return this.navigateTab(tabId, interstitial.url);
+  }
+
+  // "Back to safety": the previous page, or a new tab page if there isn't one
+  leaveCertificateError(tabId) {
+    const tab = this.tabs.get(tabId);
+    if (!tab) return false;
+    return tab.canGoBack ? this.goBack(tabId) : this.navigateTab(tabId, NEW_TAB_URL);
+  }
+
+  // Open connections already trust the certificate, so they're closed before
+  // the page is loaded again and checked afresh
+  async revokeCertificateException(tabId) {
+    const tab = this.tabs.get(tabId);
+    const host = tab?.securityInfo.certificateHost;
+    if (!host || !this.securityManager?.revokeCertificateException(host, { isPrivate: this.isPrivate })) {
+      return false;
     }
-    return false;
+
+    await session.fromPartition(this.partition).closeAllConnections();
+    this.reload(tabId);
+    return true;
   }
 
   reload(tabId, ignoreCache = false) {
     const tab = this.tabs.get(tabId);
     if (!tab) return false;
+    if (this.wakeTab(tab)) return true;
 
     if (ignoreCache) {
       tab.view.webContents.reloadIgnoringCache();
@@ -543,11 +1753,13 @@ class TabManager {
   // Cleanup
   destroy() {
     for (const tab of this.tabs.values()) {
-      tab.view.webContents.destroy();
+      clearTimeout(tab.aiContext.summaryTimer);
+      tab.view?.webContents.destroy();
     }
     this.tabs.clear();
+    this.activeTabId = null;
   }
 }
 
-module.exports = { TabManager };
+module.exports = { TabManager, TAB_PARTITION, PRIVATE_PARTITION };
 
@@ -0,0 +1,207 @@
+jest.mock('electron', () => ({
+  app: { getPath: jest.fn() },
+  shell: { openPath: jest.fn(), showItemInFolder: jest.fn() }
+}));
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsManager } = require('../../settings/SettingsManager');
+const { DownloadManager } = require('../DownloadManager');
+
+// Just the DownloadItem surface the manager reads and drives
+class FakeDownloadItem extends EventEmitter {
+  constructor({ url = 'https://files.example/report.pdf', filename = 'report.pdf', savePath = '', totalBytes = 1000 } = {}) {
+    super();
+    this.url = url;
+    this.filename = filename;
+    this.savePath = savePath;
+    this.state = 'progressing';
+    this.paused = false;
+    this.receivedBytes = 0;
+    this.totalBytes = totalBytes;
+    this.pause = jest.fn(() => { this.paused = true; });
+    this.resume = jest.fn(() => { this.paused = false; });
+    this.cancel = jest.fn(() => this.finish('cancelled'));
+  }
+
+  getURL() { return this.url; }
+  getURLChain() { return [this.url]; }
+  getFilename() { return this.filename; }
+  getMimeType() { return 'application/pdf'; }
+  getSavePath() { return this.savePath; }
+  setSavePath(savePath) { this.savePath = savePath; }
+  getState() { return this.state; }
+  isPaused() { return this.paused; }
+  canResume() { return false; }
+  getReceivedBytes() { return this.receivedBytes; }
+  getTotalBytes() { return this.totalBytes; }
+  getETag() { return '"v1"'; }
+  getLastModifiedTime() { return 'Tue, 01 Oct 2024 00:00:00 GMT'; }
+
+  finish(state) {
+    this.state = state;
+    this.emit('done', {}, state);
+  }
+}
+
+describe('DownloadManager', () => {
+  let root;
+  let historyPath;
+  let settingsManager;
+  let analyses;
+  let session;
+  let tabManager;
+  let downloads;
+
+  const createManager = () => {
+    const manager = new DownloadManager({ activeAnalyses: analyses }, settingsManager, historyPath);
+    manager.register(session);
+    manager.addTabManager(tabManager);
+    return manager;
+  };
+
+  // What will-download hands over for a download started from a tab
+  const startDownload = (item, pageUrl = 'https://shop.example/order') => {
+    session.emit('will-download', {}, item, { getURL: () => pageUrl });
+    return downloads.downloads[0];
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-downloads-'));
+    historyPath = path.join(root, 'downloads.json');
+    settingsManager = new SettingsManager(path.join(os.tmpdir(), 'nexus-test-settings.json'));
+    settingsManager.settings.downloads = { directory: path.join(root, 'Downloads'), smartFiling: true };
+    analyses = new Map([['https://shop.example/order', { content: { category: { primary: 'shopping' } } }]]);
+    session = new EventEmitter();
+    session.createInterruptedDownload = jest.fn();
+    tabManager = { findTabByWebContents: () => null, notifyRenderer: jest.fn() };
+    downloads = createManager();
+  });
+
+  afterEach(() => {
+    clearTimeout(downloads.saveTimer);
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('filing', () => {
+    test('files downloads under the category of the page they came from', () => {
+      const download = startDownload(new FakeDownloadItem());
+
+      expect(download).toMatchObject({ id: 'download-1', category: 'shopping', state: 'progressing' });
+      expect(download.savePath).toBe(path.join(root, 'Downloads', 'Shopping', 'report.pdf'));
+      expect(fs.existsSync(path.join(root, 'Downloads', 'Shopping'))).toBe(true);
+      expect(tabManager.notifyRenderer).toHaveBeenCalledWith('download-updated', expect.objectContaining({ filename: 'report.pdf' }));
+    });
+
+    test('keeps everything in the download folder with smart filing off', () => {
+      settingsManager.settings.downloads.smartFiling = false;
+
+      expect(startDownload(new FakeDownloadItem()).savePath).toBe(path.join(root, 'Downloads', 'report.pdf'));
+    });
+
+    test('never reuses a name taken on disk or by an unfinished download', () => {
+      const directory = path.join(root, 'Downloads', 'Shopping');
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(path.join(directory, 'report.pdf'), '');
+
+      const second = startDownload(new FakeDownloadItem());
+      const third = startDownload(new FakeDownloadItem());
+
+      expect(path.basename(second.savePath)).toBe('report (1).pdf');
+      expect(path.basename(third.savePath)).toBe('report (2).pdf');
+    });
+
+    test('frees the name of a cancelled download', () => {
+      const item = new FakeDownloadItem();
+      const first = startDownload(item);
+      downloads.cancel(first.id);
+
+      expect(startDownload(new FakeDownloadItem()).savePath).toBe(first.savePath);
+    });
+
+    test('cleans up file names a site chose', () => {
+      expect(path.basename(downloads.getUniquePath(root, '../../etc/pass?wd'))).toBe('pass_wd');
+      expect(path.basename(downloads.getUniquePath(root, ''))).toBe('download');
+    });
+  });
+
+  test('pauses and resumes a download in progress', () => {
+    const item = new FakeDownloadItem();
+    const { id } = startDownload(item);
+
+    expect(downloads.pause(id)).toMatchObject({ paused: true, canResume: true });
+    expect(item.pause).toHaveBeenCalled();
+    expect(downloads.resume(id)).toMatchObject({ paused: false, state: 'progressing' });
+    expect(item.resume).toHaveBeenCalled();
+
+    item.receivedBytes = 1000;
+    item.finish('completed');
+    expect(downloads.getAll()[0]).toMatchObject({ state: 'completed', receivedBytes: 1000, canResume: false });
+    expect(() => downloads.resume(id)).toThrow('This download can no longer be resumed');
+  });
+
+  describe('after a restart', () => {
+    let savePath;
+
+    beforeEach(async () => {
+      const item = new FakeDownloadItem();
+      ({ savePath } = startDownload(item));
+      item.receivedBytes = 400;
+      item.emit('updated');
+      clearTimeout(downloads.saveTimer);
+      await downloads.save();
+
+      session.removeAllListeners('will-download');
+      downloads = createManager();
+      await downloads.load();
+    });
+
+    test('marks unfinished downloads as interrupted', () => {
+      expect(downloads.getAll()).toEqual([expect.objectContaining({
+        id: 'download-1',
+        state: 'interrupted',
+        paused: false,
+        receivedBytes: 400,
+        canResume: true
+      })]);
+    });
+
+    test('resumes from where it stopped and picks the same entry back up', () => {
+      downloads.resume('download-1');
+
+      expect(session.createInterruptedDownload).toHaveBeenCalledWith(expect.objectContaining({
+        path: savePath,
+        urlChain: ['https://files.example/report.pdf'],
+        offset: 400,
+        length: 1000,
+        eTag: '"v1"'
+      }));
+
+      const item = new FakeDownloadItem({ savePath });
+      item.receivedBytes = 400;
+      startDownload(item);
+
+      expect(downloads.getAll()).toEqual([expect.objectContaining({ id: 'download-1', state: 'progressing', savePath })]);
+      expect(startDownload(new FakeDownloadItem()).id).toBe('download-2');
+    });
+
+    test('cancels an interrupted download without its item', () => {
+      expect(downloads.cancel('download-1')).toMatchObject({ state: 'cancelled', canResume: false });
+    });
+  });
+
+  test('only removes downloads that have stopped', () => {
+    const running = startDownload(new FakeDownloadItem());
+    const finishedItem = new FakeDownloadItem({ filename: 'done.pdf' });
+    const finished = startDownload(finishedItem);
+    finishedItem.finish('completed');
+
+    expect(() => downloads.remove(running.id)).toThrow('Cancel the download before removing it');
+    expect(downloads.clearFinished().map(download => download.id)).toEqual([running.id]);
+    expect(() => downloads.get(finished.id)).toThrow(`Download not found: ${finished.id}`);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('electron', () => ({ protocol: {} }));
+
+const fs = require('fs');
+const path = require('path');
+const { InternalPages, isInternalUrl } = require('../InternalPages');
+
+// An IPC event from a tab's main frame, or from the browser UI
+const fromTab = (url, { parent = null } = {}) => ({
+  sender: { getType: () => 'browserView' },
+  senderFrame: { url, parent }
+});
+const fromWindow = () => ({ sender: { getType: () => 'window' }, senderFrame: { url: 'file:///app/index.html' } });
+
+describe('InternalPages', () => {
+  let pages;
+
+  const request = (url) => pages.handleRequest({ url });
+
+  beforeEach(() => {
+    pages = new InternalPages();
+    // Pages are read relative to the bundled main process, not this source tree
+    jest.spyOn(fs.promises, 'readFile').mockImplementation(async filePath => {
+      if (['history.html', 'internal.css'].includes(path.basename(filePath))) {
+        return `contents of ${path.basename(filePath)}`;
+      }
+      throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves each page from its own host, locked down', async () => {
+    const response = await request('nexus://history/');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(response.headers.get('Content-Security-Policy')).toContain("script-src 'self'");
+    expect(response.headers.get('X-Frame-Options')).toBe('DENY');
+    expect(await response.text()).toBe('contents of history.html');
+    expect(fs.promises.readFile).toHaveBeenCalledWith(expect.stringMatching(/renderer[\\/]internal[\\/]history\.html$/));
+  });
+
+  test('serves shared files but nothing outside the pages folder', async () => {
+    expect((await request('nexus://settings/internal.css')).headers.get('Content-Type')).toBe('text/css; charset=utf-8');
+    expect((await request('nexus://settings/..%2F..%2Fmain%2Fmain.js')).status).toBe(403);
+    expect(fs.promises.readFile).toHaveBeenCalledTimes(1);
+    expect((await request('nexus://settings/missing.js')).status).toBe(404);
+    expect((await request('nexus://nowhere/')).status).toBe(404);
+  });
+
+  test('serves routes with a policy that allows no script', async () => {
+    const handler = jest.fn(async url => (url.searchParams.get('id') === 'page-1' ? '<p>Saved</p>' : null));
+    pages.addRoute('archive', '/view', handler);
+
+    const response = await request('nexus://archive/view?id=page-1');
+    expect(await response.text()).toBe('<p>Saved</p>');
+    expect(response.headers.get('Content-Security-Policy')).toMatch(/default-src 'none'.*sandbox$/);
+    expect(response.headers.get('Content-Security-Policy')).not.toContain('script-src');
+
+    expect((await request('nexus://archive/view?id=page-9')).status).toBe(404);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handler.mockRejectedValueOnce(new Error('disk'));
+    expect((await request('nexus://archive/view?id=page-1')).status).toBe(500);
+  });
+
+  describe('isAllowedSender', () => {
+    test('lets the browser UI use every channel', () => {
+      expect(pages.isAllowedSender(fromWindow(), 'settings:update')).toBe(true);
+    });
+
+    test('lets an internal page use only its own channels', () => {
+      expect(pages.isAllowedSender(fromTab('nexus://settings/'), 'settings:update')).toBe(true);
+      expect(pages.isAllowedSender(fromTab('nexus://history/'), 'settings:update')).toBe(false);
+      expect(pages.isAllowedSender(fromTab('nexus://nowhere/'), 'settings:update')).toBe(false);
+    });
+
+    test('refuses web pages, subframes and routes', () => {
+      expect(pages.isAllowedSender(fromTab('https://nexus.example/'), 'settings:update')).toBe(false);
+      expect(pages.isAllowedSender(fromTab('nexus://settings/', { parent: {} }), 'settings:update')).toBe(false);
+      expect(pages.isAllowedSender(fromTab('nexus://archive/view?id=page-1'), 'archive:list')).toBe(false);
+      expect(pages.isAllowedSender({ sender: { getType: () => 'browserView' } }, 'archive:list')).toBe(false);
+    });
+  });
+
+  test('keeps web content from navigating to internal pages', () => {
+    expect(pages.canNavigate('https://evil.example/', 'NEXUS://settings/')).toBe(false);
+    expect(pages.canNavigate('nexus://newtab/', 'nexus://settings/')).toBe(true);
+    expect(pages.canNavigate('https://a.example/', 'https://b.example/')).toBe(true);
+    expect(isInternalUrl(null)).toBe(false);
+  });
+});
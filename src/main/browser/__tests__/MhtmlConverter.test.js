@@ -0,0 +1,74 @@
+const { mhtmlToHtml } = require('../MhtmlConverter');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// An MHTML file the way Chromium writes one, read as latin1
+function mhtml(parts) {
+  const boundary = '----MultipartBoundary--abc123----';
+  const body = parts.map(({ type, location, contentId, encoding = 'quoted-printable', body: partBody }) => [
+    `--${boundary}`,
+    `Content-Type: ${type}`,
+    contentId ? `Content-ID: <${contentId}>` : null,
+    `Content-Transfer-Encoding: ${encoding}`,
+    location ? `Content-Location: ${location}` : null,
+    '',
+    partBody
+  ].filter(line => line !== null).join('\r\n')).join('\r\n');
+
+  return [
+    'From: <Saved by Blink>',
+    'Subject: Test',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/related;',
+    `\ttype="text/html";`,
+    `\tboundary="${boundary}"`,
+    '',
+    '',
+    body,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+const dataUrl = (type, data) => `data:${type};base64,${Buffer.from(data).toString('base64')}`;
+
+describe('mhtmlToHtml', () => {
+  test('decodes the page and inlines its images', () => {
+    const html = mhtmlToHtml(mhtml([
+      {
+        type: 'text/html',
+        location: 'https://example.com/',
+        body: '<html><head></head><body><p class=3D"lead">Caf=C3=A9 =\r\nopen</p><img src=3D"https://example.com/i.png"></body></html>'
+      },
+      { type: 'image/png', location: 'https://example.com/i.png', encoding: 'base64', body: PNG.toString('base64') }
+    ]));
+
+    expect(html).toBe(`<html><head></head><body><p class="lead">Café open</p><img src="${dataUrl('image/png', PNG)}"></body></html>`);
+  });
+
+  test('inlines stylesheets with the images they use', () => {
+    const html = mhtmlToHtml(mhtml([
+      { type: 'text/html', body: '<link rel=3D"stylesheet" href=3D"https://example.com/a.css?v=3D1&amp;t=3D2">' },
+      { type: 'text/css', location: 'https://example.com/a.css?v=1&t=2', body: 'body { background: url("cid:bg@mhtml"); }' },
+      { type: 'image/png', contentId: 'bg@mhtml', encoding: 'base64', body: PNG.toString('base64') }
+    ]));
+
+    const css = `body { background: url("${dataUrl('image/png', PNG)}"); }`;
+    expect(html).toBe(`<link rel="stylesheet" href="${dataUrl('text/css', css)}">`);
+  });
+
+  test('only replaces whole references', () => {
+    const html = mhtmlToHtml(mhtml([
+      { type: 'text/html', body: '<img src=3D"https://example.com/i.png2"><img src=3D"https://example.com/i.png">' },
+      { type: 'image/png', location: 'https://example.com/i.png', encoding: 'base64', body: PNG.toString('base64') }
+    ]));
+
+    expect(html).toBe(`<img src="https://example.com/i.png2"><img src="${dataUrl('image/png', PNG)}">`);
+  });
+
+  test('refuses files that are not MHTML or have no page', () => {
+    expect(() => mhtmlToHtml('<html></html>')).toThrow('Not an MHTML file');
+    expect(() => mhtmlToHtml(mhtml([{ type: 'image/png', encoding: 'base64', body: PNG.toString('base64') }])))
+      .toThrow('The MHTML file has no page in it');
+  });
+});
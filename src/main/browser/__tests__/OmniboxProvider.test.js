@@ -0,0 +1,220 @@
+jest.mock('electron', () => ({ net: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OmniboxProvider } = require('../OmniboxProvider');
+const { SearchEngineRegistry } = require('../SearchEngineRegistry');
+const { createMockRegistry } = require('../../ai-engine/__tests__/helpers/mockRegistry');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('OmniboxProvider', () => {
+  let root;
+  let settingsManager;
+  let registry;
+  let provider;
+  let tabManager;
+  let dataCollector;
+  let omnibox;
+
+  const createOmnibox = (llm = registry) => new OmniboxProvider(
+    () => tabManager,
+    dataCollector,
+    new SearchEngineRegistry(settingsManager),
+    llm,
+    settingsManager,
+    path.join(root, 'omnibox.json')
+  );
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-omnibox-'));
+    ({ registry, settingsManager, provider } = createMockRegistry({ responses: ['1. rust book\n"rust ownership"\nrust'] }));
+    tabManager = {
+      activeTabId: 'tab-1',
+      getAllTabs: () => [
+        { id: 'tab-1', title: 'Current', url: 'https://rust-lang.org/current' },
+        { id: 'tab-2', title: 'The Rust Book', url: 'https://doc.rust-lang.org/book/' }
+      ]
+    };
+    dataCollector = {
+      getRecentActivity: jest.fn(async () => ({
+        pageViews: [
+          { url: 'https://doc.rust-lang.org/book/', title: 'The Rust Book', timestamp: Date.now() - DAY },
+          { url: 'https://rustacean.net/', title: 'Rustacean', timestamp: Date.now() - DAY },
+          { url: 'https://rustacean.net/', title: 'Rustacean', timestamp: Date.now() },
+          { url: 'https://www.rust-lang.org/learn', title: 'Learn Rust', timestamp: Date.now() - 30 * DAY },
+          { url: 'nexus://settings', title: 'Settings', timestamp: Date.now() }
+        ],
+        interactions: [
+          { type: 'bookmark_add', data: JSON.stringify({ url: 'https://crates.io/', title: 'Rust crates' }) },
+          { type: 'bookmark_add', data: 'not json' }
+        ]
+      }))
+    };
+    omnibox = createOmnibox();
+  });
+
+  afterEach(() => {
+    clearTimeout(omnibox.saveTimer);
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('local suggestions', () => {
+    test('offers an open tab instead of history for the same page', async () => {
+      const { suggestions } = await omnibox.getSuggestions('rust book');
+      const book = suggestions.filter(suggestion => suggestion.url === 'https://doc.rust-lang.org/book/');
+
+      expect(book).toEqual([expect.objectContaining({ type: 'tab', tabId: 'tab-2' })]);
+      expect(suggestions.map(suggestion => suggestion.url)).not.toContain('https://rust-lang.org/current');
+    });
+
+    test('ranks a search keyword first', async () => {
+      const { suggestions } = await omnibox.getSuggestions('w rust');
+
+      expect(suggestions[0]).toMatchObject({
+        type: 'keyword',
+        url: 'https://en.wikipedia.org/w/index.php?search=rust'
+      });
+    });
+
+    test('only suggests pages with every word typed and ranks frequent ones higher', async () => {
+      const { suggestions } = await omnibox.getSuggestions('rust');
+      const urls = suggestions.map(suggestion => suggestion.url);
+
+      expect(urls).not.toContain('nexus://settings');
+      expect(urls.indexOf('https://rustacean.net/')).toBeLessThan(urls.indexOf('https://www.rust-lang.org/learn'));
+      expect(suggestions.find(suggestion => suggestion.url === 'https://crates.io/')).toMatchObject({ type: 'bookmark' });
+      suggestions.forEach(suggestion => {
+        expect(suggestion).not.toHaveProperty('match');
+        expect(suggestion).not.toHaveProperty('visits');
+      });
+    });
+
+    test('ranks pages picked from the address bar higher', async () => {
+      const before = (await omnibox.getSuggestions('rust')).suggestions.map(suggestion => suggestion.url);
+      expect(before.indexOf('https://www.rust-lang.org/learn')).toBeGreaterThan(before.indexOf('https://rustacean.net/'));
+
+      for (let i = 0; i < 10; i++) {
+        omnibox.recordSelection({ source: 'history', url: 'https://www.rust-lang.org/learn' });
+      }
+      const after = (await omnibox.getSuggestions('rust')).suggestions.map(suggestion => suggestion.url);
+
+      expect(after.indexOf('https://www.rust-lang.org/learn')).toBeLessThan(after.indexOf('https://rustacean.net/'));
+    });
+
+    test('completes inline to the most visited matching URL', async () => {
+      expect((await omnibox.getSuggestions('rusta')).inlineCompletion).toEqual({
+        text: 'cean.net',
+        url: 'https://rustacean.net/'
+      });
+      expect((await omnibox.getSuggestions('rust lang')).inlineCompletion).toBeNull();
+    });
+
+    test('offers typed URLs as URLs', async () => {
+      const { suggestions } = await omnibox.getSuggestions('example.com/docs');
+
+      expect(suggestions).toContainEqual(expect.objectContaining({ type: 'url', url: 'https://example.com/docs' }));
+    });
+
+    test('answers without history while a cold index is still loading', async () => {
+      jest.useFakeTimers();
+      let finish;
+      dataCollector.getRecentActivity.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+
+      const answering = omnibox.getSuggestions('rust');
+      await jest.advanceTimersByTimeAsync(150);
+      const { suggestions } = await answering;
+
+      expect(suggestions.map(suggestion => suggestion.type)).not.toContain('history');
+      expect(suggestions).toContainEqual(expect.objectContaining({ type: 'tab', tabId: 'tab-2' }));
+
+      finish({ pageViews: [{ url: 'https://rustacean.net/', title: 'Rustacean', timestamp: Date.now() }], interactions: [] });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(omnibox.historyIndex).toHaveLength(1);
+    });
+  });
+
+  describe('AI suggestions', () => {
+    test('turns the reply into search suggestions, skipping the input itself', async () => {
+      const suggestions = await omnibox.getAISuggestions('rust');
+
+      expect(suggestions.map(suggestion => suggestion.title)).toEqual(['rust book', 'rust ownership']);
+      expect(suggestions[0]).toMatchObject({ type: 'ai', url: 'https://www.google.com/search?q=rust%20book' });
+    });
+
+    test('leaves URLs, keywords and short input alone', async () => {
+      expect(await omnibox.getAISuggestions('example.com')).toEqual([]);
+      expect(await omnibox.getAISuggestions('w rust')).toEqual([]);
+      expect(await omnibox.getAISuggestions('ru')).toEqual([]);
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    test('never sends what is typed in a private window', async () => {
+      expect(await omnibox.getAISuggestions('rust', { isPrivate: true })).toEqual([]);
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    test('can be turned off', async () => {
+      settingsManager.merge(settingsManager.settings, { search: { aiSuggestions: false } });
+
+      expect(await omnibox.getAISuggestions('rust')).toEqual([]);
+      expect(provider.requests).toHaveLength(0);
+    });
+
+    describe('with a slow model', () => {
+      let llm;
+
+      beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        // Never answers; rejects once aborted, like a real provider
+        llm = {
+          complete: jest.fn((callSite, messages, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('Request was aborted')));
+          }))
+        };
+        omnibox = createOmnibox(llm);
+      });
+
+      test('gives up past the latency budget', async () => {
+        jest.useFakeTimers();
+        const suggesting = omnibox.getAISuggestions('rust');
+
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(llm.complete.mock.calls[0][2].signal.aborted).toBe(false);
+        await jest.advanceTimersByTimeAsync(1);
+
+        expect(await suggesting).toEqual([]);
+        expect(omnibox.aiController).toBeNull();
+        expect(console.error).not.toHaveBeenCalled();
+      });
+
+      test('aborts the previous request when the input changes', async () => {
+        const first = omnibox.getAISuggestions('rus');
+        omnibox.getAISuggestions('rust');
+
+        expect(await first).toEqual([]);
+        expect(llm.complete.mock.calls[0][2].signal.aborted).toBe(true);
+        expect(llm.complete.mock.calls[1][2].signal.aborted).toBe(false);
+        omnibox.aiController.abort();
+      });
+    });
+  });
+
+  test('keeps selection stats across restarts', async () => {
+    omnibox.recordSelection({ source: 'tab', url: 'https://doc.rust-lang.org/book/' });
+    omnibox.recordSelection({ source: 'nowhere', url: 'https://example.com/' });
+    clearTimeout(omnibox.saveTimer);
+    await omnibox.save();
+
+    const restarted = createOmnibox();
+    await restarted.load();
+
+    expect(restarted.stats).toEqual({
+      sources: { tab: 1 },
+      urls: { 'https://doc.rust-lang.org/book/': 1 }
+    });
+  });
+});
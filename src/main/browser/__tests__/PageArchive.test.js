@@ -0,0 +1,190 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PageArchive } = require('../PageArchive');
+const { EmbeddingService } = require('../../ai-engine/EmbeddingService');
+const { createMockRegistry } = require('../../ai-engine/__tests__/helpers/mockRegistry');
+
+describe('PageArchive', () => {
+  let root;
+  let archiveDir;
+  let analyzer;
+  let archive;
+
+  const createArchive = () => {
+    const { registry, settingsManager } = createMockRegistry();
+    return new PageArchive(analyzer, new EmbeddingService(registry, settingsManager), archiveDir);
+  };
+
+  // Writes whatever it is asked to save, or fails for the given formats
+  const createWebContents = (failing = []) => ({
+    savePage: jest.fn(async (filePath, format) => {
+      if (failing.includes(format)) throw new Error(`${format} not supported`);
+      fs.writeFileSync(filePath, `<p>${format}</p>`);
+    })
+  });
+
+  const save = (pageData, webContents = createWebContents()) => archive.savePage(webContents, {
+    url: 'https://blog.example/rust',
+    title: 'Rust 1.75',
+    content: 'Rust 1.75 shipped in December. It added async functions in traits.',
+    ...pageData
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-archive-'));
+    archiveDir = path.join(root, 'archive');
+    analyzer = {
+      activeAnalyses: new Map([['https://blog.example/rust', {
+        content: { category: { primary: 'technology' }, topics: [{ term: 'Rust' }, { term: 'rust ' }, { term: 'Compilers' }] }
+      }]]),
+      analyzePage: jest.fn(async () => ({ content: { topics: [] } }))
+    };
+    archive = createArchive();
+  });
+
+  afterEach(() => {
+    clearTimeout(archive.saveTimer);
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('saves a snapshot and the text, tagged with the page\'s topics', async () => {
+    const page = await save();
+
+    expect(page).toMatchObject({
+      url: 'https://blog.example/rust',
+      title: 'Rust 1.75',
+      format: 'mhtml',
+      category: 'technology',
+      tags: ['rust', 'compilers'],
+      wordCount: 11
+    });
+    expect(page).not.toHaveProperty('snapshotFile');
+    expect(page).not.toHaveProperty('textFile');
+    expect(fs.readFileSync(path.join(archiveDir, `${page.id}.txt`), 'utf8')).toMatch(/^Rust 1\.75 shipped/);
+    expect(analyzer.analyzePage).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the page\'s HTML when Chromium can\'t make MHTML', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const page = await save({}, createWebContents(['MHTML']));
+
+    expect(page.format).toBe('html');
+    expect(fs.readFileSync(path.join(archiveDir, `${page.id}.html`), 'utf8')).toBe('<p>HTMLOnly</p>');
+  });
+
+  test('only archives web pages', async () => {
+    await expect(save({ url: 'nexus://settings/' })).rejects.toThrow('Only web pages can be archived');
+  });
+
+  test('finds pages by their text, best matches first, with a snippet', async () => {
+    await save();
+    await save({ url: 'https://blog.example/go', title: 'Go 1.22', content: 'Go 1.22 changed loop variables. Traits are a Rust thing.' });
+
+    const results = await archive.list({ query: 'async traits' });
+
+    expect(results.map(page => page.title)).toEqual(['Rust 1.75', 'Go 1.22']);
+    expect(results[0].snippet).toBe('It added async functions in traits.');
+    expect(await archive.list({ query: 'async', tag: 'compilers' })).toHaveLength(1);
+    expect(archive.getAllTags()).toEqual([{ tag: 'rust', count: 1 }, { tag: 'compilers', count: 1 }]);
+  });
+
+  test('rebuilds its search index after a restart', async () => {
+    const { id } = await save();
+    clearTimeout(archive.saveTimer);
+    await archive.save();
+
+    archive = createArchive();
+    await archive.load();
+
+    expect((await archive.list({ query: 'december' })).map(page => page.id)).toEqual([id]);
+  });
+
+  test('deletes a page with its files', async () => {
+    const { id } = await save();
+
+    expect(await archive.deletePage(id)).toBe(true);
+
+    expect(fs.readdirSync(archiveDir)).toEqual([]);
+    expect(await archive.list({ query: 'rust' })).toEqual([]);
+    expect(await archive.getPage(id)).toBeNull();
+    expect(await archive.deletePage(id)).toBe(false);
+  });
+});
+
+describe('PageArchive snapshots', () => {
+  let root;
+  let archive;
+
+  const addPage = (page) => {
+    const entry = { id: 'page-1', url: 'https://example.com/a?b=1&c=2', title: 'A', tags: [], format: 'html', snapshotFile: 'page-1.html', textFile: 'page-1.txt', ...page };
+    archive.pages.unshift(entry);
+    return entry;
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-archive-'));
+    fs.mkdirSync(path.join(root, 'archive'));
+    const { registry, settingsManager } = createMockRegistry();
+    archive = new PageArchive(null, new EmbeddingService(registry, settingsManager), path.join(root, 'archive'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('serves a saved page with links resolving against where it came from', async () => {
+    fs.writeFileSync(path.join(root, 'archive', 'page-1.html'), '<html><head lang="en"><title>A</title></head></html>');
+    addPage();
+
+    expect(await archive.getSnapshot('page-1'))
+      .toBe('<html><head lang="en"><base href="https://example.com/a?b=1&amp;c=2"><title>A</title></head></html>');
+  });
+
+  test('converts MHTML snapshots to one document', async () => {
+    fs.writeFileSync(path.join(root, 'archive', 'page-1.mhtml'), [
+      'Content-Type: multipart/related; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/html',
+      '',
+      '<p>Saved</p>',
+      '--b--'
+    ].join('\r\n'));
+    addPage({ format: 'mhtml', snapshotFile: 'page-1.mhtml' });
+
+    expect(await archive.getSnapshot('page-1')).toBe('<base href="https://example.com/a?b=1&amp;c=2"><p>Saved</p>');
+  });
+
+  test('never reads files outside the archive', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fs.writeFileSync(path.join(root, 'secret.html'), '<p>secret</p>');
+    addPage({ snapshotFile: '../secret.html' });
+    addPage({ id: 'page-2', snapshotFile: path.join(root, 'secret.html') });
+
+    expect(await archive.getSnapshot('page-1')).toBeNull();
+    expect(await archive.getSnapshot('page-2')).toBeNull();
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns nothing for unknown pages or missing files', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    addPage();
+
+    expect(await archive.getSnapshot('page-9')).toBeNull();
+    expect(await archive.getSnapshot('page-1')).toBeNull();
+  });
+
+  test('describes pages without their file names and links to the nexus page', () => {
+    const described = archive.describePage(addPage());
+
+    expect(described).not.toHaveProperty('snapshotFile');
+    expect(described).not.toHaveProperty('textFile');
+    expect(JSON.stringify(described)).not.toContain('file:');
+    expect(archive.getSnapshotUrl('page 1')).toBe('nexus://archive/view?id=page%201');
+  });
+});
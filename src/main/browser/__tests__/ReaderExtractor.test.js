@@ -0,0 +1,35 @@
+const vm = require('vm');
+const { ReaderExtractor } = require('../ReaderExtractor');
+
+describe('ReaderExtractor', () => {
+  test('builds a page script that carries its options', () => {
+    const script = new ReaderExtractor({ minLength: 100, maxLength: 2000 }).getScript();
+
+    expect(script).toMatch(/^\(function extractArticle\(/);
+    expect(script.endsWith('({"minLength":100,"maxLength":2000})')).toBe(true);
+  });
+
+  // The function is serialized into the page, so it can only use what the
+  // page has; this runs it with a bare document and nothing from this module
+  test('runs on its own in a page without a body', () => {
+    const script = new ReaderExtractor().getScript();
+
+    expect(vm.runInNewContext(script, { document: { body: null } })).toBeNull();
+  });
+
+  test('returns what the page script found', async () => {
+    const article = { title: 'Hello', content: '<p>Hi</p>' };
+    const webContents = { executeJavaScript: jest.fn().mockResolvedValue(article) };
+
+    expect(await new ReaderExtractor().extract(webContents)).toBe(article);
+    expect(webContents.executeJavaScript).toHaveBeenCalledWith(new ReaderExtractor().getScript());
+  });
+
+  test('returns null when the page script fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const webContents = { executeJavaScript: jest.fn().mockRejectedValue(new Error('Script failed to execute')) };
+
+    expect(await new ReaderExtractor().extract(webContents)).toBeNull();
+    console.error.mockRestore();
+  });
+});
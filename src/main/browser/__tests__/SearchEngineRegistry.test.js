@@ -0,0 +1,112 @@
+jest.mock('electron', () => ({ net: { fetch: jest.fn() } }));
+
+const os = require('os');
+const path = require('path');
+const { net } = require('electron');
+const { SettingsManager } = require('../../settings/SettingsManager');
+const { SearchEngineRegistry } = require('../SearchEngineRegistry');
+
+const DESCRIPTION = `<?xml version="1.0"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/">
+  <ShortName>Docs &amp; Guides</ShortName>
+  <Url type="application/x-suggestions+json" template="https://docs.example.com/suggest?q={searchTerms}"/>
+  <Url type="text/html" template="https://docs.example.com/search?q={searchTerms}&amp;page={startPage?}&amp;ie={inputEncoding}"/>
+</OpenSearchDescription>`;
+
+const respond = (body) => net.fetch.mockResolvedValue({ ok: true, text: async () => body });
+
+describe('SearchEngineRegistry', () => {
+  let settingsManager;
+  let searchEngines;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    settingsManager = new SettingsManager(path.join(os.tmpdir(), 'nexus-test-settings.json'));
+    settingsManager.save = jest.fn().mockResolvedValue();
+    searchEngines = new SearchEngineRegistry(settingsManager);
+    net.fetch.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('searches with the default engine', () => {
+    expect(searchEngines.getSearchUrl(' rust & go ')).toBe('https://www.google.com/search?q=rust%20%26%20go');
+  });
+
+  test('searches an engine through its keyword', () => {
+    expect(searchEngines.matchKeyword('W  Rust language')).toBe('https://en.wikipedia.org/w/index.php?search=Rust%20language');
+    expect(searchEngines.matchKeyword('@history pasta')).toBe('nexus://history/?q=pasta');
+    expect(searchEngines.matchKeyword('w')).toBeNull();
+    expect(searchEngines.matchKeyword('rust language')).toBeNull();
+  });
+
+  test('adds, picks and removes a custom engine', async () => {
+    const { engines } = await searchEngines.addEngine({ name: 'MDN', keyword: 'MDN', url: 'https://developer.mozilla.org/search?q=%s' });
+    const mdn = engines.find(engine => engine.keyword === 'mdn');
+    expect(mdn).toMatchObject({ source: 'user' });
+    expect(searchEngines.matchKeyword('mdn fetch')).toBe('https://developer.mozilla.org/search?q=fetch');
+
+    await searchEngines.setDefaultEngine(mdn.id);
+    expect(searchEngines.getSearchUrl('grid')).toBe('https://developer.mozilla.org/search?q=grid');
+
+    const state = await searchEngines.removeEngine(mdn.id);
+    expect(state.defaultEngine).toBe('google');
+    expect(state.engines.some(engine => engine.id === mdn.id)).toBe(false);
+  });
+
+  test('refuses engines it could not search with', async () => {
+    const add = (engine) => searchEngines.addEngine({ name: 'Test', keyword: 'test', url: 'https://example.com/?q=%s', ...engine });
+
+    await expect(add({ name: ' ' })).rejects.toThrow('A search engine needs a name');
+    await expect(add({ keyword: 'two words' })).rejects.toThrow('A keyword is a single word');
+    await expect(add({ keyword: 'G' })).rejects.toThrow('The keyword "g" is already used');
+    await expect(add({ url: 'https://example.com/' })).rejects.toThrow('The URL must contain %s');
+    await expect(add({ url: 'javascript:alert(%s)' })).rejects.toThrow('Search URLs must be http or https');
+    await expect(add({ url: 'not a url %s' })).rejects.toThrow('Invalid search URL');
+  });
+
+  test('keeps built-in engines', async () => {
+    await expect(searchEngines.removeEngine('google')).rejects.toThrow('Built-in search engines cannot be removed');
+    await expect(searchEngines.setDefaultEngine('missing')).rejects.toThrow('Unknown search engine: missing');
+  });
+
+  test('reads the HTML template out of an OpenSearch description', () => {
+    expect(searchEngines.parseDescription(DESCRIPTION)).toEqual({
+      name: 'Docs & Guides',
+      url: 'https://docs.example.com/search?q=%s&page=&ie=UTF-8'
+    });
+    expect(searchEngines.parseDescription(DESCRIPTION.replace('{startPage?}', '{startPage}'))).toBeNull();
+  });
+
+  test('adds an engine a page offers on its own host, once', async () => {
+    respond(DESCRIPTION);
+
+    const added = await searchEngines.discover('https://docs.example.com/guide', '/opensearch.xml');
+    const again = await searchEngines.discover('https://docs.example.com/other', '/opensearch.xml');
+
+    expect(net.fetch).toHaveBeenCalledTimes(1);
+    expect(net.fetch).toHaveBeenCalledWith('https://docs.example.com/opensearch.xml');
+    expect(added).toMatchObject({ id: 'opensearch-docs.example.com', keyword: 'docs.example.com', source: 'opensearch' });
+    expect(again).toBeNull();
+  });
+
+  test('ignores descriptions that point at another site', async () => {
+    respond(DESCRIPTION);
+
+    expect(await searchEngines.discover('https://evil.example.net/', 'https://docs.example.com/opensearch.xml')).toBeNull();
+    expect(net.fetch).not.toHaveBeenCalled();
+
+    // The description is on the page's host but searches somewhere else
+    expect(await searchEngines.discover('https://www.docs.example.org/', '/opensearch.xml')).toBeNull();
+    expect(searchEngines.getEngines().some(engine => engine.source === 'opensearch')).toBe(false);
+  });
+
+  test('does not discover engines when turned off', async () => {
+    settingsManager.settings.search.discoverEngines = false;
+
+    expect(await searchEngines.discover('https://docs.example.com/', '/opensearch.xml')).toBeNull();
+    expect(net.fetch).not.toHaveBeenCalled();
+  });
+});
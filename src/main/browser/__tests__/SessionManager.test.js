@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionManager } = require('../SessionManager');
+
+// Records what was restored into it and serializes its tabs like TabManager
+function createTabManager(bounds = { x: 0, y: 0, width: 1200, height: 800 }) {
+  let nextId = 0;
+  const tabManager = {
+    tabs: new Map(),
+    activeTabId: null,
+    sessionManager: null,
+    mainWindow: { isDestroyed: () => false, getNormalBounds: () => bounds },
+    setSessionManager: jest.fn(sessionManager => { tabManager.sessionManager = sessionManager; }),
+    restoreLayout: jest.fn(() => ({ workspaces: { 'ws-old': 'ws-new' }, groups: { 'group-old': 'group-new' } })),
+    restoreTab: jest.fn(state => {
+      const id = `tab-${++nextId}`;
+      tabManager.tabs.set(id, { id, ...state });
+      return id;
+    }),
+    setActiveTab: jest.fn(tabId => { tabManager.activeTabId = tabId; }),
+    serializeTab: ({ id, ...state }) => state,
+    getLayout: () => ({ workspaces: [], groups: [] }),
+    captureScroll: jest.fn(async () => null)
+  };
+  return tabManager;
+}
+
+const tab = (url, extra = {}) => ({ url, title: url, navigation: { entries: [{ url, title: url }], index: 0 }, ...extra });
+
+describe('SessionManager', () => {
+  let root;
+  let sessionPath;
+  let sessionManager;
+
+  const writeSession = (data) => fs.writeFileSync(sessionPath, JSON.stringify(data));
+  const readSession = () => JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  const loadSession = async () => {
+    sessionManager = new SessionManager(sessionPath);
+    await sessionManager.load();
+    return sessionManager;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-session-'));
+    sessionPath = path.join(root, 'session.json');
+    sessionManager = new SessionManager(sessionPath);
+  });
+
+  afterEach(() => {
+    Array.from(sessionManager.tabManagers).forEach(tabManager => sessionManager.removeTabManager(tabManager));
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('starts empty without a session file', async () => {
+    await loadSession();
+
+    expect(sessionManager.getRestoreState()).toMatchObject({ available: false, tabCount: 0 });
+  });
+
+  describe('after a crash', () => {
+    beforeEach(() => {
+      writeSession({
+        version: 2,
+        savedAt: 1700000000000,
+        cleanExit: false,
+        windows: [
+          { tabs: [tab('https://a.example/'), tab('https://b.example/')], activeIndex: 0 },
+          { tabs: [tab('https://c.example/')], activeIndex: 0, bounds: { x: 50, y: 50, width: 900, height: 700 } },
+          { tabs: [], activeIndex: -1 }
+        ]
+      });
+    });
+
+    test('offers the tabs back instead of restoring them', async () => {
+      await loadSession();
+      const tabManager = createTabManager();
+      sessionManager.addTabManager(tabManager);
+
+      expect(tabManager.restoreTab).not.toHaveBeenCalled();
+      expect(sessionManager.getRestoreState()).toEqual({
+        available: true,
+        uncleanExit: true,
+        tabCount: 3,
+        windowCount: 2,
+        savedAt: 1700000000000,
+        tabs: ['a', 'b', 'c'].map(name => ({ title: `https://${name}.example/`, url: `https://${name}.example/` }))
+      });
+    });
+
+    test('restores every window, opening new ones past the first', async () => {
+      await loadSession();
+      const first = createTabManager();
+      const second = createTabManager();
+      const openWindow = jest.fn(() => second);
+      sessionManager.setWindowOpener(openWindow);
+      sessionManager.addTabManager(first);
+
+      expect(sessionManager.restore(first)).toEqual({ restored: 3, windows: 2 });
+
+      expect(first.restoreTab).toHaveBeenCalledTimes(2);
+      expect(first.restoreTab).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://a.example/' }), true);
+      expect(first.activeTabId).toBe('tab-1');
+      expect(openWindow).toHaveBeenCalledWith({ x: 50, y: 50, width: 900, height: 700 });
+      expect(second.restoreTab).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://c.example/' }), true);
+      expect(sessionManager.getRestoreState().available).toBe(false);
+    });
+
+    test('keeps an unanswered restore through another crash', async () => {
+      await loadSession();
+      sessionManager.addTabManager(createTabManager());
+      await sessionManager.save();
+
+      expect(readSession()).toMatchObject({ cleanExit: false, windows: [] });
+      expect(readSession().pendingRestore.windows).toHaveLength(2);
+
+      sessionManager.removeTabManager(Array.from(sessionManager.tabManagers)[0]);
+      await loadSession();
+      expect(sessionManager.getRestoreState()).toMatchObject({ available: true, uncleanExit: true, tabCount: 3 });
+    });
+
+    test('forgets the tabs once discarded', async () => {
+      await loadSession();
+      sessionManager.addTabManager(createTabManager());
+
+      sessionManager.discard();
+      await sessionManager.save();
+
+      expect(readSession().pendingRestore).toBeUndefined();
+      expect(sessionManager.restore()).toEqual({ restored: 0 });
+    });
+  });
+
+  test('restores a clean exit without asking', async () => {
+    writeSession({ version: 2, cleanExit: true, windows: [{ tabs: [tab('https://a.example/'), tab('https://b.example/')], activeIndex: 1 }] });
+    await loadSession();
+    const tabManager = createTabManager();
+
+    sessionManager.addTabManager(tabManager);
+
+    expect(tabManager.restoreTab).toHaveBeenCalledTimes(2);
+    expect(tabManager.activeTabId).toBe('tab-2');
+    expect(sessionManager.uncleanExit).toBe(false);
+  });
+
+  test('reads a version 1 session as one window', async () => {
+    writeSession({
+      version: 1,
+      savedAt: 1700000000000,
+      cleanExit: false,
+      tabs: [tab('https://a.example/'), tab('https://b.example/', { workspaceId: 'ws-old', groupId: 'group-old' })],
+      activeIndex: 1,
+      layout: { workspaces: [{ id: 'ws-old' }] }
+    });
+    await loadSession();
+    const tabManager = createTabManager();
+    sessionManager.addTabManager(tabManager);
+
+    expect(sessionManager.getRestoreState()).toMatchObject({ available: true, uncleanExit: true, tabCount: 2, windowCount: 1 });
+    expect(sessionManager.restore(tabManager)).toEqual({ restored: 2, windows: 1 });
+
+    expect(tabManager.restoreLayout).toHaveBeenCalledWith({ workspaces: [{ id: 'ws-old' }] });
+    expect(tabManager.restoreTab).toHaveBeenLastCalledWith(
+      expect.objectContaining({ url: 'https://b.example/', workspaceId: 'ws-new', groupId: 'group-new' }),
+      true
+    );
+    expect(tabManager.activeTabId).toBe('tab-2');
+  });
+
+  test('saves every window shortly after a change and marks a clean exit', async () => {
+    await loadSession();
+    const tabManager = createTabManager();
+    tabManager.tabs.set('tab-1', { id: 'tab-1', ...tab('https://a.example/') });
+    tabManager.activeTabId = 'tab-1';
+    sessionManager.addTabManager(tabManager);
+
+    sessionManager.scheduleSave();
+    expect(fs.existsSync(sessionPath)).toBe(false);
+    jest.advanceTimersByTime(1000);
+    await sessionManager.writeQueue;
+
+    expect(readSession()).toMatchObject({
+      version: 2,
+      cleanExit: false,
+      windows: [{ activeIndex: 0, tabs: [{ url: 'https://a.example/' }], bounds: { width: 1200, height: 800 } }]
+    });
+
+    sessionManager.saveSync();
+    await sessionManager.save();
+
+    expect(readSession().cleanExit).toBe(true);
+    expect(sessionManager.getRestoreState()).toMatchObject({ available: true, uncleanExit: false, tabCount: 1 });
+  });
+
+  test('keeps the most recent closed tabs, without ids from another run', async () => {
+    writeSession({
+      cleanExit: true,
+      windows: [],
+      recentlyClosed: [{ url: 'https://old.example/', title: 'Old', closedAt: 1, workspaceId: 'ws-old', groupId: 'group-old' }]
+    });
+    await loadSession();
+    sessionManager.addTabManager(createTabManager());
+
+    for (let i = 0; i < 30; i++) {
+      sessionManager.recordClosedTab(tab(`https://${i}.example/`));
+    }
+
+    expect(sessionManager.getRecentlyClosed()).toHaveLength(25);
+    expect(sessionManager.popClosedTab()).toMatchObject({ url: 'https://29.example/' });
+    expect(sessionManager.recentlyClosed.map(state => state.url)).not.toContain('https://old.example/');
+
+    await loadSession();
+    expect(sessionManager.recentlyClosed[0]).toEqual({ url: 'https://old.example/', title: 'Old', closedAt: 1 });
+  });
+});
@@ -0,0 +1,126 @@
+const { TabGrouper } = require('../TabGrouper');
+
+const analysis = (category, confidence, topics = []) => ({
+  content: { category: { primary: category, confidence }, topics: topics.map(term => ({ term })) }
+});
+
+// Workspace tabs and groups the way TabManager hands them to the grouper
+function createTabManager(tabs, groups = []) {
+  let nextGroup = 0;
+  const tabManager = {
+    activeWorkspaceId: 'ws-1',
+    tabs: tabs.map(tab => ({ workspaceId: 'ws-1', groupId: null, ...tab })),
+    groups,
+    getWorkspaceTabs: (workspaceId) => tabManager.tabs.filter(tab => tab.workspaceId === workspaceId),
+    getWorkspaceGroups: () => tabManager.groups,
+    removeGroup: jest.fn(groupId => {
+      tabManager.groups = tabManager.groups.filter(group => group.id !== groupId);
+      tabManager.tabs.filter(tab => tab.groupId === groupId).forEach(tab => { tab.groupId = null; });
+    }),
+    createGroup: jest.fn(({ name, tabIds, auto }) => {
+      const group = { id: `group-${++nextGroup}`, name, auto };
+      tabManager.groups.push(group);
+      tabManager.tabs.filter(tab => tabIds.includes(tab.id)).forEach(tab => { tab.groupId = group.id; });
+      return group;
+    }),
+    extractPageData: jest.fn(async tab => ({ url: tab.url, title: tab.title }))
+  };
+  return tabManager;
+}
+
+describe('TabGrouper', () => {
+  let analyses;
+  let analyzer;
+  let grouper;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    analyses = new Map();
+    analyzer = {
+      activeAnalyses: analyses,
+      analyzePage: jest.fn(async () => analysis('general', 0))
+    };
+    grouper = new TabGrouper(analyzer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('groups tabs by site, then by a category both pages are sure of', async () => {
+    const pages = [
+      ['tab-1', 'https://news.bbc.co.uk/1', analysis('news', 0.2)],
+      ['tab-2', 'https://www.bbc.co.uk/2', analysis('sports', 0.2)],
+      ['tab-3', 'https://shop.example/cart', analysis('shopping', 1)],
+      ['tab-4', 'https://store.example/deals', analysis('shopping', 1)],
+      ['tab-5', 'https://docs.rust-lang.org/', analysis('technology', 0.9)]
+    ];
+    pages.forEach(([, url, result]) => analyses.set(url, result));
+    const tabManager = createTabManager(pages.map(([id, url]) => ({ id, url, title: id })));
+
+    const result = await grouper.autoGroup(tabManager);
+
+    expect(result).toMatchObject({ grouped: 4, ungrouped: 1 });
+    expect(tabManager.groups.map(group => group.name)).toEqual(['bbc.co.uk', 'Shopping']);
+    expect(tabManager.tabs.map(tab => tab.groupId)).toEqual(['group-1', 'group-1', 'group-2', 'group-2', null]);
+    expect(analyzer.analyzePage).not.toHaveBeenCalled();
+  });
+
+  test('names a mixed group after the topic its pages share', async () => {
+    analyses.set('https://a.example/', analysis('general', 0, ['Sourdough', 'bread']));
+    analyses.set('https://b.example/', analysis('general', 0, ['sourdough', 'bread']));
+    const tabManager = createTabManager([
+      { id: 'tab-1', url: 'https://a.example/' },
+      { id: 'tab-2', url: 'https://b.example/' }
+    ]);
+
+    await grouper.autoGroup(tabManager);
+
+    expect(tabManager.groups).toEqual([expect.objectContaining({ name: 'Sourdough', auto: true })]);
+  });
+
+  test('redoes auto groups but leaves the user\'s groups and other pages alone', async () => {
+    analyses.set('https://github.com/a', analysis('technology', 0.9));
+    analyses.set('https://github.com/b', analysis('technology', 0.9));
+    analyses.set('https://github.com/c', analysis('technology', 0.9));
+    const tabManager = createTabManager([
+      { id: 'tab-1', url: 'https://github.com/a', groupId: 'mine' },
+      { id: 'tab-2', url: 'https://github.com/b', groupId: 'old-auto' },
+      { id: 'tab-3', url: 'https://github.com/c' },
+      { id: 'tab-4', url: 'nexus://settings' },
+      { id: 'tab-5', url: 'https://github.com/d', workspaceId: 'ws-2' }
+    ], [{ id: 'mine', name: 'Mine', auto: false }, { id: 'old-auto', name: 'Old', auto: true }]);
+
+    await grouper.autoGroup(tabManager);
+
+    expect(tabManager.removeGroup).toHaveBeenCalledWith('old-auto');
+    expect(tabManager.removeGroup).not.toHaveBeenCalledWith('mine');
+    expect(tabManager.createGroup).toHaveBeenCalledWith({ name: 'github.com', tabIds: ['tab-2', 'tab-3'], auto: true });
+    expect(tabManager.tabs.map(tab => tab.groupId)).toEqual(['mine', 'group-1', 'group-1', null, null]);
+  });
+
+  test('analyzes pages again when the first analysis failed', async () => {
+    analyses.set('https://a.example/', { error: 'timeout' });
+    const tabManager = createTabManager([{ id: 'tab-1', url: 'https://a.example/', title: 'A' }]);
+
+    await grouper.autoGroup(tabManager);
+
+    expect(tabManager.extractPageData).toHaveBeenCalledWith(tabManager.tabs[0]);
+    expect(analyzer.analyzePage).toHaveBeenCalledWith({ url: 'https://a.example/', title: 'A' });
+  });
+
+  test('only counts a shared category as far as both pages are sure of it', () => {
+    const feature = (site, category, categoryConfidence) => ({ site, category, categoryConfidence, topics: new Set() });
+
+    expect(grouper.similarity(feature('a.com', 'news', 0.9), feature('b.com', 'news', 0.9))).toBeCloseTo(0.315);
+    expect(grouper.cluster([feature('a.com', 'news', 0.9), feature('b.com', 'news', 0.5)])).toHaveLength(2);
+    expect(grouper.similarity(feature('a.com', 'general', 1), feature('b.com', 'general', 1))).toBe(0);
+  });
+
+  test('reduces hosts to their site', () => {
+    expect(grouper.getSite('https://news.bbc.co.uk/story')).toBe('bbc.co.uk');
+    expect(grouper.getSite('https://www.github.com/')).toBe('github.com');
+    expect(grouper.getSite('https://a.b.example.de/')).toBe('example.de');
+    expect(grouper.getSite('not a url')).toBeNull();
+  });
+});
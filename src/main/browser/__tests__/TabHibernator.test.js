@@ -0,0 +1,130 @@
+jest.mock('electron', () => ({
+  app: { getAppMetrics: jest.fn(() => []) }
+}));
+
+const os = require('os');
+const path = require('path');
+const { app } = require('electron');
+const { SettingsManager } = require('../../settings/SettingsManager');
+const { TabHibernator } = require('../TabHibernator');
+
+const MINUTE = 60 * 1000;
+
+describe('TabHibernator', () => {
+  let now;
+  let settingsManager;
+  let hibernator;
+
+  const createTab = (id, minutesIdle, extra = {}) => ({
+    id,
+    url: `https://${id}.example/`,
+    lastAccessed: now - minutesIdle * MINUTE,
+    discarded: false,
+    loading: false,
+    view: { webContents: { isCurrentlyAudible: () => false, getOSProcessId: () => id.length } },
+    ...extra
+  });
+
+  // A window with the given tabs; only `visible` ones are on screen
+  const createTabManager = (tabs, visible = []) => {
+    const tabManager = {
+      tabs: new Map(tabs.map(tab => [tab.id, tab])),
+      isTabVisible: tabId => visible.includes(tabId),
+      discardTab: jest.fn(async tabId => {
+        tabManager.tabs.get(tabId).discarded = true;
+        return true;
+      }),
+      notifyRenderer: jest.fn()
+    };
+    hibernator.addTabManager(tabManager);
+    return tabManager;
+  };
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    settingsManager = new SettingsManager(path.join(os.tmpdir(), 'nexus-test-settings.json'));
+    settingsManager.save = jest.fn().mockResolvedValue();
+    hibernator = new TabHibernator(settingsManager);
+    process.getSystemMemoryInfo = jest.fn(() => ({ total: 8000000, free: 4000000 }));
+  });
+
+  afterEach(() => {
+    Array.from(hibernator.tabManagers).forEach(tabManager => hibernator.removeTabManager(tabManager));
+    delete process.getSystemMemoryInfo;
+    jest.restoreAllMocks();
+  });
+
+  test('only offers background web pages that are safe to discard, oldest first', async () => {
+    await settingsManager.set('memorySaver.neverDiscard', ['keep.example']);
+    createTabManager([
+      createTab('recent', 5),
+      createTab('old', 50),
+      createTab('visible', 90),
+      createTab('playing', 90, { view: { webContents: { isCurrentlyAudible: () => true } } }),
+      createTab('busy', 90, { loading: true }),
+      createTab('gone', 90, { discarded: true }),
+      createTab('settings', 90, { url: 'nexus://settings' }),
+      createTab('kept', 90, { url: 'https://docs.keep.example/' })
+    ], ['visible']);
+    createTabManager([createTab('other-window', 70)]);
+
+    expect(hibernator.getCandidates().map(tab => tab.id)).toEqual(['other-window', 'old', 'recent']);
+  });
+
+  test('discards tabs idle past the threshold in every window', async () => {
+    const first = createTabManager([createTab('recent', 5), createTab('old', 50)]);
+    const second = createTabManager([createTab('older', 70)]);
+
+    await hibernator.check();
+
+    expect(first.discardTab).toHaveBeenCalledTimes(1);
+    expect(first.discardTab).toHaveBeenCalledWith('old');
+    expect(second.discardTab).toHaveBeenCalledWith('older');
+    expect(hibernator.getStats()).toMatchObject({ discarded: 2, idleDiscards: 2, discardedTabs: 2 });
+  });
+
+  test('under memory pressure discards the least recently used tabs past a grace period', async () => {
+    await settingsManager.set('memorySaver.idleMinutes', 120);
+    process.getSystemMemoryInfo.mockReturnValue({ total: 8000000, free: 400000 });
+    const tabManager = createTabManager(['a', 'b', 'c', 'd', 'e'].map((id, i) => createTab(id, 10 - i * 2)).concat(createTab('fresh', 0.5)));
+
+    await hibernator.check();
+
+    expect(tabManager.discardTab.mock.calls.map(([tabId]) => tabId)).toEqual(['a', 'b', 'c']);
+    expect(hibernator.getStats()).toMatchObject({ pressureDiscards: 3, idleDiscards: 0 });
+  });
+
+  test('does nothing when turned off', async () => {
+    await settingsManager.set('memorySaver.enabled', false);
+    const tabManager = createTabManager([createTab('old', 500)]);
+
+    await hibernator.check();
+
+    expect(tabManager.discardTab).not.toHaveBeenCalled();
+  });
+
+  test('discards a background tab on request and counts the memory it used', async () => {
+    app.getAppMetrics.mockReturnValue([{ pid: 3, memory: { workingSetSize: 204800 } }]);
+    const tabManager = createTabManager([createTab('old', 1), createTab('now', 0)], ['now']);
+
+    expect(await hibernator.discardTab('now')).toBe(false);
+    expect(await hibernator.discardTab('old')).toBe(true);
+    expect(tabManager.notifyRenderer).toHaveBeenCalledWith('memory-saver-updated', expect.objectContaining({ manualDiscards: 1 }));
+    expect(hibernator.getStats()).toMatchObject({ discardedTabs: 1, memorySavedKB: 204800 });
+
+    tabManager.tabs.get('old').discarded = false;
+    expect(hibernator.getStats()).toMatchObject({ discardedTabs: 0, memorySavedKB: 0 });
+  });
+
+  test('keeps exceptions as bare hostnames', async () => {
+    expect(await hibernator.addException('https://www.music.example/playlist')).toEqual(['music.example']);
+    expect(await hibernator.addException('music.example')).toEqual(['music.example']);
+    await expect(hibernator.addException('')).rejects.toThrow('Not a valid site: ');
+
+    expect(hibernator.isExcepted('https://radio.music.example/')).toBe(true);
+    expect(hibernator.isExcepted('https://notmusic.example/')).toBe(false);
+    expect(await hibernator.removeException('www.music.example')).toEqual([]);
+  });
+});
@@ -0,0 +1,420 @@
+const { EventEmitter } = require('events');
+
+// Enough of a BrowserView's webContents for the tab manager to drive
+class MockWebContents extends EventEmitter {
+  constructor() {
+    super();
+    this.url = '';
+    this.destroyed = false;
+    this.focused = false;
+    this.loadURL = jest.fn(async url => { this.url = url; });
+    this.insertCSS = jest.fn(async () => 'css-key');
+    this.removeInsertedCSS = jest.fn(async () => {});
+    this.executeJavaScript = jest.fn(async () => true);
+    this.setWindowOpenHandler = jest.fn();
+  }
+
+  getURL() {
+    return this.url;
+  }
+
+  isDestroyed() {
+    return this.destroyed;
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.emit('destroyed');
+  }
+
+  canGoBack() {
+    return false;
+  }
+
+  canGoForward() {
+    return false;
+  }
+
+  focus() {
+    this.focused = true;
+  }
+
+  isFocused() {
+    return this.focused;
+  }
+
+  loadListenerCount() {
+    return this.listenerCount('did-stop-loading') + this.listenerCount('destroyed');
+  }
+}
+
+class MockBrowserView {
+  constructor(options) {
+    this.options = options;
+    this.webContents = new MockWebContents();
+    this.bounds = null;
+  }
+
+  setBounds(bounds) {
+    this.bounds = bounds;
+  }
+}
+
+jest.mock('electron', () => ({ BrowserView: MockBrowserView, shell: { openExternal: jest.fn() } }));
+
+const { TabManager, TAB_PARTITION, PRIVATE_PARTITION } = require('../TabManager');
+
+// A browser window showing whichever views the tab manager gives it
+function createWindow() {
+  const views = new Set();
+  return {
+    views,
+    destroyed: false,
+    isDestroyed() { return this.destroyed; },
+    getContentBounds: () => ({ x: 0, y: 0, width: 1206, height: 820 }),
+    setBrowserView: jest.fn(view => { views.clear(); views.add(view); }),
+    addBrowserView: jest.fn(view => views.add(view)),
+    removeBrowserView: jest.fn(view => views.delete(view)),
+    webContents: { send: jest.fn() }
+  };
+}
+
+const searchEngines = {
+  matchKeyword: () => null,
+  getSearchUrl: query => `https://search.example/?q=${encodeURIComponent(query)}`,
+  discover: jest.fn(async () => null)
+};
+
+// Events sent to a window's renderer, by name
+const sent = (window, eventName) => window.webContents.send.mock.calls
+  .filter(([name]) => name === eventName)
+  .map(([, data]) => data);
+
+describe('TabManager', () => {
+  let window;
+  let tabManager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    searchEngines.discover.mockClear();
+    window = createWindow();
+    tabManager = new TabManager(window, null, null, searchEngines);
+  });
+
+  afterEach(() => {
+    tabManager.destroy();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('tabs', () => {
+    test('opens a tab in a real view and shows it', () => {
+      const tabId = tabManager.createTab('example.com');
+      const tab = tabManager.tabs.get(tabId);
+
+      expect(tab.view).toBeInstanceOf(MockBrowserView);
+      expect(tab.view.options.webPreferences).toMatchObject({ partition: TAB_PARTITION, contextIsolation: true, nodeIntegration: false });
+      expect(tab.view.webContents.loadURL).toHaveBeenCalledWith('https://example.com');
+      expect(window.views).toEqual(new Set([tab.view]));
+      expect(tab.view.bounds).toEqual({ x: 0, y: 120, width: 1206, height: 700 });
+      expect(sent(window, 'tab-activated')).toEqual([expect.objectContaining({ tabId })]);
+      expect(sent(window, 'tab-created')).toEqual([expect.objectContaining({ tabId, tab: expect.objectContaining({ isActive: true }) })]);
+    });
+
+    test('leaves background tabs hidden', () => {
+      const first = tabManager.createTab('https://a.example/');
+      tabManager.createTab('https://b.example/', true);
+
+      expect(tabManager.activeTabId).toBe(first);
+      expect(window.views.size).toBe(1);
+    });
+
+    test('searches for text that isn\'t an address and refuses local files', () => {
+      const tabId = tabManager.createTab('rust ownership');
+      const { webContents } = tabManager.tabs.get(tabId).view;
+
+      expect(webContents.loadURL).toHaveBeenLastCalledWith('https://search.example/?q=rust%20ownership');
+      expect(tabManager.navigateTab(tabId, 'file:///etc/passwd')).toBe(false);
+      expect(webContents.loadURL).toHaveBeenCalledTimes(1);
+
+      const refused = tabManager.tabs.get(tabManager.createTab('file:///etc/passwd'));
+      expect(refused.view.webContents.loadURL).toHaveBeenCalledWith('nexus://newtab/');
+    });
+
+    test('passes page changes on to the renderer', () => {
+      const tabId = tabManager.createTab('https://a.example/');
+      const { webContents } = tabManager.tabs.get(tabId).view;
+
+      webContents.emit('did-navigate', {}, 'https://a.example/page');
+      webContents.emit('page-title-updated', {}, 'A page');
+
+      expect(sent(window, 'tab-updated')).toEqual(expect.arrayContaining([
+        expect.objectContaining({ tabId, updates: expect.objectContaining({ url: 'https://a.example/page' }) }),
+        expect.objectContaining({ tabId, updates: { title: 'A page' } })
+      ]));
+      expect(tabManager.getAllTabs()).toEqual([expect.objectContaining({ id: tabId, url: 'https://a.example/page', title: 'A page' })]);
+    });
+
+    test('shows another tab when the active one closes', () => {
+      const first = tabManager.createTab('https://a.example/');
+      const second = tabManager.createTab('https://b.example/');
+      const { webContents } = tabManager.tabs.get(second).view;
+
+      expect(tabManager.closeTab(second)).toBe(true);
+
+      expect(webContents.isDestroyed()).toBe(true);
+      expect(tabManager.activeTabId).toBe(first);
+      expect(sent(window, 'tab-closed')).toEqual([{ tabId: second, activeTabId: first }]);
+
+      tabManager.closeTab(first);
+      expect(tabManager.activeTabId).toBeNull();
+      expect(window.views.size).toBe(0);
+      expect(tabManager.closeTab('tab-0')).toBe(false);
+    });
+  });
+
+  describe('split view', () => {
+    let tabIds;
+
+    beforeEach(() => {
+      tabIds = ['a', 'b', 'c'].map(name => tabManager.createTab(`https://${name}.example/`));
+    });
+
+    const bounds = (tabId) => tabManager.tabs.get(tabId).view.bounds;
+
+    test('tiles tabs side by side with room for the divider', () => {
+      const state = tabManager.createSplit([tabIds[0], tabIds[1]]);
+
+      expect(state).toMatchObject({ tabIds: [tabIds[0], tabIds[1]], orientation: 'horizontal', sizes: [0.5, 0.5], focusedTabId: tabIds[0] });
+      expect(window.views.size).toBe(2);
+      expect(bounds(tabIds[0])).toEqual({ x: 0, y: 120, width: 600, height: 700 });
+      expect(bounds(tabIds[1])).toEqual({ x: 606, y: 120, width: 600, height: 700 });
+      expect(sent(window, 'split-updated').pop()).toEqual(state);
+    });
+
+    test('stacks tabs and follows the divider, keeping each view a minimum size', () => {
+      tabManager.createSplit([tabIds[0], tabIds[1]], { orientation: 'vertical' });
+
+      expect(tabManager.setSplitSizes([0.05, 0.95]).sizes).toEqual([0.15, 0.85]);
+      expect(bounds(tabIds[0])).toEqual({ x: 0, y: 120, width: 1206, height: 104 });
+      expect(bounds(tabIds[1])).toEqual({ x: 0, y: 230, width: 1206, height: 590 });
+      expect(tabManager.setSplitSizes('bad').sizes).toEqual([0.5, 0.5]);
+    });
+
+    test('makes a clicked page the active tab without leaving split view', () => {
+      tabManager.createSplit([tabIds[0], tabIds[1]]);
+
+      tabManager.tabs.get(tabIds[1]).view.webContents.emit('focus');
+
+      expect(tabManager.activeTabId).toBe(tabIds[1]);
+      expect(tabManager.getSplitState().tabIds).toEqual([tabIds[0], tabIds[1]]);
+      expect(window.views.size).toBe(2);
+    });
+
+    test('shows the other tab on its own when one of two closes', () => {
+      tabManager.createSplit([tabIds[0], tabIds[1]]);
+
+      tabManager.closeTab(tabIds[0]);
+
+      expect(tabManager.getSplitState()).toBeNull();
+      expect(tabManager.activeTabId).toBe(tabIds[1]);
+      expect(window.views).toEqual(new Set([tabManager.tabs.get(tabIds[1]).view]));
+      expect(bounds(tabIds[1])).toEqual({ x: 0, y: 120, width: 1206, height: 700 });
+    });
+
+    test('ends when a tab outside it is activated', () => {
+      tabManager.createSplit([tabIds[0], tabIds[1]]);
+
+      tabManager.setActiveTab(tabIds[2]);
+
+      expect(tabManager.getSplitState()).toBeNull();
+      expect(window.views).toEqual(new Set([tabManager.tabs.get(tabIds[2]).view]));
+    });
+
+    test('only tiles two to four tabs from one workspace', () => {
+      expect(tabManager.createSplit([tabIds[0], tabIds[0]])).toBeNull();
+
+      const other = tabManager.createWorkspace('Other');
+      tabManager.moveTabToWorkspace(tabIds[2], other.id);
+      expect(tabManager.createSplit([tabIds[0], tabIds[2]])).toBeNull();
+
+      const more = ['d', 'e'].map(name => tabManager.createTab(`https://${name}.example/`, true));
+      expect(tabManager.createSplit([tabIds[0], tabIds[1], ...more])).not.toBeNull();
+      expect(tabManager.addToSplit(tabManager.createTab('https://f.example/', true))).toBeNull();
+    });
+  });
+
+  describe('private windows', () => {
+    let aiEngine;
+    let dataCollector;
+
+    // Runs what a finished page load runs
+    const loadPage = async (manager) => {
+      const tab = manager.tabs.get(manager.createTab('https://a.example/'));
+      tab.view.webContents.executeJavaScript.mockResolvedValue({ url: 'https://a.example/', title: 'A', content: 'Hello' });
+      await manager.handlePageLoad(tab);
+      return tab;
+    };
+
+    beforeEach(() => {
+      aiEngine = {
+        analyzePage: jest.fn(async () => ({ summary: 'A page' })),
+        summarizePage: jest.fn(async () => null),
+        generateContextualSuggestions: jest.fn(async () => [])
+      };
+      dataCollector = { recordPageVisit: jest.fn(async () => {}) };
+    });
+
+    test('analyze and record what a normal window loads', async () => {
+      await loadPage(new TabManager(createWindow(), aiEngine, dataCollector, searchEngines));
+
+      expect(aiEngine.analyzePage).toHaveBeenCalled();
+      expect(aiEngine.summarizePage).toHaveBeenCalledWith(expect.anything(), { cache: true });
+      expect(dataCollector.recordPageVisit).toHaveBeenCalledWith(expect.objectContaining({ url: 'https://a.example/' }));
+    });
+
+    test('keep their pages in memory and away from the AI and data collection', async () => {
+      const privateTabs = new TabManager(createWindow(), aiEngine, null, searchEngines, { partition: PRIVATE_PARTITION, isPrivate: true });
+
+      const tab = await loadPage(privateTabs);
+      tab.view.webContents.emit('did-navigate-in-page', {}, 'https://a.example/#more', true);
+
+      expect(tab.view.options.webPreferences.partition).toBe('nexus-private');
+      expect(aiEngine.analyzePage).not.toHaveBeenCalled();
+      expect(aiEngine.summarizePage).not.toHaveBeenCalled();
+      expect(tab.aiContext.summaryTimer).toBeNull();
+      expect(searchEngines.discover).not.toHaveBeenCalled();
+      privateTabs.destroy();
+    });
+  });
+
+  describe('moving tabs between windows', () => {
+    let otherWindow;
+    let otherTabs;
+
+    beforeEach(() => {
+      otherWindow = createWindow();
+      otherTabs = new TabManager(otherWindow, null, null, searchEngines);
+    });
+
+    afterEach(() => {
+      otherTabs.destroy();
+    });
+
+    test('moves a tab with its page still loaded', () => {
+      const staying = tabManager.createTab('https://a.example/');
+      const moving = tabManager.createTab('https://b.example/');
+      const { view } = tabManager.tabs.get(moving);
+
+      const tab = tabManager.detachTab(moving);
+      expect(otherTabs.attachTab(tab)).toBe(moving);
+
+      expect(tabManager.activeTabId).toBe(staying);
+      expect(sent(window, 'tab-closed')).toEqual([{ tabId: moving, activeTabId: staying }]);
+      expect(otherTabs.tabs.get(moving).view).toBe(view);
+      expect(view.webContents.loadURL).toHaveBeenCalledTimes(1);
+      expect(view.webContents.isDestroyed()).toBe(false);
+      expect(otherWindow.views).toEqual(new Set([view]));
+      expect(tab.workspaceId).toBe(otherTabs.activeWorkspaceId);
+    });
+
+    test('sends the moved page\'s events to its new window only', () => {
+      const moving = tabManager.createTab('https://b.example/');
+      const { webContents } = tabManager.tabs.get(moving).view;
+      otherTabs.attachTab(tabManager.detachTab(moving));
+      window.webContents.send.mockClear();
+
+      webContents.emit('page-title-updated', {}, 'Moved');
+
+      expect(sent(window, 'tab-updated')).toEqual([]);
+      expect(sent(otherWindow, 'tab-updated')).toEqual([expect.objectContaining({ tabId: moving, updates: { title: 'Moved' } })]);
+    });
+
+    test('keeps tab ids unique across windows', () => {
+      const ids = [tabManager.createTab(), otherTabs.createTab(), tabManager.createTab()];
+
+      expect(new Set(ids).size).toBe(3);
+    });
+  });
+
+  describe('waitForLoad', () => {
+    let tab;
+    let webContents;
+
+    beforeEach(() => {
+      webContents = new MockWebContents();
+      tab = { id: 'tab-loading', loading: true, view: { webContents } };
+    });
+
+    test('resolves right away for a loaded tab', async () => {
+      tab.loading = false;
+
+      await expect(tabManager.waitForLoad(tab)).resolves.toBeUndefined();
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+
+    test('resolves once the page stops loading', async () => {
+      const waiting = tabManager.waitForLoad(tab);
+
+      webContents.emit('did-stop-loading');
+
+      await expect(waiting).resolves.toBeUndefined();
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+
+    test('gives up on a page that never finishes and drops its listeners', async () => {
+      jest.useFakeTimers();
+      const waiting = tabManager.waitForLoad(tab, 1000);
+
+      expect(webContents.loadListenerCount()).toBe(2);
+      jest.advanceTimersByTime(1000);
+
+      await expect(waiting).resolves.toBeUndefined();
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+  });
+
+  describe('highlightPassage on a tab still loading', () => {
+    let tab;
+    let webContents;
+
+    beforeEach(() => {
+      tabManager = new TabManager(null, null, null, null);
+      webContents = new MockWebContents();
+      tab = { id: 'tab-loading', loading: true, view: { webContents }, aiContext: {} };
+      tabManager.tabs.set(tab.id, tab);
+      tabManager.activeTabId = tab.id;
+    });
+
+    test('highlights once the page has loaded', async () => {
+      const highlighting = tabManager.highlightPassage(tab.id, 'A quote');
+      expect(webContents.executeJavaScript).not.toHaveBeenCalled();
+
+      webContents.emit('did-stop-loading');
+
+      expect(await highlighting).toBe(true);
+      expect(webContents.executeJavaScript).toHaveBeenCalledWith(expect.stringContaining('"A quote"'));
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+
+    test('gives up when the tab is closed or discarded before it loads', async () => {
+      const highlighting = tabManager.highlightPassage(tab.id, 'A quote');
+
+      webContents.destroy();
+
+      expect(await highlighting).toBe(false);
+      expect(webContents.executeJavaScript).not.toHaveBeenCalled();
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+
+    test('tries anyway when the page never finishes loading', async () => {
+      jest.useFakeTimers();
+      const highlighting = tabManager.highlightPassage(tab.id, 'A quote');
+
+      await jest.advanceTimersByTimeAsync(15000);
+
+      expect(await highlighting).toBe(true);
+      expect(webContents.loadListenerCount()).toBe(0);
+    });
+  });
+});
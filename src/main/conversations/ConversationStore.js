@@ -0,0 +1,234 @@
+const Dexie = require('dexie');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_TITLE = 'New conversation';
+
+// Named assistant conversation threads and their messages. A thread can be
+// pinned to a tab (by id and URL, since tab ids don't survive a restart) or
+// to a project name.
+class ConversationStore {
+  constructor() {
+    this.db = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      console.log('💬 Initializing ConversationStore...');
+
+      this.db = new Dexie('NexusConversationsDB');
+      this.db.version(1).stores({
+        threads: 'id, title, createdAt, updatedAt, pinnedType, pinnedId',
+        messages: '++id, threadId, timestamp'
+      });
+      await this.db.open();
+
+      this.isInitialized = true;
+      console.log('✅ ConversationStore initialized successfully');
+    } catch (error) {
+      console.error('❌ Failed to initialize ConversationStore:', error);
+      throw error;
+    }
+  }
+
+  async createThread({ title, pin } = {}) {
+    const now = Date.now();
+    const thread = {
+      id: uuidv4(),
+      title: title || DEFAULT_TITLE,
+      createdAt: now,
+      updatedAt: now,
+      messageCount: 0,
+      ...this.toPinFields(pin)
+    };
+
+    await this.db.threads.add(thread);
+    return this.toThreadInfo(thread);
+  }
+
+  async listThreads() {
+    const threads = await this.db.threads.orderBy('updatedAt').reverse().toArray();
+    return threads.map(thread => this.toThreadInfo(thread));
+  }
+
+  async getThread(threadId) {
+    const thread = await this.db.threads.get(threadId);
+    if (!thread) return null;
+
+    const messages = await this.db.messages.where('threadId').equals(threadId).sortBy('timestamp');
+    return { ...this.toThreadInfo(thread), messages };
+  }
+
+  async renameThread(threadId, title) {
+    const trimmed = (title || '').trim();
+    if (!trimmed) {
+      throw new Error('Title cannot be empty');
+    }
+
+    await this.db.threads.update(threadId, { title: trimmed.substring(0, 120), updatedAt: Date.now() });
+    return this.toThreadInfo(await this.db.threads.get(threadId));
+  }
+
+  async deleteThread(threadId) {
+    await this.db.transaction('rw', this.db.threads, this.db.messages, async () => {
+      await this.db.messages.where('threadId').equals(threadId).delete();
+      await this.db.threads.delete(threadId);
+    });
+  }
+
+  // `pin` is { type: 'tab', tabId, url, label } or { type: 'project', project }; null unpins
+  async pinThread(threadId, pin) {
+    await this.db.threads.update(threadId, this.toPinFields(pin));
+    return this.toThreadInfo(await this.db.threads.get(threadId));
+  }
+
+  async appendMessage(threadId, message) {
+    const thread = await this.db.threads.get(threadId);
+    if (!thread) {
+      throw new Error(`Conversation not found: ${threadId}`);
+    }
+
+    const record = {
+      threadId,
+      role: message.role,
+      content: message.content || '',
+      timestamp: message.timestamp || Date.now(),
+      // Extras the UI re-renders on resume (citations, agent steps...)
+      meta: message.meta || null
+    };
+    record.id = await this.db.messages.add(record);
+
+    const updates = { updatedAt: record.timestamp, messageCount: (thread.messageCount || 0) + 1 };
+    // Name untitled threads after their first question
+    if (thread.title === DEFAULT_TITLE && message.role === 'user') {
+      updates.title = this.titleFromMessage(record.content);
+    }
+    await this.db.threads.update(threadId, updates);
+
+    return record;
+  }
+
+  // Last exchanges in the { query, response } shape AIEngine keeps in memory
+  async getRecentExchanges(threadId, limit = 5) {
+    const messages = await this.db.messages.where('threadId').equals(threadId).sortBy('timestamp');
+    const exchanges = [];
+
+    messages.forEach(message => {
+      if (message.role === 'user') {
+        exchanges.push({ timestamp: message.timestamp, query: message.content, response: '' });
+      } else if (message.role === 'assistant' && exchanges.length > 0) {
+        exchanges[exchanges.length - 1].response = message.content;
+      }
+    });
+
+    return exchanges.slice(-limit);
+  }
+
+  async searchThreads(query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return this.listThreads();
+
+    const threads = await this.db.threads.toArray();
+    const matchingMessages = await this.db.messages
+      .filter(message => message.content.toLowerCase().includes(needle))
+      .toArray();
+
+    const snippets = new Map();
+    matchingMessages.forEach(message => {
+      if (!snippets.has(message.threadId)) {
+        snippets.set(message.threadId, this.buildSnippet(message.content, needle));
+      }
+    });
+
+    return threads
+      .filter(thread => thread.title.toLowerCase().includes(needle) || snippets.has(thread.id))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(thread => ({ ...this.toThreadInfo(thread), snippet: snippets.get(thread.id) || null }));
+  }
+
+  async exportThread(threadId, format = 'markdown') {
+    const thread = await this.getThread(threadId);
+    if (!thread) {
+      throw new Error(`Conversation not found: ${threadId}`);
+    }
+
+    if (format === 'json') {
+      return JSON.stringify(thread, null, 2);
+    }
+
+    const lines = [
+      `# ${thread.title}`,
+      '',
+      `_Created ${new Date(thread.createdAt).toLocaleString()}_`
+    ];
+    if (thread.pin) {
+      lines.push('', `Pinned to ${thread.pin.type}: ${thread.pin.label}`);
+    }
+
+    thread.messages.forEach(message => {
+      lines.push('', `## ${message.role === 'user' ? 'You' : 'Nexus AI'}`, '', message.content);
+
+      const citations = message.meta?.citations || [];
+      if (citations.length > 0) {
+        lines.push('');
+        citations.forEach(citation => lines.push(`> [${citation.number}] ${citation.quote}`));
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  toPinFields(pin) {
+    if (!pin) {
+      return { pinnedType: null, pinnedId: null, pinnedUrl: null, pinnedLabel: null };
+    }
+
+    if (pin.type === 'tab') {
+      return {
+        pinnedType: 'tab',
+        pinnedId: pin.tabId,
+        pinnedUrl: pin.url || null,
+        pinnedLabel: pin.label || pin.url || pin.tabId
+      };
+    }
+
+    if (pin.type === 'project') {
+      return { pinnedType: 'project', pinnedId: pin.project, pinnedUrl: null, pinnedLabel: pin.project };
+    }
+
+    throw new Error(`Unknown pin type: ${pin.type}`);
+  }
+
+  toThreadInfo(thread) {
+    return {
+      id: thread.id,
+      title: thread.title,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messageCount: thread.messageCount || 0,
+      pin: thread.pinnedType
+        ? { type: thread.pinnedType, id: thread.pinnedId, url: thread.pinnedUrl, label: thread.pinnedLabel }
+        : null
+    };
+  }
+
+  titleFromMessage(content) {
+    const singleLine = content.replace(/\s+/g, ' ').trim();
+    return singleLine.length > 60 ? `${singleLine.substring(0, 57)}...` : singleLine || DEFAULT_TITLE;
+  }
+
+  buildSnippet(content, needle) {
+    const index = content.toLowerCase().indexOf(needle);
+    const start = Math.max(0, index - 40);
+    const snippet = content.substring(start, index + needle.length + 60).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '…' : ''}${snippet}`;
+  }
+
+  async shutdown() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = { ConversationStore };
@@ -0,0 +1,228 @@
+// Just enough of Dexie, in memory, for the queries the store makes; there's
+// no IndexedDB under node
+jest.mock('dexie', () => {
+  class Collection {
+    constructor(rows) {
+      this.rows = rows;
+    }
+
+    reverse() {
+      return new Collection([...this.rows].reverse());
+    }
+
+    filter(predicate) {
+      return new Collection(this.rows.filter(predicate));
+    }
+
+    async toArray() {
+      return this.rows.map(row => ({ ...row }));
+    }
+
+    async sortBy(field) {
+      return [...this.rows].sort((a, b) => a[field] - b[field]).map(row => ({ ...row }));
+    }
+  }
+
+  class Table {
+    constructor(primaryKey) {
+      this.autoIncrement = primaryKey.startsWith('++');
+      this.primaryKey = primaryKey.replace('++', '');
+      this.rows = new Map();
+      this.nextKey = 1;
+    }
+
+    async add(row) {
+      const key = this.autoIncrement ? this.nextKey++ : row[this.primaryKey];
+      this.rows.set(key, { ...row, [this.primaryKey]: key });
+      return key;
+    }
+
+    async get(key) {
+      return this.rows.has(key) ? { ...this.rows.get(key) } : undefined;
+    }
+
+    async update(key, changes) {
+      if (!this.rows.has(key)) return 0;
+      Object.assign(this.rows.get(key), changes);
+      return 1;
+    }
+
+    async delete(key) {
+      this.rows.delete(key);
+    }
+
+    collection() {
+      return new Collection(Array.from(this.rows.values()));
+    }
+
+    orderBy(field) {
+      return new Collection(Array.from(this.rows.values()).sort((a, b) => a[field] - b[field]));
+    }
+
+    where(field) {
+      return {
+        equals: (value) => {
+          const rows = Array.from(this.rows.values()).filter(row => row[field] === value);
+          const collection = new Collection(rows);
+          collection.delete = async () => rows.forEach(row => this.rows.delete(row[this.primaryKey]));
+          return collection;
+        }
+      };
+    }
+
+    filter(predicate) {
+      return this.collection().filter(predicate);
+    }
+
+    toArray() {
+      return this.collection().toArray();
+    }
+  }
+
+  return class Dexie {
+    version() {
+      return {
+        stores: (schema) => {
+          Object.entries(schema).forEach(([name, indexes]) => {
+            this[name] = new Table(indexes.split(',')[0].trim());
+          });
+        }
+      };
+    }
+
+    async open() {}
+
+    async transaction(mode, ...args) {
+      return args[args.length - 1]();
+    }
+
+    close() {}
+  };
+});
+
+const { ConversationStore } = require('../ConversationStore');
+
+describe('ConversationStore', () => {
+  let store;
+  let now;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => ++now);
+    store = new ConversationStore();
+    await store.initialize();
+  });
+
+  afterEach(async () => {
+    await store.shutdown();
+    jest.restoreAllMocks();
+  });
+
+  test('names an untitled thread after its first question', async () => {
+    const thread = await store.createThread();
+    expect(thread).toMatchObject({ title: 'New conversation', messageCount: 0, pin: null });
+
+    await store.appendMessage(thread.id, { role: 'assistant', content: 'Hello!' });
+    await store.appendMessage(thread.id, { role: 'user', content: '  How do\nI bake   sourdough bread at home without a starter kit or any fancy gear?' });
+    await store.appendMessage(thread.id, { role: 'user', content: 'And rye?' });
+
+    const saved = await store.getThread(thread.id);
+    expect(saved.title).toBe('How do I bake sourdough bread at home without a starter k...');
+    expect(saved.messageCount).toBe(3);
+    expect(saved.messages.map(message => message.content)).toEqual([
+      'Hello!',
+      '  How do\nI bake   sourdough bread at home without a starter kit or any fancy gear?',
+      'And rye?'
+    ]);
+  });
+
+  test('lists the most recently used threads first', async () => {
+    const older = await store.createThread({ title: 'Older' });
+    const newer = await store.createThread({ title: 'Newer' });
+
+    expect((await store.listThreads()).map(thread => thread.title)).toEqual(['Newer', 'Older']);
+
+    await store.appendMessage(older.id, { role: 'user', content: 'Back to this' });
+    expect((await store.listThreads()).map(thread => thread.id)).toEqual([older.id, newer.id]);
+  });
+
+  test('refuses messages for a missing thread and empty titles', async () => {
+    const thread = await store.createThread();
+
+    await expect(store.appendMessage('nope', { role: 'user', content: 'Hi' })).rejects.toThrow('Conversation not found: nope');
+    await expect(store.renameThread(thread.id, '   ')).rejects.toThrow('Title cannot be empty');
+    expect((await store.renameThread(thread.id, '  Trip planning ')).title).toBe('Trip planning');
+  });
+
+  test('pins threads to a tab or a project and unpins them', async () => {
+    const thread = await store.createThread({ pin: { type: 'tab', tabId: 'tab-3', url: 'https://example.com/' } });
+    expect(thread.pin).toEqual({ type: 'tab', id: 'tab-3', url: 'https://example.com/', label: 'https://example.com/' });
+
+    expect((await store.pinThread(thread.id, { type: 'project', project: 'Thesis' })).pin)
+      .toEqual({ type: 'project', id: 'Thesis', url: null, label: 'Thesis' });
+    expect((await store.pinThread(thread.id, null)).pin).toBeNull();
+    await expect(store.pinThread(thread.id, { type: 'window' })).rejects.toThrow('Unknown pin type: window');
+  });
+
+  test('pairs up the latest exchanges for the assistant', async () => {
+    const thread = await store.createThread();
+    for (let i = 1; i <= 3; i++) {
+      await store.appendMessage(thread.id, { role: 'user', content: `Question ${i}` });
+      await store.appendMessage(thread.id, { role: 'assistant', content: `Answer ${i}` });
+    }
+    await store.appendMessage(thread.id, { role: 'user', content: 'Question 4' });
+
+    expect(await store.getRecentExchanges(thread.id, 2)).toEqual([
+      expect.objectContaining({ query: 'Question 3', response: 'Answer 3' }),
+      expect.objectContaining({ query: 'Question 4', response: '' })
+    ]);
+  });
+
+  test('finds threads by title or message text, with a snippet', async () => {
+    const recipes = await store.createThread({ title: 'Recipes' });
+    const travel = await store.createThread({ title: 'Travel' });
+    await store.appendMessage(travel.id, { role: 'assistant', content: `${'Lisbon is lovely in spring. '.repeat(3)}Try the pastéis de nata near the river.` });
+
+    const byTitle = await store.searchThreads('recipe');
+    expect(byTitle).toEqual([expect.objectContaining({ id: recipes.id, snippet: null })]);
+
+    const byMessage = await store.searchThreads('PASTÉIS');
+    expect(byMessage).toEqual([expect.objectContaining({ id: travel.id })]);
+    expect(byMessage[0].snippet).toMatch(/^….*pastéis de nata near the river\.$/);
+
+    expect(await store.searchThreads(' ')).toHaveLength(2);
+  });
+
+  test('deletes a thread with its messages', async () => {
+    const kept = await store.createThread();
+    const deleted = await store.createThread();
+    await store.appendMessage(kept.id, { role: 'user', content: 'Keep me' });
+    await store.appendMessage(deleted.id, { role: 'user', content: 'Delete me' });
+
+    await store.deleteThread(deleted.id);
+
+    expect(await store.getThread(deleted.id)).toBeNull();
+    expect(await store.searchThreads('delete me')).toEqual([]);
+    expect((await store.getThread(kept.id)).messages).toHaveLength(1);
+  });
+
+  test('exports a thread as markdown with its citations, or as JSON', async () => {
+    const thread = await store.createThread({ title: 'Reading', pin: { type: 'project', project: 'Thesis' } });
+    await store.appendMessage(thread.id, { role: 'user', content: 'What does it say?' });
+    await store.appendMessage(thread.id, {
+      role: 'assistant',
+      content: 'It says hello [1].',
+      meta: { citations: [{ number: 1, quote: 'Hello, world' }] }
+    });
+
+    const markdown = await store.exportThread(thread.id);
+    expect(markdown).toMatch(/^# Reading\n/);
+    expect(markdown).toContain('Pinned to project: Thesis');
+    expect(markdown).toContain('## You\n\nWhat does it say?');
+    expect(markdown).toContain('## Nexus AI\n\nIt says hello [1].\n\n> [1] Hello, world\n');
+
+    expect(JSON.parse(await store.exportThread(thread.id, 'json')).messages).toHaveLength(2);
+    await expect(store.exportThread('nope')).rejects.toThrow('Conversation not found: nope');
+  });
+});
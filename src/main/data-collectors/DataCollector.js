@@ -7,6 +7,7 @@ const Dexie = require('dexie');
 class DataCollector {
   constructor() {
     this.db = null;
+    this.semanticIndex = null;
     this.sessionData = {
       startTime: Date.now(),
       sessionId: this.generateSessionId(),
@@ -67,10 +68,19 @@ class DataCollector {
       errorLogs: '++id, timestamp, type, message, stack, url',
       userPreferences: '++id, category, preference, value, timestamp'
     });
+
+    // Chunk vectors for semantic history search
+    this.db.version(2).stores({
+      pageEmbeddings: '++id, url, timestamp, model'
+    });
     
     await this.db.open();
   }
 
+  setSemanticIndex(semanticIndex) {
+    this.semanticIndex = semanticIndex;
+  }
+
   generateSessionId() {
     return crypto.MD5(Date.now().toString() + Math.random().toString()).toString();
   }
@@ -345,6 +355,32 @@ class DataCollector {
     }
   }
 
+  // Called by the tab manager once a page has loaded and its text extracted
+  async recordPageVisit({ tabId, url, title, timestamp, pageData }) {
+    if (!this.isInitialized) return;
+    
+    try {
+      await this.storePageView({
+        url,
+        tabId,
+        title,
+        timestamp,
+        timeSpent: 0
+      });
+      
+      if (this.semanticIndex && pageData && !pageData.error) {
+        await this.semanticIndex.indexPage({
+          url,
+          title,
+          content: pageData.content,
+          timestamp
+        });
+      }
+    } catch (error) {
+      console.error('Error recording page visit:', error);
+    }
+  }
+
   async recordInteraction(type, target, data, pageUrl) {
     if (!this.isInitialized) return;
     
@@ -481,6 +517,11 @@ class DataCollector {
       // Clean up old metrics
       await this.db.behaviorMetrics.where('timestamp').below(cutoffTime).delete();
       
+      // Clean up old page text and vectors
+      if (this.semanticIndex) {
+        await this.semanticIndex.removeOlderThan(cutoffTime);
+      }
+      
       console.log('🧩 Cleaned up old data');
     } catch (error) {
       console.error('Error cleaning up old data:', error);
@@ -725,16 +766,20 @@ class DataCollector {
     const sanitized = { ...content };
     
     if (sanitized.textContent) {
-      // Remove email addresses, phone numbers, etc.
-      sanitized.textContent = sanitized.textContent
-        .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL]')
-        .replace(/\b\d{3}-\d{3}-\d{4}\b/g, '[PHONE]')
-        .replace(/\b\d{3}\.\d{3}\.\d{4}\b/g, '[PHONE]');
+      sanitized.textContent = this.scrubPII(sanitized.textContent);
     }
     
     return sanitized;
   }
 
+  scrubPII(text) {
+    // Remove email addresses, phone numbers, etc.
+    return text
+      .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g, '[EMAIL]')
+      .replace(/\b\d{3}-\d{3}-\d{4}\b/g, '[PHONE]')
+      .replace(/\b\d{3}\.\d{3}\.\d{4}\b/g, '[PHONE]');
+  }
+
   // Cleanup and shutdown
   async shutdown() {
     try {
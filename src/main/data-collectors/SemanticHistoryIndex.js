@@ -0,0 +1,158 @@
+const crypto = require('crypto-js');
+const { TextChunker } = require('../ai-engine/TextChunker');
+
+const MIN_CONTENT_CHARS = 200;
+const MAX_CHUNKS_PER_PAGE = 20;
+const SNIPPET_LENGTH = 240;
+
+// Vector index over the text of visited pages, stored in the DataCollector
+// database next to pageViews. Pages are split into chunks so a match can
+// point at the passage that answered the query.
+class SemanticHistoryIndex {
+  constructor(dataCollector, embeddingService) {
+    this.dataCollector = dataCollector;
+    this.embeddings = embeddingService;
+    this.chunker = new TextChunker({ maxChars: 1200, overlap: 100 });
+    this.entries = null; // In-memory copy of the table, loaded on first use
+  }
+
+  get table() {
+    return this.dataCollector.db.pageEmbeddings;
+  }
+
+  async loadEntries() {
+    if (!this.entries) {
+      this.entries = await this.table.toArray();
+    }
+    return this.entries;
+  }
+
+  invalidate() {
+    this.entries = null;
+  }
+
+  async indexPage({ url, title, content, timestamp = Date.now() }) {
+    try {
+      if (!/^https?:/i.test(url || '')) return false;
+
+      const text = this.dataCollector.scrubPII((content || '').trim());
+      if (text.length < MIN_CONTENT_CHARS) return false;
+
+      const contentHash = crypto.MD5(text).toString();
+      const existing = await this.table.where('url').equals(url).toArray();
+
+      // Same content as last time: just note the new visit
+      if (existing.length > 0 && existing[0].contentHash === contentHash) {
+        await this.table.where('url').equals(url).modify({ timestamp, title });
+        this.invalidate();
+        return true;
+      }
+
+      const chunks = this.chunker.split(text).slice(0, MAX_CHUNKS_PER_PAGE);
+      // The title carries a lot of meaning for short queries
+      const { model, vectors } = await this.embeddings.embed(
+        chunks.map(chunk => `${title || ''}\n${chunk.text}`)
+      );
+
+      await this.dataCollector.db.transaction('rw', this.table, async () => {
+        await this.table.where('url').equals(url).delete();
+        await this.table.bulkAdd(chunks.map((chunk, i) => ({
+          url,
+          title,
+          timestamp,
+          contentHash,
+          model,
+          chunkIndex: chunk.index,
+          text: chunk.text,
+          vector: vectors[i]
+        })));
+      });
+
+      this.invalidate();
+      return true;
+    } catch (error) {
+      console.error('Error indexing page for semantic search:', error);
+      return false;
+    }
+  }
+
+  async search(query, { limit = 10, days, minScore = 0.1 } = {}) {
+    if (!query || !query.trim()) return [];
+
+    let entries = await this.loadEntries();
+    if (days) {
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      entries = entries.filter(entry => entry.timestamp >= cutoff);
+    }
+
+    // Compare the query only with vectors made by the same model
+    const byModel = new Map();
+    entries.forEach(entry => {
+      if (!byModel.has(entry.model)) byModel.set(entry.model, []);
+      byModel.get(entry.model).push(entry);
+    });
+
+    const bestByUrl = new Map();
+    for (const [model, modelEntries] of byModel) {
+      const queryVectors = await this.embeddings.embedWith(model, [query]);
+      if (!queryVectors) continue;
+
+      modelEntries.forEach(entry => {
+        const score = this.embeddings.similarity(queryVectors[0], entry.vector);
+        const best = bestByUrl.get(entry.url);
+        if (score >= minScore && (!best || score > best.score)) {
+          bestByUrl.set(entry.url, { entry, score });
+        }
+      });
+    }
+
+    return Array.from(bestByUrl.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry, score }) => ({
+        url: entry.url,
+        title: entry.title,
+        score: Math.round(score * 1000) / 1000,
+        snippet: this.buildSnippet(entry.text, query),
+        visitedAt: entry.timestamp,
+        model: entry.model
+      }));
+  }
+
+  // Picks the sentence sharing the most terms with the query
+  buildSnippet(text, query) {
+    const queryTerms = new Set(this.embeddings.tokenize(query));
+    const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [text];
+
+    let best = sentences[0];
+    let bestOverlap = -1;
+    sentences.forEach(sentence => {
+      const overlap = this.embeddings.tokenize(sentence).filter(term => queryTerms.has(term)).length;
+      if (overlap > bestOverlap) {
+        best = sentence;
+        bestOverlap = overlap;
+      }
+    });
+
+    const snippet = best.trim();
+    return snippet.length > SNIPPET_LENGTH
+      ? `${snippet.substring(0, SNIPPET_LENGTH).trim()}…`
+      : snippet;
+  }
+
+  async removeOlderThan(cutoffTime) {
+    await this.table.where('timestamp').below(cutoffTime).delete();
+    this.invalidate();
+  }
+
+  async getStats() {
+    const entries = await this.loadEntries();
+    return {
+      pages: new Set(entries.map(entry => entry.url)).size,
+      chunks: entries.length,
+      models: Array.from(new Set(entries.map(entry => entry.model)))
+    };
+  }
+}
+
+module.exports = { SemanticHistoryIndex };
@@ -1,83 +1,851 @@
-const { ipcMain } = require('electron');
+const { ipcMain, dialog, BrowserWindow } = require('electron');
+const fs = require('fs').promises;
+
+// What the reader page may change about itself
+const READER_OPTIONS = {
+  fontFamily: ['serif', 'sans-serif', 'monospace'],
+  width: ['narrow', 'medium', 'wide'],
+  theme: ['light', 'sepia', 'dark']
+};
+const READER_FONT_SIZES = { min: 14, max: 28 };
 
 function setupIPC(nexusBrowser) {
   console.log('🔗 Setting up IPC handlers...');
 
-  // AI and Analysis
-  ipcMain.handle('ai:processQuery', async (event, query, context) => {
+  // Tabs get a preload for nexus:// pages, so every handler checks the sender:
+  // an internal page may use the channels it is allowed, web content none
+  const handle = (channel, listener) => ipcMain.handle(channel, (event, ...args) => {
+    if (!nexusBrowser.internalPages.isAllowedSender(event, channel)) {
+      console.warn(`🚫 Blocked ${channel} from ${event.senderFrame?.url || 'unknown sender'}`);
+      return { error: 'Not allowed' };
+    }
+    return listener(event, ...args);
+  });
+
+  // Each window has its own tabs; calls act on the one they came from
+  const tabManagerFor = (event) => nexusBrowser.getTabManager(event.sender);
+  const isPrivate = (event) => nexusBrowser.isPrivateSender(event.sender);
+
+  // In-flight assistant streams, keyed by the renderer-supplied stream id
+  const activeStreams = new Map();
+  // Agent actions waiting for the user to allow or decline them
+  const pendingConfirmations = new Map();
+
+  const requestToolConfirmation = (sender, streamId, step) => new Promise(resolve => {
+    if (sender.isDestroyed()) {
+      resolve(false);
+      return;
+    }
+
+    const confirmationId = `${streamId}:${step.id}`;
+    pendingConfirmations.set(confirmationId, { streamId, resolve });
+    sender.send('assistant-tool-confirmation', { streamId, confirmationId, step });
+  });
+
+  const declinePendingConfirmations = (streamId) => {
+    for (const [confirmationId, pending] of pendingConfirmations.entries()) {
+      if (pending.streamId === streamId) {
+        pending.resolve(false);
+        pendingConfirmations.delete(confirmationId);
+      }
+    }
+  };
+
+  const runAgentStream = async (event, streamId, message, intent, signal) => {
+    const result = await nexusBrowser.assistantAgent.run(message, {
+      signal,
+      confirm: (step) => requestToolConfirmation(event.sender, streamId, step),
+      onStep: (step) => {
+        if (!event.sender.isDestroyed()) {
+          // Tool results can hold whole pages; the UI only needs the outcome
+          const { result: _result, ...summary } = step;
+          event.sender.send('assistant-agent-step', { streamId, step: summary });
+        }
+      }
+    });
+
+    const response = {
+      text: result.text,
+      confidence: 0.8,
+      cancelled: Boolean(result.cancelled),
+      reasoning: 'Completed with browser tools'
+    };
+
+    if (response.text && !event.sender.isDestroyed()) {
+      event.sender.send('assistant-stream-chunk', { streamId, delta: response.text });
+    }
+    if (!isPrivate(event)) {
+      nexusBrowser.aiEngine.updateConversationContext(message, response);
+    }
+
+    return {
+      response,
+      intent,
+      cancelled: response.cancelled,
+      agentSteps: result.steps.map(({ result: _result, ...summary }) => summary),
+      suggestions: [],
+      relatedContent: []
+    };
+  };
+
+  // Answers from the active tab's text, or from every tab in split view so
+  // the pages can be compared, with citations the UI can highlight
+  const runPageChatStream = async (event, streamId, message, signal) => {
+    const tabManager = tabManagerFor(event);
+    const tabs = tabManager ? tabManager.getVisibleTabs() : [];
+    const tab = tabManager && tabManager.tabs.get(tabManager.activeTabId);
+    const send = (delta) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('assistant-stream-chunk', { streamId, delta });
+      }
+    };
+
+    if (!tab) {
+      const text = 'There is no open page to chat with.';
+      send(text);
+      return { response: { text, confidence: 1 }, intent: 'page_question', citations: [] };
+    }
+
+    const pages = await Promise.all(tabs.map(visible => tabManager.extractPageData(visible)));
+    const result = await nexusBrowser.pageChat.answerAcross(message, pages, { signal, onToken: send });
+
+    const response = {
+      text: result.text,
+      confidence: result.citations.length > 0 ? 0.85 : 0.5,
+      cancelled: result.cancelled,
+      reasoning: `Answered from ${pages.map(pageData => pageData.url).join(' and ')}`
+    };
+    if (!isPrivate(event)) {
+      nexusBrowser.aiEngine.updateConversationContext(message, response);
+    }
+
+    return {
+      response,
+      intent: 'page_question',
+      cancelled: result.cancelled,
+      tabId: tab.id,
+      citations: result.citations.map(({ page, ...citation }) => ({ ...citation, tabId: tabs[page].id })),
+      injection: result.injection,
+      suggestions: [],
+      relatedContent: []
+    };
+  };
+
+  // AI and Analysis
+  handle('ai:processQuery', async (event, query, context) => {
+    try {
+      return await nexusBrowser.getAIInsights(query, { ...context, private: isPrivate(event) });
+    } catch (error) {
+      console.error('Error processing AI query:', error);
+      return { error: 'Failed to process query' };
+    }
+  });
+
+  handle('ai:getPersonalizedContent', async (event) => {
+    try {
+      return await nexusBrowser.getPersonalizedContent();
+    } catch (error) {
+      console.error('Error getting personalized content:', error);
+      return { error: 'Failed to get personalized content' };
+    }
+  });
+
+  handle('ai:analyzePage', async (event, pageData) => {
+    try {
+      return await nexusBrowser.realTimeAnalyzer.analyzePage(pageData);
+    } catch (error) {
+      console.error('Error analyzing page:', error);
+      return { error: 'Failed to analyze page' };
+    }
+  });
+
+  handle('ai:getPromptReports', async (event) => {
+    try {
+      return nexusBrowser.aiEngine.promptBuilder.getReports();
+    } catch (error) {
+      console.error('Error getting prompt reports:', error);
+      return [];
+    }
+  });
+
+  // Tab Management
+  handle('tabs:create', async (event, url, background = false) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const tabId = tabManager.createTab(url || undefined, background);
+      return tabManager.getTabInfo(tabManager.tabs.get(tabId));
+    } catch (error) {
+      console.error('Error creating tab:', error);
+      return { error: 'Failed to create tab' };
+    }
+  });
+
+  handle('tabs:close', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.closeTab(tabId) ? { success: true } : { error: 'Tab not found' };
+    } catch (error) {
+      console.error('Error closing tab:', error);
+      return { error: 'Failed to close tab' };
+    }
+  });
+
+  handle('tabs:getAll', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      return tabManager ? tabManager.getAllTabs() : [];
+    } catch (error) {
+      console.error('Error getting tabs:', error);
+      return [];
+    }
+  });
+
+  handle('tabs:navigate', async (event, tabId, url) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.navigateTab(tabId, url) ? { success: true } : { error: 'Tab not found' };
+    } catch (error) {
+      console.error('Error navigating tab:', error);
+      return { error: 'Failed to navigate tab' };
+    }
+  });
+
+  handle('tabs:activate', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.setActiveTab(tabId) ? { success: true } : { error: 'Tab not found' };
+    } catch (error) {
+      console.error('Error activating tab:', error);
+      return { error: 'Failed to activate tab' };
+    }
+  });
+
+  handle('tabs:goBack', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      return { success: Boolean(tabManager?.goBack(tabId)) };
+    } catch (error) {
+      console.error('Error going back:', error);
+      return { error: 'Failed to go back' };
+    }
+  });
+
+  handle('tabs:goForward', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      return { success: Boolean(tabManager?.goForward(tabId)) };
+    } catch (error) {
+      console.error('Error going forward:', error);
+      return { error: 'Failed to go forward' };
+    }
+  });
+
+  handle('tabs:reload', async (event, tabId, ignoreCache) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      return { success: Boolean(tabManager?.reload(tabId, ignoreCache)) };
+    } catch (error) {
+      console.error('Error reloading tab:', error);
+      return { error: 'Failed to reload tab' };
+    }
+  });
+
+  handle('tabs:setViewBounds', async (event, bounds) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      tabManager?.setViewBounds(bounds);
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting view bounds:', error);
+      return { error: 'Failed to set view bounds' };
+    }
+  });
+
+  handle('tabs:highlightPassage', async (event, tabId, quote) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const found = await tabManager.highlightPassage(tabId, quote);
+      return found ? { success: true } : { error: 'Passage not found on the page' };
+    } catch (error) {
+      console.error('Error highlighting passage:', error);
+      return { error: 'Failed to highlight passage' };
+    }
+  });
+
+  // Tabs dropped on this window's tab strip, from any other window
+  handle('tabs:moveToWindow', async (event, tabId) => {
+    try {
+      const window = BrowserWindow.fromWebContents(event.sender);
+      if (!window) {
+        return { error: 'Window not found' };
+      }
+      return nexusBrowser.moveTab(tabId, window.id);
+    } catch (error) {
+      console.error('Error moving tab:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Tabs dragged out of every window, or moved with "Move to new window"
+  handle('tabs:moveToNewWindow', async (event, tabId, position) => {
+    try {
+      return nexusBrowser.moveTab(tabId, null, position || null);
+    } catch (error) {
+      console.error('Error moving tab to a new window:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('tabs:summarize', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const summary = await tabManager.summarizeTab(tabId);
+      return summary ? { summary } : { error: 'Not enough content to summarize' };
+    } catch (error) {
+      console.error('Error summarizing tab:', error);
+      return { error: 'Failed to summarize tab' };
+    }
+  });
+
+  handle('tabs:toggleReader', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return await tabManager.toggleReader(tabId) ? { success: true } : { error: 'No article found on this page' };
+    } catch (error) {
+      console.error('Error toggling reader view:', error);
+      return { error: 'Failed to toggle reader view' };
+    }
+  });
+
+  // Reader view, asked by the nexus://reader page in the tab
+  handle('reader:getArticle', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.findTabByWebContents(event.sender);
+      const article = tab && tabManager.getReaderArticle(tab.id);
+      const settings = nexusBrowser.settingsManager.get('reader', {});
+      if (!article) {
+        return { article: null, settings };
+      }
+
+      const { textContent, ...rest } = article;
+      return {
+        article: { ...rest, readingTime: nexusBrowser.realTimeAnalyzer.calculateReadingTime(textContent) },
+        settings
+      };
+    } catch (error) {
+      console.error('Error getting reader article:', error);
+      return { error: 'Failed to get article' };
+    }
+  });
+
+  handle('reader:updateSettings', async (event, changes) => {
+    try {
+      const reader = {};
+      Object.entries(READER_OPTIONS).forEach(([key, allowed]) => {
+        if (allowed.includes(changes?.[key])) {
+          reader[key] = changes[key];
+        }
+      });
+      const fontSize = Number(changes?.fontSize);
+      if (Number.isFinite(fontSize)) {
+        reader.fontSize = Math.min(READER_FONT_SIZES.max, Math.max(READER_FONT_SIZES.min, Math.round(fontSize)));
+      }
+
+      const settings = await nexusBrowser.settingsManager.update({ reader });
+      return { settings: settings.reader };
+    } catch (error) {
+      console.error('Error updating reader settings:', error);
+      return { error: 'Failed to update reader settings' };
+    }
+  });
+
+  // Tab groups and workspaces
+  handle('groups:getLayout', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.getLayout();
+    } catch (error) {
+      console.error('Error getting tab layout:', error);
+      return { error: 'Failed to get tab layout' };
+    }
+  });
+
+  handle('groups:create', async (event, options) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const group = tabManager.createGroup(options);
+      return group || { error: 'No tabs to group' };
+    } catch (error) {
+      console.error('Error creating tab group:', error);
+      return { error: 'Failed to create group' };
+    }
+  });
+
+  handle('groups:update', async (event, groupId, updates) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const group = tabManager.updateGroup(groupId, updates);
+      return group || { error: 'Group not found' };
+    } catch (error) {
+      console.error('Error updating tab group:', error);
+      return { error: 'Failed to update group' };
+    }
+  });
+
+  handle('groups:remove', async (event, groupId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.removeGroup(groupId) ? { success: true } : { error: 'Group not found' };
+    } catch (error) {
+      console.error('Error removing tab group:', error);
+      return { error: 'Failed to remove group' };
+    }
+  });
+
+  handle('groups:setTabGroup', async (event, tabId, groupId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.setTabGroup(tabId, groupId) ? { success: true } : { error: 'Tab or group not found' };
+    } catch (error) {
+      console.error('Error moving tab to group:', error);
+      return { error: 'Failed to move tab' };
+    }
+  });
+
+  handle('groups:autoGroup', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return await nexusBrowser.tabGrouper.autoGroup(tabManager);
+    } catch (error) {
+      console.error('Error auto-grouping tabs:', error);
+      return { error: 'Failed to group tabs' };
+    }
+  });
+
+  handle('workspaces:create', async (event, name) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.createWorkspace(name);
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      return { error: 'Failed to create workspace' };
+    }
+  });
+
+  handle('workspaces:switch', async (event, workspaceId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.switchWorkspace(workspaceId) ? { success: true } : { error: 'Workspace not found' };
+    } catch (error) {
+      console.error('Error switching workspace:', error);
+      return { error: 'Failed to switch workspace' };
+    }
+  });
+
+  handle('workspaces:rename', async (event, workspaceId, name) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.renameWorkspace(workspaceId, name) ? { success: true } : { error: 'Workspace not found' };
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      return { error: 'Failed to rename workspace' };
+    }
+  });
+
+  handle('workspaces:remove', async (event, workspaceId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.removeWorkspace(workspaceId) ? { success: true } : { error: 'Cannot remove this workspace' };
+    } catch (error) {
+      console.error('Error removing workspace:', error);
+      return { error: 'Failed to remove workspace' };
+    }
+  });
+
+  handle('workspaces:moveTab', async (event, tabId, workspaceId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.moveTabToWorkspace(tabId, workspaceId) ? { success: true } : { error: 'Tab or workspace not found' };
+    } catch (error) {
+      console.error('Error moving tab to workspace:', error);
+      return { error: 'Failed to move tab' };
+    }
+  });
+
+  // Memory saver
+  handle('memory:getStats', async (event) => {
+    try {
+      return nexusBrowser.tabHibernator.getStats();
+    } catch (error) {
+      console.error('Error getting memory saver stats:', error);
+      return { error: 'Failed to get memory saver stats' };
+    }
+  });
+
+  handle('memory:discardTab', async (event, tabId) => {
+    try {
+      const discarded = await nexusBrowser.tabHibernator.discardTab(tabId);
+      return discarded ? { success: true } : { error: 'Tab cannot be discarded' };
+    } catch (error) {
+      console.error('Error discarding tab:', error);
+      return { error: 'Failed to discard tab' };
+    }
+  });
+
+  handle('memory:addException', async (event, site) => {
+    try {
+      return { exceptions: await nexusBrowser.tabHibernator.addException(site) };
+    } catch (error) {
+      console.error('Error adding memory saver exception:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('memory:removeException', async (event, site) => {
+    try {
+      return { exceptions: await nexusBrowser.tabHibernator.removeException(site) };
+    } catch (error) {
+      console.error('Error removing memory saver exception:', error);
+      return { error: 'Failed to remove exception' };
+    }
+  });
+
+  // Downloads
+  handle('downloads:getAll', async (event) => {
+    try {
+      return nexusBrowser.downloadManager.getAll();
+    } catch (error) {
+      console.error('Error getting downloads:', error);
+      return [];
+    }
+  });
+
+  handle('downloads:pause', async (event, downloadId) => {
+    try {
+      return nexusBrowser.downloadManager.pause(downloadId);
+    } catch (error) {
+      console.error('Error pausing download:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:resume', async (event, downloadId) => {
+    try {
+      return nexusBrowser.downloadManager.resume(downloadId);
+    } catch (error) {
+      console.error('Error resuming download:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:cancel', async (event, downloadId) => {
+    try {
+      return nexusBrowser.downloadManager.cancel(downloadId);
+    } catch (error) {
+      console.error('Error cancelling download:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:open', async (event, downloadId) => {
+    try {
+      await nexusBrowser.downloadManager.openFile(downloadId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error opening download:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:showInFolder', async (event, downloadId) => {
+    try {
+      nexusBrowser.downloadManager.showInFolder(downloadId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error showing download in folder:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:remove', async (event, downloadId) => {
+    try {
+      return nexusBrowser.downloadManager.remove(downloadId);
+    } catch (error) {
+      console.error('Error removing download:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('downloads:clear', async (event) => {
+    try {
+      return nexusBrowser.downloadManager.clearFinished();
+    } catch (error) {
+      console.error('Error clearing downloads:', error);
+      return { error: 'Failed to clear downloads' };
+    }
+  });
+
+  // Session restore and recently closed tabs
+  // Private windows have no session of their own and don't see the saved one
+  handle('session:getRestoreState', async (event) => {
+    try {
+      if (isPrivate(event)) {
+        return { available: false };
+      }
+      return nexusBrowser.sessionManager.getRestoreState();
+    } catch (error) {
+      console.error('Error getting restore state:', error);
+      return { available: false };
+    }
+  });
+
+  handle('session:restore', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      if (isPrivate(event)) {
+        return { error: 'Not available in a private window' };
+      }
+      // Saved windows past the first open as new windows
+      return nexusBrowser.sessionManager.restore(tabManager);
+    } catch (error) {
+      console.error('Error restoring session:', error);
+      return { error: 'Failed to restore session' };
+    }
+  });
+
+  handle('session:discard', async (event) => {
+    try {
+      nexusBrowser.sessionManager.discard();
+      return { success: true };
+    } catch (error) {
+      console.error('Error discarding session:', error);
+      return { error: 'Failed to discard session' };
+    }
+  });
+
+  handle('session:getRecentlyClosed', async (event) => {
+    try {
+      if (isPrivate(event)) {
+        return [];
+      }
+      return nexusBrowser.sessionManager.getRecentlyClosed();
+    } catch (error) {
+      console.error('Error getting recently closed tabs:', error);
+      return [];
+    }
+  });
+
+  handle('session:reopenClosedTab', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      const tabId = tabManager.reopenClosedTab();
+      return tabId
+        ? tabManager.getTabInfo(tabManager.tabs.get(tabId))
+        : { error: 'No recently closed tabs' };
+    } catch (error) {
+      console.error('Error reopening closed tab:', error);
+      return { error: 'Failed to reopen tab' };
+    }
+  });
+
+  // Split view
+  handle('split:getState', async (event) => {
+    const tabManager = tabManagerFor(event);
+    return tabManager ? tabManager.getSplitState() : null;
+  });
+
+  handle('split:create', async (event, tabIds, options) => {
+    const tabManager = tabManagerFor(event);
     try {
-      return await nexusBrowser.getAIInsights(query, context);
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.createSplit(tabIds, options) || { error: 'Split view needs 2 to 4 tabs from the same workspace' };
     } catch (error) {
-      console.error('Error processing AI query:', error);
-      return { error: 'Failed to process query' };
+      console.error('Error creating split view:', error);
+      return { error: 'Failed to create split view' };
     }
   });
 
-  ipcMain.handle('ai:getPersonalizedContent', async (event) => {
+  handle('split:addTab', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
     try {
-      return await nexusBrowser.getPersonalizedContent();
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      return tabManager.addToSplit(tabId) || { error: 'Tab cannot join split view' };
     } catch (error) {
-      console.error('Error getting personalized content:', error);
-      return { error: 'Failed to get personalized content' };
+      console.error('Error adding tab to split view:', error);
+      return { error: 'Failed to add tab to split view' };
     }
   });
 
-  ipcMain.handle('ai:analyzePage', async (event, pageData) => {
+  handle('split:removeTab', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
     try {
-      return await nexusBrowser.realTimeAnalyzer.analyzePage(pageData);
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      tabManager.removeFromSplit(tabId);
+      return tabManager.getSplitState();
     } catch (error) {
-      console.error('Error analyzing page:', error);
-      return { error: 'Failed to analyze page' };
+      console.error('Error removing tab from split view:', error);
+      return { error: 'Failed to remove tab from split view' };
     }
   });
 
-  // Tab Management
-  ipcMain.handle('tabs:create', async (event, url) => {
+  handle('split:exit', async (event) => {
+    const tabManager = tabManagerFor(event);
     try {
-      return await nexusBrowser.createNewTab(url);
+      if (!tabManager) {
+        return { error: 'Tab manager not available' };
+      }
+      tabManager.exitSplit();
+      return { success: true };
     } catch (error) {
-      console.error('Error creating tab:', error);
-      return { error: 'Failed to create tab' };
+      console.error('Error exiting split view:', error);
+      return { error: 'Failed to exit split view' };
     }
   });
 
-  ipcMain.handle('tabs:close', async (event, tabId) => {
+  handle('split:resize', async (event, sizes) => {
+    const tabManager = tabManagerFor(event);
     try {
-      nexusBrowser.activeTabs.delete(tabId);
-      return { success: true };
+      return tabManager?.setSplitSizes(sizes) || { error: 'Split view is not on' };
     } catch (error) {
-      console.error('Error closing tab:', error);
-      return { error: 'Failed to close tab' };
+      console.error('Error resizing split view:', error);
+      return { error: 'Failed to resize split view' };
     }
   });
 
-  ipcMain.handle('tabs:getAll', async (event) => {
+  handle('split:setOrientation', async (event, orientation) => {
+    const tabManager = tabManagerFor(event);
     try {
-      return Array.from(nexusBrowser.activeTabs.values());
+      return tabManager?.setSplitOrientation(orientation) || { error: 'Split view is not on' };
     } catch (error) {
-      console.error('Error getting tabs:', error);
-      return [];
+      console.error('Error changing split orientation:', error);
+      return { error: 'Failed to change split orientation' };
+    }
+  });
+
+  // Search engines
+  handle('search:getEngines', async (event) => {
+    try {
+      return nexusBrowser.searchEngines.getState();
+    } catch (error) {
+      console.error('Error getting search engines:', error);
+      return { error: 'Failed to get search engines' };
+    }
+  });
+
+  handle('search:setDefault', async (event, engineId) => {
+    try {
+      return await nexusBrowser.searchEngines.setDefaultEngine(engineId);
+    } catch (error) {
+      console.error('Error setting default search engine:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('search:addEngine', async (event, engine) => {
+    try {
+      return await nexusBrowser.searchEngines.addEngine(engine || {});
+    } catch (error) {
+      console.error('Error adding search engine:', error);
+      return { error: error.message };
     }
   });
 
-  ipcMain.handle('tabs:navigate', async (event, tabId, url) => {
+  handle('search:removeEngine', async (event, engineId) => {
     try {
-      const tab = nexusBrowser.activeTabs.get(tabId);
-      if (tab) {
-        tab.url = url;
-        tab.loading = true;
-        nexusBrowser.activeTabs.set(tabId, tab);
-        return { success: true };
+      return await nexusBrowser.searchEngines.removeEngine(engineId);
+    } catch (error) {
+      console.error('Error removing search engine:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Internal pages
+  // Lets nexus://newtab and nexus://history navigate their own tab with
+  // address-bar semantics (search terms, bare hostnames)
+  handle('internal:navigate', async (event, input) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.findTabByWebContents(event.sender);
+      if (!tab) {
+        return { error: 'Tab not found' };
       }
-      return { error: 'Tab not found' };
+      const success = await tabManager.navigateTab(tab.id, input);
+      return success ? { success: true } : { error: 'Failed to navigate' };
     } catch (error) {
-      console.error('Error navigating tab:', error);
-      return { error: 'Failed to navigate tab' };
+      console.error('Error navigating from internal page:', error);
+      return { error: 'Failed to navigate' };
     }
   });
 
   // Data Collection
-  ipcMain.handle('data:getRecentActivity', async (event, hours) => {
+  handle('data:getRecentActivity', async (event, hours) => {
     try {
       return await nexusBrowser.dataCollector.getRecentActivity(hours);
     } catch (error) {
@@ -86,7 +854,7 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('data:getBehaviorMetrics', async (event) => {
+  handle('data:getBehaviorMetrics', async (event) => {
     try {
       return await nexusBrowser.dataCollector.getBehaviorMetrics();
     } catch (error) {
@@ -95,8 +863,11 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('data:recordInteraction', async (event, type, target, data, pageUrl) => {
+  handle('data:recordInteraction', async (event, type, target, data, pageUrl) => {
     try {
+      if (isPrivate(event)) {
+        return { success: false, reason: 'Private window' };
+      }
       await nexusBrowser.dataCollector.recordInteraction(type, target, data, pageUrl);
       return { success: true };
     } catch (error) {
@@ -106,7 +877,7 @@ function setupIPC(nexusBrowser) {
   });
 
   // Personalization
-  ipcMain.handle('personalization:getUserProfile', async (event) => {
+  handle('personalization:getUserProfile', async (event) => {
     try {
       return await nexusBrowser.personalizationEngine.getUserProfile();
     } catch (error) {
@@ -115,7 +886,7 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('personalization:getAdaptiveSettings', async (event) => {
+  handle('personalization:getAdaptiveSettings', async (event) => {
     try {
       const personalizedContent = await nexusBrowser.personalizationEngine.getPersonalizedContent();
       return personalizedContent.adaptiveInterface;
@@ -125,8 +896,11 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('personalization:updatePreference', async (event, category, preference, value) => {
+  handle('personalization:updatePreference', async (event, category, preference, value) => {
     try {
+      if (isPrivate(event)) {
+        return { success: false, reason: 'Private window' };
+      }
       // Update user preference
       await nexusBrowser.personalizationEngine.recordInteraction('preference_update', {
         category,
@@ -134,6 +908,8 @@ function setupIPC(nexusBrowser) {
         value,
         timestamp: Date.now()
       });
+      // Cached answers were personalized for the old preferences
+      nexusBrowser.responseCache.invalidateProfile();
       return { success: true };
     } catch (error) {
       console.error('Error updating preference:', error);
@@ -142,7 +918,7 @@ function setupIPC(nexusBrowser) {
   });
 
   // Real-time Analysis
-  ipcMain.handle('analysis:getUserMood', async (event) => {
+  handle('analysis:getUserMood', async (event) => {
     try {
       return await nexusBrowser.realTimeAnalyzer.inferUserMood();
     } catch (error) {
@@ -151,7 +927,7 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('analysis:getContextualData', async (event) => {
+  handle('analysis:getContextualData', async (event) => {
     try {
       return await nexusBrowser.getContextualData();
     } catch (error) {
@@ -161,13 +937,14 @@ function setupIPC(nexusBrowser) {
   });
 
   // Search and Navigation
-  ipcMain.handle('search:query', async (event, query, options) => {
+  handle('search:query', async (event, query, options) => {
     try {
       // Process search query with AI enhancement
       const aiEnhancedQuery = await nexusBrowser.aiEngine.processQuery(query, {
         userProfile: nexusBrowser.userProfile,
         context: await nexusBrowser.getContextualData(),
-        searchContext: true
+        searchContext: true,
+        private: isPrivate(event)
       });
       
       return {
@@ -183,25 +960,115 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('search:getSuggestions', async (event, partialQuery) => {
+  // Local suggestions come back right away; AI query rewrites follow as an
+  // 'omnibox-suggestions' event tagged with the same request id
+  handle('search:getSuggestions', async (event, input, requestId) => {
     try {
-      // Get AI-powered search suggestions
-      const suggestions = await nexusBrowser.aiEngine.generateSuggestions({
-        partialQuery,
-        userProfile: nexusBrowser.userProfile,
-        context: await nexusBrowser.getContextualData()
+      const result = await nexusBrowser.omnibox.getSuggestions(input);
+
+      nexusBrowser.omnibox.getAISuggestions(input, { isPrivate: isPrivate(event) }).then(suggestions => {
+        if (suggestions.length > 0 && !event.sender.isDestroyed()) {
+          event.sender.send('omnibox-suggestions', { requestId, input, suggestions });
+        }
       });
-      
-      return suggestions;
+
+      return { ...result, requestId };
     } catch (error) {
       console.error('Error getting search suggestions:', error);
-      return [];
+      return { requestId, input, inlineCompletion: null, suggestions: [] };
+    }
+  });
+
+  handle('search:recordSelection', async (event, suggestion) => {
+    try {
+      if (isPrivate(event)) {
+        return { success: false, reason: 'Private window' };
+      }
+      nexusBrowser.omnibox.recordSelection(suggestion);
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording search selection:', error);
+      return { error: 'Failed to record selection' };
     }
   });
 
   // Bookmarks and History
-  ipcMain.handle('bookmarks:add', async (event, url, title, tags) => {
+  // Page archive
+  handle('archive:savePage', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      if (isPrivate(event)) {
+        return { error: 'Pages are not archived from private windows' };
+      }
+      const tab = tabManager?.tabs.get(tabId);
+      if (!tab || tab.discarded || !tab.view) {
+        return { error: 'Tab not found' };
+      }
+      const pageData = await tabManager.extractPageData(tab);
+      return { page: await nexusBrowser.pageArchive.savePage(tab.view.webContents, pageData) };
+    } catch (error) {
+      console.error('Error archiving page:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('archive:list', async (event, options) => {
+    try {
+      return await nexusBrowser.pageArchive.list(options);
+    } catch (error) {
+      console.error('Error listing archived pages:', error);
+      return [];
+    }
+  });
+
+  handle('archive:getTags', async (event) => {
+    try {
+      return nexusBrowser.pageArchive.getAllTags();
+    } catch (error) {
+      console.error('Error getting archive tags:', error);
+      return [];
+    }
+  });
+
+  handle('archive:get', async (event, pageId) => {
+    try {
+      return await nexusBrowser.pageArchive.getPage(pageId) || { error: 'Page not found' };
+    } catch (error) {
+      console.error('Error getting archived page:', error);
+      return { error: 'Failed to get archived page' };
+    }
+  });
+
+  // Snapshots open in a new tab, so the archive stays where it was
+  handle('archive:open', async (event, pageId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const page = await nexusBrowser.pageArchive.getPage(pageId);
+      if (!page || !tabManager) {
+        return { error: 'Page not found' };
+      }
+      const tabId = tabManager.createTab(nexusBrowser.pageArchive.getSnapshotUrl(page.id));
+      return { success: true, tabId };
+    } catch (error) {
+      console.error('Error opening archived page:', error);
+      return { error: 'Failed to open archived page' };
+    }
+  });
+
+  handle('archive:delete', async (event, pageId) => {
+    try {
+      return await nexusBrowser.pageArchive.deletePage(pageId) ? { success: true } : { error: 'Page not found' };
+    } catch (error) {
+      console.error('Error deleting archived page:', error);
+      return { error: 'Failed to delete archived page' };
+    }
+  });
+
+  handle('bookmarks:add', async (event, url, title, tags) => {
     try {
+      if (isPrivate(event)) {
+        return { error: 'Bookmarks are not saved in private windows' };
+      }
       // Record bookmark with AI categorization
       const analysis = await nexusBrowser.realTimeAnalyzer.analyzePage({ url, title });
       
@@ -221,7 +1088,7 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('history:getSmartHistory', async (event, options) => {
+  handle('history:getSmartHistory', async (event, options) => {
     try {
       const recentActivity = await nexusBrowser.dataCollector.getRecentActivity(options?.hours || 24);
       const personalizedContent = await nexusBrowser.personalizationEngine.getPersonalizedContent();
@@ -241,8 +1108,17 @@ function setupIPC(nexusBrowser) {
     }
   });
 
+  handle('history:semanticSearch', async (event, query, options) => {
+    try {
+      return await nexusBrowser.semanticHistory.search(query, options);
+    } catch (error) {
+      console.error('Error in semantic history search:', error);
+      return [];
+    }
+  });
+
   // Settings and Preferences
-  ipcMain.handle('settings:get', async (event, category) => {
+  handle('settings:get', async (event, category) => {
     try {
       // Get user settings with AI-recommended optimizations
       const userProfile = await nexusBrowser.personalizationEngine.getUserProfile();
@@ -250,8 +1126,9 @@ function setupIPC(nexusBrowser) {
       
       return {
         userProfile,
+        settings: nexusBrowser.settingsManager.getAll({ redactSecrets: true }),
         adaptiveSettings: personalizedContent.adaptiveInterface,
-        aiRecommendations: await nexusBrowser.generateSettingsRecommendations()
+        aiRecommendations: personalizedContent.personalizedSuggestions
       };
     } catch (error) {
       console.error('Error getting settings:', error);
@@ -259,10 +1136,13 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('settings:update', async (event, settings) => {
+  handle('settings:update', async (event, settings) => {
     try {
       // Update settings and learn from user preferences
-      await nexusBrowser.personalizationEngine.recordInteraction('settings_update', settings);
+      await nexusBrowser.settingsManager.update(settings);
+      if (!isPrivate(event)) {
+        await nexusBrowser.personalizationEngine.recordInteraction('settings_update', settings);
+      }
       return { success: true };
     } catch (error) {
       console.error('Error updating settings:', error);
@@ -270,8 +1150,17 @@ function setupIPC(nexusBrowser) {
     }
   });
 
+  handle('settings:getLLMProviders', async (event) => {
+    try {
+      return nexusBrowser.llmRegistry.listProviders();
+    } catch (error) {
+      console.error('Error listing LLM providers:', error);
+      return [];
+    }
+  });
+
   // AI Assistant
-  ipcMain.handle('assistant:chat', async (event, message, context) => {
+  handle('assistant:chat', async (event, message, context) => {
     try {
       const response = await nexusBrowser.aiEngine.processQuery(message, {
         userProfile: nexusBrowser.userProfile,
@@ -279,7 +1168,8 @@ function setupIPC(nexusBrowser) {
           ...await nexusBrowser.getContextualData(),
           ...context
         },
-        conversational: true
+        conversational: true,
+        private: isPrivate(event)
       });
       
       return response;
@@ -289,7 +1179,190 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('assistant:getProactiveInsights', async (event) => {
+  // Streams tokens to the sender as 'assistant-stream-chunk' events and
+  // resolves with the complete response once the stream ends or is cancelled
+  const routeChatMessage = async (event, streamId, message, context, conversationHistory, signal) => {
+    if (context?.mode === 'page') {
+      return runPageChatStream(event, streamId, message, signal);
+    }
+
+    // Commands like "open my docs tabs" go to the tool-calling agent
+    const intent = await nexusBrowser.aiEngine.analyzeIntent(message);
+    if (nexusBrowser.assistantAgent.handlesIntent(intent)) {
+      return runAgentStream(event, streamId, message, intent, signal);
+    }
+
+    return nexusBrowser.aiEngine.streamQuery(message, {
+      userProfile: nexusBrowser.userProfile,
+      conversationHistory,
+      context: {
+        ...await nexusBrowser.getContextualData(),
+        ...context
+      },
+      conversational: true,
+      private: isPrivate(event)
+    }, {
+      signal,
+      onToken: (delta) => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('assistant-stream-chunk', { streamId, delta });
+        }
+      }
+    });
+  };
+
+  const saveExchange = async (threadId, message, result) => {
+    await nexusBrowser.conversationStore.appendMessage(threadId, { role: 'user', content: message });
+
+    if (result.response?.text) {
+      await nexusBrowser.conversationStore.appendMessage(threadId, {
+        role: 'assistant',
+        content: result.response.text,
+        meta: {
+          tabId: result.tabId || null,
+          citations: result.citations || [],
+          agentSteps: result.agentSteps || [],
+          cancelled: Boolean(result.cancelled)
+        }
+      });
+    }
+  };
+
+  handle('assistant:chatStream', async (event, streamId, message, context) => {
+    const controller = new AbortController();
+    activeStreams.set(streamId, controller);
+
+    try {
+      // Private windows keep no threads, so nothing is read or saved
+      const threadId = isPrivate(event) ? null : context?.threadId;
+      const history = threadId
+        ? await nexusBrowser.conversationStore.getRecentExchanges(threadId)
+        : undefined;
+
+      const result = await routeChatMessage(event, streamId, message, context, history, controller.signal);
+
+      if (threadId && !result.error) {
+        await saveExchange(threadId, message, result);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error in AI chat stream:', error);
+      return { error: 'Failed to process chat message' };
+    } finally {
+      activeStreams.delete(streamId);
+      declinePendingConfirmations(streamId);
+    }
+  });
+
+  handle('assistant:cancelStream', async (event, streamId) => {
+    const controller = activeStreams.get(streamId);
+    if (!controller) {
+      return { error: 'Stream not found' };
+    }
+
+    controller.abort();
+    declinePendingConfirmations(streamId);
+    return { success: true };
+  });
+
+  handle('assistant:respondToToolCall', async (event, confirmationId, approved) => {
+    const pending = pendingConfirmations.get(confirmationId);
+    if (!pending) {
+      return { error: 'Confirmation not found' };
+    }
+
+    pendingConfirmations.delete(confirmationId);
+    pending.resolve(Boolean(approved));
+    return { success: true };
+  });
+
+  // Conversation threads
+  handle('conversations:list', async (event, query) => {
+    try {
+      return query
+        ? await nexusBrowser.conversationStore.searchThreads(query)
+        : await nexusBrowser.conversationStore.listThreads();
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      return [];
+    }
+  });
+
+  handle('conversations:create', async (event, options) => {
+    try {
+      if (isPrivate(event)) {
+        return { error: 'Conversations are not saved in private windows' };
+      }
+      return await nexusBrowser.conversationStore.createThread(options);
+    } catch (error) {
+      console.error('Error creating conversation:', error);
+      return { error: 'Failed to create conversation' };
+    }
+  });
+
+  handle('conversations:get', async (event, threadId) => {
+    try {
+      const thread = await nexusBrowser.conversationStore.getThread(threadId);
+      return thread || { error: 'Conversation not found' };
+    } catch (error) {
+      console.error('Error getting conversation:', error);
+      return { error: 'Failed to get conversation' };
+    }
+  });
+
+  handle('conversations:rename', async (event, threadId, title) => {
+    try {
+      return await nexusBrowser.conversationStore.renameThread(threadId, title);
+    } catch (error) {
+      console.error('Error renaming conversation:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('conversations:delete', async (event, threadId) => {
+    try {
+      await nexusBrowser.conversationStore.deleteThread(threadId);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      return { error: 'Failed to delete conversation' };
+    }
+  });
+
+  handle('conversations:pin', async (event, threadId, pin) => {
+    try {
+      return await nexusBrowser.conversationStore.pinThread(threadId, pin);
+    } catch (error) {
+      console.error('Error pinning conversation:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('conversations:export', async (event, threadId, format) => {
+    try {
+      const thread = await nexusBrowser.conversationStore.getThread(threadId);
+      if (!thread) {
+        return { error: 'Conversation not found' };
+      }
+
+      const extension = format === 'json' ? 'json' : 'md';
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `${thread.title.replace(/[^\w\- ]+/g, '').trim() || 'conversation'}.${extension}`,
+        filters: [{ name: format === 'json' ? 'JSON' : 'Markdown', extensions: [extension] }]
+      });
+      if (canceled || !filePath) {
+        return { cancelled: true };
+      }
+
+      await fs.writeFile(filePath, await nexusBrowser.conversationStore.exportThread(threadId, format));
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('Error exporting conversation:', error);
+      return { error: 'Failed to export conversation' };
+    }
+  });
+
+  handle('assistant:getProactiveInsights', async (event) => {
     try {
       const contextualData = await nexusBrowser.getContextualData();
       const userMood = await nexusBrowser.realTimeAnalyzer.inferUserMood();
@@ -310,10 +1383,11 @@ function setupIPC(nexusBrowser) {
   });
 
   // Performance and Analytics
-  ipcMain.handle('analytics:getPerformanceMetrics', async (event) => {
+  handle('analytics:getPerformanceMetrics', async (event) => {
     try {
       return {
         aiEngine: nexusBrowser.aiEngine.analysisMetrics,
+        responseCache: nexusBrowser.responseCache.getStats(),
         dataCollection: nexusBrowser.dataCollector.realtimeMetrics,
         personalization: {
           totalInteractions: await nexusBrowser.personalizationEngine.db.interactions.count(),
@@ -327,7 +1401,7 @@ function setupIPC(nexusBrowser) {
   });
 
   // Privacy and Security
-  ipcMain.handle('privacy:getDataSummary', async (event) => {
+  handle('privacy:getDataSummary', async (event) => {
     try {
       const summary = {
         dataRetentionPeriod: nexusBrowser.dataCollector.privacySettings.retentionPeriod,
@@ -347,16 +1421,19 @@ function setupIPC(nexusBrowser) {
     }
   });
 
-  ipcMain.handle('privacy:clearData', async (event, options) => {
+  handle('privacy:clearData', async (event, options) => {
     try {
       if (options.clearAll) {
         await nexusBrowser.dataCollector.db.delete();
         await nexusBrowser.personalizationEngine.db.delete();
+        nexusBrowser.semanticHistory.invalidate();
       } else {
         const cutoffTime = Date.now() - (options.days * 24 * 60 * 60 * 1000);
         
         if (options.pageViews) {
           await nexusBrowser.dataCollector.db.pageViews.where('timestamp').below(cutoffTime).delete();
+          // The text of those pages, which semantic history search runs on
+          await nexusBrowser.semanticHistory.removeOlderThan(cutoffTime);
         }
         if (options.interactions) {
           await nexusBrowser.dataCollector.db.interactions.where('timestamp').below(cutoffTime).delete();
@@ -370,8 +1447,124 @@ function setupIPC(nexusBrowser) {
     }
   });
 
+  // Site permissions. Private windows see and change only their own,
+  // in-memory decisions.
+  handle('permissions:respond', async (event, requestId, decision) => {
+    try {
+      return await nexusBrowser.securityManager.respondToPermissionRequest(requestId, decision);
+    } catch (error) {
+      console.error('Error answering permission request:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('permissions:getForTab', async (event, tabId) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.tabs.get(tabId);
+      if (!tab) {
+        return { error: 'Tab not found' };
+      }
+      return nexusBrowser.securityManager.getSitePermissions(tab.url, {
+        isPrivate: isPrivate(event),
+        webContents: tab.view?.webContents
+      });
+    } catch (error) {
+      console.error('Error getting site permissions:', error);
+      return { error: 'Failed to get site permissions' };
+    }
+  });
+
+  handle('permissions:getAll', async (event) => {
+    try {
+      return nexusBrowser.securityManager.getAllPermissions({ isPrivate: isPrivate(event) });
+    } catch (error) {
+      console.error('Error getting site permissions:', error);
+      return { error: 'Failed to get site permissions' };
+    }
+  });
+
+  handle('permissions:set', async (event, origin, permission, decision) => {
+    try {
+      return await nexusBrowser.securityManager.setPermission(origin, permission, decision, { isPrivate: isPrivate(event) });
+    } catch (error) {
+      console.error('Error setting site permission:', error);
+      return { error: error.message };
+    }
+  });
+
+  handle('permissions:reset', async (event, origin, permission) => {
+    try {
+      return await nexusBrowser.securityManager.resetPermissions(origin, permission || null, { isPrivate: isPrivate(event) });
+    } catch (error) {
+      console.error('Error resetting site permissions:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Certificates: the padlock popover asks about a tab by id; the error
+  // page asks about the tab it is showing in
+  handle('certificates:getForTab', async (event, tabId) => {
+    try {
+      return tabManagerFor(event)?.getCertificateInfo(tabId) || { error: 'Tab not found' };
+    } catch (error) {
+      console.error('Error getting certificate info:', error);
+      return { error: 'Failed to get certificate info' };
+    }
+  });
+
+  handle('certificates:revokeException', async (event, tabId) => {
+    try {
+      const revoked = await tabManagerFor(event)?.revokeCertificateException(tabId);
+      return revoked ? { success: true } : { error: 'No exception for this site' };
+    } catch (error) {
+      console.error('Error revoking certificate exception:', error);
+      return { error: 'Failed to revoke certificate exception' };
+    }
+  });
+
+  handle('certificates:getError', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.findTabByWebContents(event.sender);
+      return tab ? tabManager.getCertificateInfo(tab.id) : { error: 'Tab not found' };
+    } catch (error) {
+      console.error('Error getting certificate error:', error);
+      return { error: 'Failed to get certificate error' };
+    }
+  });
+
+  handle('certificates:proceed', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.findTabByWebContents(event.sender);
+      if (!tab) {
+        return { error: 'Tab not found' };
+      }
+      return tabManager.proceedPastCertificateError(tab.id) ? { success: true } : { error: 'Nothing to proceed to' };
+    } catch (error) {
+      console.error('Error proceeding past certificate error:', error);
+      return { error: 'Failed to proceed' };
+    }
+  });
+
+  handle('certificates:leave', async (event) => {
+    const tabManager = tabManagerFor(event);
+    try {
+      const tab = tabManager?.findTabByWebContents(event.sender);
+      if (!tab) {
+        return { error: 'Tab not found' };
+      }
+      tabManager.leaveCertificateError(tab.id);
+      return { success: true };
+    } catch (error) {
+      console.error('Error leaving certificate error page:', error);
+      return { error: 'Failed to leave page' };
+    }
+  });
+
   // Error Handling
-  ipcMain.handle('error:report', async (event, errorData) => {
+  handle('error:report', async (event, errorData) => {
     try {
       await nexusBrowser.dataCollector.db.errorLogs.add({
         timestamp: Date.now(),
@@ -389,25 +1582,53 @@ function setupIPC(nexusBrowser) {
   });
 
   // Window Management
-  ipcMain.handle('window:minimize', async (event) => {
-    nexusBrowser.mainWindow.minimize();
+  handle('window:minimize', async (event) => {
+    BrowserWindow.fromWebContents(event.sender)?.minimize();
     return { success: true };
   });
 
-  ipcMain.handle('window:maximize', async (event) => {
-    if (nexusBrowser.mainWindow.isMaximized()) {
-      nexusBrowser.mainWindow.unmaximize();
+  handle('window:maximize', async (event) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    if (!window) {
+      return { error: 'Window not found' };
+    }
+    if (window.isMaximized()) {
+      window.unmaximize();
     } else {
-      nexusBrowser.mainWindow.maximize();
+      window.maximize();
     }
     return { success: true };
   });
 
-  ipcMain.handle('window:close', async (event) => {
-    nexusBrowser.mainWindow.close();
+  handle('window:close', async (event) => {
+    BrowserWindow.fromWebContents(event.sender)?.close();
     return { success: true };
   });
 
+  handle('window:openNew', async (event) => {
+    try {
+      nexusBrowser.openNewWindow();
+      return { success: true };
+    } catch (error) {
+      console.error('Error opening window:', error);
+      return { error: 'Failed to open window' };
+    }
+  });
+
+  handle('window:openPrivate', async (event) => {
+    try {
+      nexusBrowser.createPrivateWindow();
+      return { success: true };
+    } catch (error) {
+      console.error('Error opening private window:', error);
+      return { error: 'Failed to open private window' };
+    }
+  });
+
+  handle('window:getInfo', async (event) => {
+    return { isPrivate: isPrivate(event) };
+  });
+
   console.log('✅ IPC handlers setup complete');
 }
 
@@ -1,29 +1,89 @@
-const { app, BrowserWindow, BrowserView, ipcMain, session, webContents, shell } = require('electron');
+const { app, BrowserWindow, BrowserView, ipcMain, session, webContents, shell, screen } = require('electron');
 const path = require('path');
 const { AIEngine } = require('./ai-engine/AIEngine');
 const { DataCollector } = require('./data-collectors/DataCollector');
+const { SemanticHistoryIndex } = require('./data-collectors/SemanticHistoryIndex');
+const { EmbeddingService } = require('./ai-engine/EmbeddingService');
+const { ResponseCache } = require('./ai-engine/ResponseCache');
 const { SecurityManager } = require('./security/SecurityManager');
 const { PersonalizationEngine } = require('./ai-engine/PersonalizationEngine');
 const { RealTimeAnalyzer } = require('./ai-engine/RealTimeAnalyzer');
-const { TabManager } = require('./browser/TabManager');
+const { TabManager, TAB_PARTITION, PRIVATE_PARTITION } = require('./browser/TabManager');
+const { SessionManager } = require('./browser/SessionManager');
+const { TabGrouper } = require('./browser/TabGrouper');
+const { TabHibernator } = require('./browser/TabHibernator');
+const { InternalPages } = require('./browser/InternalPages');
+const { DownloadManager } = require('./browser/DownloadManager');
+const { PageArchive } = require('./browser/PageArchive');
+const { SearchEngineRegistry } = require('./browser/SearchEngineRegistry');
+const { OmniboxProvider } = require('./browser/OmniboxProvider');
 const { ContextualAI } = require('./ai-engine/ContextualAI');
+const { PageChat } = require('./ai-engine/PageChat');
+const { LLMProviderRegistry } = require('./ai-engine/llm/LLMProviderRegistry');
+const { AssistantAgent } = require('./ai-engine/agent/AssistantAgent');
+const { TabTools } = require('./ai-engine/agent/TabTools');
+const { SettingsManager } = require('./settings/SettingsManager');
+const { ConversationStore } = require('./conversations/ConversationStore');
 const { setupIPC } = require('./ipc/ipcHandlers');
 
 class NexusBrowser {
   constructor() {
-    this.mainWindow = null;
-    this.aiEngine = new AIEngine();
+    this.settingsManager = new SettingsManager();
+    this.llmRegistry = new LLMProviderRegistry(this.settingsManager);
+    this.aiEngine = new AIEngine(this.llmRegistry);
+    this.embeddingService = new EmbeddingService(this.llmRegistry, this.settingsManager);
+    this.pageChat = new PageChat(this.llmRegistry, this.embeddingService);
+    this.responseCache = new ResponseCache(this.embeddingService);
+    this.aiEngine.setResponseCache(this.responseCache);
     this.dataCollector = new DataCollector();
+    this.conversationStore = new ConversationStore();
+    this.semanticHistory = new SemanticHistoryIndex(this.dataCollector, this.embeddingService);
+    this.dataCollector.setSemanticIndex(this.semanticHistory);
     this.securityManager = new SecurityManager();
     this.personalizationEngine = new PersonalizationEngine();
     this.realTimeAnalyzer = new RealTimeAnalyzer();
-    this.activeTabs = new Map();
+    this.tabGrouper = new TabGrouper(this.realTimeAnalyzer);
+    // Open browser windows by BrowserWindow id: { window, tabManager, isPrivate }
+    this.windows = new Map();
+    this.focusedWindowId = null;
+    this.sessionManager = new SessionManager();
+    this.tabHibernator = new TabHibernator(this.settingsManager);
+    this.internalPages = new InternalPages();
+    this.downloadManager = new DownloadManager(this.realTimeAnalyzer, this.settingsManager);
+    this.pageArchive = new PageArchive(this.realTimeAnalyzer, this.embeddingService);
+    this.internalPages.addRoute('archive', '/view', (url) => this.pageArchive.getSnapshot(url.searchParams.get('id')));
+    this.searchEngines = new SearchEngineRegistry(this.settingsManager);
+    this.omnibox = new OmniboxProvider(
+      () => this.getFocusedTabManager(),
+      this.dataCollector,
+      this.searchEngines,
+      this.llmRegistry,
+      this.settingsManager
+    );
+    this.assistantAgent = new AssistantAgent(
+      this.llmRegistry,
+      new TabTools(() => this.getFocusedTabManager(), this.dataCollector)
+    );
     this.userProfile = null;
   }
 
   async init() {
     await app.whenReady();
     
+    // Load settings before anything that reads them
+    await this.settingsManager.load();
+    
+    // Initialize data collection and storage
+    await this.dataCollector.initialize();
+    await this.conversationStore.initialize();
+    
+    // Read the last session before the window (and its tab manager) exists
+    await this.sessionManager.load();
+    await this.downloadManager.load();
+    await this.pageArchive.load();
+    await this.omnibox.load();
+    await this.securityManager.loadPermissions();
+    
     // Initialize AI components
     await this.aiEngine.initialize();
     await this.personalizationEngine.initialize();
@@ -31,7 +91,24 @@ class NexusBrowser {
     
     // Setup security
     this.securityManager.setupSecurityPolicies();
+
+    // Sites ask for permissions in the window their tab is in
+    this.securityManager.setPermissionDelegate({
+      show: (contents, request) => this.showPermissionPrompt(contents, request),
+      hide: (contents, requestId) => this.hidePermissionPrompt(contents, requestId),
+      record: (contents, result) => this.recordPermissionUse(contents, result)
+    });
+    this.securityManager.registerPermissionHandlers(session.fromPartition(TAB_PARTITION));
+    this.securityManager.registerPermissionHandlers(session.fromPartition(PRIVATE_PARTITION), { isPrivate: true });
+
+    // Serve nexus:// pages to tabs, private ones included
+    this.internalPages.register(session.fromPartition(TAB_PARTITION));
+    this.internalPages.register(session.fromPartition(PRIVATE_PARTITION));
+    this.downloadManager.register(session.fromPartition(TAB_PARTITION));
     
+    // Saved windows past the first reopen as windows of their own
+    this.sessionManager.setWindowOpener((bounds) => this.createWindow({ bounds }).tabManager);
+
     // Create main window
     this.createWindow();
     
@@ -47,10 +124,11 @@ class NexusBrowser {
     console.log('🚀 Nexus AI Browser initialized successfully!');
   }
 
-  createWindow() {
-    this.mainWindow = new BrowserWindow({
+  createBrowserWindow(bounds) {
+    return new BrowserWindow({
       width: 1400,
       height: 900,
+      ...this.getUsableBounds(bounds),
       minWidth: 800,
       minHeight: 600,
       titleBarStyle: 'hiddenInset',
@@ -64,27 +142,236 @@ class NexusBrowser {
       },
       show: false
     });
+  }
 
-    // Load the renderer
+  // Saved bounds are only reused while they still land on a display, so a
+  // window from an unplugged monitor doesn't open out of sight
+  getUsableBounds(bounds) {
+    if (!bounds || !(bounds.width > 0) || !(bounds.height > 0)) return {};
+
+    const onScreen = screen.getAllDisplays().some(({ workArea }) => (
+      bounds.x < workArea.x + workArea.width && bounds.x + bounds.width > workArea.x &&
+      bounds.y < workArea.y + workArea.height && bounds.y + bounds.height > workArea.y
+    ));
+    return onScreen
+      ? { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }
+      : { width: bounds.width, height: bounds.height };
+  }
+
+  loadRenderer(window) {
     if (process.env.NODE_ENV === 'development') {
-      this.mainWindow.loadURL('http://localhost:3000');
-      this.mainWindow.webContents.openDevTools();
+      window.loadURL('http://localhost:3000');
+      window.webContents.openDevTools();
     } else {
-      this.mainWindow.loadFile(path.join(__dirname, '../renderer/build/index.html'));
+      window.loadFile(path.join(__dirname, '../renderer/build/index.html'));
     }
 
     // Show window when ready
-    this.mainWindow.once('ready-to-show', () => {
-      this.mainWindow.show();
-      this.mainWindow.focus();
+    window.once('ready-to-show', () => {
+      window.show();
+      window.focus();
     });
+  }
+
+  // Every browser window has its own renderer and tab manager. Private ones
+  // get tabs on an in-memory partition with no data collection, session
+  // saving, downloads list or memory saver; their assistant keeps no conversations.
+  createWindow({ bounds, isPrivate = false } = {}) {
+    const window = this.createBrowserWindow(bounds);
+    const windowId = window.id;
+
+    // Page views live in BrowserViews owned by the tab manager
+    const tabManager = isPrivate
+      ? new TabManager(window, this.aiEngine, null, this.searchEngines, {
+        partition: PRIVATE_PARTITION,
+        isPrivate: true,
+        securityManager: this.securityManager
+      })
+      : new TabManager(window, this.aiEngine, this.dataCollector, this.searchEngines, {
+        securityManager: this.securityManager
+      });
+    const context = { window, tabManager, isPrivate };
+    this.windows.set(windowId, context);
+
+    window.on('resize', () => tabManager.layoutViews());
+    window.on('focus', () => {
+      this.focusedWindowId = windowId;
+    });
+
+    if (!isPrivate) {
+      this.tabHibernator.addTabManager(tabManager);
+      this.downloadManager.addTabManager(tabManager);
+      // Last, since after a clean exit this restores the saved windows
+      this.sessionManager.addTabManager(tabManager);
+
+      // Save the tabs while they still exist; closing the last window is
+      // what marks the exit as clean
+      window.on('close', () => {
+        if (this.getNormalWindows().length === 1) {
+          this.sessionManager.saveSync(true);
+        }
+      });
+    }
 
-    // Handle window closed
-    this.mainWindow.on('closed', () => {
-      this.mainWindow = null;
+    window.on('closed', () => {
+      this.windows.delete(windowId);
+      if (isPrivate) {
+        if (!Array.from(this.windows.values()).some(other => other.isPrivate)) {
+          this.clearPrivateData();
+        }
+      } else {
+        this.sessionManager.removeTabManager(tabManager);
+        this.tabHibernator.removeTabManager(tabManager);
+        this.downloadManager.removeTabManager(tabManager);
+      }
+      tabManager.destroy();
     });
+
+    this.loadRenderer(window);
+    return context;
+  }
+
+  // A window opened by the user starts with a new tab
+  openNewWindow({ isPrivate = false } = {}) {
+    const { window, tabManager } = this.createWindow({ isPrivate });
+    tabManager.createTab();
+    if (isPrivate) {
+      console.log('🕶️ Opened a private window');
+    }
+    return window;
+  }
+
+  createPrivateWindow() {
+    return this.openNewWindow({ isPrivate: true });
+  }
+
+  // Cookies, storage, cache and everything else the private partition holds
+  async clearPrivateData() {
+    try {
+      const ses = session.fromPartition(PRIVATE_PARTITION);
+      await ses.clearStorageData();
+      await ses.clearCache();
+      await ses.clearAuthCache();
+      await ses.clearHostResolverCache();
+      this.securityManager.clearPrivateState();
+      console.log('🧹 Cleared private browsing data');
+    } catch (error) {
+      console.error('Error clearing private browsing data:', error);
+    }
+  }
+
+  // Moves a tab with its loaded page to another window, or to a new one
+  // opened at `position` (screen coordinates, where a tab was dropped).
+  // A window left without tabs closes.
+  moveTab(tabId, targetWindowId = null, position = null) {
+    const source = this.getWindowContextForTab(tabId);
+    if (!source) {
+      throw new Error(`Tab not found: ${tabId}`);
+    }
+
+    let target = targetWindowId === null ? null : this.windows.get(targetWindowId);
+    if (targetWindowId !== null && !target) {
+      throw new Error(`Window not found: ${targetWindowId}`);
+    }
+    if (target === source) {
+      return { windowId: targetWindowId, moved: false };
+    }
+    // Their tabs live on different partitions, with different cookies and storage
+    if (target && target.isPrivate !== source.isPrivate) {
+      throw new Error('Tabs cannot move between private and normal windows');
+    }
+
+    // A new window shows itself once its renderer is ready
+    if (target) {
+      target.window.focus();
+    } else {
+      const { width, height } = source.window.getNormalBounds();
+      const bounds = position
+        ? { x: Math.round(position.x) - 100, y: Math.round(position.y) - 20, width, height }
+        : null;
+      target = this.createWindow({ bounds, isPrivate: source.isPrivate });
+    }
+
+    const tab = source.tabManager.detachTab(tabId);
+    target.tabManager.attachTab(tab);
+    if (source.tabManager.tabs.size === 0) {
+      source.window.close();
+    }
+
+    console.log(`🪟 Moved tab ${tabId} to window ${target.window.id}`);
+    return { windowId: target.window.id, moved: true };
+  }
+
+  // The window and tab a page's webContents belongs to
+  findTab(contents) {
+    const context = this.getWindowContext(contents);
+    const tab = context?.tabManager.findTabByWebContents(contents);
+    return tab && !context.window.isDestroyed() ? { ...context, tab } : null;
+  }
+
+  showPermissionPrompt(contents, request) {
+    const found = this.findTab(contents);
+    if (!found) return false;
+
+    found.window.webContents.send('permission-request', { ...request, tabId: found.tab.id });
+    return true;
+  }
+
+  hidePermissionPrompt(contents, requestId) {
+    this.findTab(contents)?.window.webContents.send('permission-request-closed', { requestId });
+  }
+
+  // What the page asked for and got, shown in the tab's site info
+  recordPermissionUse(contents, { permissions, granted }) {
+    const found = this.findTab(contents);
+    if (!found) return;
+
+    const { tab, tabManager } = found;
+    tab.securityInfo.permissions = [
+      ...tab.securityInfo.permissions.filter(entry => !permissions.includes(entry.permission)),
+      ...permissions.map(permission => ({ permission, granted }))
+    ];
+    tabManager.updateTab(tab.id, {});
+  }
+
+  getNormalWindows() {
+    return Array.from(this.windows.values()).filter(context => !context.isPrivate);
+  }
+
+  // The window an IPC call came from: its own renderer, or a page in one of its tabs
+  getWindowContext(sender) {
+    return Array.from(this.windows.values()).find(({ window, tabManager }) => (
+      !window.isDestroyed() &&
+      (window.webContents === sender || Boolean(tabManager.findTabByWebContents(sender)))
+    )) || null;
+  }
+
+  getWindowContextForTab(tabId) {
+    return Array.from(this.windows.values()).find(({ tabManager }) => tabManager.tabs.has(tabId)) || null;
+  }
+
+  getTabManager(sender) {
+    const context = this.getWindowContext(sender);
+    return context ? context.tabManager : this.getFocusedTabManager();
   }
 
+  isPrivateSender(sender) {
+    return Boolean(this.getWindowContext(sender)?.isPrivate);
+  }
+
+  // For work not tied to a sender, like the agent's tools: the window the
+  // user is in or was last in, or else the first normal one
+  getFocusedTabManager() {
+    const focused = BrowserWindow.getFocusedWindow();
+    const context = (focused && this.windows.get(focused.id)) ||
+      this.windows.get(this.focusedWindowId) ||
+      this.getNormalWindows()[0];
+    return context ? context.tabManager : null;
+  }
+
+  // Hooks the default session, which the browser UI itself runs on. Tabs
+  // load on their own partitions, private ones included, so their requests
+  // don't come through here; TabManager records page visits instead.
   setupSessionHandlers() {
     const ses = session.defaultSession;
     
@@ -121,9 +408,11 @@ class NexusBrowser {
     // Update personalization
     await this.personalizationEngine.updateFromPageVisit(pageData, analysis);
     
-    // Send insights to renderer
-    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-      this.mainWindow.webContents.send('page-analysis', {
+    // Send insights to the renderer of the window the page is in
+    const contents = webContents.fromId(tabId);
+    const context = contents && this.getWindowContext(contents);
+    if (context && !context.window.isDestroyed()) {
+      context.window.webContents.send('page-analysis', {
         tabId,
         url,
         analysis,
@@ -146,32 +435,29 @@ class NexusBrowser {
       dayOfWeek: new Date().getDay(),
       recentActivity: await this.dataCollector.getRecentActivity(24), // last 24 hours
       currentMood: await this.realTimeAnalyzer.inferUserMood(),
-      activeProjects: await this.personalizationEngine.getActiveProjects()
+      activeProjects: await this.personalizationEngine.getActiveProjects(),
+      currentPage: this.getActivePage()
     };
   }
 
+  // The page in the active tab, identified by URL and content hash
+  getActivePage() {
+    const tabManager = this.getFocusedTabManager();
+    const tab = tabManager?.tabs.get(tabManager.activeTabId);
+    if (!tab) return null;
+
+    return { url: tab.url, title: tab.title, contentHash: tab.aiContext.contentHash };
+  }
+
   async loadUserProfile() {
     this.userProfile = await this.personalizationEngine.getUserProfile();
   }
 
   // Public methods for IPC handlers
-  async createNewTab(url = 'nexus://newtab') {
-    const tabId = Date.now().toString();
-    const tabData = {
-      id: tabId,
-      url,
-      title: 'New Tab',
-      favicon: null,
-      loading: true,
-      active: true
-    };
-    
-    this.activeTabs.set(tabId, tabData);
-    return tabData;
-  }
-
-  async getAIInsights(query) {
+  // context.private keeps the query out of memory, learning and the cache
+  async getAIInsights(query, context = {}) {
     return await this.aiEngine.processQuery(query, {
+      ...context,
       userProfile: this.userProfile,
       context: await this.getContextualData()
     });
@@ -182,6 +468,9 @@ class NexusBrowser {
   }
 }
 
+// nexus:// has to be registered before the app is ready
+InternalPages.registerScheme();
+
 // Global instance
 const nexusBrowser = new NexusBrowser();
 
@@ -196,6 +485,10 @@ app.on('window-all-closed', () => {
   }
 });
 
+app.on('before-quit', () => {
+  nexusBrowser.sessionManager.saveSync(true);
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     nexusBrowser.createWindow();
@@ -204,10 +497,10 @@ app.on('activate', () => {
 
 // Security: Prevent new window creation
 app.on('web-contents-created', (event, contents) => {
-  contents.on('new-window', (navigationEvent, navigationURL) => {
-    navigationEvent.preventDefault();
-    // Handle new window creation through our tab system
-    nexusBrowser.createNewTab(navigationURL);
+  // Tabs install their own handler; anything else opening a window gets a tab instead
+  contents.setWindowOpenHandler(({ url }) => {
+    nexusBrowser.getTabManager(contents)?.createTab(url);
+    return { action: 'deny' };
   });
 });
 
@@ -1,11 +1,54 @@
+const path = require('path');
+const fs = require('fs');
+const { URL } = require('url');
+
+const SAVE_DELAY = 1000;
+// What a site gets asked about, by the name decisions are kept under. Media
+// requests are split into camera and microphone.
+const PROMPTED_PERMISSIONS = {
+  camera: 'Use your camera',
+  microphone: 'Use your microphone',
+  geolocation: 'Know your location',
+  notifications: 'Show notifications',
+  'clipboard-read': 'See what you copy',
+  'display-capture': 'Share your screen',
+  midiSysex: 'Control your MIDI devices'
+};
+// Harmless enough to never ask about; anything else is denied
+const ALWAYS_ALLOWED = new Set(['fullscreen', 'clipboard-sanitized-write', 'pointerLock']);
+const MEDIA_PERMISSIONS = { video: 'camera', audio: 'microphone' };
+// Guards against a certificate that names itself as its issuer's issuer
+const MAX_CHAIN_LENGTH = 10;
+
 class SecurityManager {
-  constructor() {
+  constructor(permissionsPath = path.join(__dirname, '../../data/permissions.json')) {
     this.securityPolicies = {
       contentSecurityPolicy: this.getDefaultCSP(),
       allowedOrigins: new Set(['https://*', 'nexus://*']),
       blockedOrigins: new Set(),
       privacyMode: 'strict'
     };
+
+    // Site permissions: origin -> { permission: 'allow' | 'deny' }. Private
+    // windows get their own, kept in memory only.
+    this.permissionsPath = permissionsPath;
+    this.permissions = {};
+    this.privatePermissions = {};
+    // "Allow this time": by webContents id, until that tab leaves the origin
+    this.onceGrants = new Map();
+    // Prompts waiting for an answer, by request id
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    this.watchedContents = new WeakSet();
+    // Shows prompts in the right window; see setPermissionDelegate
+    this.permissionDelegate = null;
+    this.saveTimer = null;
+    this.writeQueue = Promise.resolve();
+
+    // Hosts whose invalid certificate the user chose to accept: host -> Set
+    // of fingerprints. Only for this session, never saved.
+    this.certificateExceptions = new Map();
+    this.privateCertificateExceptions = new Map();
   }
 
   setupSecurityPolicies() {
@@ -56,6 +99,372 @@ class SecurityManager {
     return filteredHeaders;
   }
 
+  // Site permissions
+
+  async loadPermissions() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.permissionsPath, 'utf8'));
+      this.permissions = data.permissions && typeof data.permissions === 'object' ? data.permissions : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading site permissions:', error);
+      }
+    }
+  }
+
+  // The delegate knows about windows and tabs: show(webContents, request)
+  // puts a prompt in front of the user and returns false if it can't,
+  // hide(webContents, requestId) takes one away, and record(webContents,
+  // result) is told how every request turned out
+  setPermissionDelegate(delegate) {
+    this.permissionDelegate = delegate;
+  }
+
+  registerPermissionHandlers(ses, { isPrivate = false } = {}) {
+    ses.setPermissionRequestHandler((webContents, permission, callback, details) => {
+      this.handlePermissionRequest(webContents, permission, callback, details, isPrivate);
+    });
+    ses.setPermissionCheckHandler((webContents, permission, requestingOrigin, details) => (
+      this.checkPermission(webContents, permission, requestingOrigin, details, isPrivate)
+    ));
+  }
+
+  // nexus:// has no origin as far as URL is concerned, so it's built by hand
+  getOrigin(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) ? `${parsed.protocol}//${parsed.host}` : null;
+    } catch {
+      return null;
+    }
+  }
+
+  getPermissionKeys(permission, details = {}) {
+    if (permission === 'media') {
+      const types = details.mediaTypes || (details.mediaType ? [details.mediaType] : []);
+      return types.map(type => MEDIA_PERMISSIONS[type]).filter(Boolean);
+    }
+    return [permission];
+  }
+
+  getStore(isPrivate) {
+    return isPrivate ? this.privatePermissions : this.permissions;
+  }
+
+  getDecision(origin, permission, isPrivate = false) {
+    return this.getStore(isPrivate)[origin]?.[permission] || 'ask';
+  }
+
+  hasOnceGrant(webContents, origin, permission) {
+    const grant = webContents && this.onceGrants.get(webContents.id);
+    return Boolean(grant && grant.origin === origin && grant.permissions.has(permission));
+  }
+
+  isAllowed(webContents, origin, permission, isPrivate) {
+    return this.getDecision(origin, permission, isPrivate) === 'allow' || this.hasOnceGrant(webContents, origin, permission);
+  }
+
+  handlePermissionRequest(webContents, permission, callback, details, isPrivate) {
+    if (ALWAYS_ALLOWED.has(permission)) {
+      callback(true);
+      return;
+    }
+
+    const origin = this.getOrigin(details.requestingUrl || webContents.getURL());
+    const keys = this.getPermissionKeys(permission, details);
+    // Internal pages and anything not on the web never get prompted for
+    if (!origin || keys.length === 0 || keys.some(key => !PROMPTED_PERMISSIONS[key])) {
+      callback(false);
+      return;
+    }
+
+    const respond = (granted) => {
+      callback(granted);
+      this.permissionDelegate?.record(webContents, { origin, permissions: keys, granted });
+    };
+
+    if (keys.some(key => this.getDecision(origin, key, isPrivate) === 'deny')) {
+      respond(false);
+      return;
+    }
+    const undecided = keys.filter(key => !this.isAllowed(webContents, origin, key, isPrivate));
+    if (undecided.length === 0) {
+      respond(true);
+      return;
+    }
+
+    // The same question from the same tab gets the same answer
+    const existing = Array.from(this.pendingRequests.values()).find(request => (
+      request.webContents === webContents && request.origin === origin &&
+      request.permissions.join() === undecided.join()
+    ));
+    if (existing) {
+      existing.callbacks.push(respond);
+      return;
+    }
+
+    this.requestCounter++;
+    const request = {
+      id: `permission-${this.requestCounter}`,
+      webContents,
+      origin,
+      permissions: undecided,
+      isPrivate,
+      callbacks: [respond]
+    };
+    this.pendingRequests.set(request.id, request);
+    this.watchWebContents(webContents);
+
+    const shown = this.permissionDelegate?.show(webContents, this.getRequestInfo(request));
+    if (!shown) {
+      this.finishRequest(request, false);
+    }
+  }
+
+  // Electron asks synchronously whether something is already granted
+  checkPermission(webContents, permission, requestingOrigin, details, isPrivate) {
+    if (ALWAYS_ALLOWED.has(permission)) return true;
+
+    const origin = this.getOrigin(requestingOrigin || details?.requestingUrl);
+    const keys = this.getPermissionKeys(permission, details);
+    return Boolean(origin) && keys.length > 0 &&
+      keys.every(key => PROMPTED_PERMISSIONS[key] && this.isAllowed(webContents, origin, key, isPrivate));
+  }
+
+  getRequestInfo(request) {
+    return {
+      requestId: request.id,
+      origin: request.origin,
+      permissions: request.permissions.map(permission => ({ permission, label: PROMPTED_PERMISSIONS[permission] }))
+    };
+  }
+
+  // Once-only grants end and open prompts are answered "no" when the tab
+  // goes to another site or closes
+  watchWebContents(webContents) {
+    if (this.watchedContents.has(webContents)) return;
+    this.watchedContents.add(webContents);
+
+    const id = webContents.id;
+    webContents.on('did-navigate', (event, url) => {
+      const origin = this.getOrigin(url);
+      if (this.onceGrants.get(id)?.origin !== origin) {
+        this.onceGrants.delete(id);
+      }
+      this.cancelRequests(webContents, (request) => request.origin !== origin);
+    });
+    webContents.once('destroyed', () => {
+      this.onceGrants.delete(id);
+      this.cancelRequests(webContents);
+    });
+  }
+
+  cancelRequests(webContents, predicate = () => true) {
+    for (const request of this.pendingRequests.values()) {
+      if (request.webContents === webContents && predicate(request)) {
+        this.finishRequest(request, false);
+        if (!webContents.isDestroyed()) {
+          this.permissionDelegate?.hide(webContents, request.id);
+        }
+      }
+    }
+  }
+
+  finishRequest(request, granted) {
+    this.pendingRequests.delete(request.id);
+    request.callbacks.forEach(respond => respond(granted));
+  }
+
+  // decision: 'allow' and 'deny' are remembered for the origin, 'allow-once'
+  // lasts while the tab stays on it, 'dismiss' denies without remembering
+  async respondToPermissionRequest(requestId, decision) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) {
+      throw new Error('Permission request not found');
+    }
+
+    if (decision === 'allow' || decision === 'deny') {
+      for (const permission of request.permissions) {
+        await this.setPermission(request.origin, permission, decision, { isPrivate: request.isPrivate });
+      }
+    } else if (decision === 'allow-once' && !request.webContents.isDestroyed()) {
+      const id = request.webContents.id;
+      const grant = this.onceGrants.get(id)?.origin === request.origin
+        ? this.onceGrants.get(id)
+        : { origin: request.origin, permissions: new Set() };
+      request.permissions.forEach(permission => grant.permissions.add(permission));
+      this.onceGrants.set(id, grant);
+    }
+
+    const granted = decision === 'allow' || decision === 'allow-once';
+    this.finishRequest(request, granted);
+    console.log(`🔐 ${request.origin}: ${request.permissions.join(', ')} -> ${decision}`);
+    return { success: true, granted };
+  }
+
+  // Every permission that has a remembered or once-only decision for the
+  // site a tab is on
+  getSitePermissions(url, { isPrivate = false, webContents = null } = {}) {
+    const origin = this.getOrigin(url);
+    if (!origin) {
+      return { origin: null, permissions: [] };
+    }
+
+    const decisions = { ...this.getStore(isPrivate)[origin] };
+    const grant = webContents && this.onceGrants.get(webContents.id);
+    if (grant?.origin === origin) {
+      grant.permissions.forEach(permission => {
+        decisions[permission] = decisions[permission] || 'allow-once';
+      });
+    }
+
+    return {
+      origin,
+      permissions: Object.entries(decisions).map(([permission, decision]) => ({
+        permission,
+        label: PROMPTED_PERMISSIONS[permission] || permission,
+        decision
+      }))
+    };
+  }
+
+  getAllPermissions({ isPrivate = false } = {}) {
+    return Object.keys(this.getStore(isPrivate)).sort().map(origin => this.getSitePermissions(origin, { isPrivate }));
+  }
+
+  // 'ask' forgets the decision, so the site is asked again next time
+  async setPermission(origin, permission, decision, { isPrivate = false } = {}) {
+    const siteOrigin = this.getOrigin(origin);
+    if (!siteOrigin) {
+      throw new Error(`Not a website: ${origin}`);
+    }
+    if (!PROMPTED_PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    if (!['allow', 'deny', 'ask'].includes(decision)) {
+      throw new Error(`Unknown decision: ${decision}`);
+    }
+
+    const store = this.getStore(isPrivate);
+    if (decision === 'ask') {
+      if (store[siteOrigin]) {
+        delete store[siteOrigin][permission];
+        if (Object.keys(store[siteOrigin]).length === 0) {
+          delete store[siteOrigin];
+        }
+      }
+    } else {
+      store[siteOrigin] = { ...store[siteOrigin], [permission]: decision };
+    }
+
+    if (!isPrivate) {
+      this.scheduleSave();
+    }
+    return this.getSitePermissions(siteOrigin, { isPrivate });
+  }
+
+  // Without a permission, everything the site was allowed or denied
+  async resetPermissions(origin, permission = null, { isPrivate = false } = {}) {
+    const siteOrigin = this.getOrigin(origin);
+    if (permission) {
+      return this.setPermission(origin, permission, 'ask', { isPrivate });
+    }
+
+    delete this.getStore(isPrivate)[siteOrigin];
+    for (const [id, grant] of this.onceGrants) {
+      if (grant.origin === siteOrigin) {
+        this.onceGrants.delete(id);
+      }
+    }
+    if (!isPrivate) {
+      this.scheduleSave();
+    }
+    return { origin: siteOrigin, permissions: [] };
+  }
+
+  // Called when the last private window closes
+  clearPrivateState() {
+    this.privatePermissions = {};
+    this.privateCertificateExceptions.clear();
+  }
+
+  // Certificate exceptions. A different bad certificate for the same host
+  // isn't covered; the user is asked again.
+  getCertificateExceptions(isPrivate) {
+    return isPrivate ? this.privateCertificateExceptions : this.certificateExceptions;
+  }
+
+  allowCertificate(host, certificate, { isPrivate = false } = {}) {
+    if (!host || !certificate?.fingerprint) {
+      throw new Error('Nothing to make an exception for');
+    }
+
+    const exceptions = this.getCertificateExceptions(isPrivate);
+    if (!exceptions.has(host)) {
+      exceptions.set(host, new Set());
+    }
+    exceptions.get(host).add(certificate.fingerprint);
+    console.warn(`⚠️ Accepting an invalid certificate for ${host} this session`);
+  }
+
+  // Without a certificate, whether the host has any exception at all
+  hasCertificateException(host, certificate = null, { isPrivate = false } = {}) {
+    const fingerprints = this.getCertificateExceptions(isPrivate).get(host);
+    if (!fingerprints) return false;
+    return certificate ? fingerprints.has(certificate.fingerprint) : true;
+  }
+
+  revokeCertificateException(host, { isPrivate = false } = {}) {
+    return this.getCertificateExceptions(isPrivate).delete(host);
+  }
+
+  // Electron links each certificate to its issuer, from the site's own up
+  // to the root; flattened into what the certificate viewer shows
+  getCertificateChain(certificate) {
+    const chain = [];
+    let current = certificate;
+
+    while (current && chain.length < MAX_CHAIN_LENGTH) {
+      chain.push({
+        subject: current.subjectName,
+        issuer: current.issuerName,
+        organizations: current.subject?.organizations || [],
+        serialNumber: current.serialNumber,
+        validStart: current.validStart * 1000,
+        validExpiry: current.validExpiry * 1000,
+        fingerprint: current.fingerprint
+      });
+
+      // Self-signed certificates are their own issuer
+      if (!current.issuerCert || current.issuerCert.fingerprint === current.fingerprint) break;
+      current = current.issuerCert;
+    }
+    return chain;
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.savePermissions(), SAVE_DELAY);
+  }
+
+  // Written to a temporary file and renamed, so a crash mid-write leaves the
+  // previous decisions intact
+  savePermissions() {
+    const data = JSON.stringify({ permissions: this.permissions });
+    const tempPath = `${this.permissionsPath}.tmp`;
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.permissionsPath), { recursive: true });
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.permissionsPath);
+      } catch (error) {
+        console.error('Error saving site permissions:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
   validateURL(url) {
     try {
       const urlObj = new URL(url);
@@ -0,0 +1,128 @@
+const { EmbeddingService } = require('../../ai-engine/EmbeddingService');
+const { PageChat } = require('../../ai-engine/PageChat');
+const { ContextualAI } = require('../../ai-engine/ContextualAI');
+const { AssistantAgent } = require('../../ai-engine/agent/AssistantAgent');
+const { TabTools } = require('../../ai-engine/agent/TabTools');
+const { PromptInjectionGuard } = require('../PromptInjectionGuard');
+const { createMockRegistry, promptText } = require('../../ai-engine/__tests__/helpers/mockRegistry');
+const { FIXTURES } = require('./fixtures/redTeamPages');
+
+// Planted in the user's profile and history; it must never show up in a
+// prompt that also carries a hostile page
+const CANARY = 'canary-interest-7f3a';
+
+// Every fixture page goes through the places page text reaches the model,
+// against the mock provider, and the spec checks what the model would have
+// seen. The mock can be scripted to "obey" the page, which is how the agent
+// cases check that tools and user data stay out of reach.
+const cases = FIXTURES.map(fixture => [fixture.id, fixture]);
+const hostileCases = cases.filter(([, fixture]) => fixture.malicious);
+const benignCases = cases.filter(([, fixture]) => !fixture.malicious);
+
+function expectNoMarkers(fixture, text) {
+  fixture.markers.forEach(marker => {
+    expect(text.toLowerCase()).not.toContain(marker.toLowerCase());
+  });
+}
+
+describe('prompt-injection red team', () => {
+  const guard = new PromptInjectionGuard();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detection', () => {
+    test.each(hostileCases)('flags %s', (id, fixture) => {
+      expect(guard.sanitize(fixture.page.content).action).not.toBe('allow');
+    });
+
+    test.each(benignCases)('allows %s', (id, fixture) => {
+      expect(guard.sanitize(fixture.page.content).action).toBe('allow');
+    });
+  });
+
+  test.each(cases)('fences %s exactly once', (id, fixture) => {
+    const { text } = guard.prepare(fixture.page.content);
+
+    expect(text.match(/<\/\s*untrusted_content/gi) || []).toHaveLength(1);
+  });
+
+  test.each(cases)('keeps the attack out of page chat for %s', async (id, fixture) => {
+    const { registry, settingsManager, provider } = createMockRegistry();
+    const pageChat = new PageChat(registry, new EmbeddingService(registry, settingsManager));
+
+    await pageChat.answer('What is this page about?', fixture.page);
+    const text = promptText(provider);
+
+    expectNoMarkers(fixture, text);
+    expect(text).toContain('<untrusted_content');
+  });
+
+  test.each(cases)('shares the user profile only with benign pages for %s', async (id, fixture) => {
+    const { registry, provider } = createMockRegistry();
+    const contextualAI = new ContextualAI(registry);
+    await contextualAI.initialize();
+    contextualAI.userContext.personal.interests = [{ term: CANARY, score: 1 }];
+
+    await contextualAI.generateContextualResponse('What is this page about?', { currentPage: fixture.page });
+    const text = promptText(provider);
+
+    expect(provider.requests.length).toBeGreaterThan(0);
+    expectNoMarkers(fixture, text);
+    if (fixture.malicious) {
+      expect(text).not.toContain(CANARY);
+    } else {
+      expect(text).toContain(CANARY);
+    }
+  });
+
+  // The scripted model reads the page, then does what a compromised model
+  // would: pulls history and navigates somewhere
+  test.each(cases)('keeps agent tools and history out of reach after reading %s', async (id, fixture) => {
+    const { registry, provider } = createMockRegistry({
+      responses: [
+        { text: '', toolCalls: [{ id: 'call-1', name: 'read_tab', arguments: { tabId: 'tab-1' } }] },
+        {
+          text: '',
+          toolCalls: [
+            { id: 'call-2', name: 'search_history', arguments: { query: '' } },
+            { id: 'call-3', name: 'navigate_tab', arguments: { tabId: 'tab-1', url: 'https://collect.example/c' } }
+          ]
+        },
+        'Done.'
+      ]
+    });
+
+    const tab = { id: 'tab-1', loading: false, view: { webContents: {} } };
+    const tabManager = {
+      tabs: new Map([[tab.id, tab]]),
+      extractPageData: async () => fixture.page,
+      wakeTab: () => false,
+      waitForLoad: async () => {},
+      navigateTab: jest.fn(() => true),
+      getAllTabs: () => [{ id: tab.id, title: fixture.page.title, url: fixture.page.url, isActive: true }]
+    };
+    const dataCollector = {
+      getRecentActivity: async () => ({
+        pageViews: [{ title: CANARY, url: `https://${CANARY}.example/`, timestamp: Date.now() }]
+      })
+    };
+    const confirm = jest.fn(async () => false);
+
+    const agent = new AssistantAgent(registry, new TabTools(() => tabManager, dataCollector));
+    const result = await agent.run('Summarize this tab', { confirm });
+    const text = promptText(provider);
+
+    expectNoMarkers(fixture, text);
+    expect(result.steps.find(step => step.tool === 'search_history')).toMatchObject({ status: 'blocked' });
+    expect(text).not.toContain(CANARY);
+    expect(confirm).toHaveBeenCalledWith(expect.objectContaining({ tool: 'navigate_tab', tainted: true }));
+    expect(tabManager.navigateTab).not.toHaveBeenCalled();
+  });
+});
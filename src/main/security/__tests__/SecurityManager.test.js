@@ -0,0 +1,220 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecurityManager } = require('../SecurityManager');
+
+// A tab's webContents, as far as permission prompts care
+class FakeWebContents extends EventEmitter {
+  constructor(id, url) {
+    super();
+    this.id = id;
+    this.url = url;
+    this.destroyed = false;
+  }
+
+  getURL() {
+    return this.url;
+  }
+
+  isDestroyed() {
+    return this.destroyed;
+  }
+}
+
+describe('SecurityManager', () => {
+  let root;
+  let permissionsPath;
+  let security;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-security-'));
+    permissionsPath = path.join(root, 'permissions.json');
+    security = new SecurityManager(permissionsPath);
+  });
+
+  afterEach(() => {
+    clearTimeout(security.saveTimer);
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('site permissions', () => {
+    let delegate;
+    let webContents;
+
+    // Asks the way a session's permission handler does and collects the answer
+    const request = (permission, details = {}, isPrivate = false, contents = webContents) => {
+      const callback = jest.fn();
+      security.handlePermissionRequest(contents, permission, callback, { requestingUrl: contents.getURL(), ...details }, isPrivate);
+      return callback;
+    };
+
+    beforeEach(() => {
+      delegate = { show: jest.fn(() => true), hide: jest.fn(), record: jest.fn() };
+      security.setPermissionDelegate(delegate);
+      webContents = new FakeWebContents(1, 'https://meet.example/room');
+    });
+
+    test('remembers decisions across restarts', async () => {
+      const callback = request('media', { mediaTypes: ['video', 'audio'] });
+      expect(delegate.show).toHaveBeenCalledWith(webContents, {
+        requestId: 'permission-1',
+        origin: 'https://meet.example',
+        permissions: [
+          { permission: 'camera', label: 'Use your camera' },
+          { permission: 'microphone', label: 'Use your microphone' }
+        ]
+      });
+
+      await security.respondToPermissionRequest('permission-1', 'allow');
+      await security.savePermissions();
+      expect(callback).toHaveBeenCalledWith(true);
+
+      const restarted = new SecurityManager(permissionsPath);
+      await restarted.loadPermissions();
+      expect(restarted.getDecision('https://meet.example', 'camera')).toBe('allow');
+      expect(restarted.checkPermission(webContents, 'media', 'https://meet.example', { mediaType: 'audio' }, false)).toBe(true);
+    });
+
+    test('answers remembered decisions without asking', async () => {
+      await security.setPermission('https://meet.example/anything', 'geolocation', 'deny');
+      await security.setPermission('https://meet.example', 'notifications', 'allow');
+
+      expect(request('geolocation')).toHaveBeenCalledWith(false);
+      expect(request('notifications')).toHaveBeenCalledWith(true);
+      expect(delegate.show).not.toHaveBeenCalled();
+      expect(delegate.record).toHaveBeenCalledWith(webContents, { origin: 'https://meet.example', permissions: ['notifications'], granted: true });
+    });
+
+    test('never prompts for internal pages or unknown permissions', () => {
+      expect(request('fullscreen')).toHaveBeenCalledWith(true);
+      expect(request('openExternal')).toHaveBeenCalledWith(false);
+      expect(request('geolocation', {}, false, new FakeWebContents(2, 'nexus://settings/'))).toHaveBeenCalledWith(false);
+      expect(delegate.show).not.toHaveBeenCalled();
+    });
+
+    test('keeps a private window\'s decisions in memory only', async () => {
+      request('geolocation', {}, true);
+      await security.respondToPermissionRequest('permission-1', 'allow');
+      await security.savePermissions();
+
+      expect(security.getDecision('https://meet.example', 'geolocation', true)).toBe('allow');
+      expect(security.getDecision('https://meet.example', 'geolocation')).toBe('ask');
+      expect(JSON.parse(fs.readFileSync(permissionsPath, 'utf8'))).toEqual({ permissions: {} });
+
+      security.clearPrivateState();
+      expect(security.getAllPermissions({ isPrivate: true })).toEqual([]);
+    });
+
+    test('allows once until the tab leaves the site', async () => {
+      const callback = request('geolocation');
+      await security.respondToPermissionRequest('permission-1', 'allow-once');
+
+      expect(callback).toHaveBeenCalledWith(true);
+      expect(security.getSitePermissions(webContents.getURL(), { webContents }).permissions)
+        .toEqual([{ permission: 'geolocation', label: 'Know your location', decision: 'allow-once' }]);
+
+      webContents.emit('did-navigate', {}, 'https://meet.example/other-room');
+      expect(request('geolocation')).toHaveBeenCalledWith(true);
+
+      webContents.emit('did-navigate', {}, 'https://elsewhere.example/');
+      expect(security.checkPermission(webContents, 'geolocation', 'https://meet.example', {}, false)).toBe(false);
+    });
+
+    test('asks once for repeated requests and says no when the tab goes away', () => {
+      const first = request('geolocation');
+      const second = request('geolocation');
+      expect(delegate.show).toHaveBeenCalledTimes(1);
+
+      webContents.destroyed = true;
+      webContents.emit('destroyed');
+
+      expect(first).toHaveBeenCalledWith(false);
+      expect(second).toHaveBeenCalledWith(false);
+      expect(security.pendingRequests.size).toBe(0);
+    });
+
+    test('says no when there is nowhere to show the prompt', () => {
+      delegate.show.mockReturnValue(false);
+
+      expect(request('notifications')).toHaveBeenCalledWith(false);
+    });
+
+    test('forgets decisions on reset', async () => {
+      await security.setPermission('https://meet.example', 'camera', 'allow');
+      await security.setPermission('https://meet.example', 'microphone', 'deny');
+
+      await security.resetPermissions('https://meet.example', 'camera');
+      expect(security.getAllPermissions()).toEqual([{
+        origin: 'https://meet.example',
+        permissions: [{ permission: 'microphone', label: 'Use your microphone', decision: 'deny' }]
+      }]);
+
+      await security.resetPermissions('https://meet.example');
+      expect(security.getAllPermissions()).toEqual([]);
+    });
+
+    test('refuses decisions it can\'t keep', async () => {
+      await expect(security.setPermission('nexus://settings', 'camera', 'allow')).rejects.toThrow('Not a website: nexus://settings');
+      await expect(security.setPermission('https://a.example', 'usb', 'allow')).rejects.toThrow('Unknown permission: usb');
+      await expect(security.setPermission('https://a.example', 'camera', 'maybe')).rejects.toThrow('Unknown decision: maybe');
+      await expect(security.respondToPermissionRequest('permission-9', 'allow')).rejects.toThrow('Permission request not found');
+    });
+  });
+
+  describe('certificate exceptions', () => {
+    const certificate = (fingerprint, issuerCert) => ({
+      subjectName: fingerprint,
+      issuerName: issuerCert ? issuerCert.subjectName : fingerprint,
+      subject: { organizations: ['Example'] },
+      serialNumber: '01',
+      validStart: 1700000000,
+      validExpiry: 1730000000,
+      fingerprint,
+      issuerCert
+    });
+
+    test('covers only the certificate that was accepted, for this session', async () => {
+      security.allowCertificate('self-signed.example', certificate('sha256/aaa'));
+
+      expect(security.hasCertificateException('self-signed.example', certificate('sha256/aaa'))).toBe(true);
+      expect(security.hasCertificateException('self-signed.example', certificate('sha256/bbb'))).toBe(false);
+      expect(security.hasCertificateException('self-signed.example')).toBe(true);
+      expect(security.hasCertificateException('other.example')).toBe(false);
+
+      await security.savePermissions();
+      expect(fs.readFileSync(permissionsPath, 'utf8')).not.toContain('self-signed.example');
+      expect(new SecurityManager(permissionsPath).hasCertificateException('self-signed.example')).toBe(false);
+    });
+
+    test('keeps private windows\' exceptions apart and drops them with the windows', () => {
+      security.allowCertificate('self-signed.example', certificate('sha256/aaa'), { isPrivate: true });
+
+      expect(security.hasCertificateException('self-signed.example')).toBe(false);
+      expect(security.hasCertificateException('self-signed.example', null, { isPrivate: true })).toBe(true);
+
+      security.clearPrivateState();
+      expect(security.hasCertificateException('self-signed.example', null, { isPrivate: true })).toBe(false);
+    });
+
+    test('can be revoked', () => {
+      security.allowCertificate('self-signed.example', certificate('sha256/aaa'));
+
+      expect(security.revokeCertificateException('self-signed.example')).toBe(true);
+      expect(security.hasCertificateException('self-signed.example')).toBe(false);
+      expect(() => security.allowCertificate('self-signed.example', {})).toThrow('Nothing to make an exception for');
+    });
+
+    test('flattens the chain up to a self-signed root', () => {
+      const root = certificate('sha256/root');
+      root.issuerCert = root;
+      const chain = security.getCertificateChain(certificate('sha256/leaf', certificate('sha256/intermediate', root)));
+
+      expect(chain.map(entry => entry.fingerprint)).toEqual(['sha256/leaf', 'sha256/intermediate', 'sha256/root']);
+      expect(chain[0]).toMatchObject({ issuer: 'sha256/intermediate', organizations: ['Example'], validStart: 1700000000000 });
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_SETTINGS = {
+  ai: {
+    // Provider used by any call site that doesn't name its own
+    defaultProvider: 'openai',
+    providers: {
+      openai: {
+        type: 'openai',
+        apiKey: ''
+      },
+      local: {
+        // llama.cpp server, Ollama, LM Studio, vLLM... anything speaking /v1/chat/completions
+        type: 'openai-compatible',
+        baseURL: 'http://localhost:11434/v1',
+        apiKey: ''
+      },
+      mock: {
+        type: 'mock'
+      }
+    },
+    // Per call site model settings; a call site may also set `provider`
+    callSites: {
+      assistant: { model: 'gpt-4', temperature: 0.7, maxTokens: 500 },
+      contextual: { model: 'gpt-4', temperature: 0.7, maxTokens: 600 },
+      agent: { model: 'gpt-4', temperature: 0.2, maxTokens: 800 },
+      summarization: { model: 'gpt-4', temperature: 0.3, maxTokens: 400 },
+      pageChat: { model: 'gpt-4', temperature: 0.2, maxTokens: 600 },
+      omnibox: { model: 'gpt-4', temperature: 0.3, maxTokens: 100 },
+      embedding: { provider: 'local', model: 'nomic-embed-text' }
+    },
+    embeddings: {
+      // 'hashing' works offline with no model; 'provider' uses the embedding call site
+      backend: 'hashing',
+      dimensions: 512
+    }
+  },
+  memorySaver: {
+    enabled: true,
+    // Background tabs unused this long are discarded
+    idleMinutes: 30,
+    // Below this share of free system memory, the least recently used
+    // background tabs are discarded regardless of idle time
+    minFreeMemoryRatio: 0.1,
+    // Sites (and their subdomains) whose tabs are never discarded
+    neverDiscard: []
+  },
+  downloads: {
+    // Empty means the system Downloads folder
+    directory: '',
+    // File downloads into a subfolder named after the source page's category
+    smartFiling: true
+  },
+  search: {
+    // Id of a built-in engine (see SearchEngineRegistry) or one in `engines`
+    defaultEngine: 'google',
+    // Added by the user or discovered through OpenSearch: { id, name, keyword, url, source }
+    engines: [],
+    // Pick up search engines that visited pages offer
+    discoverEngines: true,
+    // Suggest better search queries in the address bar with the omnibox call site
+    aiSuggestions: true
+  },
+  reader: {
+    fontFamily: 'serif',
+    // Pixels
+    fontSize: 18,
+    // 'narrow', 'medium' or 'wide'
+    width: 'medium',
+    // 'light', 'sepia' or 'dark'
+    theme: 'light'
+  }
+};
+
+const SECRET_KEYS = new Set(['apiKey']);
+const REDACTED = '********';
+
+class SettingsManager extends EventEmitter {
+  constructor(settingsPath = path.join(__dirname, '../../data/settings.json')) {
+    super();
+    this.settingsPath = settingsPath;
+    this.settings = this.clone(DEFAULT_SETTINGS);
+    this.isLoaded = false;
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.settingsPath, 'utf8');
+      this.settings = this.merge(this.clone(DEFAULT_SETTINGS), JSON.parse(data));
+    } catch (error) {
+      console.log('Creating default settings...');
+      this.settings = this.clone(DEFAULT_SETTINGS);
+    }
+
+    this.isLoaded = true;
+    return this.settings;
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.settingsPath), { recursive: true });
+      await fs.writeFile(this.settingsPath, JSON.stringify(this.settings, null, 2));
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  }
+
+  get(keyPath, defaultValue) {
+    const value = keyPath.split('.').reduce((node, key) => {
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, this.settings);
+
+    return value === undefined ? defaultValue : value;
+  }
+
+  getAll({ redactSecrets = false } = {}) {
+    const settings = this.clone(this.settings);
+    return redactSecrets ? this.redact(settings) : settings;
+  }
+
+  async set(keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let node = this.settings;
+
+    keys.forEach(key => {
+      if (!node[key] || typeof node[key] !== 'object') {
+        node[key] = {};
+      }
+      node = node[key];
+    });
+
+    node[last] = value;
+    await this.save();
+    this.emit('changed', { keys: [keyPath], settings: this.getAll() });
+  }
+
+  async update(partial) {
+    if (!partial || typeof partial !== 'object') return this.getAll();
+
+    this.merge(this.settings, partial);
+    await this.save();
+    this.emit('changed', { keys: Object.keys(partial), settings: this.getAll() });
+
+    return this.getAll();
+  }
+
+  // Deep merge of plain objects; arrays and primitives replace
+  merge(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+      // A redacted secret coming back from the renderer means "unchanged"
+      if (SECRET_KEYS.has(key) && value === REDACTED) return;
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (!target[key] || typeof target[key] !== 'object' || Array.isArray(target[key])) {
+          target[key] = {};
+        }
+        this.merge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+
+    return target;
+  }
+
+  redact(node) {
+    Object.entries(node).forEach(([key, value]) => {
+      if (SECRET_KEYS.has(key) && value) {
+        node[key] = REDACTED;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        this.redact(value);
+      }
+    });
+
+    return node;
+  }
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = { SettingsManager, DEFAULT_SETTINGS };
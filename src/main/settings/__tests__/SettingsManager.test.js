@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SettingsManager, DEFAULT_SETTINGS } = require('../SettingsManager');
+
+describe('SettingsManager', () => {
+  let dir;
+  let settingsManager;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-settings-'));
+    settingsManager = new SettingsManager(path.join(dir, 'settings.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('merges objects deeply, while arrays and values replace', () => {
+    const target = { a: { b: 1, c: [1, 2] }, d: 'x' };
+
+    settingsManager.merge(target, { a: { c: [3] }, d: { e: true } });
+
+    expect(target).toEqual({ a: { b: 1, c: [3] }, d: { e: true } });
+  });
+
+  test('keeps a secret when the redacted placeholder comes back', () => {
+    const target = { openai: { apiKey: 'sk-real', model: 'a' } };
+
+    settingsManager.merge(target, { openai: { apiKey: '********', model: 'b' } });
+
+    expect(target.openai).toEqual({ apiKey: 'sk-real', model: 'b' });
+  });
+
+  test('redacts secrets for the renderer without touching the settings', async () => {
+    await settingsManager.set('ai.providers.openai.apiKey', 'sk-real');
+
+    expect(settingsManager.getAll({ redactSecrets: true }).ai.providers.openai.apiKey).toBe('********');
+    expect(settingsManager.get('ai.providers.openai.apiKey')).toBe('sk-real');
+  });
+
+  test('loads saved settings over the defaults', async () => {
+    fs.writeFileSync(path.join(dir, 'settings.json'), JSON.stringify({ ai: { defaultProvider: 'local' } }));
+
+    await settingsManager.load();
+
+    expect(settingsManager.get('ai.defaultProvider')).toBe('local');
+    expect(settingsManager.get('ai.callSites.assistant')).toEqual(DEFAULT_SETTINGS.ai.callSites.assistant);
+  });
+
+  test('falls back to the defaults when there is nothing saved', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await settingsManager.load();
+
+    expect(settingsManager.getAll()).toEqual(DEFAULT_SETTINGS);
+    console.log.mockRestore();
+  });
+
+  test('saves updates and reports the changed keys', async () => {
+    const changed = jest.fn();
+    settingsManager.on('changed', changed);
+
+    await settingsManager.update({ reader: { fontSize: 20 } });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'settings.json'), 'utf8'));
+    expect(saved.reader).toEqual({ ...DEFAULT_SETTINGS.reader, fontSize: 20 });
+    expect(changed).toHaveBeenCalledWith(expect.objectContaining({ keys: ['reader'] }));
+  });
+
+  test('returns the default for a missing key', () => {
+    expect(settingsManager.get('ai.nothing.here', 'fallback')).toBe('fallback');
+  });
+});
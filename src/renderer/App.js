@@ -2,6 +2,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import styled, { ThemeProvider, createGlobalStyle } from 'styled-components';
 import BrowserInterface from './components/BrowserInterface';
 import AIAssistant from './components/AIAssistant';
+import PageSummary from './components/PageSummary';
+import DownloadsPanel from './components/DownloadsPanel';
+import ConversationList from './components/ConversationList';
 import PersonalizationPanel from './components/PersonalizationPanel';
 import TopBar from './components/TopBar';
 
@@ -78,6 +81,20 @@ const themes = {
     scrollbarTrack: 'rgba(255,255,255,0.1)',
     scrollbarThumb: 'rgba(255,255,255,0.3)',
     scrollbarThumbHover: 'rgba(255,255,255,0.5)'
+  },
+  // Only for private windows, so they can't be mistaken for normal ones
+  private: {
+    background: '#1e1530',
+    surface: '#2a1f42',
+    primary: '#a78bfa',
+    secondary: '#6d28d9',
+    text: '#ffffff',
+    textSecondary: '#c4b5fd',
+    border: '#3f3161',
+    shadow: '0 2px 10px rgba(0,0,0,0.4)',
+    scrollbarTrack: '#2a1f42',
+    scrollbarThumb: '#4c3a75',
+    scrollbarThumbHover: '#6b56a0'
   }
 };
 
@@ -166,6 +183,9 @@ function App() {
   const [userProfile, setUserProfile] = useState(null);
   const [aiInsights, setAiInsights] = useState([]);
   const [adaptiveSettings, setAdaptiveSettings] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [threadsVersion, setThreadsVersion] = useState(0);
+  const [isPrivate, setIsPrivate] = useState(false);
 
   // Initialize the application
   useEffect(() => {
@@ -180,6 +200,9 @@ function App() {
           return;
         }
 
+        const windowInfo = await window.nexusAPI.window.getInfo();
+        setIsPrivate(Boolean(windowInfo?.isPrivate));
+
         // Load user profile and preferences
         const profile = await window.nexusAPI.personalization.getUserProfile();
         setUserProfile(profile);
@@ -273,7 +296,7 @@ function App() {
   }
 
   return (
-    <ThemeProvider theme={themes[currentTheme]}>
+    <ThemeProvider theme={themes[isPrivate ? 'private' : currentTheme]}>
       <GlobalStyle />
       <AppContainer>
         <TopBar 
@@ -281,6 +304,7 @@ function App() {
           currentTheme={currentTheme}
           onToggleSidePanel={toggleSidePanel}
           userProfile={userProfile}
+          isPrivate={isPrivate}
         />
         
         <MainContent>
@@ -294,15 +318,32 @@ function App() {
           <SidePanel collapsed={sidePanelCollapsed}>
             {!sidePanelCollapsed && (
               <>
+                <PageSummary />
+                {/* Private windows keep no downloads list, threads or profile */}
+                {!isPrivate && (
+                  <>
+                    <DownloadsPanel />
+                    <ConversationList
+                      activeThreadId={activeThreadId}
+                      onSelect={setActiveThreadId}
+                      refreshKey={threadsVersion}
+                    />
+                  </>
+                )}
                 <AIAssistant 
                   insights={aiInsights}
                   userProfile={userProfile}
+                  threadId={activeThreadId}
+                  onThreadChange={setActiveThreadId}
+                  onThreadUpdated={() => setThreadsVersion(version => version + 1)}
                 />
-                <PersonalizationPanel 
-                  userProfile={userProfile}
-                  adaptiveSettings={adaptiveSettings}
-                  onThemeChange={handleThemeChange}
-                />
+                {!isPrivate && (
+                  <PersonalizationPanel 
+                    userProfile={userProfile}
+                    adaptiveSettings={adaptiveSettings}
+                    onThemeChange={handleThemeChange}
+                  />
+                )}
               </>
             )}
           </SidePanel>
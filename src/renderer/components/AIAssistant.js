@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
 
 const AssistantContainer = styled.div`
@@ -17,9 +17,21 @@ const Header = styled.div`
   h3 {
     margin-left: 10px;
     color: ${props => props.theme.text};
+    flex: 1;
   }
 `;
 
+const ModeToggle = styled.button`
+  background: ${props => props.active ? props.theme.primary : 'transparent'};
+  color: ${props => props.active ? 'white' : props.theme.textSecondary};
+  border: 1px solid ${props => props.active ? props.theme.primary : props.theme.border};
+  border-radius: 12px;
+  padding: 4px 10px;
+  font-size: 11px;
+  cursor: pointer;
+  transition: all 0.2s ease;
+`;
+
 const ChatArea = styled.div`
   flex: 1;
   background: ${props => props.theme.background};
@@ -93,6 +105,105 @@ const SendButton = styled.button`
   }
 `;
 
+const ActionCard = styled.div`
+  background: ${props => props.theme.surface};
+  border: 1px solid ${props => props.theme.primary};
+  border-radius: 10px;
+  padding: 10px 12px;
+  margin-top: 8px;
+  font-size: 13px;
+  color: ${props => props.theme.text};
+  
+  .actions {
+    display: flex;
+    gap: 8px;
+    margin-top: 8px;
+  }
+  
+  .warning {
+    margin-top: 6px;
+    font-size: 12px;
+    color: ${props => props.theme.textSecondary};
+  }
+  
+  button {
+    flex: 1;
+    padding: 6px 10px;
+    border-radius: 6px;
+    border: 1px solid ${props => props.theme.border};
+    background: transparent;
+    color: ${props => props.theme.text};
+    cursor: pointer;
+    font-size: 12px;
+  }
+  
+  button.allow {
+    background: ${props => props.theme.primary};
+    border-color: ${props => props.theme.primary};
+    color: white;
+  }
+`;
+
+const StepList = styled.div`
+  margin-bottom: 6px;
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  
+  .step {
+    margin-bottom: 3px;
+  }
+`;
+
+const CitationList = styled.div`
+  margin-top: 8px;
+  display: flex;
+  flex-direction: column;
+  gap: 4px;
+  
+  .citation {
+    font-size: 11px;
+    color: ${props => props.theme.textSecondary};
+    background: ${props => props.theme.background};
+    border-radius: 6px;
+    padding: 4px 8px;
+    cursor: pointer;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    
+    &:hover {
+      color: ${props => props.theme.text};
+    }
+  }
+  
+  .number {
+    font-weight: bold;
+    margin-right: 4px;
+  }
+`;
+
+const PromptDetails = styled.details`
+  margin-top: 6px;
+  font-size: 11px;
+  color: ${props => props.theme.textSecondary};
+  
+  summary {
+    cursor: pointer;
+    opacity: 0.7;
+  }
+  
+  .row {
+    margin-top: 2px;
+  }
+`;
+
+const STEP_ICONS = {
+  completed: '✅',
+  declined: '🚫',
+  blocked: '⛔',
+  failed: '⚠️'
+};
+
 const InsightCard = styled.div`
   background: ${props => props.theme.surface};
   border: 1px solid ${props => props.theme.border};
@@ -113,65 +224,204 @@ const InsightCard = styled.div`
   }
 `;
 
-function AIAssistant({ insights, userProfile }) {
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      sender: 'Nexus AI',
-      content: 'Hello! I\'m your AI assistant. I can help you browse smarter, find information, and adapt to your preferences. What can I help you with today?',
-      isUser: false,
-      timestamp: Date.now()
-    }
-  ]);
+const GREETING = {
+  id: 1,
+  sender: 'Nexus AI',
+  content: 'Hello! I\'m your AI assistant. I can help you browse smarter, find information, and adapt to your preferences. What can I help you with today?',
+  isUser: false,
+  timestamp: Date.now()
+};
+
+// Stored thread messages back into the shape the chat renders
+const toChatMessage = (message) => ({
+  id: `stored-${message.id}`,
+  sender: message.role === 'user' ? 'You' : 'Nexus AI',
+  content: message.content,
+  isUser: message.role === 'user',
+  tabId: message.meta?.tabId,
+  citations: message.meta?.citations,
+  steps: message.meta?.agentSteps,
+  cancelled: message.meta?.cancelled,
+  timestamp: message.timestamp
+});
+
+function AIAssistant({ insights, userProfile, threadId, onThreadChange, onThreadUpdated }) {
+  const [messages, setMessages] = useState([GREETING]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [pageMode, setPageMode] = useState(false);
+  const activeStreamRef = useRef(null);
+  // Thread created by this component for the message being sent; it has
+  // nothing to load yet and reloading would drop the streaming reply
+  const createdThreadRef = useRef(null);
+
+  // Resume the selected thread
+  useEffect(() => {
+    if (!threadId) {
+      createdThreadRef.current = null;
+      setMessages([GREETING]);
+      return;
+    }
+    if (!window.nexusAPI || threadId === createdThreadRef.current) return;
+    createdThreadRef.current = null;
+
+    const loadThread = async () => {
+      const thread = await window.nexusAPI.conversations.get(threadId);
+      if (thread && !thread.error) {
+        setMessages([GREETING, ...thread.messages.map(toChatMessage)]);
+      }
+    };
+
+    loadThread();
+  }, [threadId]);
+
+  // Append streamed tokens to the message that owns the stream
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const handleStreamChunk = (event, { streamId, delta }) => {
+      setMessages(prev => prev.map(message => (
+        message.streamId === streamId
+          ? { ...message, content: message.content + delta }
+          : message
+      )));
+    };
+
+    const handleAgentStep = (event, { streamId, step }) => {
+      setMessages(prev => prev.map(message => (
+        message.streamId === streamId
+          ? {
+              ...message,
+              steps: [...(message.steps || []), step],
+              pendingConfirmation: message.pendingConfirmation?.step.id === step.id
+                ? null
+                : message.pendingConfirmation
+            }
+          : message
+      )));
+    };
+
+    const handleToolConfirmation = (event, { streamId, confirmationId, step }) => {
+      setMessages(prev => prev.map(message => (
+        message.streamId === streamId
+          ? { ...message, pendingConfirmation: { confirmationId, step } }
+          : message
+      )));
+    };
+
+    window.nexusAPI.on('assistant-stream-chunk', handleStreamChunk);
+    window.nexusAPI.on('assistant-agent-step', handleAgentStep);
+    window.nexusAPI.on('assistant-tool-confirmation', handleToolConfirmation);
+    return () => {
+      window.nexusAPI.off('assistant-stream-chunk', handleStreamChunk);
+      window.nexusAPI.off('assistant-agent-step', handleAgentStep);
+      window.nexusAPI.off('assistant-tool-confirmation', handleToolConfirmation);
+    };
+  }, []);
+
+  const handleToolResponse = async (streamId, confirmationId, approved) => {
+    setMessages(prev => prev.map(message => (
+      message.streamId === streamId ? { ...message, pendingConfirmation: null } : message
+    )));
+
+    if (window.nexusAPI) {
+      await window.nexusAPI.assistant.respondToToolCall(confirmationId, approved);
+    }
+  };
+
+  const finishStreamMessage = (streamId, updates) => {
+    setMessages(prev => prev.map(message => (
+      message.streamId === streamId
+        ? { ...message, ...updates, streaming: false, pendingConfirmation: null }
+        : message
+    )));
+  };
 
   const handleSendMessage = async () => {
     if (!inputValue.trim() || isLoading) return;
     
+    const streamId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
     const userMessage = {
-      id: messages.length + 1,
+      id: `${streamId}-user`,
       sender: 'You',
       content: inputValue,
       isUser: true,
       timestamp: Date.now()
     };
+    const aiMessage = {
+      id: `${streamId}-ai`,
+      streamId,
+      sender: 'Nexus AI',
+      content: '',
+      isUser: false,
+      streaming: true,
+      timestamp: Date.now()
+    };
     
-    setMessages(prev => [...prev, userMessage]);
+    setMessages(prev => [...prev, userMessage, aiMessage]);
     setInputValue('');
     setIsLoading(true);
+    activeStreamRef.current = streamId;
     
     try {
       if (window.nexusAPI) {
-        const response = await window.nexusAPI.assistant.chat(inputValue, {
-          userProfile
+        let currentThreadId = threadId;
+        if (!currentThreadId) {
+          const thread = await window.nexusAPI.conversations.create();
+          if (!thread.error) {
+            currentThreadId = thread.id;
+            createdThreadRef.current = thread.id;
+            onThreadChange?.(thread.id);
+          }
+        }
+
+        const response = await window.nexusAPI.assistant.chatStream(streamId, userMessage.content, {
+          userProfile,
+          threadId: currentThreadId,
+          mode: pageMode ? 'page' : 'general'
         });
         
-        const aiMessage = {
-          id: messages.length + 2,
-          sender: 'Nexus AI',
-          content: response.response?.text || 'I apologize, but I\'m having trouble processing that request right now.',
-          isUser: false,
-          timestamp: Date.now()
-        };
-        
-        setMessages(prev => [...prev, aiMessage]);
+        if (response.error) {
+          finishStreamMessage(streamId, {
+            content: 'I apologize, but I\'m having trouble processing that request right now.'
+          });
+        } else {
+          // The final text is authoritative in case any chunk was dropped
+          finishStreamMessage(streamId, {
+            content: response.response?.text || '',
+            cancelled: response.cancelled,
+            tabId: response.tabId,
+            citations: response.citations,
+            injection: response.injection,
+            cached: response.cached,
+            promptReport: response.response?.promptReport
+          });
+        }
       }
     } catch (error) {
       console.error('AI chat error:', error);
-      const errorMessage = {
-        id: messages.length + 2,
-        sender: 'Nexus AI',
-        content: 'I\'m sorry, I encountered an error. Please try again.',
-        isUser: false,
-        timestamp: Date.now()
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      finishStreamMessage(streamId, {
+        content: 'I\'m sorry, I encountered an error. Please try again.'
+      });
     } finally {
+      activeStreamRef.current = null;
       setIsLoading(false);
+      onThreadUpdated?.();
     }
   };
 
+  // In split view a citation can point at either page
+  const handleCitationClick = async (message, citation) => {
+    const tabId = citation.tabId || message.tabId;
+    if (!window.nexusAPI || !tabId) return;
+    await window.nexusAPI.tabs.highlightPassage(tabId, citation.quote);
+  };
+
+  const handleCancel = async () => {
+    if (!activeStreamRef.current || !window.nexusAPI) return;
+    await window.nexusAPI.assistant.cancelStream(activeStreamRef.current);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -184,6 +434,13 @@ function AIAssistant({ insights, userProfile }) {
       <Header>
         🤖
         <h3>AI Assistant</h3>
+        <ModeToggle
+          active={pageMode}
+          onClick={() => setPageMode(prev => !prev)}
+          title="Answer from the content of the current tab, or compare the pages in split view"
+        >
+          📄 Chat with page
+        </ModeToggle>
       </Header>
       
       {insights && insights.length > 0 && (
@@ -202,17 +459,96 @@ function AIAssistant({ insights, userProfile }) {
         {messages.map((message) => (
           <Message key={message.id} isUser={message.isUser}>
             <div className="sender">{message.sender}</div>
-            <div className="content">{message.content}</div>
-          </Message>
-        ))}
-        {isLoading && (
-          <Message isUser={false}>
-            <div className="sender">Nexus AI</div>
             <div className="content">
-              ⏳ Thinking...
+              {message.steps && message.steps.length > 0 && (
+                <StepList>
+                  {message.steps.map(step => (
+                    <div className="step" key={step.id}>
+                      {STEP_ICONS[step.status] || '🔧'} {step.description}
+                    </div>
+                  ))}
+                </StepList>
+              )}
+              {message.content || (message.streaming && !message.pendingConfirmation ? '⏳ Thinking...' : '')}
+              {message.streaming && message.content && ' ▍'}
+              {message.citations && message.citations.length > 0 && (
+                <CitationList>
+                  {message.citations.map((citation, index) => (
+                    <div
+                      className="citation"
+                      key={index}
+                      title={citation.quote}
+                      onClick={() => handleCitationClick(message, citation)}
+                    >
+                      <span className="number">[{citation.number}]</span>
+                      {citation.quote}
+                    </div>
+                  ))}
+                </CitationList>
+              )}
+              {message.cached && (
+                <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+                  ⚡ Reused an answer from {Math.round(message.cached.age / 60000)} min ago
+                  {message.cached.type === 'similar' && ` to "${message.cached.query}"`}
+                </div>
+              )}
+              {message.injection && (
+                <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>
+                  🛡️ Ignored instructions found on this page ({message.injection.findings.map(f => f.id).join(', ')})
+                </div>
+              )}
+              {message.promptReport && (
+                <PromptDetails>
+                  <summary>
+                    🔍 Prompt: {message.promptReport.promptTokens}/{message.promptReport.contextWindow} tokens
+                    {message.promptReport.dropped.length > 0 &&
+                      ` · dropped: ${message.promptReport.dropped.map(item => item.id).join(', ')}`}
+                  </summary>
+                  <div className="row">Model: {message.promptReport.model} · answer limit {message.promptReport.maxTokens} tokens</div>
+                  {message.promptReport.included.map(item => (
+                    <div className="row" key={item.id}>
+                      ✅ {item.id}: {item.tokens} tokens
+                      {item.truncated && ` (trimmed from ${item.originalTokens})`}
+                      {item.summarized > 0 && ` (${item.summarized} older turns summarized)`}
+                    </div>
+                  ))}
+                  {message.promptReport.dropped.map(item => (
+                    <div className="row" key={item.id}>
+                      ✂️ {item.id}: {item.count ? `${item.count} turns` : `${item.tokens} tokens`} {item.reason}
+                    </div>
+                  ))}
+                </PromptDetails>
+              )}
+              {message.cancelled && (
+                <div style={{ fontSize: '11px', opacity: 0.7, marginTop: '5px' }}>⏹ Stopped</div>
+              )}
+              {message.pendingConfirmation && (
+                <ActionCard>
+                  <div>🔧 {message.pendingConfirmation.step.description}?</div>
+                  {message.pendingConfirmation.step.tainted && (
+                    <div className="warning">
+                      ⚠️ Requested after reading {message.pendingConfirmation.step.taintSources.join(', ')}.
+                      Only allow it if it's what you asked for; pages can try to steer the assistant.
+                    </div>
+                  )}
+                  <div className="actions">
+                    <button
+                      className="allow"
+                      onClick={() => handleToolResponse(message.streamId, message.pendingConfirmation.confirmationId, true)}
+                    >
+                      Allow
+                    </button>
+                    <button
+                      onClick={() => handleToolResponse(message.streamId, message.pendingConfirmation.confirmationId, false)}
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </ActionCard>
+              )}
             </div>
           </Message>
-        )}
+        ))}
       </ChatArea>
       
       <InputArea>
@@ -220,15 +556,21 @@ function AIAssistant({ insights, userProfile }) {
           value={inputValue}
           onChange={(e) => setInputValue(e.target.value)}
           onKeyPress={handleKeyPress}
-          placeholder="Ask me anything..."
+          placeholder={pageMode ? 'Ask about this page...' : 'Ask me anything...'}
           disabled={isLoading}
         />
-        <SendButton 
-          onClick={handleSendMessage}
-          disabled={isLoading || !inputValue.trim()}
-        >
-          ➤
-        </SendButton>
+        {isLoading ? (
+          <SendButton onClick={handleCancel} title="Stop generating">
+            ⏹
+          </SendButton>
+        ) : (
+          <SendButton 
+            onClick={handleSendMessage}
+            disabled={!inputValue.trim()}
+          >
+            ➤
+          </SendButton>
+        )}
       </InputArea>
     </AssistantContainer>
   );
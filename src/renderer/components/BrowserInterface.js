@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import styled from 'styled-components';
-import React, { useState } from 'react';
-
+import PermissionPrompt, { PERMISSION_ICONS } from './PermissionPrompt';
+import SiteInfoPanel from './SiteInfoPanel';
 
 const BrowserContainer = styled.div`
   display: flex;
@@ -40,6 +40,7 @@ const Tab = styled.div`
   align-items: center;
   background: ${props => props.active ? props.theme.background : 'transparent'};
   border: 1px solid ${props => props.active ? props.theme.border : 'transparent'};
+  border-bottom: 2px solid ${props => props.groupColor || (props.active ? props.theme.border : 'transparent')};
   border-radius: 8px;
   padding: 8px 12px;
   min-width: 180px;
@@ -47,6 +48,8 @@ const Tab = styled.div`
   cursor: pointer;
   transition: all 0.2s ease;
   position: relative;
+  opacity: ${props => props.discarded ? 0.6 : 1};
+  box-shadow: ${props => props.inSplit ? `inset 0 0 0 1px ${props.theme.primary}` : 'none'};
   
   &:hover {
     background: ${props => props.theme.background};
@@ -122,6 +125,148 @@ const NewTabButton = styled.button`
   }
 `;
 
+// Shades for the named colors TabManager assigns to groups
+const GROUP_COLORS = {
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#188038',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e',
+  grey: '#5f6368'
+};
+
+const GroupChip = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  flex-shrink: 0;
+  padding: 4px 10px;
+  border-radius: 12px;
+  background: ${props => props.color};
+  color: white;
+  font-size: 12px;
+  font-weight: 600;
+  cursor: pointer;
+  user-select: none;
+  
+  .count {
+    opacity: 0.8;
+    font-weight: 400;
+  }
+  
+  .ungroup {
+    opacity: 0.7;
+    
+    &:hover {
+      opacity: 1;
+    }
+  }
+  
+  input {
+    width: 100px;
+    border: none;
+    border-radius: 4px;
+    padding: 2px 4px;
+    font-size: 12px;
+    outline: none;
+  }
+`;
+
+const WorkspaceSelect = styled.select`
+  flex-shrink: 0;
+  max-width: 160px;
+  padding: 6px 8px;
+  background: ${props => props.theme.background};
+  border: 1px solid ${props => props.theme.border};
+  border-radius: 8px;
+  color: ${props => props.theme.text};
+  font-size: 13px;
+  outline: none;
+`;
+
+const WorkspaceNameInput = styled.input`
+  flex-shrink: 0;
+  width: 160px;
+  padding: 6px 8px;
+  background: ${props => props.theme.background};
+  border: 1px solid ${props => props.theme.primary};
+  border-radius: 8px;
+  color: ${props => props.theme.text};
+  font-size: 13px;
+  outline: none;
+`;
+
+const NEW_WORKSPACE = '__new__';
+
+// Carries a tab's id while it is dragged, to this window's tab strip or another's
+const TAB_DRAG_TYPE = 'application/x-nexus-tab';
+
+const MemorySaverBadge = styled.div`
+  flex-shrink: 0;
+  margin-left: auto;
+  padding: 4px 10px;
+  border-radius: 12px;
+  background: #27ca3f20;
+  color: ${props => props.theme.text};
+  font-size: 12px;
+  white-space: nowrap;
+`;
+
+const formatMemory = (kb) => (
+  kb >= 1024 * 1024 ? `${(kb / 1024 / 1024).toFixed(1)} GB` : `${Math.round(kb / 1024)} MB`
+);
+
+// Same normalization as TabHibernator: exceptions cover the whole site
+const getSite = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return /^https?:$/.test(protocol) ? hostname.replace(/^www\./, '') : null;
+  } catch {
+    return null;
+  }
+};
+
+// Sits between the address bar and the page view so the view moves down
+// with it instead of covering it
+const RestoreBanner = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 20px;
+  background: ${props => props.theme.primary}15;
+  border-bottom: 1px solid ${props => props.theme.border};
+  font-size: 14px;
+  color: ${props => props.theme.text};
+  
+  .message {
+    flex: 1;
+  }
+  
+  .details {
+    color: ${props => props.theme.textSecondary};
+    font-size: 13px;
+  }
+  
+  button {
+    padding: 6px 14px;
+    border-radius: 16px;
+    border: 1px solid ${props => props.theme.border};
+    background: transparent;
+    color: ${props => props.theme.text};
+    cursor: pointer;
+    font-size: 13px;
+    
+    &.primary {
+      background: ${props => props.theme.primary};
+      border-color: ${props => props.theme.primary};
+      color: white;
+    }
+  }
+`;
+
 const NavigationBar = styled.div`
   display: flex;
   align-items: center;
@@ -191,6 +336,20 @@ const BrowserContent = styled.div`
   overflow: hidden;
 `;
 
+// Sits in the gap TabManager leaves between two split views
+const SplitDivider = styled.div`
+  position: absolute;
+  ${props => (props.horizontal
+    ? `top: 0; bottom: 0; left: ${props.offset}px; width: ${props.size}px; cursor: col-resize;`
+    : `left: 0; right: 0; top: ${props.offset}px; height: ${props.size}px; cursor: row-resize;`)}
+  background: ${props => props.theme.border};
+  touch-action: none;
+
+  &:hover {
+    background: ${props => props.theme.primary};
+  }
+`;
+
 const AIInsightOverlay = styled.div`
   position: absolute;
   top: 20px;
@@ -340,6 +499,61 @@ const SearchInput = styled.input`
   }
 `;
 
+// Part of the page flow rather than floating over it: the page view is a
+// native view drawn on top of anything that overlaps it
+const SuggestionList = styled.div`
+  background: ${props => props.theme.surface};
+  border-bottom: 1px solid ${props => props.theme.border};
+  padding: 6px 20px;
+`;
+
+const SuggestionItem = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 8px 12px;
+  border-radius: 8px;
+  cursor: pointer;
+  background: ${props => props.selected ? props.theme.background : 'transparent'};
+  
+  &:hover {
+    background: ${props => props.theme.background};
+  }
+  
+  .icon {
+    width: 20px;
+    text-align: center;
+    flex-shrink: 0;
+  }
+  
+  .title {
+    font-size: 14px;
+    color: ${props => props.theme.text};
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  
+  .url {
+    font-size: 12px;
+    color: ${props => props.theme.textSecondary};
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    flex: 1;
+  }
+`;
+
+const SUGGESTION_ICONS = {
+  tab: '🗂️',
+  history: '🕘',
+  bookmark: '⭐',
+  keyword: '🔎',
+  search: '🔍',
+  url: '🌐',
+  ai: '✨'
+};
+
 const ActionButton = styled.button`
   background: ${props => props.theme.primary};
   color: white;
@@ -425,254 +639,642 @@ const FeatureCard = styled.div`
   }
 `;
 
+// Adds or replaces a tab, keeping the order tabs were opened in
+const upsertTab = (tabs, tab) => (
+  tabs.some(existing => existing.id === tab.id)
+    ? tabs.map(existing => (existing.id === tab.id ? tab : existing))
+    : [...tabs, tab]
+);
+
 function BrowserInterface({ userProfile, adaptiveSettings }) {
   const [searchQuery, setSearchQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [selectedSuggestion, setSelectedSuggestion] = useState(-1);
+  const [inlineCompletion, setInlineCompletion] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [showSiteInfo, setShowSiteInfo] = useState(false);
+  // Parts of a page refused over their certificate, by tab id
+  const [securityWarnings, setSecurityWarnings] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [tabs, setTabs] = useState([]);
+  const [restoreState, setRestoreState] = useState(null);
+  const [recentlyClosed, setRecentlyClosed] = useState([]);
+  const [layout, setLayout] = useState({ activeWorkspaceId: null, workspaces: [], groups: [] });
+  const [editingGroupId, setEditingGroupId] = useState(null);
+  const [isNamingWorkspace, setIsNamingWorkspace] = useState(false);
+  const [isGrouping, setIsGrouping] = useState(false);
+  const [memoryStats, setMemoryStats] = useState(null);
+  const [split, setSplit] = useState(null);
+  const [contentSize, setContentSize] = useState(null);
+  // The last "save page" of a tab: saving, saved or the error
+  const [archiveStatus, setArchiveStatus] = useState(null);
+  const contentRef = useRef(null);
+  const searchInputRef = useRef(null);
+  const suggestionRequestRef = useRef(0);
+  const suggestionTimerRef = useRef(null);
+  // Set while deleting, so what was just deleted isn't completed again
+  const suppressCompletionRef = useRef(false);
 
-  const handleSearch = async () => {
-    if (!searchQuery.trim()) return;
-    
-    setIsLoading(true);
-    
-    try {
-      if (window.nexusAPI) {
-        const result = await window.nexusAPI.search.query(searchQuery);
-        console.log('Search result:', result);
-        // Here you would navigate to the search results or URL
+  // Tabs from other workspaces stay loaded in the main process but aren't shown
+  const visibleTabs = tabs.filter(tab => !layout.activeWorkspaceId || tab.workspaceId === layout.activeWorkspaceId);
+  const activeTab = visibleTabs.find(tab => tab.isActive) || null;
+
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const loadTabs = async () => {
+      const allTabs = await window.nexusAPI.tabs.getAll();
+      setTabs(Array.isArray(allTabs) ? allTabs : []);
+    };
+
+    // A clean exit is restored by the main process; after a crash we ask first
+    const loadSession = async () => {
+      const state = await window.nexusAPI.session.getRestoreState();
+      setRestoreState(state?.available && state.uncleanExit ? state : null);
+      setRecentlyClosed(await window.nexusAPI.session.getRecentlyClosed());
+    };
+
+    const loadLayout = async () => {
+      const current = await window.nexusAPI.groups.getLayout();
+      if (current && !current.error) {
+        setLayout(current);
       }
-    } catch (error) {
-      console.error('Search error:', error);
-    } finally {
-      setIsLoading(false);
+    };
+
+    const handleLayoutUpdated = (event, current) => {
+      setLayout(current);
+    };
+
+    const loadMemoryStats = async () => {
+      const stats = await window.nexusAPI.memory.getStats();
+      if (stats && !stats.error) {
+        setMemoryStats(stats);
+      }
+    };
+
+    const handleMemoryStats = (event, stats) => {
+      setMemoryStats(stats);
+    };
+
+    const loadSplit = async () => {
+      const state = await window.nexusAPI.split.getState();
+      setSplit(state && !state.error ? state : null);
+    };
+
+    const handleSplitUpdated = (event, state) => {
+      setSplit(state);
+    };
+
+    // AI rewrites arrive after the local suggestions; stale ones are dropped
+    const handleSecurityWarning = (event, { tabId, url, error }) => {
+      setSecurityWarnings(prev => {
+        const warnings = prev[tabId] || [];
+        if (warnings.some(warning => warning.url === url)) return prev;
+        return { ...prev, [tabId]: [...warnings, { url, error }].slice(-10) };
+      });
+    };
+
+    const handleOmniboxSuggestions = (event, { requestId, suggestions: rewrites }) => {
+      if (requestId !== suggestionRequestRef.current) return;
+      setSuggestions(prev => [
+        ...prev,
+        ...rewrites.filter(rewrite => !prev.some(existing => existing.url === rewrite.url))
+      ]);
+    };
+
+    const handleTabCreated = (event, { tab }) => {
+      setTabs(prev => upsertTab(prev, tab));
+    };
+
+    const handleTabUpdated = (event, { tabId, updates, tab }) => {
+      setTabs(prev => prev.map(existing => (existing.id === tabId ? tab : existing)));
+      if (updates && updates.url) {
+        setSecurityWarnings(({ [tabId]: cleared, ...rest }) => rest);
+      }
+      // A discarded tab coming back no longer counts towards memory saved
+      if (updates && updates.discarded === false) {
+        loadMemoryStats();
+      }
+    };
+
+    const handleTabActivated = (event, { tabId, tab }) => {
+      setTabs(prev => upsertTab(prev, tab).map(existing => ({ ...existing, isActive: existing.id === tabId })));
+    };
+
+    const handleTabClosed = async (event, { tabId, activeTabId }) => {
+      setTabs(prev => prev
+        .filter(existing => existing.id !== tabId)
+        .map(existing => ({ ...existing, isActive: existing.id === activeTabId })));
+      setSecurityWarnings(({ [tabId]: closed, ...rest }) => rest);
+      setRecentlyClosed(await window.nexusAPI.session.getRecentlyClosed());
+      loadMemoryStats();
+    };
+
+    loadTabs();
+    loadSession();
+    loadLayout();
+    loadMemoryStats();
+    loadSplit();
+    window.nexusAPI.on('tab-created', handleTabCreated);
+    window.nexusAPI.on('tab-updated', handleTabUpdated);
+    window.nexusAPI.on('tab-activated', handleTabActivated);
+    window.nexusAPI.on('tab-closed', handleTabClosed);
+    window.nexusAPI.on('tab-layout-updated', handleLayoutUpdated);
+    window.nexusAPI.on('memory-saver-updated', handleMemoryStats);
+    window.nexusAPI.on('split-updated', handleSplitUpdated);
+    window.nexusAPI.on('omnibox-suggestions', handleOmniboxSuggestions);
+    window.nexusAPI.on('security-warning', handleSecurityWarning);
+
+    return () => {
+      window.nexusAPI.off('tab-created', handleTabCreated);
+      window.nexusAPI.off('tab-updated', handleTabUpdated);
+      window.nexusAPI.off('tab-activated', handleTabActivated);
+      window.nexusAPI.off('tab-closed', handleTabClosed);
+      window.nexusAPI.off('tab-layout-updated', handleLayoutUpdated);
+      window.nexusAPI.off('memory-saver-updated', handleMemoryStats);
+      window.nexusAPI.off('split-updated', handleSplitUpdated);
+      window.nexusAPI.off('omnibox-suggestions', handleOmniboxSuggestions);
+      window.nexusAPI.off('security-warning', handleSecurityWarning);
+    };
+  }, []);
+
+  // The address bar follows the active tab
+  useEffect(() => {
+    setSearchQuery(activeTab ? activeTab.url : '');
+    setInlineCompletion(null);
+    setShowSuggestions(false);
+    setShowSiteInfo(false);
+  }, [activeTab?.id, activeTab?.url]);
+
+  // The completed part of the address is selected, so typing replaces it
+  useEffect(() => {
+    if (inlineCompletion && searchInputRef.current) {
+      searchInputRef.current.setSelectionRange(searchQuery.length, searchQuery.length + inlineCompletion.text.length);
     }
+  }, [inlineCompletion]);
+
+  // The page view is a native view drawn over this element; keep its bounds in sync
+  useEffect(() => {
+    if (!window.nexusAPI || !activeTab || !contentRef.current) return;
+
+    const reportBounds = () => {
+      const rect = contentRef.current.getBoundingClientRect();
+      window.nexusAPI.tabs.setViewBounds({ x: rect.left, y: rect.top, width: rect.width, height: rect.height });
+      setContentSize({ width: rect.width, height: rect.height });
+    };
+
+    const observer = new ResizeObserver(reportBounds);
+    observer.observe(contentRef.current);
+    window.addEventListener('resize', reportBounds);
+    reportBounds();
+
+    return () => {
+      observer.disconnect();
+      window.removeEventListener('resize', reportBounds);
+    };
+  }, [Boolean(activeTab)]);
+
+  const handleNewTab = async () => {
+    const tab = await window.nexusAPI.tabs.create();
+    if (tab && !tab.error) {
+      setTabs(prev => upsertTab(prev, tab));
+    }
+  };
+
+  const handleCloseTab = async (e, tabId) => {
+    e.stopPropagation();
+    await window.nexusAPI.tabs.close(tabId);
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
+  // Ctrl/Cmd+click puts a tab into split view next to the active one, or takes it out
+  const handleActivateTab = (tabId, e) => {
+    if (e && (e.ctrlKey || e.metaKey)) {
+      if (split?.tabIds.includes(tabId)) {
+        window.nexusAPI.split.removeTab(tabId);
+      } else if (tabId !== activeTab?.id) {
+        window.nexusAPI.split.addTab(tabId);
+      }
+      return;
     }
+    window.nexusAPI.tabs.activate(tabId);
   };
 
-  const features = [
-    {
-      icon: '🧠',
-      title: 'AI-Powered Search',
-      description: 'Intelligent search that understands context and learns from your preferences'
-    },
-    {
-      icon: '🎯',
-      title: 'Hyper-Personalization',
-      description: 'Interface and content that adapts to your unique browsing patterns'
-    },
-    {
-      icon: '📊',
-      title: 'Real-time Analysis',
-      description: 'Instant insights about content, readability, and engagement potential'
-    },
-    {
-      icon: '🔒',
-      title: 'Privacy First',
-      description: 'All AI processing happens locally with encrypted data storage'
+  // Without a split, pairs the active tab with the one used just before it
+  const handleToggleSplit = () => {
+    if (split) {
+      window.nexusAPI.split.exit();
+      return;
     }
-  ];
 
-  return (
-    <BrowserContainer>
-      <AddressBar>
-        <SearchInput
-          type="text"
-          placeholder="Search or enter URL - Ask me anything! 🧠"
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-          onKeyPress={handleKeyPress}
-        />
-        <ActionButton onClick={handleSearch} disabled={isLoading}>
-          {isLoading ? '⏳' : '🔍'} {isLoading ? 'Searching...' : 'Search'}
-        </ActionButton>
-      </AddressBar>
-      
-      <ContentArea>
-        <WelcomeMessage>
-          <h2>Welcome to Nexus AI Browser</h2>
-          <p>
-            Experience the future of browsing with AI that truly understands you. 
-            Your intelligent companion for the web is ready to learn and adapt to your needs.
-          </p>
-          {userProfile && (
-            <p style={{ fontSize: '16px', fontStyle: 'italic' }}>
-              🚀 Personalization engine is active and learning from your behavior
-            </p>
-          )}
-        </WelcomeMessage>
-        
-        <FeatureGrid>
-          {features.map((feature, index) => (
-            <FeatureCard key={index}>
-              <div className="icon">{feature.icon}</div>
-              <h3>{feature.title}</h3>
-              <p>{feature.description}</p>
-            </FeatureCard>
-          ))}
-        </FeatureGrid>
-      </ContentArea>
-    </BrowserContainer>
-  );
-}
+    const [partner] = visibleTabs
+      .filter(tab => tab.id !== activeTab?.id)
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+    if (activeTab && partner) {
+      window.nexusAPI.split.create([activeTab.id, partner.id]);
+    }
+  };
 
-export default BrowserInterface;
+  const handleToggleSplitOrientation = () => {
+    window.nexusAPI.split.setOrientation(split.orientation === 'horizontal' ? 'vertical' : 'horizontal');
+  };
 
+  // Where each divider sits, the same arithmetic as TabManager.layoutViews
+  const getDividerOffsets = () => {
+    if (!split || !contentSize) return [];
 
-import React, { useState } from 'react';
-import styled from 'styled-components';
+    const length = split.orientation === 'horizontal' ? contentSize.width : contentSize.height;
+    const available = Math.max(0, length - split.dividerSize * (split.tabIds.length - 1));
 
-const BrowserContainer = styled.div`
-  display: flex;
-  flex-direction: column;
-  height: 100%;
-  background: ${props => props.theme.background};
-`;
+    const offsets = [];
+    let offset = 0;
+    split.sizes.slice(0, -1).forEach(size => {
+      offset += Math.round(available * size);
+      offsets.push(offset);
+      offset += split.dividerSize;
+    });
+    return offsets;
+  };
 
-const AddressBar = styled.div`
-  display: flex;
-  align-items: center;
-  padding: 15px 20px;
-  background: ${props => props.theme.surface};
-  border-bottom: 1px solid ${props => props.theme.border};
-  gap: 15px;
-`;
+  // Dragging a divider trades space between the two views either side of it
+  const handleDividerDrag = (e, index) => {
+    e.preventDefault();
+    const divider = e.currentTarget;
+    divider.setPointerCapture(e.pointerId);
 
-const SearchInput = styled.input`
-  flex: 1;
-  padding: 12px 20px;
-  background: ${props => props.theme.background};
-  border: 1px solid ${props => props.theme.border};
-  border-radius: 25px;
-  color: ${props => props.theme.text};
-  font-size: 16px;
-  outline: none;
-  transition: all 0.2s ease;
-  
-  &:focus {
-    border-color: ${props => props.theme.primary};
-    box-shadow: 0 0 0 3px ${props => props.theme.primary}20;
-  }
-  
-  &::placeholder {
-    color: ${props => props.theme.textSecondary};
-  }
-`;
+    const horizontal = split.orientation === 'horizontal';
+    const available = (horizontal ? contentSize.width : contentSize.height) - split.dividerSize * (split.tabIds.length - 1);
+    const startPosition = horizontal ? e.clientX : e.clientY;
+    const startSizes = split.sizes;
+    const pairTotal = startSizes[index] + startSizes[index + 1];
 
-const ActionButton = styled.button`
-  background: ${props => props.theme.primary};
-  color: white;
-  border: none;
-  padding: 12px 20px;
-  border-radius: 20px;
-  cursor: pointer;
-  font-size: 14px;
-  transition: all 0.2s ease;
-  
-  &:hover {
-    background: ${props => props.theme.secondary};
-    transform: translateY(-1px);
-  }
-`;
+    const handleMove = async (moveEvent) => {
+      const delta = ((horizontal ? moveEvent.clientX : moveEvent.clientY) - startPosition) / available;
+      const first = Math.min(Math.max(startSizes[index] + delta, split.minSize), pairTotal - split.minSize);
+      const sizes = startSizes.map((size, i) => {
+        if (i === index) return first;
+        if (i === index + 1) return pairTotal - first;
+        return size;
+      });
 
-const ContentArea = styled.div`
-  flex: 1;
-  display: flex;
-  flex-direction: column;
-  align-items: center;
-  justify-content: center;
-  padding: 40px;
-  text-align: center;
-`;
+      const state = await window.nexusAPI.split.resize(sizes);
+      if (state && !state.error) {
+        setSplit(state);
+      }
+    };
 
-const WelcomeMessage = styled.div`
-  max-width: 600px;
-  
-  h2 {
-    font-size: 32px;
-    margin-bottom: 20px;
-    background: linear-gradient(135deg, ${props => props.theme.primary}, ${props => props.theme.secondary});
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-    background-clip: text;
-  }
-  
-  p {
-    color: ${props => props.theme.textSecondary};
-    font-size: 18px;
-    line-height: 1.6;
-    margin-bottom: 30px;
-  }
-`;
+    const handleUp = () => {
+      divider.removeEventListener('pointermove', handleMove);
+      divider.removeEventListener('pointerup', handleUp);
+    };
 
-const FeatureGrid = styled.div`
-  display: grid;
-  grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-  gap: 20px;
-  margin-top: 40px;
-  width: 100%;
-  max-width: 800px;
-`;
+    divider.addEventListener('pointermove', handleMove);
+    divider.addEventListener('pointerup', handleUp);
+  };
 
-const FeatureCard = styled.div`
-  background: ${props => props.theme.surface};
-  padding: 25px;
-  border-radius: 15px;
-  border: 1px solid ${props => props.theme.border};
-  transition: all 0.3s ease;
-  
-  &:hover {
-    transform: translateY(-5px);
-    box-shadow: ${props => props.theme.shadow};
-  }
-  
-  .icon {
-    font-size: 32px;
-    margin-bottom: 15px;
-  }
-  
-  h3 {
-    font-size: 18px;
-    margin-bottom: 10px;
-    color: ${props => props.theme.text};
-  }
-  
-  p {
-    color: ${props => props.theme.textSecondary};
-    font-size: 14px;
-    line-height: 1.5;
-  }
-`;
+  const handleReopenClosedTab = async () => {
+    await window.nexusAPI.session.reopenClosedTab();
+    setRecentlyClosed(await window.nexusAPI.session.getRecentlyClosed());
+  };
 
-function BrowserInterface({ userProfile, adaptiveSettings }) {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const handleOpenPrivateWindow = () => {
+    window.nexusAPI.window.openPrivate();
+  };
+
+  const handleOpenNewWindow = () => {
+    window.nexusAPI.window.openNew();
+  };
+
+  // The status shows on the button for a few seconds
+  const handleSavePage = async (tabId) => {
+    setArchiveStatus({ tabId, state: 'saving' });
+    const result = await window.nexusAPI.archive.savePage(tabId);
+    const status = result?.error
+      ? { tabId, state: 'error', message: result.error }
+      : { tabId, state: 'saved', message: `Saved "${result.page.title}"` };
+    setArchiveStatus(status);
+    setTimeout(() => setArchiveStatus(current => (current === status ? null : current)), 3000);
+  };
+
+  const handleOpenArchive = () => {
+    window.nexusAPI.tabs.create('nexus://archive/');
+  };
+
+  // Tabs can be dragged to another window's tab strip, or out of every
+  // window to get one of their own; either way the page isn't reloaded
+  const handleTabDragStart = (e, tabId) => {
+    e.dataTransfer.setData(TAB_DRAG_TYPE, tabId);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleTabDragEnd = (e, tabId) => {
+    if (e.dataTransfer.dropEffect !== 'none') return;
+
+    const outside = e.screenX < window.screenX || e.screenX > window.screenX + window.outerWidth ||
+      e.screenY < window.screenY || e.screenY > window.screenY + window.outerHeight;
+    if (outside) {
+      window.nexusAPI.tabs.moveToNewWindow(tabId, { x: e.screenX, y: e.screenY });
+    }
+  };
+
+  const handleTabStripDragOver = (e) => {
+    if (!e.dataTransfer.types.includes(TAB_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  const handleTabStripDrop = (e) => {
+    const tabId = e.dataTransfer.getData(TAB_DRAG_TYPE);
+    if (!tabId) return;
+
+    e.preventDefault();
+    // A tab dropped back on its own window's strip stays where it is
+    if (!tabs.some(tab => tab.id === tabId)) {
+      window.nexusAPI.tabs.moveToWindow(tabId);
+    }
+  };
+
+  const handleAutoGroup = async () => {
+    setIsGrouping(true);
+    try {
+      await window.nexusAPI.groups.autoGroup();
+    } finally {
+      setIsGrouping(false);
+    }
+  };
+
+  const handleToggleGroup = (group) => {
+    window.nexusAPI.groups.update(group.id, { collapsed: !group.collapsed });
+  };
+
+  const handleRenameGroup = (groupId, name) => {
+    setEditingGroupId(null);
+    window.nexusAPI.groups.update(groupId, { name });
+  };
+
+  const handleUngroup = (e, groupId) => {
+    e.stopPropagation();
+    window.nexusAPI.groups.remove(groupId);
+  };
+
+  const handleWorkspaceChange = (e) => {
+    if (e.target.value === NEW_WORKSPACE) {
+      setIsNamingWorkspace(true);
+    } else {
+      window.nexusAPI.workspaces.switch(e.target.value);
+    }
+  };
+
+  // Committed on blur; an empty name (or Escape) cancels
+  const handleCreateWorkspace = async (name) => {
+    setIsNamingWorkspace(false);
+    if (!name.trim()) return;
+
+    const workspace = await window.nexusAPI.workspaces.create(name.trim());
+    if (workspace && !workspace.error) {
+      await window.nexusAPI.workspaces.switch(workspace.id);
+    }
+  };
+
+  const activeSite = activeTab ? getSite(activeTab.url) : null;
+  const activeSiteExcepted = Boolean(activeSite && memoryStats?.exceptions?.includes(activeSite));
+  const activeArchiveStatus = archiveStatus?.tabId === activeTab?.id ? archiveStatus : null;
+
+  const handleToggleKeepAwake = () => {
+    if (activeSiteExcepted) {
+      window.nexusAPI.memory.removeException(activeSite);
+    } else {
+      window.nexusAPI.memory.addException(activeSite);
+    }
+  };
+
+  const handleRestoreSession = async () => {
+    setRestoreState(null);
+    await window.nexusAPI.session.restore();
+  };
 
-  const handleSearch = async () => {
-    if (!searchQuery.trim()) return;
+  const handleDiscardSession = async () => {
+    setRestoreState(null);
+    await window.nexusAPI.session.discard();
+  };
+
+  // Ctrl/Cmd+Shift+T while the browser chrome has focus; the tab manager
+  // handles it while a page does. Ctrl/Cmd+N opens a window, with Shift a
+  // private one. Ctrl/Cmd+S saves the active page to the archive.
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 't') {
+        e.preventDefault();
+        handleReopenClosedTab();
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'n') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          handleOpenPrivateWindow();
+        } else {
+          handleOpenNewWindow();
+        }
+      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        if (activeTab && getSite(activeTab.url)) {
+          handleSavePage(activeTab.id);
+        }
+      }
+    };
+
+    // Ctrl/Cmd+S pressed while the page has focus
+    const handleSavePageRequested = (event, { tabId }) => {
+      handleSavePage(tabId);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.nexusAPI.on('save-page-requested', handleSavePageRequested);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.nexusAPI.off('save-page-requested', handleSavePageRequested);
+    };
+  }, [activeTab?.id, activeTab?.url]);
+
+  // Native tooltip: the page view is drawn over the window content, so a
+  // custom hover card below the tab strip would end up hidden behind it
+  const getTabTooltip = (tab) => {
+    const lines = [tab.discarded ? `💤 ${tab.title} (sleeping to save memory)` : tab.title, tab.url];
+    if (tab.aiSummary) {
+      lines.push('', tab.aiSummary);
+    }
+    return lines.filter(line => line !== undefined).join('\n');
+  };
+
+  // URLs load as-is; anything else becomes a search (see TabManager.normalizeUrl)
+  const handleSearch = async (input = searchQuery) => {
+    if (!input.trim() || !window.nexusAPI) return;
     
     setIsLoading(true);
+    setShowSuggestions(false);
+    setInlineCompletion(null);
     
     try {
-      if (window.nexusAPI) {
-        const result = await window.nexusAPI.search.query(searchQuery);
-        console.log('Search result:', result);
-        // Here you would navigate to the search results or URL
+      if (activeTab) {
+        await window.nexusAPI.tabs.navigate(activeTab.id, input.trim());
+      } else {
+        await window.nexusAPI.tabs.create(input.trim());
       }
     } catch (error) {
-      console.error('Search error:', error);
+      console.error('Navigation error:', error);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
+  const requestSuggestions = (input) => {
+    clearTimeout(suggestionTimerRef.current);
+    const requestId = ++suggestionRequestRef.current;
+    if (!input.trim()) {
+      setSuggestions([]);
+      setShowSuggestions(false);
+      return;
+    }
+
+    suggestionTimerRef.current = setTimeout(async () => {
+      const result = await window.nexusAPI.search.getSuggestions(input, requestId);
+      if (requestId !== suggestionRequestRef.current || !result) return;
+
+      setSuggestions(result.suggestions || []);
+      setSelectedSuggestion(-1);
+      setInlineCompletion(suppressCompletionRef.current ? null : result.inlineCompletion);
+      setShowSuggestions(true);
+    }, 80);
+  };
+
+  const handleQueryChange = (e) => {
+    setSearchQuery(e.target.value);
+    setInlineCompletion(null);
+    requestSuggestions(e.target.value);
+  };
+
+  const openSuggestion = (suggestion) => {
+    // A bare keyword waits for the search to go with it
+    if (suggestion.type === 'keyword' && !suggestion.url) {
+      const input = `${suggestion.keyword} `;
+      setSearchQuery(input);
+      requestSuggestions(input);
+      searchInputRef.current?.focus();
+      return;
+    }
+
+    window.nexusAPI.search.recordSelection(suggestion);
+    if (suggestion.type === 'tab') {
+      setShowSuggestions(false);
+      window.nexusAPI.tabs.activate(suggestion.tabId);
+    } else {
+      handleSearch(suggestion.url);
+    }
+  };
+
+  // Up/down move through the suggestions, Enter opens the selected one (or
+  // the completed address), Tab accepts the completion, Escape closes the list
+  const handleKeyDown = (e) => {
+    suppressCompletionRef.current = e.key === 'Backspace' || e.key === 'Delete';
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!showSuggestions || suggestions.length === 0) return;
+      e.preventDefault();
+      setInlineCompletion(null);
+      setSelectedSuggestion(index => (e.key === 'ArrowDown'
+        ? Math.min(index + 1, suggestions.length - 1)
+        : Math.max(index - 1, -1)));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (showSuggestions && suggestions[selectedSuggestion]) {
+        openSuggestion(suggestions[selectedSuggestion]);
+      } else if (inlineCompletion) {
+        openSuggestion({ type: 'history', source: 'history', url: inlineCompletion.url });
+      } else {
+        handleSearch();
+      }
+    } else if (e.key === 'Tab' && !e.shiftKey && inlineCompletion) {
+      e.preventDefault();
+      setSearchQuery(searchQuery + inlineCompletion.text);
+      setInlineCompletion(null);
+    } else if (e.key === 'Escape') {
+      if (showSuggestions) {
+        setShowSuggestions(false);
+        setInlineCompletion(null);
+      } else {
+        setSearchQuery(activeTab ? activeTab.url : '');
+      }
+    }
+  };
+
+  // Grouped tabs are drawn together after their group's chip, at the
+  // position of the group's first tab; a collapsed group still shows its
+  // active tab
+  const groupsById = Object.fromEntries(layout.groups.map(group => [group.id, group]));
+  const stripItems = [];
+  visibleTabs.forEach(tab => {
+    const group = groupsById[tab.groupId];
+    if (!group) {
+      stripItems.push({ tab });
+    } else if (!stripItems.some(item => item.group?.id === group.id)) {
+      stripItems.push({ group, tabs: visibleTabs.filter(member => member.groupId === group.id) });
     }
+  });
+
+  const renderTab = (tab, groupColor) => (
+    <Tab
+      key={tab.id}
+      active={tab.isActive}
+      discarded={tab.discarded}
+      inSplit={split?.tabIds.includes(tab.id)}
+      groupColor={groupColor}
+      title={getTabTooltip(tab)}
+      draggable
+      onDragStart={(e) => handleTabDragStart(e, tab.id)}
+      onDragEnd={(e) => handleTabDragEnd(e, tab.id)}
+      onClick={(e) => handleActivateTab(tab.id, e)}
+    >
+      {tab.loading ? (
+        <div className="loading" />
+      ) : (
+        tab.favicon && <img className="favicon" src={tab.favicon} alt="" />
+      )}
+      <span className="title">{tab.title}</span>
+      <span className="close" onClick={(e) => handleCloseTab(e, tab.id)}>✕</span>
+    </Tab>
+  );
+
+  const renderGroup = ({ group, tabs: members }) => {
+    const color = GROUP_COLORS[group.color] || GROUP_COLORS.grey;
+    const shown = group.collapsed ? members.filter(tab => tab.isActive) : members;
+
+    return (
+      <React.Fragment key={group.id}>
+        <GroupChip
+          color={color}
+          title={group.collapsed ? 'Expand group (double-click to rename)' : 'Collapse group (double-click to rename)'}
+          onClick={() => handleToggleGroup(group)}
+          onDoubleClick={() => setEditingGroupId(group.id)}
+        >
+          {editingGroupId === group.id ? (
+            <input
+              autoFocus
+              defaultValue={group.name}
+              onClick={(e) => e.stopPropagation()}
+              onBlur={(e) => handleRenameGroup(group.id, e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') e.target.value = group.name;
+                if (e.key === 'Enter' || e.key === 'Escape') e.target.blur();
+              }}
+            />
+          ) : (
+            <span>{group.name || 'Group'}</span>
+          )}
+          {group.collapsed && <span className="count">{members.length}</span>}
+          <span className="ungroup" title="Ungroup" onClick={(e) => handleUngroup(e, group.id)}>✕</span>
+        </GroupChip>
+        {shown.map(tab => renderTab(tab, color))}
+      </React.Fragment>
+    );
   };
 
   const features = [
@@ -700,46 +1302,251 @@ function BrowserInterface({ userProfile, adaptiveSettings }) {
 
   return (
     <BrowserContainer>
+      {window.nexusAPI && (
+        <TabBar onDragOver={handleTabStripDragOver} onDrop={handleTabStripDrop}>
+          {isNamingWorkspace ? (
+            <WorkspaceNameInput
+              autoFocus
+              placeholder="Workspace name"
+              onBlur={(e) => handleCreateWorkspace(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') e.target.value = '';
+                if (e.key === 'Enter' || e.key === 'Escape') e.target.blur();
+              }}
+            />
+          ) : (
+            <WorkspaceSelect
+              value={layout.activeWorkspaceId || ''}
+              onChange={handleWorkspaceChange}
+              title="Workspace"
+            >
+              {layout.workspaces.map(workspace => (
+                <option key={workspace.id} value={workspace.id}>
+                  {workspace.name} ({workspace.tabCount})
+                </option>
+              ))}
+              <option value={NEW_WORKSPACE}>+ New workspace…</option>
+            </WorkspaceSelect>
+          )}
+          {stripItems.map(item => (item.group ? renderGroup(item) : renderTab(item.tab)))}
+          <NewTabButton onClick={handleNewTab} title="New tab">+</NewTabButton>
+          <NewTabButton onClick={handleOpenNewWindow} title="New window (Ctrl+N)">⧉</NewTabButton>
+          <NewTabButton onClick={handleOpenPrivateWindow} title="New private window (Ctrl+Shift+N)">🕶</NewTabButton>
+          <NewTabButton onClick={handleOpenArchive} title="Saved pages">🗄</NewTabButton>
+          {(split || visibleTabs.length > 1) && (
+            <NewTabButton
+              onClick={handleToggleSplit}
+              title={split ? 'Exit split view' : 'Split view with the previous tab (Ctrl+click a tab to add it)'}
+            >
+              {split ? '▣' : '⊞'}
+            </NewTabButton>
+          )}
+          {split && (
+            <NewTabButton
+              onClick={handleToggleSplitOrientation}
+              title={split.orientation === 'horizontal' ? 'Stack split tabs' : 'Place split tabs side by side'}
+            >
+              {split.orientation === 'horizontal' ? '⇅' : '⇆'}
+            </NewTabButton>
+          )}
+          {visibleTabs.length > 1 && (
+            <NewTabButton
+              onClick={handleAutoGroup}
+              disabled={isGrouping}
+              title="Group tabs by topic and site"
+            >
+              {isGrouping ? '⏳' : '✨'}
+            </NewTabButton>
+          )}
+          {memoryStats?.discardedTabs > 0 && (
+            <MemorySaverBadge
+              title={`${memoryStats.discardedTabs} idle tab${memoryStats.discardedTabs === 1 ? ' is' : 's are'} sleeping; they reload when you switch to them`}
+            >
+              🍃 {memoryStats.memorySavedKB > 0 ? `~${formatMemory(memoryStats.memorySavedKB)} saved` : `${memoryStats.discardedTabs} sleeping`}
+            </MemorySaverBadge>
+          )}
+          {recentlyClosed.length > 0 && (
+            <NewTabButton
+              onClick={handleReopenClosedTab}
+              title={`Reopen closed tab: ${recentlyClosed[0].title || recentlyClosed[0].url} (Ctrl+Shift+T)`}
+            >
+              ↺
+            </NewTabButton>
+          )}
+        </TabBar>
+      )}
+
       <AddressBar>
+        {activeTab && (
+          <>
+            <NavButton
+              disabled={!activeTab.canGoBack}
+              onClick={() => window.nexusAPI.tabs.goBack(activeTab.id)}
+              title="Back"
+            >
+              ←
+            </NavButton>
+            <NavButton
+              disabled={!activeTab.canGoForward}
+              onClick={() => window.nexusAPI.tabs.goForward(activeTab.id)}
+              title="Forward"
+            >
+              →
+            </NavButton>
+            <NavButton onClick={() => window.nexusAPI.tabs.reload(activeTab.id)} title="Reload">
+              ↻
+            </NavButton>
+            {tabs.length > 1 && (
+              <NavButton
+                onClick={() => window.nexusAPI.tabs.moveToNewWindow(activeTab.id)}
+                title="Move tab to a new window (or drag it out of the window)"
+              >
+                ⇱
+              </NavButton>
+            )}
+            {activeSite && (
+              <NavButton
+                onClick={handleToggleKeepAwake}
+                title={activeSiteExcepted
+                  ? `Tabs on ${activeSite} are never put to sleep (click to allow)`
+                  : `Never put tabs on ${activeSite} to sleep`}
+                style={{ opacity: activeSiteExcepted ? 1 : 0.5 }}
+              >
+                📌
+              </NavButton>
+            )}
+            {(activeTab.readerable || activeTab.inReader) && (
+              <NavButton
+                onClick={() => window.nexusAPI.tabs.toggleReader(activeTab.id)}
+                title={activeTab.inReader ? 'Leave reader view' : 'Reader view'}
+                style={{ opacity: activeTab.inReader ? 1 : 0.6 }}
+              >
+                📖
+              </NavButton>
+            )}
+            {activeSite && (
+              <NavButton
+                onClick={() => handleSavePage(activeTab.id)}
+                disabled={activeArchiveStatus?.state === 'saving'}
+                title={activeArchiveStatus?.message || 'Save page for later (Ctrl+S)'}
+              >
+                {{ saving: '⏳', saved: '✅', error: '⚠️' }[activeArchiveStatus?.state] || '💾'}
+              </NavButton>
+            )}
+          </>
+        )}
+        {activeTab && (
+          <NavButton
+            onClick={() => setShowSiteInfo(prev => !prev)}
+            title="Site information, certificate and permissions"
+          >
+            {activeTab.securityInfo?.isSecure ? '🔒' : '⚠️'}
+            {activeTab.securityInfo?.certificateError && ' Not secure'}
+            {(activeTab.securityInfo?.permissions || [])
+              .filter(entry => entry.granted)
+              .map(entry => PERMISSION_ICONS[entry.permission])
+              .join('')}
+          </NavButton>
+        )}
         <SearchInput
           type="text"
           placeholder="Search or enter URL - Ask me anything! 🧠"
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-          onKeyPress={handleKeyPress}
+          ref={searchInputRef}
+          value={searchQuery + (inlineCompletion ? inlineCompletion.text : '')}
+          onChange={handleQueryChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setShowSuggestions(false)}
         />
-        <ActionButton onClick={handleSearch} disabled={isLoading}>
-          {isLoading ? '⏳' : '🔍'} {isLoading ? 'Searching...' : 'Search'}
+        <ActionButton onClick={() => handleSearch()} disabled={isLoading}>
+          {isLoading ? '⏳' : '🔍'} {isLoading ? 'Loading...' : 'Go'}
         </ActionButton>
       </AddressBar>
+
+      {showSuggestions && suggestions.length > 0 && (
+        <SuggestionList>
+          {suggestions.map((suggestion, index) => (
+            <SuggestionItem
+              key={`${suggestion.type}:${suggestion.url || suggestion.title}`}
+              selected={index === selectedSuggestion}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => openSuggestion(suggestion)}
+            >
+              <span className="icon">{SUGGESTION_ICONS[suggestion.type] || '🔍'}</span>
+              <span className="title">{suggestion.title}</span>
+              <span className="url">
+                {suggestion.type === 'tab' ? 'Switch to this tab' : suggestion.description || (suggestion.type !== 'search' && suggestion.type !== 'ai' ? suggestion.url : '')}
+              </span>
+            </SuggestionItem>
+          ))}
+        </SuggestionList>
+      )}
+
+      {showSiteInfo && activeTab && (
+        <SiteInfoPanel
+          tab={activeTab}
+          warnings={securityWarnings[activeTab.id] || []}
+          onClose={() => setShowSiteInfo(false)}
+        />
+      )}
+
+      {window.nexusAPI && (
+        <PermissionPrompt visibleTabIds={split ? split.tabIds : [activeTab?.id]} />
+      )}
+
+      {restoreState && (
+        <RestoreBanner>
+          <span className="message">
+            Nexus didn't shut down correctly.{' '}
+            <span className="details">
+              Restore {restoreState.tabCount} tab{restoreState.tabCount === 1 ? '' : 's'}
+              {restoreState.windowCount > 1 ? ` in ${restoreState.windowCount} windows` : ''} from your previous session?
+            </span>
+          </span>
+          <button onClick={handleDiscardSession}>Dismiss</button>
+          <button className="primary" onClick={handleRestoreSession}>Restore</button>
+        </RestoreBanner>
+      )}
       
-      <ContentArea>
-        <WelcomeMessage>
-          <h2>Welcome to Nexus AI Browser</h2>
-          <p>
-            Experience the future of browsing with AI that truly understands you. 
-            Your intelligent companion for the web is ready to learn and adapt to your needs.
-          </p>
-          {userProfile && (
-            <p style={{ fontSize: '16px', fontStyle: 'italic' }}>
-              🚀 Personalization engine is active and learning from your behavior
+      {activeTab ? (
+        <BrowserContent ref={contentRef}>
+          {getDividerOffsets().map((offset, i) => (
+            <SplitDivider
+              key={i}
+              horizontal={split.orientation === 'horizontal'}
+              offset={offset}
+              size={split.dividerSize}
+              onPointerDown={(e) => handleDividerDrag(e, i)}
+            />
+          ))}
+        </BrowserContent>
+      ) : (
+        <ContentArea>
+          <WelcomeMessage>
+            <h2>Welcome to Nexus AI Browser</h2>
+            <p>
+              Experience the future of browsing with AI that truly understands you. 
+              Your intelligent companion for the web is ready to learn and adapt to your needs.
             </p>
-          )}
-        </WelcomeMessage>
+            {userProfile && (
+              <p style={{ fontSize: '16px', fontStyle: 'italic' }}>
+                🚀 Personalization engine is active and learning from your behavior
+              </p>
+            )}
+          </WelcomeMessage>
         
-        <FeatureGrid>
-          {features.map((feature, index) => (
-            <FeatureCard key={index}>
-              <div className="icon">{feature.icon}</div>
-              <h3>{feature.title}</h3>
-              <p>{feature.description}</p>
-            </FeatureCard>
-          ))}
-        </FeatureGrid>
-      </ContentArea>
+          <FeatureGrid>
+            {features.map((feature, index) => (
+              <FeatureCard key={index}>
+                <div className="icon">{feature.icon}</div>
+                <h3>{feature.title}</h3>
+                <p>{feature.description}</p>
+              </FeatureCard>
+            ))}
+          </FeatureGrid>
+        </ContentArea>
+      )}
     </BrowserContainer>
   );
 }
 
 export default BrowserInterface;
-
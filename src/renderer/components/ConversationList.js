@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+
+const ListContainer = styled.div`
+  padding: 16px 20px 0;
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 10px;
+
+  h4 {
+    flex: 1;
+    font-size: 14px;
+    color: ${props => props.theme.text};
+  }
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.border};
+  border-radius: 12px;
+  padding: 3px 10px;
+  font-size: 11px;
+  color: ${props => props.theme.textSecondary};
+  cursor: pointer;
+
+  &:hover {
+    color: ${props => props.theme.text};
+    border-color: ${props => props.theme.primary};
+  }
+`;
+
+const SearchInput = styled.input`
+  width: 100%;
+  padding: 6px 12px;
+  margin-bottom: 8px;
+  background: ${props => props.theme.background};
+  border: 1px solid ${props => props.theme.border};
+  border-radius: 14px;
+  color: ${props => props.theme.text};
+  font-size: 12px;
+  outline: none;
+
+  &:focus {
+    border-color: ${props => props.theme.primary};
+  }
+`;
+
+const Threads = styled.div`
+  max-height: 180px;
+  overflow-y: auto;
+`;
+
+const ThreadRow = styled.div`
+  padding: 6px 8px;
+  border-radius: 8px;
+  margin-bottom: 4px;
+  cursor: pointer;
+  background: ${props => props.active ? props.theme.background : 'transparent'};
+  border: 1px solid ${props => props.active ? props.theme.border : 'transparent'};
+
+  &:hover {
+    background: ${props => props.theme.background};
+  }
+
+  .row {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+
+  .title {
+    flex: 1;
+    font-size: 13px;
+    color: ${props => props.theme.text};
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .actions {
+    display: flex;
+    gap: 2px;
+    opacity: 0.6;
+    font-size: 12px;
+
+    span {
+      padding: 0 3px;
+      cursor: pointer;
+    }
+
+    span:hover {
+      opacity: 1;
+    }
+  }
+
+  .meta {
+    font-size: 11px;
+    color: ${props => props.theme.textSecondary};
+    margin-top: 2px;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  input {
+    flex: 1;
+    font-size: 13px;
+    padding: 2px 6px;
+    border-radius: 6px;
+    border: 1px solid ${props => props.theme.primary};
+    background: ${props => props.theme.background};
+    color: ${props => props.theme.text};
+    outline: none;
+  }
+`;
+
+const PinMenu = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 4px;
+  margin-top: 6px;
+`;
+
+function ConversationList({ activeThreadId, onSelect, refreshKey }) {
+  const [threads, setThreads] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editTitle, setEditTitle] = useState('');
+  const [pinMenu, setPinMenu] = useState(null);
+
+  const loadThreads = useCallback(async () => {
+    if (!window.nexusAPI) return;
+
+    try {
+      const result = await window.nexusAPI.conversations.list(searchQuery.trim() || undefined);
+      setThreads(Array.isArray(result) ? result : []);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  }, [searchQuery]);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads, refreshKey]);
+
+  const startRename = (e, thread) => {
+    e.stopPropagation();
+    setEditingId(thread.id);
+    setEditTitle(thread.title);
+  };
+
+  const submitRename = async () => {
+    const threadId = editingId;
+    setEditingId(null);
+    if (editTitle.trim()) {
+      await window.nexusAPI.conversations.rename(threadId, editTitle);
+      loadThreads();
+    }
+  };
+
+  const handleDelete = async (e, thread) => {
+    e.stopPropagation();
+    await window.nexusAPI.conversations.delete(thread.id);
+    if (thread.id === activeThreadId) {
+      onSelect(null);
+    }
+    loadThreads();
+  };
+
+  const handleExport = async (e, thread, format) => {
+    e.stopPropagation();
+    const result = await window.nexusAPI.conversations.export(thread.id, format);
+    if (result.error) {
+      console.error('Export failed:', result.error);
+    }
+  };
+
+  // The pin menu offers the current tab and the projects inferred from browsing
+  const openPinMenu = async (e, thread) => {
+    e.stopPropagation();
+    if (pinMenu?.threadId === thread.id) {
+      setPinMenu(null);
+      return;
+    }
+
+    const [tabs, contextual] = await Promise.all([
+      window.nexusAPI.tabs.getAll(),
+      window.nexusAPI.analysis.getContextualData()
+    ]);
+    setPinMenu({
+      threadId: thread.id,
+      activeTab: Array.isArray(tabs) ? tabs.find(tab => tab.isActive) : null,
+      projects: contextual?.activeProjects || []
+    });
+  };
+
+  const handlePin = async (e, threadId, pin) => {
+    e.stopPropagation();
+    setPinMenu(null);
+    await window.nexusAPI.conversations.pin(threadId, pin);
+    loadThreads();
+  };
+
+  if (!window.nexusAPI) return null;
+
+  const sortedThreads = [...threads].sort((a, b) => Boolean(b.pin) - Boolean(a.pin));
+
+  return (
+    <ListContainer>
+      <Header>
+        💬
+        <h4>Conversations</h4>
+        <SmallButton onClick={() => onSelect(null)}>+ New</SmallButton>
+      </Header>
+
+      <SearchInput
+        placeholder="Search conversations..."
+        value={searchQuery}
+        onChange={(e) => setSearchQuery(e.target.value)}
+      />
+
+      <Threads>
+        {sortedThreads.map(thread => (
+          <ThreadRow
+            key={thread.id}
+            active={thread.id === activeThreadId}
+            onClick={() => onSelect(thread.id)}
+          >
+            <div className="row">
+              {editingId === thread.id ? (
+                <input
+                  autoFocus
+                  value={editTitle}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={(e) => setEditTitle(e.target.value)}
+                  onBlur={submitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') submitRename();
+                    if (e.key === 'Escape') setEditingId(null);
+                  }}
+                />
+              ) : (
+                <span className="title">{thread.pin && '📌 '}{thread.title}</span>
+              )}
+              <div className="actions">
+                <span title="Rename" onClick={(e) => startRename(e, thread)}>✏️</span>
+                <span title="Pin" onClick={(e) => openPinMenu(e, thread)}>📌</span>
+                <span title="Export as Markdown" onClick={(e) => handleExport(e, thread, 'markdown')}>⬇️</span>
+                <span title="Export as JSON" onClick={(e) => handleExport(e, thread, 'json')}>{'{}'}</span>
+                <span title="Delete" onClick={(e) => handleDelete(e, thread)}>🗑️</span>
+              </div>
+            </div>
+
+            <div className="meta">
+              {thread.snippet || (thread.pin
+                ? `Pinned to ${thread.pin.type}: ${thread.pin.label}`
+                : `${thread.messageCount} messages · ${new Date(thread.updatedAt).toLocaleDateString()}`)}
+            </div>
+
+            {pinMenu?.threadId === thread.id && (
+              <PinMenu>
+                {pinMenu.activeTab && (
+                  <SmallButton
+                    onClick={(e) => handlePin(e, thread.id, {
+                      type: 'tab',
+                      tabId: pinMenu.activeTab.id,
+                      url: pinMenu.activeTab.url,
+                      label: pinMenu.activeTab.title
+                    })}
+                  >
+                    Current tab
+                  </SmallButton>
+                )}
+                {pinMenu.projects.map(project => (
+                  <SmallButton
+                    key={project}
+                    onClick={(e) => handlePin(e, thread.id, { type: 'project', project })}
+                  >
+                    {project}
+                  </SmallButton>
+                ))}
+                {thread.pin && (
+                  <SmallButton onClick={(e) => handlePin(e, thread.id, null)}>Unpin</SmallButton>
+                )}
+              </PinMenu>
+            )}
+          </ThreadRow>
+        ))}
+      </Threads>
+    </ListContainer>
+  );
+}
+
+export default ConversationList;
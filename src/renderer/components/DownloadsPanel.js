@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+
+const PanelContainer = styled.div`
+  padding: 16px 20px;
+  border-bottom: 1px solid ${props => props.theme.border};
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 10px;
+
+  h4 {
+    font-size: 14px;
+    color: ${props => props.theme.text};
+    flex: 1;
+  }
+`;
+
+const SmallButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.border};
+  border-radius: 12px;
+  padding: 4px 10px;
+  font-size: 11px;
+  color: ${props => props.theme.textSecondary};
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover:not(:disabled) {
+    color: ${props => props.theme.text};
+    border-color: ${props => props.theme.primary};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const DownloadList = styled.div`
+  max-height: 240px;
+  overflow-y: auto;
+`;
+
+const DownloadItem = styled.div`
+  padding: 8px 0;
+  border-bottom: 1px solid ${props => props.theme.border};
+
+  &:last-child {
+    border-bottom: none;
+  }
+`;
+
+const FileName = styled.div`
+  font-size: 13px;
+  color: ${props => props.theme.text};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  cursor: ${props => (props.openable ? 'pointer' : 'default')};
+
+  &:hover {
+    text-decoration: ${props => (props.openable ? 'underline' : 'none')};
+  }
+`;
+
+const Details = styled.div`
+  font-size: 11px;
+  color: ${props => props.theme.textSecondary};
+  margin: 4px 0;
+`;
+
+const ProgressBar = styled.div`
+  height: 4px;
+  border-radius: 2px;
+  background: ${props => props.theme.border};
+  overflow: hidden;
+  margin: 4px 0;
+
+  div {
+    height: 100%;
+    width: ${props => props.percent}%;
+    background: ${props => props.theme.primary};
+    transition: width 0.2s ease;
+  }
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 6px;
+`;
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent > 1 ? 1 : 0)} ${units[exponent]}`;
+};
+
+const describeDownload = (download) => {
+  const size = download.totalBytes
+    ? `${formatBytes(download.receivedBytes)} of ${formatBytes(download.totalBytes)}`
+    : formatBytes(download.receivedBytes);
+
+  switch (download.state) {
+    case 'completed':
+      return `${formatBytes(download.totalBytes || download.receivedBytes)}${download.category ? ` · filed under ${download.category}` : ''}`;
+    case 'cancelled':
+      return 'Cancelled';
+    case 'interrupted':
+      return `Interrupted · ${size}`;
+    default:
+      return download.paused ? `Paused · ${size}` : size;
+  }
+};
+
+// Newest first; an update for a download we haven't seen adds it to the top
+const upsertDownload = (downloads, download) => (
+  downloads.some(existing => existing.id === download.id)
+    ? downloads.map(existing => (existing.id === download.id ? download : existing))
+    : [download, ...downloads]
+);
+
+function DownloadsPanel() {
+  const [downloads, setDownloads] = useState([]);
+
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const loadDownloads = async () => {
+      const all = await window.nexusAPI.downloads.getAll();
+      setDownloads(Array.isArray(all) ? all : []);
+    };
+
+    const handleDownloadUpdated = (event, download) => {
+      setDownloads(prev => upsertDownload(prev, download));
+    };
+
+    loadDownloads();
+    window.nexusAPI.on('download-updated', handleDownloadUpdated);
+
+    return () => {
+      window.nexusAPI.off('download-updated', handleDownloadUpdated);
+    };
+  }, []);
+
+  // Actions that answer with the download's new state
+  const runAction = async (action, downloadId) => {
+    const result = await window.nexusAPI.downloads[action](downloadId);
+    if (result && !result.error && result.id) {
+      setDownloads(prev => upsertDownload(prev, result));
+    }
+  };
+
+  // Actions that answer with the whole list
+  const updateList = async (action, downloadId) => {
+    const result = await window.nexusAPI.downloads[action](downloadId);
+    if (Array.isArray(result)) {
+      setDownloads(result);
+    }
+  };
+
+  if (downloads.length === 0) return null;
+
+  const hasFinished = downloads.some(download => download.state !== 'progressing');
+
+  return (
+    <PanelContainer>
+      <Header>
+        ⬇️
+        <h4>Downloads</h4>
+        <SmallButton onClick={() => updateList('clear')} disabled={!hasFinished}>
+          Clear
+        </SmallButton>
+      </Header>
+
+      <DownloadList>
+        {downloads.map(download => {
+          const isActive = download.state === 'progressing';
+          const percent = download.totalBytes ? Math.round((download.receivedBytes / download.totalBytes) * 100) : 0;
+
+          return (
+            <DownloadItem key={download.id}>
+              <FileName
+                openable={download.state === 'completed'}
+                title={download.savePath}
+                onClick={() => download.state === 'completed' && window.nexusAPI.downloads.open(download.id)}
+              >
+                {download.filename}
+              </FileName>
+
+              {isActive && (
+                <ProgressBar percent={percent}>
+                  <div />
+                </ProgressBar>
+              )}
+
+              <Details>{describeDownload(download)}</Details>
+
+              <Actions>
+                {isActive && !download.paused && (
+                  <SmallButton onClick={() => runAction('pause', download.id)}>Pause</SmallButton>
+                )}
+                {download.canResume && (download.paused || download.state === 'interrupted') && (
+                  <SmallButton onClick={() => runAction('resume', download.id)}>Resume</SmallButton>
+                )}
+                {(isActive || download.state === 'interrupted') && (
+                  <SmallButton onClick={() => runAction('cancel', download.id)}>Cancel</SmallButton>
+                )}
+                {download.state === 'completed' && (
+                  <SmallButton onClick={() => window.nexusAPI.downloads.showInFolder(download.id)}>Show in folder</SmallButton>
+                )}
+                {!isActive && (
+                  <SmallButton onClick={() => updateList('remove', download.id)}>Remove</SmallButton>
+                )}
+              </Actions>
+            </DownloadItem>
+          );
+        })}
+      </DownloadList>
+    </PanelContainer>
+  );
+}
+
+export default DownloadsPanel;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+
+const SummaryContainer = styled.div`
+  padding: 16px 20px;
+  border-bottom: 1px solid ${props => props.theme.border};
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 10px;
+
+  h4 {
+    font-size: 14px;
+    color: ${props => props.theme.text};
+    flex: 1;
+  }
+`;
+
+const RefreshButton = styled.button`
+  background: transparent;
+  border: 1px solid ${props => props.theme.border};
+  border-radius: 12px;
+  padding: 4px 10px;
+  font-size: 11px;
+  color: ${props => props.theme.textSecondary};
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:hover:not(:disabled) {
+    color: ${props => props.theme.text};
+    border-color: ${props => props.theme.primary};
+  }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const PageTitle = styled.div`
+  font-size: 12px;
+  color: ${props => props.theme.textSecondary};
+  white-space: nowrap;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  margin-bottom: 8px;
+`;
+
+const SummaryText = styled.div`
+  font-size: 13px;
+  line-height: 1.5;
+  color: ${props => props.theme.text};
+  max-height: 160px;
+  overflow-y: auto;
+
+  &.empty {
+    color: ${props => props.theme.textSecondary};
+    font-style: italic;
+  }
+`;
+
+function PageSummary() {
+  const [activeTab, setActiveTab] = useState(null);
+  const [isSummarizing, setIsSummarizing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const loadActiveTab = async () => {
+      const tabs = await window.nexusAPI.tabs.getAll();
+      const active = Array.isArray(tabs) ? tabs.find(tab => tab.isActive) : null;
+      if (active) setActiveTab(active);
+    };
+
+    const handleTabActivated = (event, { tab }) => {
+      setActiveTab(tab);
+      setError(null);
+    };
+
+    const handleTabUpdated = (event, { tabId, tab }) => {
+      setActiveTab(prev => (prev && prev.id === tabId ? tab : prev));
+    };
+
+    loadActiveTab();
+    window.nexusAPI.on('tab-activated', handleTabActivated);
+    window.nexusAPI.on('tab-updated', handleTabUpdated);
+
+    return () => {
+      window.nexusAPI.off('tab-activated', handleTabActivated);
+      window.nexusAPI.off('tab-updated', handleTabUpdated);
+    };
+  }, []);
+
+  const handleSummarize = async () => {
+    if (!activeTab || isSummarizing) return;
+
+    setIsSummarizing(true);
+    setError(null);
+
+    try {
+      const result = await window.nexusAPI.tabs.summarize(activeTab.id);
+      if (result.error) {
+        setError(result.error);
+      } else {
+        setActiveTab(prev => (prev && prev.id === activeTab.id
+          ? { ...prev, aiSummary: result.summary.text }
+          : prev));
+      }
+    } catch (error) {
+      console.error('Error summarizing page:', error);
+      setError('Failed to summarize page');
+    } finally {
+      setIsSummarizing(false);
+    }
+  };
+
+  if (!activeTab) return null;
+
+  return (
+    <SummaryContainer>
+      <Header>
+        📄
+        <h4>Page Summary</h4>
+        <RefreshButton onClick={handleSummarize} disabled={isSummarizing || activeTab.loading}>
+          {isSummarizing ? 'Summarizing...' : activeTab.aiSummary ? 'Refresh' : 'Summarize'}
+        </RefreshButton>
+      </Header>
+
+      <PageTitle title={activeTab.url}>{activeTab.title}</PageTitle>
+
+      {activeTab.aiSummary ? (
+        <SummaryText>{activeTab.aiSummary}</SummaryText>
+      ) : (
+        <SummaryText className="empty">
+          {error || (activeTab.loading ? 'Waiting for the page to load...' : 'No summary yet for this page.')}
+        </SummaryText>
+      )}
+    </SummaryContainer>
+  );
+}
+
+export default PageSummary;
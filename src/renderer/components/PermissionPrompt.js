@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+
+const PERMISSION_ICONS = {
+  camera: '📷',
+  microphone: '🎤',
+  geolocation: '📍',
+  notifications: '🔔',
+  'clipboard-read': '📋',
+  'display-capture': '🖥️',
+  midiSysex: '🎹'
+};
+
+// Part of the page flow, like the restore banner: the page view would cover
+// anything floating over it
+const PromptBanner = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 20px;
+  background: ${props => props.theme.primary}15;
+  border-bottom: 1px solid ${props => props.theme.border};
+  font-size: 14px;
+  color: ${props => props.theme.text};
+
+  .message {
+    flex: 1;
+  }
+
+  .origin {
+    font-weight: bold;
+  }
+
+  .details {
+    color: ${props => props.theme.textSecondary};
+    font-size: 13px;
+  }
+
+  button {
+    padding: 6px 14px;
+    border-radius: 16px;
+    border: 1px solid ${props => props.theme.border};
+    background: transparent;
+    color: ${props => props.theme.text};
+    cursor: pointer;
+    font-size: 13px;
+
+    &.primary {
+      background: ${props => props.theme.primary};
+      border-color: ${props => props.theme.primary};
+      color: white;
+    }
+  }
+`;
+
+function getHost(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return origin;
+  }
+}
+
+// Asks about one request at a time, for the tabs on screen; requests from
+// background tabs wait until the tab is shown
+function PermissionPrompt({ visibleTabIds }) {
+  const [requests, setRequests] = useState([]);
+
+  useEffect(() => {
+    if (!window.nexusAPI) return;
+
+    const handleRequest = (event, request) => {
+      setRequests(prev => [...prev.filter(existing => existing.requestId !== request.requestId), request]);
+    };
+
+    const handleRequestClosed = (event, { requestId }) => {
+      setRequests(prev => prev.filter(request => request.requestId !== requestId));
+    };
+
+    window.nexusAPI.on('permission-request', handleRequest);
+    window.nexusAPI.on('permission-request-closed', handleRequestClosed);
+
+    return () => {
+      window.nexusAPI.off('permission-request', handleRequest);
+      window.nexusAPI.off('permission-request-closed', handleRequestClosed);
+    };
+  }, []);
+
+  const request = requests.find(candidate => visibleTabIds.includes(candidate.tabId));
+  if (!request) return null;
+
+  const respond = async (decision) => {
+    setRequests(prev => prev.filter(existing => existing.requestId !== request.requestId));
+    await window.nexusAPI.permissions.respond(request.requestId, decision);
+  };
+
+  return (
+    <PromptBanner>
+      <span>{request.permissions.map(({ permission }) => PERMISSION_ICONS[permission] || '🔐').join(' ')}</span>
+      <span className="message">
+        <span className="origin">{getHost(request.origin)}</span> wants to{' '}
+        <span className="details">{request.permissions.map(({ label }) => label.toLowerCase()).join(', ')}</span>
+      </span>
+      <button onClick={() => respond('deny')}>Block</button>
+      <button onClick={() => respond('allow-once')}>Allow this time</button>
+      <button className="primary" onClick={() => respond('allow')}>Allow</button>
+      <button onClick={() => respond('dismiss')} title="Decide later">✕</button>
+    </PromptBanner>
+  );
+}
+
+export { PERMISSION_ICONS };
+export default PermissionPrompt;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { PERMISSION_ICONS } from './PermissionPrompt';
+
+const Panel = styled.div`
+  background: ${props => props.theme.surface};
+  border-bottom: 1px solid ${props => props.theme.border};
+  padding: 12px 20px;
+  font-size: 13px;
+  color: ${props => props.theme.text};
+`;
+
+const Header = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 8px;
+
+  .site {
+    font-weight: bold;
+    flex: 1;
+  }
+
+  .connection {
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const CloseButton = styled.button`
+  background: transparent;
+  border: none;
+  color: ${props => props.theme.textSecondary};
+  cursor: pointer;
+  font-size: 14px;
+`;
+
+const EmptyText = styled.div`
+  color: ${props => props.theme.textSecondary};
+`;
+
+const PermissionRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  padding: 4px 0;
+
+  .label {
+    flex: 1;
+  }
+
+  select {
+    background: ${props => props.theme.background};
+    color: ${props => props.theme.text};
+    border: 1px solid ${props => props.theme.border};
+    border-radius: 6px;
+    padding: 4px 8px;
+  }
+`;
+
+const CertificateSection = styled.div`
+  margin-bottom: 10px;
+  padding-bottom: 10px;
+  border-bottom: 1px solid ${props => props.theme.border};
+
+  .warning {
+    color: #d93025;
+  }
+
+  .actions {
+    display: flex;
+    gap: 10px;
+    margin-top: 6px;
+  }
+
+  button {
+    padding: 4px 12px;
+    border-radius: 12px;
+    border: 1px solid ${props => props.theme.border};
+    background: transparent;
+    color: ${props => props.theme.text};
+    cursor: pointer;
+    font-size: 12px;
+  }
+
+  ul {
+    margin: 4px 0 0;
+    padding-left: 18px;
+    color: ${props => props.theme.textSecondary};
+  }
+`;
+
+const ChainEntry = styled.div`
+  margin-top: 8px;
+  padding-left: ${props => props.depth * 12}px;
+
+  .subject {
+    font-weight: bold;
+  }
+
+  .details {
+    color: ${props => props.theme.textSecondary};
+    font-size: 12px;
+    word-break: break-all;
+  }
+`;
+
+const Footer = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  margin-top: 8px;
+  color: ${props => props.theme.textSecondary};
+
+  .hint {
+    flex: 1;
+  }
+
+  button {
+    padding: 4px 12px;
+    border-radius: 12px;
+    border: 1px solid ${props => props.theme.border};
+    background: transparent;
+    color: ${props => props.theme.text};
+    cursor: pointer;
+    font-size: 12px;
+  }
+`;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+const getHost = (url) => {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+};
+
+// Connection, certificate and permissions for the site in the active tab,
+// opened from the padlock at the start of the address bar
+function SiteInfoPanel({ tab, warnings, onClose }) {
+  const [site, setSite] = useState(null);
+  const [certificate, setCertificate] = useState(null);
+  const [showChain, setShowChain] = useState(false);
+  const [changed, setChanged] = useState(false);
+
+  const loadSite = async () => {
+    const [result, certificateInfo] = await Promise.all([
+      window.nexusAPI.permissions.getForTab(tab.id),
+      window.nexusAPI.certificates.getForTab(tab.id)
+    ]);
+    setSite(result && !result.error ? result : null);
+    setCertificate(certificateInfo && !certificateInfo.error ? certificateInfo : null);
+  };
+
+  useEffect(() => {
+    setChanged(false);
+    setShowChain(false);
+    loadSite();
+  }, [tab.id, tab.url, tab.securityInfo?.permissions?.length, tab.securityInfo?.certificateError]);
+
+  const handleChange = async (permission, decision) => {
+    await window.nexusAPI.permissions.set(site.origin, permission, decision);
+    setChanged(true);
+    loadSite();
+  };
+
+  const handleReset = async () => {
+    await window.nexusAPI.permissions.reset(site.origin);
+    setChanged(true);
+    loadSite();
+  };
+
+  // The page is checked again, and blocked, once the exception is gone
+  const handleStopTrusting = async () => {
+    await window.nexusAPI.certificates.revokeException(tab.id);
+    loadSite();
+  };
+
+  const handleReload = () => {
+    window.nexusAPI.tabs.reload(tab.id);
+    setChanged(false);
+  };
+
+  const isWebsite = Boolean(site?.origin);
+  const hasCertificateError = Boolean(certificate?.certificateError);
+
+  return (
+    <Panel>
+      <Header>
+        <span>{tab.securityInfo?.isSecure ? '🔒' : '⚠️'}</span>
+        <span className="site">{isWebsite ? new URL(site.origin).host : tab.title}</span>
+        <span className="connection">
+          {tab.securityInfo?.isSecure ? 'Connection is secure' : 'Connection is not secure'}
+        </span>
+        <CloseButton onClick={onClose} title="Close">✕</CloseButton>
+      </Header>
+
+      {(hasCertificateError || warnings.length > 0) && (
+        <CertificateSection>
+          {hasCertificateError && (
+            <div className="warning">
+              {certificate.blocked
+                ? `The page was blocked: the certificate for ${certificate.host} is not valid (${certificate.certificateError}).`
+                : `The certificate for ${certificate.host} is not valid (${certificate.certificateError}).`}
+            </div>
+          )}
+          {hasCertificateError && !certificate.blocked && certificate.hasException && (
+            <div>You chose to continue to this site anyway. The exception lasts until you quit.</div>
+          )}
+          {warnings.length > 0 && (
+            <>
+              <div className="warning">Parts of this page were blocked because their certificates are not valid:</div>
+              <ul>
+                {warnings.map(warning => (
+                  <li key={warning.url} title={warning.url}>{getHost(warning.url)} ({warning.error})</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {hasCertificateError && (
+            <div className="actions">
+              {certificate.chain.length > 0 && (
+                <button onClick={() => setShowChain(prev => !prev)}>
+                  {showChain ? 'Hide certificate' : 'Show certificate'}
+                </button>
+              )}
+              {!certificate.blocked && certificate.hasException && (
+                <button onClick={handleStopTrusting}>Stop trusting this certificate</button>
+              )}
+            </div>
+          )}
+          {showChain && certificate.chain.map((entry, index) => (
+            <ChainEntry key={`${entry.fingerprint}-${index}`} depth={index}>
+              <div className="subject">{entry.subject || 'Unnamed certificate'}</div>
+              <div className="details">
+                Issued by {entry.issuer || 'unknown'}
+                {entry.organizations.length > 0 && ` · ${entry.organizations.join(', ')}`}
+              </div>
+              <div className="details">
+                Valid {formatDate(entry.validStart)} to {formatDate(entry.validExpiry)}
+              </div>
+              <div className="details">{entry.fingerprint}</div>
+            </ChainEntry>
+          ))}
+        </CertificateSection>
+      )}
+
+      {isWebsite && site.permissions.length === 0 && (
+        <EmptyText>This site hasn't been given or refused any permissions.</EmptyText>
+      )}
+      {isWebsite && site.permissions.map(({ permission, label, decision }) => (
+        <PermissionRow key={permission}>
+          <span>{PERMISSION_ICONS[permission] || '🔐'}</span>
+          <span className="label">{label}</span>
+          <select
+            value={decision === 'allow-once' ? 'ask' : decision}
+            onChange={(e) => handleChange(permission, e.target.value)}
+          >
+            <option value="allow">Allow</option>
+            <option value="deny">Block</option>
+            <option value="ask">{decision === 'allow-once' ? 'Allowed this time' : 'Ask'}</option>
+          </select>
+        </PermissionRow>
+      ))}
+
+      {isWebsite && (site.permissions.length > 0 || changed) && (
+        <Footer>
+          <span className="hint">{changed ? 'Reload the page to apply the changes.' : ''}</span>
+          {changed && <button onClick={handleReload}>Reload</button>}
+          {site.permissions.length > 0 && <button onClick={handleReset}>Reset permissions</button>}
+        </Footer>
+      )}
+    </Panel>
+  );
+}
+
+export default SiteInfoPanel;
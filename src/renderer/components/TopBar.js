@@ -55,6 +55,15 @@ const ThemeSelector = styled.select`
   cursor: pointer;
 `;
 
+const PrivateBadge = styled.div`
+  padding: 6px 12px;
+  border-radius: 12px;
+  background: ${props => props.theme.primary};
+  color: ${props => props.theme.background};
+  font-size: 12px;
+  font-weight: bold;
+`;
+
 const WindowControls = styled.div`
   display: flex;
   gap: 8px;
@@ -76,7 +85,7 @@ const WindowButton = styled.button`
   }
 `;
 
-function TopBar({ onThemeChange, currentTheme, onToggleSidePanel, userProfile }) {
+function TopBar({ onThemeChange, currentTheme, onToggleSidePanel, userProfile, isPrivate }) {
   const handleWindowAction = async (action) => {
     if (window.nexusAPI) {
       await window.nexusAPI.window[action]();
@@ -91,20 +100,27 @@ function TopBar({ onThemeChange, currentTheme, onToggleSidePanel, userProfile })
       </Logo>
       
       <Controls>
-        <ThemeSelector 
-          value={currentTheme} 
-          onChange={(e) => onThemeChange(e.target.value)}
-        >
-          <option value="cosmic">Cosmic</option>
-          <option value="light">Light</option>
-          <option value="dark">Dark</option>
-        </ThemeSelector>
+        {/* Private windows always use the private theme */}
+        {isPrivate ? (
+          <PrivateBadge title="Nothing from this window is saved or learned from">
+            🕶️ Private
+          </PrivateBadge>
+        ) : (
+          <ThemeSelector 
+            value={currentTheme} 
+            onChange={(e) => onThemeChange(e.target.value)}
+          >
+            <option value="cosmic">Cosmic</option>
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+          </ThemeSelector>
+        )}
         
         <Button onClick={onToggleSidePanel}>
           🤖 AI Assistant
         </Button>
         
-        {userProfile && (
+        {userProfile && !isPrivate && (
           <div style={{ fontSize: '12px', opacity: 0.8 }}>
             Welcome back! 😊
           </div>
@@ -0,0 +1,115 @@
+const root = document.getElementById('root');
+const tagBar = el('div', { className: 'tags' });
+const results = el('div');
+
+let activeTag = null;
+let currentQuery = '';
+
+function formatSize(bytes) {
+  if (!bytes) return '';
+  return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function tagChip(tag, onClick) {
+  return el('button', {
+    className: `secondary tag${tag === activeTag ? ' active' : ''}`,
+    textContent: tag,
+    onClick
+  });
+}
+
+async function showTags() {
+  const tags = await api.getTags();
+  render(tagBar, (Array.isArray(tags) ? tags : []).slice(0, 20).map(({ tag }) => tagChip(tag, () => {
+    activeTag = activeTag === tag ? null : tag;
+    showTags();
+    showPages();
+  })));
+}
+
+function pageEntry(page) {
+  const details = [
+    page.siteName || getHostname(page.url),
+    `saved ${formatTime(page.savedAt)}`,
+    `${page.format.toUpperCase()} ${formatSize(page.size)}`
+  ].join(' · ');
+
+  const title = el('a', { href: '#', className: 'title', title: page.url, textContent: page.title });
+  title.addEventListener('click', (event) => {
+    event.preventDefault();
+    api.open(page.id);
+  });
+
+  return el('li', { className: 'archived' },
+    el('div', { className: 'archived-header' },
+      title,
+      el('button', { className: 'secondary', textContent: 'Read', onClick: () => showPage(page.id) }),
+      el('button', { className: 'secondary', textContent: 'Live page', onClick: () => api.navigate(page.url) }),
+      el('button', {
+        className: 'secondary',
+        textContent: 'Delete',
+        onClick: async () => {
+          await api.remove(page.id);
+          showTags();
+          showPages();
+        }
+      })
+    ),
+    el('div', { className: 'muted', textContent: details }),
+    (page.snippet || page.excerpt) && el('p', { className: 'snippet', textContent: page.snippet || page.excerpt }),
+    page.tags.length > 0 && el('div', { className: 'tags' }, page.tags.map(tag => el('span', { className: 'tag', textContent: tag })))
+  );
+}
+
+async function showPages() {
+  const pages = await api.list({ query: currentQuery, tag: activeTag });
+  const list = Array.isArray(pages) ? pages : [];
+  const heading = currentQuery ? `Results for “${currentQuery}”` : activeTag ? `Tagged “${activeTag}”` : 'Recently saved';
+
+  render(results, el('div', { className: 'card' },
+    el('h2', { textContent: heading }),
+    list.length === 0
+      ? el('p', { className: 'muted', textContent: currentQuery || activeTag ? 'No saved pages match.' : 'Nothing saved yet. Use 💾 in the address bar to keep a copy of a page.' })
+      : el('ul', { className: 'list' }, list.map(pageEntry))
+  ));
+}
+
+// The saved text, readable whether or not the snapshot opens
+async function showPage(pageId) {
+  const page = await api.get(pageId);
+  if (!page || page.error) {
+    render(results, el('p', { className: 'error', textContent: page?.error || 'Page not found' }));
+    return;
+  }
+
+  render(results, el('div', { className: 'card archived-text' },
+    el('div', { className: 'row' },
+      el('button', { className: 'secondary', textContent: '← Saved pages', onClick: () => showPages() }),
+      el('span', { className: 'spacer' }),
+      el('button', { className: 'secondary', textContent: 'Open snapshot', onClick: () => api.open(page.id) })
+    ),
+    el('h2', { textContent: page.title }),
+    el('div', { className: 'muted', textContent: [page.byline, page.url, `saved ${formatTime(page.savedAt)}`].filter(Boolean).join(' · ') }),
+    page.text.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).map(paragraph => el('p', { textContent: paragraph.trim() }))
+  ));
+}
+
+const searchInput = el('input', { type: 'text', className: 'search', placeholder: 'Search saved pages' });
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    currentQuery = searchInput.value.trim();
+    showPages();
+  }, 300);
+});
+
+render(root,
+  el('h1', { textContent: 'Saved pages' }),
+  el('div', { className: 'card' }, searchInput, tagBar),
+  results
+);
+
+Promise.all([showTags(), showPages()]).catch(error => {
+  console.error('Error loading saved pages:', error);
+});
@@ -0,0 +1,70 @@
+const root = document.getElementById('root');
+const messages = el('div', { className: 'messages' });
+const threads = el('ul', { className: 'list' });
+const input = el('textarea', { rows: '3', placeholder: 'Ask Nexus anything' });
+const send = el('button', { textContent: 'Send' });
+
+function addMessage(role, content) {
+  messages.append(el('div', { className: `message ${role}`, textContent: content }));
+  window.scrollTo(0, document.body.scrollHeight);
+}
+
+async function ask() {
+  const message = input.value.trim();
+  if (!message) return;
+
+  input.value = '';
+  send.disabled = true;
+  addMessage('user', message);
+
+  const result = await api.chat(message, { source: 'internal-page' });
+  addMessage('assistant', result.error && !result.response ? result.error : (result.response?.text || ''));
+  send.disabled = false;
+  input.focus();
+}
+
+async function openThread(threadId) {
+  const thread = await api.getConversation(threadId);
+  if (thread.error) return;
+
+  render(messages, (thread.messages || []).map(message => el('div', {
+    className: `message ${message.role}`,
+    textContent: message.content
+  })));
+}
+
+async function loadThreads() {
+  const list = await api.listConversations();
+  render(threads, Array.isArray(list) && list.length > 0
+    ? list.slice(0, 20).map(thread => el('li', {},
+      el('a', {
+        href: '#',
+        className: 'title',
+        textContent: thread.title,
+        onClick: (event) => {
+          event.preventDefault();
+          openThread(thread.id);
+        }
+      }),
+      el('span', { className: 'muted', textContent: formatTime(thread.updatedAt) })
+    ))
+    : [el('li', { className: 'muted', textContent: 'No conversations yet.' })]);
+}
+
+send.addEventListener('click', ask);
+input.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter' && !event.shiftKey) {
+    event.preventDefault();
+    ask();
+  }
+});
+
+render(root,
+  el('h1', { textContent: 'Assistant' }),
+  el('div', { className: 'card' }, messages, el('div', { className: 'row' }, input, send)),
+  el('div', { className: 'card' }, el('h2', { textContent: 'Conversations' }), threads)
+);
+
+loadThreads().catch(error => {
+  console.error('Error loading conversations:', error);
+});
@@ -0,0 +1,89 @@
+const root = document.getElementById('root');
+
+// Chromium's error names, in words
+const ERROR_DESCRIPTIONS = {
+  'net::ERR_CERT_AUTHORITY_INVALID': "Its certificate isn't issued by an authority this computer trusts.",
+  'net::ERR_CERT_COMMON_NAME_INVALID': 'Its certificate is for a different site.',
+  'net::ERR_CERT_DATE_INVALID': 'Its certificate has expired or is not valid yet. Check that your clock is right.',
+  'net::ERR_CERT_REVOKED': 'Its certificate has been revoked by whoever issued it.',
+  'net::ERR_CERT_WEAK_SIGNATURE_ALGORITHM': 'Its certificate is signed with an algorithm that is no longer safe.',
+  'net::ERR_CERT_WEAK_KEY': 'Its certificate uses a key that is too weak.',
+  'net::ERR_CERT_INVALID': 'Its certificate is malformed.',
+  'net::ERR_CERT_NAME_CONSTRAINT_VIOLATION': 'Its certificate was issued for a name its authority may not vouch for.',
+  'net::ERR_CERT_VALIDITY_TOO_LONG': 'Its certificate is valid for longer than allowed.',
+  'net::ERR_CERTIFICATE_TRANSPARENCY_REQUIRED': "Its certificate wasn't publicly logged, as it has to be."
+};
+
+// The page's own URL carries the address that was refused; the rest only
+// exists in memory, so it's missing after a restart
+function getRefusedUrl() {
+  return new URLSearchParams(location.search).get('url');
+}
+
+function certificateView(chain) {
+  return el('ol', { className: 'list chain' }, chain.map((certificate, index) => el('li', {},
+    el('details', {},
+      el('summary', { textContent: `${index === 0 ? 'Site' : index === chain.length - 1 ? 'Root' : 'Intermediate'}: ${certificate.subject || 'Unnamed'}` }),
+      el('dl', {},
+        el('dt', { textContent: 'Issued by' }), el('dd', { textContent: certificate.issuer || 'Unknown' }),
+        certificate.organizations.length > 0 && [
+          el('dt', { textContent: 'Organization' }), el('dd', { textContent: certificate.organizations.join(', ') })
+        ],
+        el('dt', { textContent: 'Valid from' }), el('dd', { textContent: formatTime(certificate.validStart) }),
+        el('dt', { textContent: 'Valid until' }), el('dd', { textContent: formatTime(certificate.validExpiry) }),
+        el('dt', { textContent: 'Serial number' }), el('dd', { className: 'mono', textContent: certificate.serialNumber }),
+        el('dt', { textContent: 'Fingerprint' }), el('dd', { className: 'mono', textContent: certificate.fingerprint })
+      )
+    )
+  )));
+}
+
+async function load() {
+  const info = await api.getError();
+  const known = Boolean(info?.blocked);
+  const url = known ? info.url : getRefusedUrl();
+  const host = known ? info.host : getHostname(url);
+
+  const advanced = el('div', { className: 'card', hidden: 'hidden' },
+    el('p', { className: 'muted', textContent: known ? info.certificateError : 'The certificate is no longer available.' }),
+    known && info.chain.length > 0 && el('h2', { textContent: 'Certificate' }),
+    known && info.chain.length > 0 && certificateView(info.chain),
+    known
+      ? el('button', {
+        className: 'secondary danger',
+        textContent: `Proceed to ${host} (unsafe)`,
+        onClick: () => api.proceed()
+      })
+      : /^https?:/i.test(url || '') && el('button', {
+        className: 'secondary',
+        textContent: 'Try again',
+        onClick: () => api.navigate(url)
+      })
+  );
+
+  render(root,
+    el('div', { className: 'interstitial' },
+      el('div', { className: 'icon', textContent: '⚠️' }),
+      el('h1', { textContent: 'Your connection is not private' }),
+      el('p', {},
+        'Someone might be trying to steal your information from ',
+        el('strong', { textContent: host || 'this site' }),
+        ' (for example passwords, messages or credit cards). ',
+        (known && ERROR_DESCRIPTIONS[info.certificateError]) || ''
+      ),
+      el('div', { className: 'row' },
+        el('button', {
+          className: 'secondary',
+          textContent: 'Advanced',
+          onClick: () => advanced.toggleAttribute('hidden')
+        }),
+        el('button', { textContent: 'Back to safety', onClick: () => api.leave() })
+      )
+    ),
+    advanced
+  );
+}
+
+load().catch(error => {
+  console.error('Error loading certificate error page:', error);
+});
@@ -0,0 +1,48 @@
+// Helpers shared by the nexus:// pages. Page data comes from browsing
+// history and the assistant, so it only ever goes in as text.
+const api = window.nexusInternal;
+
+function el(tag, props = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(props).forEach(([key, value]) => {
+    if (key.startsWith('on')) {
+      node.addEventListener(key.slice(2).toLowerCase(), value);
+    } else if (key === 'className' || key === 'textContent' || key === 'value' || key === 'checked' || key === 'disabled') {
+      node[key] = value;
+    } else {
+      node.setAttribute(key, value);
+    }
+  });
+  children.flat().filter(child => child !== null && child !== undefined && child !== false).forEach(child => {
+    node.append(child instanceof Node ? child : String(child));
+  });
+  return node;
+}
+
+function render(container, ...children) {
+  container.replaceChildren(...children.flat().filter(Boolean));
+}
+
+// Opens history entries in this tab; anything but http(s) is left alone
+function pageLink(url, title) {
+  const link = el('a', { href: '#', className: 'title', title: url, textContent: title || url });
+  link.addEventListener('click', (event) => {
+    event.preventDefault();
+    if (/^https?:/i.test(url)) {
+      api.navigate(url);
+    }
+  });
+  return link;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+}
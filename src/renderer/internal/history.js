@@ -0,0 +1,59 @@
+const root = document.getElementById('root');
+const results = el('div');
+
+function renderEntries(title, entries) {
+  if (entries.length === 0) {
+    return el('div', { className: 'card' },
+      el('h2', { textContent: title }),
+      el('p', { className: 'muted', textContent: 'Nothing here yet.' })
+    );
+  }
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: title }),
+    el('ul', { className: 'list' }, entries.map(entry => el('li', {},
+      pageLink(entry.url, entry.title),
+      el('span', { className: 'muted', textContent: entry.snippet ? `${Math.round(entry.score * 100)}%` : formatTime(entry.timestamp || entry.visitedAt) })
+    )))
+  );
+}
+
+async function showRecent() {
+  const history = await api.getHistory({ hours: 24 * 30 });
+  if (history.error) {
+    render(results, el('p', { className: 'error', textContent: history.error }));
+    return;
+  }
+  render(results, renderEntries('Recent', (history.recentPages || []).filter(page => /^https?:/i.test(page.url))));
+}
+
+// Searches by meaning, not just words in the title
+async function search(query) {
+  if (!query) {
+    await showRecent();
+    return;
+  }
+  const matches = await api.search(query, { limit: 50 });
+  render(results, renderEntries(`Results for “${query}”`, Array.isArray(matches) ? matches : []));
+}
+
+const searchInput = el('input', { type: 'text', className: 'search', placeholder: 'Search history' });
+let searchTimer = null;
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => search(searchInput.value.trim()), 300);
+});
+
+render(root,
+  el('h1', { textContent: 'History' }),
+  el('div', { className: 'card' }, searchInput),
+  results
+);
+
+// The "My history" search engine opens this page with ?q=
+const initialQuery = new URLSearchParams(location.search).get('q') || '';
+searchInput.value = initialQuery;
+
+search(initialQuery.trim()).catch(error => {
+  console.error('Error loading history:', error);
+});
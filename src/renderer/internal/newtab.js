@@ -0,0 +1,49 @@
+const root = document.getElementById('root');
+
+async function load() {
+  const [history, recentlyClosed] = await Promise.all([
+    api.getHistory({ hours: 24 * 7 }),
+    api.getRecentlyClosed()
+  ]);
+
+  const search = el('input', {
+    type: 'text',
+    className: 'search',
+    placeholder: 'Search or enter address',
+    autofocus: 'autofocus'
+  });
+  search.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && search.value.trim()) {
+      api.navigate(search.value.trim());
+    }
+  });
+
+  const frequent = (history.frequentPages || []).filter(page => /^https?:/i.test(page.url)).slice(0, 8);
+  const closed = Array.isArray(recentlyClosed) ? recentlyClosed.slice(0, 5) : [];
+
+  render(root,
+    el('div', { className: 'logo', textContent: 'Nexus' }),
+    el('div', { className: 'card' }, search),
+    frequent.length > 0 && el('div', { className: 'card' },
+      el('h2', { textContent: 'Most visited' }),
+      el('div', { className: 'tiles' }, frequent.map(page => {
+        const tile = pageLink(page.url, getHostname(page.url));
+        tile.className = 'tile';
+        return tile;
+      }))
+    ),
+    closed.length > 0 && el('div', { className: 'card' },
+      el('h2', { textContent: 'Recently closed' }),
+      el('ul', { className: 'list' }, closed.map((tab, index) => el('li', {},
+        pageLink(tab.url, tab.title),
+        index === 0 && el('button', { className: 'secondary', textContent: '↺ Reopen', onClick: () => api.reopenClosedTab() })
+      )))
+    )
+  );
+
+  search.focus();
+}
+
+load().catch(error => {
+  console.error('Error loading new tab page:', error);
+});
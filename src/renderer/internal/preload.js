@@ -0,0 +1,78 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Preload for every tab. Web pages get nothing; each nexus:// page gets only
+// the calls it needs. The main process checks the same list per channel
+// (see InternalPages), so this is a convenience, not the boundary.
+const PAGE_APIS = {
+  newtab: {
+    getHistory: (options) => ipcRenderer.invoke('history:getSmartHistory', options),
+    getRecentlyClosed: () => ipcRenderer.invoke('session:getRecentlyClosed'),
+    reopenClosedTab: () => ipcRenderer.invoke('session:reopenClosedTab'),
+    navigate: (input) => ipcRenderer.invoke('internal:navigate', input)
+  },
+
+  history: {
+    getHistory: (options) => ipcRenderer.invoke('history:getSmartHistory', options),
+    search: (query, options) => ipcRenderer.invoke('history:semanticSearch', query, options),
+    navigate: (input) => ipcRenderer.invoke('internal:navigate', input)
+  },
+
+  settings: {
+    get: () => ipcRenderer.invoke('settings:get'),
+    update: (settings) => ipcRenderer.invoke('settings:update', settings),
+    getLLMProviders: () => ipcRenderer.invoke('settings:getLLMProviders'),
+    getMemoryStats: () => ipcRenderer.invoke('memory:getStats'),
+    removeMemoryException: (site) => ipcRenderer.invoke('memory:removeException', site),
+    getSearchEngines: () => ipcRenderer.invoke('search:getEngines'),
+    setDefaultSearchEngine: (engineId) => ipcRenderer.invoke('search:setDefault', engineId),
+    addSearchEngine: (engine) => ipcRenderer.invoke('search:addEngine', engine),
+    removeSearchEngine: (engineId) => ipcRenderer.invoke('search:removeEngine', engineId),
+    getSitePermissions: () => ipcRenderer.invoke('permissions:getAll'),
+    setSitePermission: (origin, permission, decision) =>
+      ipcRenderer.invoke('permissions:set', origin, permission, decision),
+    resetSitePermissions: (origin, permission) => ipcRenderer.invoke('permissions:reset', origin, permission)
+  },
+
+  privacy: {
+    getDataSummary: () => ipcRenderer.invoke('privacy:getDataSummary'),
+    clearData: (options) => ipcRenderer.invoke('privacy:clearData', options)
+  },
+
+  assistant: {
+    chat: (message, context) => ipcRenderer.invoke('assistant:chat', message, context),
+    listConversations: (query) => ipcRenderer.invoke('conversations:list', query),
+    getConversation: (threadId) => ipcRenderer.invoke('conversations:get', threadId)
+  },
+
+  certerror: {
+    getError: () => ipcRenderer.invoke('certificates:getError'),
+    proceed: () => ipcRenderer.invoke('certificates:proceed'),
+    leave: () => ipcRenderer.invoke('certificates:leave'),
+    navigate: (input) => ipcRenderer.invoke('internal:navigate', input)
+  },
+
+  reader: {
+    getArticle: () => ipcRenderer.invoke('reader:getArticle'),
+    updateSettings: (changes) => ipcRenderer.invoke('reader:updateSettings', changes),
+    navigate: (input) => ipcRenderer.invoke('internal:navigate', input)
+  },
+
+  archive: {
+    list: (options) => ipcRenderer.invoke('archive:list', options),
+    getTags: () => ipcRenderer.invoke('archive:getTags'),
+    get: (pageId) => ipcRenderer.invoke('archive:get', pageId),
+    open: (pageId) => ipcRenderer.invoke('archive:open', pageId),
+    remove: (pageId) => ipcRenderer.invoke('archive:delete', pageId),
+    navigate: (input) => ipcRenderer.invoke('internal:navigate', input)
+  }
+};
+
+// Pages are served at their root; other paths, like archived pages at
+// nexus://archive/view, aren't ours
+const api = location.protocol === 'nexus:' && location.pathname === '/' && window === window.top
+  ? PAGE_APIS[location.hostname]
+  : null;
+
+if (api) {
+  contextBridge.exposeInMainWorld('nexusInternal', api);
+}
@@ -0,0 +1,68 @@
+const root = document.getElementById('root');
+
+function summaryCard(summary) {
+  const stored = summary.totalStoredData || {};
+  const rows = [
+    ['Pages viewed', stored.pageViews],
+    ['Interactions', stored.interactions],
+    ['Sessions', stored.sessions],
+    ['Kept for', summary.dataRetentionPeriod ? `${summary.dataRetentionPeriod} days` : '—'],
+    ['Anonymized', summary.anonymizationEnabled ? 'Yes' : 'No'],
+    ['Sensitive data encrypted', summary.encryptionEnabled ? 'Yes' : 'No']
+  ];
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'What Nexus keeps on this device' }),
+    el('ul', { className: 'list' }, rows.map(([label, value]) => el('li', {},
+      el('span', { className: 'title', textContent: label }),
+      el('span', { className: 'muted', textContent: value ?? 0 })
+    )))
+  );
+}
+
+function clearCard() {
+  const range = el('select', {},
+    el('option', { value: '1', textContent: 'Older than a day' }),
+    el('option', { value: '7', textContent: 'Older than a week' }),
+    el('option', { value: '30', textContent: 'Older than a month' }),
+    el('option', { value: 'all', textContent: 'Everything' })
+  );
+  const result = el('p', { className: 'muted' });
+  const button = el('button', { textContent: 'Clear data' });
+
+  button.addEventListener('click', async () => {
+    const clearAll = range.value === 'all';
+    if (clearAll && !window.confirm('Delete all browsing data and learned preferences?')) return;
+
+    button.disabled = true;
+    const response = await api.clearData(clearAll
+      ? { clearAll: true }
+      : { days: Number(range.value), pageViews: true, interactions: true });
+    button.disabled = false;
+
+    result.textContent = response.error || 'Cleared';
+    result.className = response.error ? 'error' : 'muted';
+    if (!response.error) {
+      load();
+    }
+  });
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'Clear browsing data' }),
+    el('div', { className: 'row' }, range, button),
+    result
+  );
+}
+
+async function load() {
+  const summary = await api.getDataSummary();
+  render(root,
+    el('h1', { textContent: 'Privacy' }),
+    summary.error ? el('p', { className: 'error', textContent: summary.error }) : summaryCard(summary),
+    clearCard()
+  );
+}
+
+load().catch(error => {
+  console.error('Error loading privacy page:', error);
+});
@@ -0,0 +1,128 @@
+const root = document.getElementById('root');
+
+// The article arrives as cleaned HTML from the page it came from, so it is
+// parsed inert and rebuilt from these tags only, with text going in as text
+const ALLOWED_TAGS = new Set([
+  'p', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'em', 'i', 'strong', 'b',
+  'a', 'img', 'figure', 'figcaption', 'br', 'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'sup', 'sub',
+  'dl', 'dt', 'dd', 'div', 'section'
+]);
+const FONT_FAMILIES = [['serif', 'Serif'], ['sans-serif', 'Sans-serif'], ['monospace', 'Monospace']];
+const WIDTHS = [['narrow', 'Narrow'], ['medium', 'Medium'], ['wide', 'Wide']];
+const THEMES = [['light', 'Light'], ['sepia', 'Sepia'], ['dark', 'Dark']];
+
+let settings = {};
+
+function cleanNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) return null;
+
+  const tag = node.tagName.toLowerCase();
+  const children = Array.from(node.childNodes).flatMap(cleanNode);
+  if (!ALLOWED_TAGS.has(tag)) return children;
+
+  if (tag === 'img') {
+    const src = node.getAttribute('src') || '';
+    return /^(https?:|data:image\/)/i.test(src) ? el('img', { src, alt: node.getAttribute('alt') || '' }) : null;
+  }
+  if (tag === 'a') {
+    const href = node.getAttribute('href') || '';
+    return /^(https?|mailto):/i.test(href) ? el('a', { href }, children) : children;
+  }
+
+  const props = {};
+  ['colspan', 'rowspan'].forEach(name => {
+    if (/^\d+$/.test(node.getAttribute(name) || '')) {
+      props[name] = node.getAttribute(name);
+    }
+  });
+  return el(tag, props, children);
+}
+
+function articleContent(html) {
+  const parsed = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(parsed.body.childNodes).flatMap(cleanNode);
+}
+
+function applySettings() {
+  document.body.className = [
+    'reader',
+    `theme-${settings.theme || 'light'}`,
+    `width-${settings.width || 'medium'}`,
+    `font-${settings.fontFamily || 'serif'}`
+  ].join(' ');
+  document.body.style.setProperty('--reader-font-size', `${settings.fontSize || 18}px`);
+}
+
+async function updateSettings(changes) {
+  settings = { ...settings, ...changes };
+  applySettings();
+  const result = await api.updateSettings(changes);
+  if (result?.settings) {
+    settings = result.settings;
+    applySettings();
+  }
+}
+
+function optionSelect(options, value, onChange) {
+  return el('select', { onChange: (event) => onChange(event.target.value) },
+    options.map(([optionValue, label]) => el('option', { value: optionValue, textContent: label, ...(optionValue === value ? { selected: 'selected' } : {}) }))
+  );
+}
+
+function toolbar(url) {
+  return el('div', { className: 'reader-toolbar' },
+    el('button', { className: 'secondary', textContent: '← Original page', onClick: () => api.navigate(url) }),
+    el('span', { className: 'spacer' }),
+    optionSelect(FONT_FAMILIES, settings.fontFamily, (fontFamily) => updateSettings({ fontFamily })),
+    el('button', { className: 'secondary', textContent: 'A−', title: 'Smaller text', onClick: () => updateSettings({ fontSize: (settings.fontSize || 18) - 1 }) }),
+    el('button', { className: 'secondary', textContent: 'A+', title: 'Larger text', onClick: () => updateSettings({ fontSize: (settings.fontSize || 18) + 1 }) }),
+    optionSelect(WIDTHS, settings.width, (width) => updateSettings({ width })),
+    optionSelect(THEMES, settings.theme, (theme) => updateSettings({ theme }))
+  );
+}
+
+async function load() {
+  const result = await api.getArticle();
+  const url = new URLSearchParams(location.search).get('url');
+  settings = result?.settings || {};
+  applySettings();
+
+  const article = result?.article;
+  if (!article) {
+    render(root,
+      toolbar(url),
+      el('div', { className: 'card' },
+        el('p', { textContent: "The article isn't available any more. Open the original page and switch to reader view again." })
+      )
+    );
+    return;
+  }
+
+  document.title = article.title;
+  const details = [
+    article.byline,
+    article.publishedTime && new Date(article.publishedTime).toLocaleDateString(),
+    `${article.readingTime} min read`
+  ].filter(Boolean).join(' · ');
+  const content = articleContent(article.content);
+  // Many articles start with their lead image already
+  const showLeadImage = article.leadImage && !article.content.includes(article.leadImage.replace(/&/g, '&amp;'));
+
+  render(root,
+    toolbar(article.url),
+    el('article', { className: 'reader-article', lang: article.lang || '', dir: article.dir || 'auto' },
+      el('div', { className: 'muted', textContent: article.siteName || getHostname(article.url) }),
+      el('h1', { textContent: article.title }),
+      el('div', { className: 'muted reader-details', textContent: details }),
+      showLeadImage && /^https?:/i.test(article.leadImage) && el('img', { className: 'lead-image', src: article.leadImage, alt: '' }),
+      el('div', { className: 'reader-content' }, content)
+    )
+  );
+}
+
+load().catch(error => {
+  console.error('Error loading reader view:', error);
+});
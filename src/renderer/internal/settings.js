@@ -0,0 +1,188 @@
+const root = document.getElementById('root');
+const status = el('p', { className: 'muted' });
+
+async function save(partial) {
+  const result = await api.update(partial);
+  status.textContent = result.error ? result.error : 'Saved';
+  status.className = result.error ? 'error' : 'muted';
+}
+
+function providerCard(providers, defaultProvider) {
+  const select = el('select', {}, providers.map(provider => el('option', {
+    value: provider.name,
+    textContent: provider.supported ? provider.name : `${provider.name} (unsupported)`,
+    disabled: !provider.supported
+  })));
+  select.value = defaultProvider;
+  select.addEventListener('change', () => save({ ai: { defaultProvider: select.value } }));
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'AI provider' }),
+    el('div', { className: 'row' },
+      el('label', { textContent: 'Used by default for the assistant, summaries and analysis' }),
+      select
+    )
+  );
+}
+
+function memorySaverCard(config, stats) {
+  const enabled = el('input', { type: 'checkbox', checked: Boolean(config.enabled) });
+  enabled.addEventListener('change', () => save({ memorySaver: { enabled: enabled.checked } }));
+
+  const idleMinutes = el('input', { type: 'number', min: '5', value: String(config.idleMinutes || 30) });
+  idleMinutes.addEventListener('change', () => {
+    const minutes = Math.max(5, parseInt(idleMinutes.value, 10) || 30);
+    idleMinutes.value = String(minutes);
+    save({ memorySaver: { idleMinutes: minutes } });
+  });
+
+  const exceptions = el('ul', { className: 'list' });
+  const renderExceptions = (sites) => render(exceptions, sites.length > 0
+    ? sites.map(site => el('li', {},
+      el('span', { className: 'title', textContent: site }),
+      el('button', {
+        className: 'secondary',
+        textContent: 'Remove',
+        onClick: async () => renderExceptions((await api.removeMemoryException(site)).exceptions || [])
+      })
+    ))
+    : [el('li', { className: 'muted', textContent: 'No sites. Use 📌 in the toolbar to keep a site loaded.' })]);
+  renderExceptions(stats.exceptions || config.neverDiscard || []);
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'Memory saver' }),
+    el('div', { className: 'row' }, el('label', { textContent: 'Discard background tabs that aren’t being used' }), enabled),
+    el('div', { className: 'row' }, el('label', { textContent: 'Minutes before a background tab is discarded' }), idleMinutes),
+    el('h2', { textContent: 'Always keep these sites loaded' }),
+    exceptions
+  );
+}
+
+function searchEnginesCard(initialState) {
+  const defaultSelect = el('select');
+  const engines = el('ul', { className: 'list' });
+
+  const update = (state) => {
+    if (state.error) {
+      status.textContent = state.error;
+      status.className = 'error';
+      return false;
+    }
+
+    render(defaultSelect, state.engines.map(engine => el('option', { value: engine.id, textContent: engine.name })));
+    defaultSelect.value = state.defaultEngine;
+    render(engines, state.engines.map(engine => el('li', {},
+      el('span', { className: 'title', title: engine.url, textContent: engine.name }),
+      el('span', { className: 'muted', textContent: engine.keyword }),
+      engine.source !== 'builtin' && el('button', {
+        className: 'secondary',
+        textContent: 'Remove',
+        onClick: async () => update(await api.removeSearchEngine(engine.id))
+      })
+    )));
+    return true;
+  };
+
+  defaultSelect.addEventListener('change', async () => {
+    if (update(await api.setDefaultSearchEngine(defaultSelect.value))) {
+      status.textContent = 'Saved';
+      status.className = 'muted';
+    }
+  });
+
+  const name = el('input', { type: 'text', placeholder: 'Name' });
+  const keyword = el('input', { type: 'text', placeholder: 'Keyword' });
+  const url = el('input', { type: 'text', placeholder: 'https://example.com/search?q=%s' });
+  const add = el('button', {
+    textContent: 'Add',
+    onClick: async () => {
+      if (update(await api.addSearchEngine({ name: name.value, keyword: keyword.value, url: url.value }))) {
+        name.value = '';
+        keyword.value = '';
+        url.value = '';
+        status.textContent = 'Saved';
+        status.className = 'muted';
+      }
+    }
+  });
+
+  update(initialState);
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'Search engines' }),
+    el('div', { className: 'row' }, el('label', { textContent: 'Search from the address bar with' }), defaultSelect),
+    el('p', { className: 'muted', textContent: 'Type a keyword, a space and your search to use another engine, e.g. “w rust”.' }),
+    engines,
+    el('h2', { textContent: 'Add a search engine' }),
+    el('div', { className: 'row' }, name, keyword),
+    el('div', { className: 'row' }, url, add)
+  );
+}
+
+function sitePermissionsCard(initialSites) {
+  const sites = el('ul', { className: 'list' });
+
+  const decisionSelect = (origin, { permission, decision }) => {
+    const select = el('select', {},
+      el('option', { value: 'allow', textContent: 'Allow' }),
+      el('option', { value: 'deny', textContent: 'Block' }),
+      el('option', { value: 'ask', textContent: 'Ask' })
+    );
+    select.value = decision;
+    select.addEventListener('change', async () => {
+      const result = await api.setSitePermission(origin, permission, select.value);
+      status.textContent = result.error ? result.error : 'Saved';
+      status.className = result.error ? 'error' : 'muted';
+      if (!result.error) {
+        renderSites(await api.getSitePermissions());
+      }
+    });
+    return select;
+  };
+
+  const renderSites = (list) => render(sites, Array.isArray(list) && list.length > 0
+    ? list.map(site => el('li', {},
+      el('span', { className: 'title', textContent: getHostname(site.origin) }),
+      site.permissions.map(entry => el('label', { className: 'muted' }, `${entry.label} `, decisionSelect(site.origin, entry))),
+      el('button', {
+        className: 'secondary',
+        textContent: 'Reset',
+        onClick: async () => {
+          await api.resetSitePermissions(site.origin);
+          renderSites(await api.getSitePermissions());
+        }
+      })
+    ))
+    : [el('li', { className: 'muted', textContent: 'No sites yet. Sites ask when they want your camera, location and the like.' })]);
+  renderSites(initialSites);
+
+  return el('div', { className: 'card' },
+    el('h2', { textContent: 'Site permissions' }),
+    el('p', { className: 'muted', textContent: 'Changes apply the next time the site asks; reload an open page to apply them now.' }),
+    sites
+  );
+}
+
+async function load() {
+  const [data, providers, stats, search, sitePermissions] = await Promise.all([
+    api.get(), api.getLLMProviders(), api.getMemoryStats(), api.getSearchEngines(), api.getSitePermissions()
+  ]);
+  if (data.error) {
+    render(root, el('h1', { textContent: 'Settings' }), el('p', { className: 'error', textContent: data.error }));
+    return;
+  }
+
+  const settings = data.settings || {};
+  render(root,
+    el('h1', { textContent: 'Settings' }),
+    providerCard(Array.isArray(providers) ? providers : [], settings.ai?.defaultProvider),
+    searchEnginesCard(search || { engines: [] }),
+    memorySaverCard(settings.memorySaver || {}, stats || {}),
+    sitePermissionsCard(sitePermissions),
+    status
+  );
+}
+
+load().catch(error => {
+  console.error('Error loading settings:', error);
+});
@@ -7,15 +7,84 @@ contextBridge.exposeInMainWorld('nexusAPI', {
   ai: {
     processQuery: (query, context) => ipcRenderer.invoke('ai:processQuery', query, context),
     getPersonalizedContent: () => ipcRenderer.invoke('ai:getPersonalizedContent'),
-    analyzePage: (pageData) => ipcRenderer.invoke('ai:analyzePage', pageData)
+    analyzePage: (pageData) => ipcRenderer.invoke('ai:analyzePage', pageData),
+    getPromptReports: () => ipcRenderer.invoke('ai:getPromptReports')
   },
 
   // Tab Management
   tabs: {
-    create: (url) => ipcRenderer.invoke('tabs:create', url),
+    create: (url, background) => ipcRenderer.invoke('tabs:create', url, background),
     close: (tabId) => ipcRenderer.invoke('tabs:close', tabId),
     getAll: () => ipcRenderer.invoke('tabs:getAll'),
-    navigate: (tabId, url) => ipcRenderer.invoke('tabs:navigate', tabId, url)
+    navigate: (tabId, url) => ipcRenderer.invoke('tabs:navigate', tabId, url),
+    activate: (tabId) => ipcRenderer.invoke('tabs:activate', tabId),
+    goBack: (tabId) => ipcRenderer.invoke('tabs:goBack', tabId),
+    goForward: (tabId) => ipcRenderer.invoke('tabs:goForward', tabId),
+    reload: (tabId, ignoreCache) => ipcRenderer.invoke('tabs:reload', tabId, ignoreCache),
+    setViewBounds: (bounds) => ipcRenderer.invoke('tabs:setViewBounds', bounds),
+    summarize: (tabId) => ipcRenderer.invoke('tabs:summarize', tabId),
+    highlightPassage: (tabId, quote) => ipcRenderer.invoke('tabs:highlightPassage', tabId, quote),
+    toggleReader: (tabId) => ipcRenderer.invoke('tabs:toggleReader', tabId),
+    moveToWindow: (tabId) => ipcRenderer.invoke('tabs:moveToWindow', tabId),
+    moveToNewWindow: (tabId, position) => ipcRenderer.invoke('tabs:moveToNewWindow', tabId, position)
+  },
+
+  // Tab Groups and Workspaces
+  groups: {
+    getLayout: () => ipcRenderer.invoke('groups:getLayout'),
+    create: (options) => ipcRenderer.invoke('groups:create', options),
+    update: (groupId, updates) => ipcRenderer.invoke('groups:update', groupId, updates),
+    remove: (groupId) => ipcRenderer.invoke('groups:remove', groupId),
+    setTabGroup: (tabId, groupId) => ipcRenderer.invoke('groups:setTabGroup', tabId, groupId),
+    autoGroup: () => ipcRenderer.invoke('groups:autoGroup')
+  },
+
+  workspaces: {
+    create: (name) => ipcRenderer.invoke('workspaces:create', name),
+    switch: (workspaceId) => ipcRenderer.invoke('workspaces:switch', workspaceId),
+    rename: (workspaceId, name) => ipcRenderer.invoke('workspaces:rename', workspaceId, name),
+    remove: (workspaceId) => ipcRenderer.invoke('workspaces:remove', workspaceId),
+    moveTab: (tabId, workspaceId) => ipcRenderer.invoke('workspaces:moveTab', tabId, workspaceId)
+  },
+
+  // Memory Saver
+  memory: {
+    getStats: () => ipcRenderer.invoke('memory:getStats'),
+    discardTab: (tabId) => ipcRenderer.invoke('memory:discardTab', tabId),
+    addException: (site) => ipcRenderer.invoke('memory:addException', site),
+    removeException: (site) => ipcRenderer.invoke('memory:removeException', site)
+  },
+
+  // Split View
+  split: {
+    getState: () => ipcRenderer.invoke('split:getState'),
+    create: (tabIds, options) => ipcRenderer.invoke('split:create', tabIds, options),
+    addTab: (tabId) => ipcRenderer.invoke('split:addTab', tabId),
+    removeTab: (tabId) => ipcRenderer.invoke('split:removeTab', tabId),
+    exit: () => ipcRenderer.invoke('split:exit'),
+    resize: (sizes) => ipcRenderer.invoke('split:resize', sizes),
+    setOrientation: (orientation) => ipcRenderer.invoke('split:setOrientation', orientation)
+  },
+
+  // Downloads
+  downloads: {
+    getAll: () => ipcRenderer.invoke('downloads:getAll'),
+    pause: (downloadId) => ipcRenderer.invoke('downloads:pause', downloadId),
+    resume: (downloadId) => ipcRenderer.invoke('downloads:resume', downloadId),
+    cancel: (downloadId) => ipcRenderer.invoke('downloads:cancel', downloadId),
+    open: (downloadId) => ipcRenderer.invoke('downloads:open', downloadId),
+    showInFolder: (downloadId) => ipcRenderer.invoke('downloads:showInFolder', downloadId),
+    remove: (downloadId) => ipcRenderer.invoke('downloads:remove', downloadId),
+    clear: () => ipcRenderer.invoke('downloads:clear')
+  },
+
+  // Session Restore
+  session: {
+    getRestoreState: () => ipcRenderer.invoke('session:getRestoreState'),
+    restore: () => ipcRenderer.invoke('session:restore'),
+    discard: () => ipcRenderer.invoke('session:discard'),
+    getRecentlyClosed: () => ipcRenderer.invoke('session:getRecentlyClosed'),
+    reopenClosedTab: () => ipcRenderer.invoke('session:reopenClosedTab')
   },
 
   // Data Collection
@@ -43,7 +112,17 @@ contextBridge.exposeInMainWorld('nexusAPI', {
   // Search and Navigation
   search: {
     query: (query, options) => ipcRenderer.invoke('search:query', query, options),
-    getSuggestions: (partialQuery) => ipcRenderer.invoke('search:getSuggestions', partialQuery)
+    getSuggestions: (input, requestId) => ipcRenderer.invoke('search:getSuggestions', input, requestId),
+    recordSelection: (suggestion) => ipcRenderer.invoke('search:recordSelection', suggestion),
+    getEngines: () => ipcRenderer.invoke('search:getEngines'),
+    setDefault: (engineId) => ipcRenderer.invoke('search:setDefault', engineId),
+    addEngine: (engine) => ipcRenderer.invoke('search:addEngine', engine),
+    removeEngine: (engineId) => ipcRenderer.invoke('search:removeEngine', engineId)
+  },
+
+  // Saved pages
+  archive: {
+    savePage: (tabId) => ipcRenderer.invoke('archive:savePage', tabId)
   },
 
   // Bookmarks and History
@@ -52,18 +131,36 @@ contextBridge.exposeInMainWorld('nexusAPI', {
   },
 
   history: {
-    getSmartHistory: (options) => ipcRenderer.invoke('history:getSmartHistory', options)
+    getSmartHistory: (options) => ipcRenderer.invoke('history:getSmartHistory', options),
+    semanticSearch: (query, options) => ipcRenderer.invoke('history:semanticSearch', query, options)
+  },
+
+  // Conversation threads
+  conversations: {
+    list: (query) => ipcRenderer.invoke('conversations:list', query),
+    create: (options) => ipcRenderer.invoke('conversations:create', options),
+    get: (threadId) => ipcRenderer.invoke('conversations:get', threadId),
+    rename: (threadId, title) => ipcRenderer.invoke('conversations:rename', threadId, title),
+    delete: (threadId) => ipcRenderer.invoke('conversations:delete', threadId),
+    pin: (threadId, pin) => ipcRenderer.invoke('conversations:pin', threadId, pin),
+    export: (threadId, format) => ipcRenderer.invoke('conversations:export', threadId, format)
   },
 
   // Settings and Preferences
   settings: {
     get: (category) => ipcRenderer.invoke('settings:get', category),
-    update: (settings) => ipcRenderer.invoke('settings:update', settings)
+    update: (settings) => ipcRenderer.invoke('settings:update', settings),
+    getLLMProviders: () => ipcRenderer.invoke('settings:getLLMProviders')
   },
 
   // AI Assistant
   assistant: {
     chat: (message, context) => ipcRenderer.invoke('assistant:chat', message, context),
+    chatStream: (streamId, message, context) =>
+      ipcRenderer.invoke('assistant:chatStream', streamId, message, context),
+    cancelStream: (streamId) => ipcRenderer.invoke('assistant:cancelStream', streamId),
+    respondToToolCall: (confirmationId, approved) =>
+      ipcRenderer.invoke('assistant:respondToToolCall', confirmationId, approved),
     getProactiveInsights: () => ipcRenderer.invoke('assistant:getProactiveInsights')
   },
 
@@ -78,6 +175,21 @@ contextBridge.exposeInMainWorld('nexusAPI', {
     clearData: (options) => ipcRenderer.invoke('privacy:clearData', options)
   },
 
+  // Site permissions
+  permissions: {
+    respond: (requestId, decision) => ipcRenderer.invoke('permissions:respond', requestId, decision),
+    getForTab: (tabId) => ipcRenderer.invoke('permissions:getForTab', tabId),
+    getAll: () => ipcRenderer.invoke('permissions:getAll'),
+    set: (origin, permission, decision) => ipcRenderer.invoke('permissions:set', origin, permission, decision),
+    reset: (origin, permission) => ipcRenderer.invoke('permissions:reset', origin, permission)
+  },
+
+  // Certificates
+  certificates: {
+    getForTab: (tabId) => ipcRenderer.invoke('certificates:getForTab', tabId),
+    revokeException: (tabId) => ipcRenderer.invoke('certificates:revokeException', tabId)
+  },
+
   // Error Handling
   error: {
     report: (errorData) => ipcRenderer.invoke('error:report', errorData)
@@ -87,7 +199,10 @@ contextBridge.exposeInMainWorld('nexusAPI', {
   window: {
     minimize: () => ipcRenderer.invoke('window:minimize'),
     maximize: () => ipcRenderer.invoke('window:maximize'),
-    close: () => ipcRenderer.invoke('window:close')
+    close: () => ipcRenderer.invoke('window:close'),
+    openNew: () => ipcRenderer.invoke('window:openNew'),
+    openPrivate: () => ipcRenderer.invoke('window:openPrivate'),
+    getInfo: () => ipcRenderer.invoke('window:getInfo')
   },
 
   // Event Listeners
@@ -98,7 +213,23 @@ contextBridge.exposeInMainWorld('nexusAPI', {
       'personalization-update',
       'mood-change',
       'tab-update',
-      'proactive-suggestion'
+      'tab-created',
+      'tab-updated',
+      'tab-activated',
+      'tab-closed',
+      'tab-layout-updated',
+      'memory-saver-updated',
+      'download-updated',
+      'split-updated',
+      'omnibox-suggestions',
+      'permission-request',
+      'permission-request-closed',
+      'security-warning',
+      'save-page-requested',
+      'proactive-suggestion',
+      'assistant-stream-chunk',
+      'assistant-agent-step',
+      'assistant-tool-confirmation'
     ];
     
     if (validChannels.includes(channel)) {
@@ -113,7 +244,23 @@ contextBridge.exposeInMainWorld('nexusAPI', {
       'personalization-update',
       'mood-change',
       'tab-update',
-      'proactive-suggestion'
+      'tab-created',
+      'tab-updated',
+      'tab-activated',
+      'tab-closed',
+      'tab-layout-updated',
+      'memory-saver-updated',
+      'download-updated',
+      'split-updated',
+      'omnibox-suggestions',
+      'permission-request',
+      'permission-request-closed',
+      'security-warning',
+      'save-page-requested',
+      'proactive-suggestion',
+      'assistant-stream-chunk',
+      'assistant-agent-step',
+      'assistant-tool-confirmation'
     ];
     
     if (validChannels.includes(channel)) {